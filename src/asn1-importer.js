@@ -0,0 +1,720 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module asn1-importer
+ *
+ * Importer for type assignments in the ASN.1 notation of ANSI/ASHRAE 135 clause 21.
+ *
+ * The importer reads the subset of ASN.1 used by the standard and its addenda and turns
+ * every type assignment into a definition in the format of the `definitions/` directory:
+ * - the type reference becomes the `alias`, the `name` is derived from it, e.g.
+ *   `BACnetDeviceStatus` -> "device-status"
+ * - `SEQUENCE { ... }` becomes `fields`, `CHOICE { ... }` `options`, both with the
+ *   context tag of `[n]`, `[n] IMPLICIT` or `[n] EXPLICIT` and `OPTIONAL` (or `DEFAULT`),
+ *   tags beyond 254 are marked `unencodable`
+ * - `ENUMERATED { ... }` becomes `values`, the extension marker `...` makes it extensible
+ *   unless a comment in or directly after the braces names the ranges which "may be used
+ *   by others", which become `proprietary` ranges; the highest of them and of the values
+ *   "reserved for definition by ASHRAE" becomes the `maximum`
+ * - the tag values of a CHOICE which "may be used by others" become `proprietary` ranges
+ * - `BIT STRING { ... }` becomes `bits`
+ * - `SEQUENCE [SIZE(..)] OF`, `BACnetLIST OF` and `BACnetARRAY[n] OF` become `series`
+ * - value ranges like `(0..255)` become `minimum`/`maximum`, `(SIZE(..))` becomes `length`
+ * - `[APPLICATION n]` assignments declare the primitive n
+ * - comments at the end of the line of an item become its description, comment lines
+ *   directly above an assignment or at the end of its first line the description of
+ *   the definition
+ *
+ * References are resolved against the registry, so the names of known types are kept,
+ * e.g. `Unsigned` -> "unsigned". The module header, IMPORTS and EXPORTS are skipped.
+ * Syntax errors are thrown with the line and column of the offending token.
+ *
+ * Usage:
+ * ```javascript
+ * import { parseAsn1File, writeDefinitionFiles } from './asn1-importer.js';
+ *
+ * const definitions = await parseAsn1File('addendum-135-2020cd.asn');
+ * await writeDefinitionFiles(definitions, 'definitions');
+ * ```
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import { toDefinitionName } from './naming.js';
+import { MAX_TAG_NUMBER } from './primitives.js';
+import { registry as bundledRegistry } from './traverse.js';
+
+const METADATA = {
+    'SPDX-FileCopyrightText': 'Copyright 2024-2026 The BAClib Initiative and Contributors',
+    'SPDX-License-Identifier': 'EPL-2.0'
+};
+
+// Definition names of the built-in types of ASN.1
+const BUILTIN_TYPES = {
+    'NULL': 'null',
+    'BOOLEAN': 'boolean',
+    'INTEGER': 'integer',
+    'REAL': 'real',
+    'OCTET STRING': 'octet-string',
+    'BIT STRING': 'bit-string',
+    'ENUMERATED': 'enumerated',
+    'ANY': 'any',
+    'ABSTRACT-SYNTAX.&Type': 'any'
+};
+
+// Comments on the ranges of enumerations, bit strings and choice tags reserved for
+// proprietary use or for ASHRAE, e.g. "Enumerated values 256-47807 and 50000-65535 may be
+// used by others" or "Tag values of 64-254 may be used by others"
+const RANGE_LIST = String.raw`(?:values|bits)(?:\s+of)?\s+(\d+\s*-\s*\d+(?:\s*(?:,|and)\s*\d+\s*-\s*\d+)*)`;
+const PROPRIETARY_RANGE = new RegExp(String.raw`${RANGE_LIST}\s+may be used by others`, 'i');
+const RESERVED_RANGE = new RegExp(String.raw`${RANGE_LIST}\s+are reserved`, 'i');
+
+// Keywords of ASN.1 types outside of the subset used by BACnet
+const UNSUPPORTED_TYPES = new Set(['SET', 'OBJECT', 'EXTERNAL', 'EMBEDDED', 'CLASS']);
+
+const TOKEN_PATTERNS = [
+    ['identifier', /[A-Za-z][A-Za-z0-9]*(?:-[A-Za-z0-9]+)*(?:\.&[A-Za-z][A-Za-z0-9]*(?:-[A-Za-z0-9]+)*)?/y],
+    ['number', /-?[0-9]+(?:\.[0-9]+)?(?:[eE][-+]?[0-9]+)?/y],
+    ['symbol', /::=|\.\.\.|\.\.|[{}[\](),;|^.]/y]
+];
+
+/**
+ * Splits ASN.1 text into tokens and comments. Comments are kept with their position
+ * and the index of the token following them.
+ */
+function tokenize(text, sourceLabel) {
+    const tokens = [];
+    const comments = [];
+    let line = 1;
+    let lineStart = 0;
+    let offset = 0;
+
+    const advance = end => {
+        for (let index = offset; index < end; index++) {
+            if (text[index] === '\n') {
+                line++;
+                lineStart = index + 1;
+            }
+        }
+        offset = end;
+    };
+
+    while (offset < text.length) {
+        const column = offset - lineStart + 1;
+        if (/\s/.test(text[offset])) {
+            advance(offset + 1);
+            continue;
+        }
+        if (text.startsWith('--', offset)) {
+            // A comment ends at the end of the line or at the next "--"
+            const match = /--(.*?)(?:--|(?=\r?\n)|$)/y;
+            match.lastIndex = offset;
+            const [comment, content] = match.exec(text);
+            comments.push({ text: content.trim(), line, column, tokenIndex: tokens.length });
+            advance(offset + comment.length);
+            continue;
+        }
+        if (text.startsWith('/*', offset)) {
+            const end = text.indexOf('*/', offset + 2);
+            if (end < 0) {
+                throw new Error(`Invalid ASN.1 in ${sourceLabel} at line ${line}, column ${column}: Unterminated comment`);
+            }
+            comments.push({ text: text.slice(offset + 2, end).replace(/\s+/g, ' ').trim(), line, column, tokenIndex: tokens.length });
+            advance(end + 2);
+            continue;
+        }
+
+        const token = TOKEN_PATTERNS.map(([kind, pattern]) => {
+            pattern.lastIndex = offset;
+            const match = pattern.exec(text);
+            return match && { kind, value: match[0], line, column };
+        }).find(Boolean);
+        if (!token) {
+            throw new Error(`Invalid ASN.1 in ${sourceLabel} at line ${line}, column ${column}: Unexpected character '${text[offset]}'`);
+        }
+        tokens.push(token);
+        advance(offset + token.value.length);
+    }
+
+    return { tokens, comments };
+}
+
+/**
+ * Turns the text of a number token into a bound, integers beyond the safe range are
+ * kept as strings like in the definitions.
+ */
+function parseNumber(text) {
+    const value = Number(text);
+    return /^-?[0-9]+$/.test(text) && !Number.isSafeInteger(value) ? text : value;
+}
+
+/**
+ * Returns the ranges named by all sentences of a comment text matching a pattern.
+ */
+function parseRanges(text, pattern) {
+    return [...text.matchAll(new RegExp(pattern, 'gi'))]
+        .flatMap(match => [...match[1].matchAll(/(\d+)\s*-\s*(\d+)/g)])
+        .map(match => ({ from: Number(match[1]), to: Number(match[2]) }));
+}
+
+/**
+ * Turns a SIZE constraint into a `length` or `series` restriction: a number for a fixed
+ * size, otherwise the bounds without the defaults 0 and MAX, or true without bounds.
+ */
+function toSizeRestriction(size) {
+    if (size.minimum !== undefined && size.minimum === size.maximum) {
+        return size.minimum;
+    }
+    const restriction = {};
+    if (size.minimum !== undefined && size.minimum !== 0) {
+        restriction.minimum = size.minimum;
+    }
+    if (size.maximum !== undefined) {
+        restriction.maximum = size.maximum;
+    }
+    return Object.keys(restriction).length ? restriction : true;
+}
+
+/**
+ * Recursive descent parser of the token stream of one ASN.1 text.
+ */
+class Asn1Parser {
+
+    constructor(text, options) {
+        this.sourceLabel = options.sourceLabel ?? 'ASN.1 text';
+        this.registry = options.registry ?? bundledRegistry;
+        ({ tokens: this.tokens, comments: this.comments } = tokenize(text, this.sourceLabel));
+        this.position = 0;
+        this.usedComments = new Set();
+    }
+
+    /**
+     * Parses the module or the sequence of type assignments.
+     */
+    parseModule() {
+        const hasHeader = this.peek(1)?.value === 'DEFINITIONS' || (this.peek(1)?.value === '{' && this.peek()?.kind === 'identifier');
+        if (hasHeader) {
+            this.next();
+            if (this.peek()?.value === '{') {
+                this.skipBraces();
+            }
+            this.expect('DEFINITIONS');
+            while (this.peek() && this.peek().value !== '::=') {
+                this.next();
+            }
+            this.expect('::=');
+            this.expect('BEGIN');
+        }
+
+        const definitions = [];
+        while (this.peek() && !(hasHeader && this.peek().value === 'END')) {
+            if (this.peek().value === 'IMPORTS' || this.peek().value === 'EXPORTS') {
+                while (this.peek() && this.next().value !== ';') {
+                    // Imported and exported symbols are not needed
+                }
+                continue;
+            }
+            definitions.push(this.parseAssignment());
+        }
+        if (hasHeader) {
+            this.expect('END');
+        }
+        if (this.peek()) {
+            this.fail(this.peek(), `Unexpected '${this.peek().value}' after the end of the module`);
+        }
+        return definitions;
+    }
+
+    /**
+     * Parses a type assignment, e.g. `BACnetDeviceStatus ::= ENUMERATED { ... }`.
+     */
+    parseAssignment() {
+        const start = this.expectKind('identifier');
+        if (!/^[A-Z]/.test(start.value)) {
+            this.fail(start, `Expected a type assignment but got '${start.value}'`);
+        }
+        this.expect('::=');
+
+        const startIndex = this.position - 2;
+        const { type, tag } = this.parseType();
+        if (tag && tag.class !== 'APPLICATION') {
+            this.fail(start, 'Tags of type assignments are only supported for application types');
+        }
+
+        const definition = { alias: start.value, name: this.nameOf(start.value) };
+        const description = this.describeAssignment(startIndex, start.line);
+        if (description) {
+            definition.description = description;
+        }
+        if (tag) {
+            definition.primitive = tag.number;
+        } else {
+            definition.type = type;
+        }
+        return definition;
+    }
+
+    /**
+     * Parses a possibly tagged and constrained type. The result holds the type as a
+     * reference or traits and the tag.
+     */
+    parseType() {
+        let tag;
+        if (this.peek()?.value === '[') {
+            const open = this.next();
+            const tagClass = ['APPLICATION', 'UNIVERSAL', 'PRIVATE'].includes(this.peek()?.value) ? this.next().value : undefined;
+            tag = { class: tagClass, number: Number(this.expectKind('number').value), token: open };
+            this.expect(']');
+            if (this.peek()?.value === 'IMPLICIT' || this.peek()?.value === 'EXPLICIT') {
+                this.next();
+            }
+        }
+
+        let type = this.parseTypeBody();
+        while (this.peek()?.value === '(') {
+            type = this.applyConstraint(type, this.parseConstraint());
+        }
+        return { type, tag };
+    }
+
+    parseTypeBody() {
+        const token = this.expectKind('identifier');
+        switch (token.value) {
+            case 'SEQUENCE':
+                if (this.peek()?.value === '{') {
+                    return { base: 'sequence', fields: this.parseComponents() };
+                }
+                return this.parseSeries(token, this.parseSeriesSize());
+            case 'CHOICE': {
+                const openIndex = this.position;
+                const traits = { base: 'choice', options: this.parseComponents() };
+                const { proprietary } = this.parseRangeComments(openIndex);
+                if (proprietary.length) {
+                    traits.proprietary = proprietary.length === 1 ? proprietary[0] : proprietary;
+                }
+                return traits;
+            }
+            case 'ENUMERATED':
+                if (this.peek()?.value !== '{') {
+                    return BUILTIN_TYPES.ENUMERATED;
+                }
+                return { base: 'enumerated', ...this.parseNamedNumbers('constant') };
+            case 'BIT':
+                this.expect('STRING');
+                if (this.peek()?.value !== '{') {
+                    return BUILTIN_TYPES['BIT STRING'];
+                }
+                return { base: 'bit-string', ...this.parseNamedNumbers('position') };
+            case 'OCTET':
+                this.expect('STRING');
+                return BUILTIN_TYPES['OCTET STRING'];
+            case 'ANY':
+                if (this.peek()?.value === 'DEFINED') {
+                    this.next();
+                    this.expect('BY');
+                    this.expectKind('identifier');
+                }
+                return BUILTIN_TYPES.ANY;
+            case 'BACnetLIST':
+                return this.parseSeries(token, true);
+            case 'BACnetARRAY': {
+                let size = true;
+                if (this.peek()?.value === '[') {
+                    this.next();
+                    const bound = this.next();
+                    size = bound?.kind === 'number' ? Number(bound.value) : true;
+                    this.expect(']');
+                }
+                return this.parseSeries(token, size);
+            }
+            default:
+                if (Object.hasOwn(BUILTIN_TYPES, token.value)) {
+                    return BUILTIN_TYPES[token.value];
+                }
+                if (!/^[A-Z]/.test(token.value) || UNSUPPORTED_TYPES.has(token.value)) {
+                    this.fail(token, `Unsupported type '${token.value}'`);
+                }
+                return this.nameOf(token.value);
+        }
+    }
+
+    /**
+     * Parses the optional SIZE of `SEQUENCE SIZE(..) OF` or `SEQUENCE (SIZE(..)) OF`.
+     */
+    parseSeriesSize() {
+        if (this.peek()?.value === 'SIZE') {
+            this.next();
+            return toSizeRestriction(this.parseRange());
+        }
+        if (this.peek()?.value === '(') {
+            const constraint = this.parseConstraint();
+            if (!constraint.size) {
+                this.fail(this.peek(), 'Expected a SIZE constraint of the SEQUENCE OF');
+            }
+            return toSizeRestriction(constraint.size);
+        }
+        return true;
+    }
+
+    /**
+     * Parses the element type of a series, e.g. the `OF BACnetTimeValue` of a BACnetLIST.
+     */
+    parseSeries(token, series) {
+        this.expect('OF');
+        const { type, tag } = this.parseType();
+        if (tag) {
+            this.fail(tag.token, 'Tagged element types of a series are not supported');
+        }
+        if (typeof type !== 'string' && type.series) {
+            this.fail(token, 'Nested series are not supported, declare the inner series as a type');
+        }
+        return typeof type === 'string' ? { base: type, series } : { ...type, series };
+    }
+
+    /**
+     * Parses a constraint in parentheses: `(SIZE(n))`, `(SIZE(a..b))`, `(a..b)` or `(n)`.
+     */
+    parseConstraint() {
+        this.expect('(');
+        let constraint;
+        if (this.peek()?.value === 'SIZE') {
+            this.next();
+            constraint = { size: this.parseRange() };
+        } else {
+            constraint = { range: this.parseRangeContent() };
+        }
+        this.expect(')');
+        return constraint;
+    }
+
+    /**
+     * Parses a range in parentheses like `(1..MAX)` or `(8)`.
+     */
+    parseRange() {
+        this.expect('(');
+        const range = this.parseRangeContent();
+        this.expect(')');
+        return range;
+    }
+
+    parseRangeContent() {
+        const minimum = this.parseBound('MIN');
+        if (this.peek()?.value !== '..') {
+            return { minimum, maximum: minimum };
+        }
+        this.next();
+        return { minimum, maximum: this.parseBound('MAX') };
+    }
+
+    parseBound(keyword) {
+        const token = this.next();
+        if (token?.value === keyword) {
+            return undefined;
+        }
+        if (token?.kind !== 'number') {
+            this.fail(token, `Expected a number or ${keyword}`);
+        }
+        return parseNumber(token.value);
+    }
+
+    /**
+     * Restricts a type by a constraint, references become traits with the reference
+     * as base.
+     */
+    applyConstraint(type, constraint) {
+        const traits = typeof type === 'string' ? { base: type } : { ...type };
+        if (constraint.size) {
+            traits.length = toSizeRestriction(constraint.size);
+        } else {
+            if (constraint.range.minimum !== undefined) {
+                traits.minimum = constraint.range.minimum;
+            }
+            if (constraint.range.maximum !== undefined) {
+                traits.maximum = constraint.range.maximum;
+            }
+        }
+        return traits;
+    }
+
+    /**
+     * Parses the components of a SEQUENCE or CHOICE in braces.
+     */
+    parseComponents() {
+        this.expect('{');
+        const items = [];
+        while (this.peek() && this.peek().value !== '}') {
+            if (this.peek()?.value === '...') {
+                // Extension markers of sequences and choices carry no information in BACnet
+                this.next();
+            } else {
+                const identifier = this.expectKind('identifier');
+                if (!/^[a-z]/.test(identifier.value)) {
+                    this.fail(identifier, `Expected a component identifier but got '${identifier.value}'`);
+                }
+                const { type, tag } = this.parseType();
+                if (tag && tag.class) {
+                    this.fail(tag.token, 'Only context tags are supported on components');
+                }
+
+                const item = { name: toDefinitionName(identifier.value), type };
+                if (tag) {
+                    item.context = tag.number;
+                    if (tag.number > MAX_TAG_NUMBER) {
+                        item.unencodable = true;
+                    }
+                }
+                if (this.peek()?.value === 'OPTIONAL') {
+                    this.next();
+                    item.optional = true;
+                } else if (this.peek()?.value === 'DEFAULT') {
+                    // The definitions have no default values, the component may be absent
+                    this.next();
+                    this.skipValue();
+                    item.optional = true;
+                }
+                this.describeItem(item);
+                items.push(item);
+            }
+            if (this.peek()?.value !== ',') {
+                break;
+            }
+            this.next();
+        }
+        this.expect('}');
+        return items;
+    }
+
+    /**
+     * Parses the named numbers of an ENUMERATED or BIT STRING with the extension marker
+     * and the proprietary ranges named in comments.
+     */
+    parseNamedNumbers(numberKey) {
+        const open = this.expect('{');
+        const openIndex = this.position - 1;
+        const items = [];
+        let extensible = false;
+        while (this.peek() && this.peek().value !== '}') {
+            if (this.peek()?.value === '...') {
+                this.next();
+                extensible = true;
+            } else {
+                const identifier = this.expectKind('identifier');
+                this.expect('(');
+                const item = { name: identifier.value, [numberKey]: Number(this.expectKind('number').value) };
+                this.expect(')');
+                this.describeItem(item);
+                items.push(item);
+            }
+            if (this.peek()?.value !== ',') {
+                break;
+            }
+            this.next();
+        }
+        this.expect('}');
+        if (!items.length) {
+            this.fail(open, 'Expected at least one named number');
+        }
+
+        const { proprietary, reserved } = this.parseRangeComments(openIndex);
+        const traits = { [numberKey === 'constant' ? 'values' : 'bits']: items };
+        if (proprietary.length) {
+            if (numberKey === 'constant') {
+                traits.maximum = Math.max(...[...proprietary, ...reserved].map(range => range.to));
+            }
+            traits.proprietary = proprietary.length === 1 ? proprietary[0] : proprietary;
+        } else if (extensible) {
+            traits.extensible = true;
+        }
+        return traits;
+    }
+
+    /**
+     * Parses the ranges which "may be used by others" and those "reserved for definition by
+     * ASHRAE" named by the comments in the braces just closed or by the comment lines
+     * directly after them, as the standard places them after some types. The sentences may
+     * be wrapped over several comment lines.
+     */
+    parseRangeComments(openIndex) {
+        const isUnused = comment => !this.usedComments.has(comment);
+        const inside = this.comments.filter(comment => comment.tokenIndex > openIndex && comment.tokenIndex < this.position && isUnused(comment));
+        const after = [];
+        let line = this.tokens[this.position - 1].line;
+        for (const comment of this.comments.filter(entry => entry.tokenIndex === this.position && isUnused(entry))) {
+            if (comment.line !== line && comment.line !== line + 1) {
+                break;
+            }
+            after.push(comment);
+            line = comment.line;
+        }
+
+        const textOf = comments => comments.map(comment => comment.text).join(' ');
+        const comments = [inside, after].filter(block => PROPRIETARY_RANGE.test(textOf(block))).flat();
+        comments.forEach(comment => this.useComment(comment));
+        return { proprietary: parseRanges(textOf(comments), PROPRIETARY_RANGE), reserved: parseRanges(textOf(comments), RESERVED_RANGE) };
+    }
+
+    /**
+     * Skips the value of a DEFAULT, a single token or a value in braces.
+     */
+    skipValue() {
+        if (this.peek()?.value === '{') {
+            this.skipBraces();
+        } else {
+            this.next();
+        }
+    }
+
+    skipBraces() {
+        let depth = 0;
+        do {
+            const token = this.next();
+            if (!token) {
+                this.fail(token, 'Unbalanced braces');
+            }
+            depth += token.value === '{' ? 1 : token.value === '}' ? -1 : 0;
+        } while (depth > 0);
+    }
+
+    /**
+     * Sets the description of an item to the comments at the end of the line of its
+     * last token.
+     */
+    describeItem(item) {
+        const line = this.tokens[this.position - 1].line;
+        // Comments may follow the separator but not the next item on the same line
+        const lastIndex = this.peek()?.value === ',' ? this.position + 1 : this.position;
+        const text = this.comments
+            .filter(comment => comment.line === line && comment.tokenIndex >= this.position && comment.tokenIndex <= lastIndex)
+            .filter(comment => !this.usedComments.has(comment) && !PROPRIETARY_RANGE.test(comment.text) && !RESERVED_RANGE.test(comment.text))
+            .map(comment => this.useComment(comment))
+            .join(' ');
+        if (text) {
+            item.description = text;
+        }
+    }
+
+    /**
+     * Returns the description of an assignment: the comment lines directly above it or
+     * the comments at the end of its first line.
+     */
+    describeAssignment(startIndex, line) {
+        const previousLine = this.tokens[startIndex - 1]?.line;
+        const above = [];
+        for (let expected = line - 1; expected !== previousLine; expected--) {
+            const comment = this.comments.find(entry => entry.line === expected && entry.tokenIndex === startIndex && !this.usedComments.has(entry));
+            if (!comment) {
+                break;
+            }
+            above.unshift(comment);
+        }
+        const comments = above.length
+            ? above
+            : this.comments.filter(comment => comment.line === line && comment.tokenIndex > startIndex && !this.usedComments.has(comment));
+        const text = comments.map(comment => this.useComment(comment)).filter(Boolean).join(' ');
+        return text || undefined;
+    }
+
+    useComment(comment) {
+        this.usedComments.add(comment);
+        return comment.text;
+    }
+
+    /**
+     * Returns the definition name of a type reference: the name of a known type in the
+     * registry, otherwise the name derived from the reference.
+     */
+    nameOf(reference) {
+        return this.registry.get(reference)?.name ?? toDefinitionName(reference);
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.position + offset];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    expect(value) {
+        const token = this.next();
+        if (token?.value !== value) {
+            this.fail(token, `Expected '${value}' but got ${token ? `'${token.value}'` : 'the end of the text'}`);
+        }
+        return token;
+    }
+
+    expectKind(kind) {
+        const token = this.next();
+        if (token?.kind !== kind) {
+            this.fail(token, `Expected ${kind === 'identifier' ? 'an identifier' : `a ${kind}`} but got ${token ? `'${token.value}'` : 'the end of the text'}`);
+        }
+        return token;
+    }
+
+    fail(token, message) {
+        const location = token ? `line ${token.line}, column ${token.column}` : 'the end of the text';
+        throw new Error(`Invalid ASN.1 in ${this.sourceLabel} at ${location}: ${message}`);
+    }
+}
+
+/**
+ * Parses ASN.1 type assignments into definitions.
+ *
+ * @param {string} text - ASN.1 module or type assignments
+ * @param {Object} [options={}] - Parser options
+ * @param {string} [options.sourceLabel='ASN.1 text'] - Source named in error messages
+ * @param {DefinitionRegistry} [options.registry] - Registry of the known types whose names
+ *        are used for references, defaults to the bundled definitions
+ * @returns {Array<Object>} The definitions in the order of the assignments
+ */
+export function parseAsn1Text(text, options = {}) {
+    if (typeof text !== 'string') {
+        throw new Error('parseAsn1Text expects a string as input');
+    }
+    return new Asn1Parser(text, options).parseModule();
+}
+
+/**
+ * Reads and parses an ASN.1 file into definitions.
+ *
+ * @param {string} filePath - Path of the ASN.1 file
+ * @param {Object} [options={}] - Parser options, see parseAsn1Text
+ * @returns {Promise<Array<Object>>} The definitions in the order of the assignments
+ */
+export async function parseAsn1File(filePath, options = {}) {
+    if (typeof filePath !== 'string' || !filePath.trim()) {
+        throw new Error('parseAsn1File expects a non-empty file path');
+    }
+    const text = await fs.readFile(filePath, 'utf8');
+    return parseAsn1Text(text, { sourceLabel: filePath, ...options });
+}
+
+/**
+ * Writes definitions as files of the `definitions/` directory, one `<name>.json` per
+ * definition with the license metadata.
+ *
+ * @param {Array<Object>} definitions - Definitions returned by parseAsn1Text
+ * @param {string} directory - Output directory, created if missing
+ * @returns {Promise<Array<string>>} Paths of the written files
+ */
+export async function writeDefinitionFiles(definitions, directory) {
+    await fs.mkdir(directory, { recursive: true });
+    const filePaths = [];
+    for (const definition of definitions) {
+        const filePath = path.join(directory, `${definition.name}.json`);
+        const document = { metadata: METADATA, alias: definition.alias, name: definition.name };
+        if (definition.description) {
+            document.description = definition.description;
+        }
+        if (definition.primitive !== undefined) {
+            document.primitive = definition.primitive;
+        } else {
+            document.type = definition.type;
+        }
+        await fs.writeFile(filePath, JSON.stringify(document, null, 4) + '\n', 'utf8');
+        filePaths.push(filePath);
+    }
+    return filePaths;
+}
@@ -0,0 +1,361 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module asn1-transformer
+ *
+ * ASN.1 notation transformer for BACnet type definitions.
+ *
+ * This transformer implements the standard transformer interface used by the traverser
+ * engine and renders the definitions as one ASN.1 module in the style of ANSI/ASHRAE 135
+ * clause 21, so they can be compared with the published standard:
+ * - type assignments are named by the alias, e.g. `ReadProperty-Request ::= SEQUENCE { ... }`
+ * - fields and options become camelCase identifiers with their context tag, `[0] IMPLICIT`
+ *   for types replacing their tag and `[0]` for CHOICE and ANY types, which are
+ *   enclosed by opening and closing tags
+ * - `optional` fields are marked OPTIONAL
+ * - enumerations become `ENUMERATED { name (constant), ... }`, extensible ones and those
+ *   with `proprietary` ranges get the extension marker and a comment on the ranges, a
+ *   `maximum` beyond the ranges a comment on the values reserved for ASHRAE
+ * - choices with `proprietary` ranges get the extension marker and a comment on the tags
+ * - named bits become `BIT STRING { name (position), ... }`
+ * - `minimum`/`maximum` become value ranges, `length` SIZE constraints and `series`
+ *   `SEQUENCE SIZE(..) OF`
+ * - the application types are declared as in clause 21, e.g.
+ *   `Unsigned ::= [APPLICATION 2] INTEGER (0..MAX)`
+ *
+ * Usage:
+ * ```javascript
+ * import { Asn1Transformer } from './asn1-transformer.js';
+ * import { traverseDefinitions } from './traverse.js';
+ *
+ * const transformer = new Asn1Transformer({
+ *   moduleName: 'BACnet-Types',
+ *   outputPath: 'bacnet-types.asn'
+ * });
+ *
+ * await traverseDefinitions(transformer);
+ * ```
+ */
+
+import fs from 'fs/promises';
+
+import { toCamelCase } from './naming.js';
+import { PRIMITIVE_ANY, PRIMITIVE_BIT_STRING, PRIMITIVE_CHOICE, PRIMITIVE_ENUMERATED } from './primitives.js';
+import { registry as bundledRegistry } from './traverse.js';
+
+// ASN.1 types of the primitives: built-in types with their universal tag, or the
+// assignment of the application type as declared in clause 21
+const PRIMITIVE_TYPES = {
+    0: { builtin: 'NULL', universal: 5 },
+    1: { builtin: 'BOOLEAN', universal: 1 },
+    2: { assignment: '[APPLICATION 2] INTEGER (0..MAX)' },
+    3: { builtin: 'INTEGER', universal: 2 },
+    4: { builtin: 'REAL', universal: 9, comment: 'ANSI/IEEE-754 single precision floating point' },
+    5: { assignment: '[APPLICATION 5] OCTET STRING (SIZE(8))', comment: 'ANSI/IEEE-754 double precision floating point' },
+    6: { builtin: 'OCTET STRING', universal: 4 },
+    7: { assignment: '[APPLICATION 7] OCTET STRING', comment: 'see 20.2.9 for supported types' },
+    8: { builtin: 'BIT STRING', universal: 3 },
+    9: { builtin: 'ENUMERATED', universal: 10 },
+    10: { assignment: '[APPLICATION 10] OCTET STRING (SIZE(4))', comment: 'see 20.2.12' },
+    11: { assignment: '[APPLICATION 11] OCTET STRING (SIZE(4))', comment: 'see 20.2.13' },
+    12: { assignment: '[APPLICATION 12] OCTET STRING (SIZE(4))', comment: 'see 20.2.14' },
+    [-1]: { builtin: 'ABSTRACT-SYNTAX.&Type' },
+    [-2]: { builtin: 'CHOICE' },
+    [-3]: { builtin: 'SEQUENCE' }
+};
+
+/**
+ * Turns a description into the text of a single line comment, which ends at the
+ * next "--" or line break.
+ */
+function toCommentText(description) {
+    return description.replace(/\s+/g, ' ').replace(/-{2,}/g, '-').trim();
+}
+
+function formatBound(value, fallback) {
+    return value === undefined ? fallback : String(value);
+}
+
+/**
+ * Renders the value range and SIZE constraints of traits, e.g. " (0..255)" or
+ * " (SIZE(1..MAX))". Enumerations are not restricted by value ranges in ASN.1.
+ */
+function renderConstraints(traits, primitive) {
+    let text = '';
+    if (primitive !== PRIMITIVE_ENUMERATED && (traits.minimum !== undefined || traits.maximum !== undefined)) {
+        text += ` (${formatBound(traits.minimum, 'MIN')}..${formatBound(traits.maximum, 'MAX')})`;
+    }
+    if (typeof traits.length === 'number') {
+        text += ` (SIZE(${traits.length}))`;
+    } else if (traits.length) {
+        text += ` (SIZE(${formatBound(traits.length.minimum, '0')}..${formatBound(traits.length.maximum, 'MAX')}))`;
+    }
+    return text;
+}
+
+/**
+ * Renders the SEQUENCE OF prefix of a series, e.g. "SEQUENCE SIZE(1..MAX) OF ".
+ */
+function renderSeries(series) {
+    if (typeof series === 'number') {
+        return `SEQUENCE SIZE(${series}) OF `;
+    }
+    if (series && typeof series === 'object') {
+        return `SEQUENCE SIZE(${formatBound(series.minimum, '0')}..${formatBound(series.maximum, 'MAX')}) OF `;
+    }
+    return 'SEQUENCE OF ';
+}
+
+/**
+ * ASN.1 transformer class that converts BACnet definitions to an ASN.1 module.
+ * Implements the transformer interface required by the traverser engine.
+ */
+export class Asn1Transformer {
+
+    /**
+     * Creates a new Asn1Transformer instance.
+     *
+     * @param {Object} [options={}] - Configuration options
+     * @param {string} [options.moduleName='BACnet-Types'] - Name of the ASN.1 module
+     * @param {boolean} [options.descriptions=false] - Add the descriptions as comments
+     * @param {number} [options.indentSize=4] - Number of spaces per indentation level
+     * @param {string} [options.outputPath='bacnet-types.asn'] - Path for output file
+     * @param {DefinitionRegistry} [options.registry] - Registry used to resolve type references,
+     *        must match the registry passed to traverseDefinitions
+     */
+    constructor(options = {}) {
+        this.moduleName = options.moduleName || 'BACnet-Types';
+        this.descriptions = options.descriptions === true;
+        this.indentSize = options.indentSize || 4;
+        this.outputPath = options.outputPath || 'bacnet-types.asn';
+        this.registry = options.registry ?? bundledRegistry;
+
+        this.assignments = [];
+
+        // Frames of the definitions, traits and items currently being processed
+        this.stack = [];
+
+        this.statistics = {
+            definitions: 0,   // Assignments emitted
+            items: 0          // Fields, options, bits and values processed
+        };
+    }
+
+    /**
+     * Returns the ASN.1 type reference of a definition: the built-in type of a primitive,
+     * otherwise its alias.
+     *
+     * @param {Object} definition - The definition
+     * @returns {string} Type reference like "BACnetObjectIdentifier" or "OCTET STRING"
+     */
+    typeNameOf(definition) {
+        return PRIMITIVE_TYPES[definition.primitive]?.builtin ?? definition.alias ?? definition.name;
+    }
+
+    /**
+     * Handler invoked when starting to process a definition.
+     */
+    startDefinition(context) {
+        this.stack.push({ context, traits: null });
+    }
+
+    /**
+     * Handler invoked when finishing a definition. Emits its type assignment.
+     */
+    endDefinition(context) {
+        const frame = this.stack.pop();
+        const definition = context.definition;
+        const name = definition.alias ?? definition.name;
+        const comment = this.descriptions && definition.description ? `-- ${toCommentText(definition.description)}\n` : '';
+
+        let assignment;
+        if (context.isPrimitive) {
+            const type = PRIMITIVE_TYPES[definition.primitive];
+            if (!type) {
+                throw new Error(`Unsupported primitive ${definition.primitive}`);
+            }
+            if (type.builtin) {
+                // Built-in types are documented like in clause 21 but not assigned
+                if (type.universal !== undefined) {
+                    assignment = `-- ${type.builtin} [APPLICATION ${definition.primitive}], equivalent to [UNIVERSAL ${type.universal}]`
+                        + (type.comment ? ` ${type.comment}` : '');
+                }
+            } else {
+                assignment = `${name} ::= ${type.assignment}` + (type.comment ? ` -- ${type.comment}` : '');
+            }
+        } else if (frame.traits) {
+            assignment = `${name} ::= ${frame.traits}`;
+        } else {
+            assignment = `${name} ::= ${this.typeNameOf(this.registry.require(definition.type))}`;
+        }
+
+        if (assignment) {
+            this.statistics.definitions++;
+            this.assignments.push(comment + assignment);
+        }
+    }
+
+    /**
+     * Handler invoked when starting to process traits. Collects the members of the
+     * traits until endTraits renders them.
+     */
+    startTraits(context) {
+        const primitive = this.registry.resolveBase(context.traits).primitive;
+        this.stack.push({ context, primitive, members: [] });
+    }
+
+    /**
+     * Handler invoked when finishing traits. Hands the rendered type to the enclosing
+     * item or definition.
+     */
+    endTraits(context) {
+        const frame = this.stack.pop();
+        this.stack.at(-1).traits = this.#renderTraits(frame);
+    }
+
+    /**
+     * Handler invoked when starting to process an item (field, option, bit, value).
+     */
+    startItem(context) {
+        this.statistics.items++;
+        this.stack.push({ context, traits: null });
+    }
+
+    /**
+     * Handler invoked when finishing an item. Adds the item with its rendered type to
+     * the enclosing traits.
+     */
+    endItem(context) {
+        const frame = this.stack.pop();
+        const item = context.item;
+
+        let type;
+        if (frame.traits) {
+            type = frame.traits;
+        } else if (typeof item.type === 'string') {
+            type = this.typeNameOf(this.registry.require(item.type));
+        }
+
+        this.stack.at(-1).members.push({ item, type });
+    }
+
+    /**
+     * Optional lifecycle hook invoked after all definitions have been processed.
+     * Writes the ASN.1 module to the configured file path.
+     *
+     * @param {Object} result - Processing result from traverser
+     * @returns {Promise<void>}
+     */
+    async afterProcessing(result) {
+        console.log(`Total definitions: ${result.totalCount}`);
+        console.log(`Processed:         ${result.processedCount}`);
+        console.log(`Errors:            ${result.errorCount}`);
+        console.log('----------------------------------------');
+
+        const output = '-- Generated from the BAClib generic BACnet type definitions. Do not edit.\n\n'
+            + `${this.moduleName} DEFINITIONS ::=\nBEGIN\n\n${this.assignments.join('\n\n')}\n\nEND\n`;
+        await fs.writeFile(this.outputPath, output, 'utf8');
+        console.log(`Output written to: ${this.outputPath}`);
+    }
+
+    /**
+     * Renders the type of traits, including the SEQUENCE OF of a series.
+     */
+    #renderTraits(frame) {
+        const traits = frame.context.traits;
+        let type;
+
+        if (!frame.members.length) {
+            type = this.typeNameOf(this.registry.require(traits.base)) + renderConstraints(traits, frame.primitive);
+        } else if (frame.primitive === PRIMITIVE_ENUMERATED || frame.primitive === PRIMITIVE_BIT_STRING) {
+            type = this.#renderNamedNumbers(frame);
+        } else {
+            const keyword = frame.primitive === PRIMITIVE_CHOICE ? 'CHOICE' : 'SEQUENCE';
+            const ranges = frame.primitive === PRIMITIVE_CHOICE ? [traits.proprietary ?? []].flat() : [];
+            let text = this.#renderComponents(frame, ranges.length > 0);
+            if (ranges.length) {
+                text += `\n${this.#indent(frame.context.level + 1)}...${this.#renderRanges('Tag values', ranges, frame.context.level)}`;
+            }
+            type = `${keyword} {\n${text}\n${this.#indent(frame.context.level)}}`;
+        }
+
+        return traits.series ? renderSeries(traits.series) + type : type;
+    }
+
+    /**
+     * Renders the values of an enumeration or the named bits of a bit-string.
+     */
+    #renderNamedNumbers(frame) {
+        const traits = frame.context.traits;
+        const level = frame.context.level;
+        const isEnumeration = frame.primitive === PRIMITIVE_ENUMERATED;
+        const ranges = [traits.proprietary ?? []].flat();
+
+        const lines = frame.members.map(({ item }) => `${item.name} (${isEnumeration ? item.constant : item.position})`);
+        if (isEnumeration && (traits.extensible || ranges.length)) {
+            lines.push('...');
+        }
+        const comments = frame.members.map(({ item }) => item.description);
+        let text = lines
+            .map((line, index) => this.#indent(level + 1) + line + (index < lines.length - 1 ? ',' : '') + this.#renderComment(comments[index]))
+            .join('\n');
+
+        const subject = isEnumeration ? 'Enumerated values' : 'Bits';
+        const highest = ranges.reduce((maximum, range) => BigInt(range.to) > maximum ? BigInt(range.to) : maximum, -1n);
+        if (isEnumeration && ranges.length && traits.maximum !== undefined && BigInt(traits.maximum) > highest) {
+            text += `\n${this.#indent(level + 1)}-- ${subject} ${highest + 1n}-${traits.maximum} are reserved for definition by ASHRAE.`;
+        }
+        text += this.#renderRanges(subject, ranges, level);
+
+        const keyword = isEnumeration ? 'ENUMERATED' : 'BIT STRING';
+        return `${keyword} {\n${text}\n${this.#indent(level)}}` + (isEnumeration ? '' : renderConstraints(traits, frame.primitive));
+    }
+
+    /**
+     * Renders the comments on the proprietary ranges of the items at a level, in the
+     * wording of the standard.
+     */
+    #renderRanges(subject, ranges, level) {
+        return ranges
+            .map(range => `\n${this.#indent(level + 1)}-- ${subject} ${range.from}-${range.to} may be used by others subject to the procedures and constraints described in Clause 23.`)
+            .join('');
+    }
+
+    /**
+     * Renders the fields of a sequence or the options of a choice, followed by a separator
+     * if an extension marker follows.
+     */
+    #renderComponents(frame, extended = false) {
+        const level = frame.context.level;
+        return frame.members.map(({ item, type }, index) => {
+            let tag = '';
+            if (item.context !== undefined) {
+                tag = `[${item.context}] ` + (this.#isTaggedImplicitly(item) ? 'IMPLICIT ' : '');
+            }
+            const optional = item.optional ? ' OPTIONAL' : '';
+            const separator = index < frame.members.length - 1 || extended ? ',' : '';
+            return `${this.#indent(level + 1)}${toCamelCase(item.name)} ${tag}${type}${optional}${separator}${this.#renderComment(item.description)}`;
+        }).join('\n');
+    }
+
+    /**
+     * Context tags replace the tag of the tagged type, except for CHOICE and ANY types
+     * which have no tag of their own and are enclosed by opening and closing tags.
+     */
+    #isTaggedImplicitly(item) {
+        const { primitive, traits } = this.registry.resolveBase(item.type);
+        if (traits.some(entry => entry.series)) {
+            return true;
+        }
+        return primitive !== PRIMITIVE_CHOICE && primitive !== PRIMITIVE_ANY;
+    }
+
+    #renderComment(description) {
+        return this.descriptions && description ? ` -- ${toCommentText(description)}` : '';
+    }
+
+    #indent(level) {
+        return ' '.repeat(level * this.indentSize);
+    }
+}
@@ -0,0 +1,559 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module c-header-transformer
+ *
+ * C99 header and static table generator for BACnet type definitions.
+ *
+ * This transformer implements the standard transformer interface used by the traverser
+ * engine and writes a header with one declaration per definition plus a source file
+ * with name tables:
+ * - enumerations become fixed-width integer typedefs with an `enum` of their constants
+ *   (e.g. `BACNET_OBJECT_TYPE_ANALOG_INPUT`)
+ * - bit-strings with named bits get `#define`s of the bit positions and a struct holding
+ *   the bits in BACnet order (bit 0 is the most significant bit of the first octet)
+ * - sequences become structs, `optional` fields get a `has_<field>` presence flag
+ * - choices become tagged unions with one tag constant per option
+ * - `series` become arrays: fixed-size for an exact length, fixed-capacity with a count
+ *   for a maximum length and a pointer with a count otherwise
+ * - references and constrained types become typedefs, integers use the `<stdint.h>`
+ *   type of the `storage` resolved by the constraints module
+ *
+ * Strings, octet strings and `any` data refer to caller-owned buffers. Inline traits of
+ * fields and options become separate typedefs named after their path. Declarations are
+ * emitted in dependency order. The name tables map enumeration constants to their names
+ * and are searched with `<prefix>_name_of()`.
+ *
+ * Usage:
+ * ```javascript
+ * import { CHeaderTransformer } from './c-header-transformer.js';
+ * import { traverseDefinitions } from './traverse.js';
+ *
+ * const transformer = new CHeaderTransformer({
+ *   outputDirectory: 'generated/c',
+ *   baseName: 'bacnet_types'
+ * });
+ *
+ * await traverseDefinitions(transformer);
+ * ```
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import { resolveConstraints, storageTypeOf } from './constraints.js';
+import { sortTopologically } from './definition-selection.js';
+import { toScreamingSnakeCase, toSnakeCase } from './naming.js';
+import {
+    INTEGER_BASES, PRIMITIVE_ANY, PRIMITIVE_BIT_STRING, PRIMITIVE_BOOLEAN,
+    PRIMITIVE_CHARACTER_STRING, PRIMITIVE_CHOICE, PRIMITIVE_DATE, PRIMITIVE_DOUBLE,
+    PRIMITIVE_ENUMERATED, PRIMITIVE_NULL, PRIMITIVE_OBJECT_IDENTIFIER, PRIMITIVE_OCTET_STRING,
+    PRIMITIVE_REAL, PRIMITIVE_SEQUENCE, PRIMITIVE_TIME
+} from './primitives.js';
+import { registry as bundledRegistry } from './traverse.js';
+
+// `<stdint.h>` types of the integer storage types of the constraints module
+const STORAGE_TYPES = {
+    uint8: 'uint8_t', uint16: 'uint16_t', uint32: 'uint32_t', uint64: 'uint64_t',
+    int8: 'int8_t', int16: 'int16_t', int32: 'int32_t', int64: 'int64_t'
+};
+
+// C and C++ keywords and names of the standard headers that must not be used as field names
+const RESERVED_NAMES = new Set([
+    'auto', 'bool', 'break', 'case', 'char', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum', 'extern',
+    'false', 'float', 'for', 'goto', 'if', 'inline', 'int', 'long', 'register', 'restrict', 'return', 'short', 'signed',
+    'sizeof', 'static', 'struct', 'switch', 'true', 'typedef', 'union', 'unsigned', 'void', 'volatile', 'while',
+    'class', 'delete', 'friend', 'namespace', 'new', 'operator', 'private', 'protected', 'public', 'template', 'this',
+    'throw', 'try', 'catch', 'typename', 'virtual', 'using', 'explicit', 'mutable', 'and', 'or', 'not', 'xor'
+]);
+
+const DEFAULT_TABLES = ['engineering-units', 'object-type', 'property-identifier'];
+
+/**
+ * Returns the narrowest `<stdint.h>` type holding all values between minimum and maximum,
+ * i.e. that of their storage type (see storageTypeOf), `uint64_t`/`int64_t` beyond 64 bits.
+ *
+ * @param {bigint} minimum - Smallest value
+ * @param {bigint} maximum - Largest value
+ * @returns {string} C type
+ */
+export function narrowestCInteger(minimum, maximum) {
+    return STORAGE_TYPES[storageTypeOf(minimum, maximum) ?? (minimum >= 0n ? 'uint64' : 'int64')];
+}
+
+/**
+ * Converts an item name into a C field name, e.g. "property-array-index" -> "property_array_index".
+ * Keywords get a trailing underscore ("unsigned" -> "unsigned_").
+ *
+ * @param {string} name - Item name
+ * @returns {string} The identifier
+ */
+export function toCFieldName(name) {
+    const identifier = toSnakeCase(name);
+    return RESERVED_NAMES.has(identifier) ? identifier + '_' : identifier;
+}
+
+function toComment(text) {
+    return `/* ${text.replace(/\*\//g, '* /')} */`;
+}
+
+/**
+ * C header transformer class that converts BACnet definitions to C99 declarations.
+ * Implements the transformer interface required by the traverser engine.
+ */
+export class CHeaderTransformer {
+
+    /**
+     * Creates a new CHeaderTransformer instance.
+     *
+     * @param {Object} [options={}] - Configuration options
+     * @param {string} [options.outputDirectory='.'] - Directory for the generated files
+     * @param {string} [options.baseName='bacnet_types'] - Name of the header and source file without extension
+     * @param {string} [options.prefix='bacnet'] - Prefix of all generated identifiers
+     * @param {Array<string>} [options.tables] - Enumerations to emit name tables for,
+     *        defaults to engineering-units, object-type and property-identifier
+     * @param {number} [options.indentSize=4] - Number of spaces per indentation level
+     * @param {DefinitionRegistry} [options.registry] - Registry used to resolve type references,
+     *        must match the registry passed to traverseDefinitions
+     */
+    constructor(options = {}) {
+        this.outputDirectory = options.outputDirectory || '.';
+        this.baseName = options.baseName || 'bacnet_types';
+        this.prefix = options.prefix || 'bacnet';
+        this.tables = options.tables ?? DEFAULT_TABLES;
+        this.indentSize = options.indentSize || 4;
+        this.registry = options.registry ?? bundledRegistry;
+
+        // Declarations keyed by definition, emitted in dependency order
+        this.declarations = new Map();
+
+        // Frames of the definitions, traits and items currently being processed
+        this.stack = [];
+    }
+
+    /**
+     * Returns the C type name of a definition, e.g. "bacnet_object_type_t".
+     *
+     * @param {Object} definition - The definition
+     * @returns {string} The type name
+     */
+    typeNameOf(definition) {
+        return this.#typeName([definition.name]);
+    }
+
+    /**
+     * Handler invoked when starting to process a definition.
+     */
+    startDefinition(context) {
+        this.stack.push({ context, path: [context.definition.name], hoisted: [], traits: null });
+    }
+
+    /**
+     * Handler invoked when finishing a definition. Stores its declaration together with
+     * the declarations hoisted from inline traits.
+     */
+    endDefinition(context) {
+        const frame = this.stack.pop();
+        const definition = context.definition;
+        const name = this.typeNameOf(definition);
+
+        let lines;
+        if (context.isPrimitive) {
+            lines = this.#declarePrimitive(name, definition.primitive);
+        } else if (frame.traits) {
+            lines = this.#declareTraits(name, frame.traits);
+        } else {
+            lines = [`typedef ${this.typeNameOf(this.registry.require(definition.type))} ${name};`];
+        }
+
+        if (lines) {
+            const comment = definition.description ? [toComment(definition.description)] : [];
+            this.declarations.set(definition, [...frame.hoisted, [...comment, ...lines]]);
+        }
+    }
+
+    /**
+     * Handler invoked when starting to process traits.
+     */
+    startTraits(context) {
+        const primitive = this.registry.resolveBase(context.traits).primitive;
+        this.stack.push({ context, primitive, path: this.stack.at(-1).path, members: [] });
+    }
+
+    /**
+     * Handler invoked when finishing traits. Hands the collected traits to the
+     * enclosing item or definition.
+     */
+    endTraits(context) {
+        const frame = this.stack.pop();
+        this.stack.at(-1).traits = frame;
+    }
+
+    /**
+     * Handler invoked when starting to process an item (field, option, bit, value).
+     */
+    startItem(context) {
+        const parent = this.stack.at(-1);
+        this.stack.push({ context, path: [...parent.path, context.item.name], traits: null });
+    }
+
+    /**
+     * Handler invoked when finishing an item. Hoists the declaration of inline traits
+     * and adds the item with its C type to the enclosing traits.
+     */
+    endItem(context) {
+        const frame = this.stack.pop();
+        const item = context.item;
+
+        let type;
+        if (frame.traits) {
+            const name = this.#typeName(frame.path);
+            if (frame.traits.members.length) {
+                const comment = item.description ? [toComment(item.description)] : [];
+                this.stack[0].hoisted.push([...comment, ...this.#declareTraits(name, frame.traits)]);
+                type = name;
+            } else {
+                type = this.#typeOfConstrained(frame.traits);
+            }
+        } else if (typeof item.type === 'string') {
+            type = this.typeNameOf(this.registry.require(item.type));
+        }
+
+        this.stack.at(-1).members.push({ item, type });
+    }
+
+    /**
+     * Optional lifecycle hook invoked after all definitions have been processed.
+     * Writes the header and the source file with the name tables.
+     *
+     * @param {Object} result - Processing result from traverser
+     * @returns {Promise<void>}
+     */
+    async afterProcessing(result) {
+        console.log(`Total definitions: ${result.totalCount}`);
+        console.log(`Processed:         ${result.processedCount}`);
+        console.log(`Errors:            ${result.errorCount}`);
+        console.log('----------------------------------------');
+
+        const headerPath = path.join(this.outputDirectory, `${this.baseName}.h`);
+        const sourcePath = path.join(this.outputDirectory, `${this.baseName}.c`);
+
+        await fs.mkdir(this.outputDirectory, { recursive: true });
+        await fs.writeFile(headerPath, this.renderHeader(), 'utf8');
+        await fs.writeFile(sourcePath, this.renderSource(), 'utf8');
+        console.log(`Output written to: ${headerPath}, ${sourcePath}`);
+    }
+
+    /**
+     * Renders the header with all collected declarations.
+     *
+     * @returns {string} The header text
+     */
+    renderHeader() {
+        const guard = `${this.baseName.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_H`;
+        const upper = this.prefix.toUpperCase();
+        const ordered = sortTopologically(this.registry, [...this.declarations.keys()]);
+
+        const blocks = [
+            [
+                `#ifndef ${guard}`,
+                `#define ${guard}`,
+                '',
+                '#include <stdbool.h>',
+                '#include <stddef.h>',
+                '#include <stdint.h>',
+                '',
+                '#ifdef __cplusplus',
+                'extern "C" {',
+                '#endif'
+            ],
+            [toComment('Octet value of unspecified date and time parts'), `#define ${upper}_WILDCARD 0xFFu`],
+            [
+                toComment('Entry of a name table, tables are sorted by value'),
+                'typedef struct {',
+                `${this.#indent(1)}uint32_t value;`,
+                `${this.#indent(1)}const char *name;`,
+                `} ${this.prefix}_name_entry_t;`
+            ],
+            ...ordered.flatMap(definition => this.declarations.get(definition)),
+            ...this.#tableDefinitions().map(({ definition, tableName, countName, entries }) => [
+                toComment(`Names of ${this.typeNameOf(definition)} values`),
+                `extern const ${this.prefix}_name_entry_t ${tableName}[];`,
+                `#define ${countName} ${entries.length}u`
+            ]),
+            [
+                toComment('Returns the name of a value in a name table or NULL if the value has no name'),
+                `const char *${this.prefix}_name_of(const ${this.prefix}_name_entry_t *table, size_t count, uint32_t value);`
+            ],
+            ['#ifdef __cplusplus', '}', '#endif', '', `#endif ${toComment(guard)}`]
+        ];
+
+        return toComment('Generated from the BAClib generic BACnet type definitions. Do not edit.') + '\n\n'
+            + blocks.map(lines => lines.join('\n')).join('\n\n') + '\n';
+    }
+
+    /**
+     * Renders the source file with the name tables and the lookup function.
+     *
+     * @returns {string} The source text
+     */
+    renderSource() {
+        const tables = this.#tableDefinitions().map(({ tableName, entries }) => [
+            `const ${this.prefix}_name_entry_t ${tableName}[] = {`,
+            ...entries.map(({ value, name }, index) =>
+                `${this.#indent(1)}{ ${value}u, "${name}" }${index < entries.length - 1 ? ',' : ''}`),
+            '};'
+        ]);
+
+        const lookup = [
+            `const char *${this.prefix}_name_of(const ${this.prefix}_name_entry_t *table, size_t count, uint32_t value)`,
+            '{',
+            `${this.#indent(1)}size_t low = 0;`,
+            `${this.#indent(1)}size_t high = count;`,
+            '',
+            `${this.#indent(1)}while (low < high) {`,
+            `${this.#indent(2)}size_t middle = low + (high - low) / 2;`,
+            `${this.#indent(2)}if (table[middle].value == value) {`,
+            `${this.#indent(3)}return table[middle].name;`,
+            `${this.#indent(2)}}`,
+            `${this.#indent(2)}if (table[middle].value < value) {`,
+            `${this.#indent(3)}low = middle + 1;`,
+            `${this.#indent(2)}} else {`,
+            `${this.#indent(3)}high = middle;`,
+            `${this.#indent(2)}}`,
+            `${this.#indent(1)}}`,
+            `${this.#indent(1)}return NULL;`,
+            '}'
+        ];
+
+        const blocks = [[`#include "${this.baseName}.h"`], ...tables, lookup];
+        return toComment('Generated from the BAClib generic BACnet type definitions. Do not edit.') + '\n\n'
+            + blocks.map(lines => lines.join('\n')).join('\n\n') + '\n';
+    }
+
+    /**
+     * Collects the name tables of the configured enumerations that were traversed.
+     */
+    #tableDefinitions() {
+        return this.tables
+            .map(reference => this.registry.get(reference))
+            .filter(definition => definition && this.declarations.has(definition) && definition.type?.values)
+            .map(definition => {
+                const screaming = toScreamingSnakeCase(definition.name);
+                return {
+                    definition,
+                    tableName: `${this.prefix}_${toSnakeCase(definition.name)}_names`,
+                    countName: `${this.prefix.toUpperCase()}_${screaming}_NAME_COUNT`,
+                    entries: definition.type.values
+                        .map(value => ({ value: BigInt(value.constant), name: value.name }))
+                        .sort((a, b) => (a.value < b.value ? -1 : a.value > b.value ? 1 : 0))
+                };
+            });
+    }
+
+    #typeName(names) {
+        return `${this.prefix}_${names.map(toSnakeCase).join('_')}_t`;
+    }
+
+    #constantName(names) {
+        return [this.prefix, ...names].map(toScreamingSnakeCase).join('_');
+    }
+
+    #declarePrimitive(name, primitive) {
+        const struct = fields => ['typedef struct {', ...fields.map(field => this.#indent(1) + field), `} ${name};`];
+
+        switch (primitive) {
+            case PRIMITIVE_NULL:
+                // C has no empty types, the value carries no information
+                return [`typedef uint8_t ${name};`];
+            case PRIMITIVE_BOOLEAN:
+                return [`typedef bool ${name};`];
+            case PRIMITIVE_REAL:
+                return [`typedef float ${name};`];
+            case PRIMITIVE_DOUBLE:
+                return [`typedef double ${name};`];
+            case PRIMITIVE_OCTET_STRING:
+                return struct(['const uint8_t *data;', 'size_t length;']);
+            case PRIMITIVE_CHARACTER_STRING:
+                return struct([`uint8_t character_set; ${toComment('0 for UTF-8')}`, 'const char *data;', 'size_t length;']);
+            case PRIMITIVE_BIT_STRING:
+                return struct(['const uint8_t *data;', 'size_t bit_count;']);
+            case PRIMITIVE_DATE:
+                return struct([`uint8_t year; ${toComment('Years since 1900')}`, 'uint8_t month;', 'uint8_t day;', 'uint8_t day_of_week;']);
+            case PRIMITIVE_TIME:
+                return struct(['uint8_t hour;', 'uint8_t minute;', 'uint8_t second;', 'uint8_t hundredths;']);
+            case PRIMITIVE_OBJECT_IDENTIFIER: {
+                // Declared with the width of the object type, which may be declared later
+                const objectType = this.registry.get('object-type');
+                const objectTypeWidth = objectType?.type?.values ? this.#enumerationType(objectType.type) : 'uint16_t';
+                return struct([`${objectTypeWidth} object_type;`, 'uint32_t instance;']);
+            }
+            case PRIMITIVE_ANY:
+                // Application data is kept in its encoded form
+                return struct(['const uint8_t *data;', 'size_t length;']);
+            case PRIMITIVE_CHOICE:
+            case PRIMITIVE_SEQUENCE:
+                // Only used as base of traits
+                return null;
+            default:
+                return [`typedef ${this.#integerType({ base: INTEGER_BASES[primitive] })} ${name};`];
+        }
+    }
+
+    /**
+     * Declares the type of traits, series of items get an element type with `_item_t` suffix.
+     */
+    #declareTraits(name, frame) {
+        const traits = frame.context.traits;
+        if (!frame.members.length) {
+            return this.#typedef(this.#typeOfConstrained(frame, true), name);
+        }
+
+        const elementName = traits.series ? name.replace(/_t$/, '_item_t') : name;
+        const path = frame.path;
+        let lines;
+        switch (frame.primitive) {
+            case PRIMITIVE_ENUMERATED:
+                lines = this.#declareEnumeration(elementName, path, frame);
+                break;
+            case PRIMITIVE_BIT_STRING:
+                lines = this.#declareBits(elementName, path, frame);
+                break;
+            case PRIMITIVE_CHOICE:
+                lines = this.#declareChoice(elementName, path, frame);
+                break;
+            default:
+                lines = this.#declareSequence(elementName, frame);
+        }
+
+        if (traits.series) {
+            lines.push('', ...this.#typedef(this.#seriesFields(elementName, traits.series), name));
+        }
+        return lines;
+    }
+
+    /**
+     * Type of traits without items. Returns the fields of a series wrapper if
+     * `asFields` is set, otherwise a single line type.
+     */
+    #typeOfConstrained(frame, asFields = false) {
+        const traits = frame.context.traits;
+        let element;
+        if (INTEGER_BASES[frame.primitive] && (Object.hasOwn(traits, 'minimum') || Object.hasOwn(traits, 'maximum'))) {
+            element = this.#integerType(traits);
+        } else {
+            element = this.typeNameOf(this.registry.require(traits.base));
+        }
+
+        if (!traits.series) {
+            return element;
+        }
+        const fields = this.#seriesFields(element, traits.series);
+        return asFields ? fields : `struct { ${fields.join(' ')} }`;
+    }
+
+    /**
+     * Fields of an array: fixed-size for an exact length, fixed-capacity with a count
+     * for a maximum and a pointer to caller-owned elements otherwise.
+     */
+    #seriesFields(element, series) {
+        if (typeof series === 'number') {
+            return [`${element} items[${series}];`];
+        }
+        if (typeof series === 'object' && series.maximum !== undefined) {
+            return [`${narrowestCInteger(0n, BigInt(series.maximum))} count;`, `${element} items[${series.maximum}];`];
+        }
+        return ['size_t count;', `${element} *items;`];
+    }
+
+    #typedef(typeOrFields, name) {
+        if (typeof typeOrFields === 'string') {
+            return [`typedef ${typeOrFields} ${name};`];
+        }
+        return ['typedef struct {', ...typeOrFields.map(field => this.#indent(1) + field), `} ${name};`];
+    }
+
+    /**
+     * Integer type of the storage for the limits of the traits and their bases.
+     */
+    #integerType(traits) {
+        return STORAGE_TYPES[resolveConstraints(traits, { registry: this.registry }).storage];
+    }
+
+    /**
+     * Integer type of an enumeration wide enough for its constants, its maximum and its
+     * proprietary ranges.
+     */
+    #enumerationType(traits) {
+        const limits = [
+            ...traits.values.map(value => BigInt(value.constant)),
+            ...[traits.proprietary ?? []].flat().map(range => BigInt(range.to))
+        ];
+        if (traits.maximum !== undefined) {
+            limits.push(BigInt(traits.maximum));
+        }
+        return narrowestCInteger(0n, limits.reduce((a, b) => (a > b ? a : b)));
+    }
+
+    #declareEnumeration(name, path, frame) {
+        const traits = frame.context.traits;
+        const constants = frame.members.map(({ item }) =>
+            `${this.#indent(1)}${this.#constantName([...path, item.name])} = ${item.constant}`);
+        return [
+            `typedef ${this.#enumerationType({ ...traits, values: frame.members.map(({ item }) => item) })} ${name};`,
+            'enum {',
+            constants.join(',\n'),
+            '};'
+        ];
+    }
+
+    #declareBits(name, path, frame) {
+        const maximum = Math.max(...frame.members.map(({ item }) => item.position));
+        const defines = frame.members.map(({ item }) => `#define ${this.#constantName([...path, item.name])} ${item.position}u`);
+        return [
+            ...defines,
+            `#define ${this.#constantName([...path, 'bit-count'])} ${maximum + 1}u`,
+            'typedef struct {',
+            `${this.#indent(1)}uint8_t bits[${Math.ceil((maximum + 1) / 8)}];`,
+            `${this.#indent(1)}${narrowestCInteger(0n, BigInt(maximum + 1))} bit_count;`,
+            `} ${name};`
+        ];
+    }
+
+    #declareSequence(name, frame) {
+        const fields = frame.members.flatMap(({ item, type }) => {
+            const field = toCFieldName(item.name);
+            const comment = item.description ? ' ' + toComment(item.description) : '';
+            return [
+                ...(item.optional ? [`bool has_${field};`] : []),
+                `${type} ${field};${comment}`
+            ];
+        });
+        return ['typedef struct {', ...fields.map(field => this.#indent(1) + field), `} ${name};`];
+    }
+
+    #declareChoice(name, path, frame) {
+        const tags = frame.members.map(({ item }, index) =>
+            `${this.#indent(1)}${this.#constantName([...path, item.name])} = ${index}`);
+        const options = frame.members.map(({ item, type }) => {
+            const comment = item.description ? ' ' + toComment(item.description) : '';
+            return `${this.#indent(2)}${type} ${toCFieldName(item.name)};${comment}`;
+        });
+        return [
+            'enum {',
+            tags.join(',\n'),
+            '};',
+            'typedef struct {',
+            `${this.#indent(1)}uint8_t tag;`,
+            `${this.#indent(1)}union {`,
+            ...options,
+            `${this.#indent(1)}} value;`,
+            `} ${name};`
+        ];
+    }
+
+    #indent(level) {
+        return ' '.repeat(level * this.indentSize);
+    }
+}
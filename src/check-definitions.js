@@ -0,0 +1,218 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module check-definitions
+ *
+ * Semantic integrity checks for the definitions tree.
+ *
+ * The JSON schemas only validate the shape of a single definition file. This module
+ * checks rules that span items or files and that the schemas cannot express:
+ * - every string `type` and traits `base` refers to an existing definition
+ * - `context` tags are unique within one sequence or choice and within the encodable tag
+ *   numbers 0..254, unless the option is marked `unencodable`
+ * - enumeration `constant`s and bit `position`s are unique
+ * - item names are unique within one `fields`/`options`/`values`/`bits` list
+ * - `minimum` does not exceed `maximum` (values, `length`, `series`, `ranges`)
+ * - `proprietary` ranges are ordered and lie within `maximum`
+ *
+ * Each problem is reported as an error diagnostic (see diagnostics.js) with the file of the
+ * definition and a JSON pointer into it. Codes: 'unknown-reference', 'self-reference',
+ * 'reversed-limits', 'duplicate-item-name', 'duplicate-context', 'duplicate-constant',
+ * 'duplicate-bit-position', 'context-out-of-range', 'needless-unencodable',
+ * 'reversed-proprietary-range', 'proprietary-beyond-maximum' and 'constant-beyond-maximum'.
+ */
+
+import { createError } from './diagnostics.js';
+import { MAX_TAG_NUMBER } from './primitives.js';
+
+const ITEM_LISTS = ['fields', 'options', 'values', 'bits'];
+
+function toBigInt(value) {
+    try {
+        return BigInt(value);
+    } catch {
+        return undefined;
+    }
+}
+
+function toNumber(value) {
+    // Integer limits may be stored as strings to support 64-bit values
+    if (typeof value === 'string' || Number.isInteger(value)) {
+        return toBigInt(value);
+    }
+    return typeof value === 'number' ? value : undefined;
+}
+
+/**
+ * Collects the problems of one definition while walking its traits.
+ */
+class DefinitionChecker {
+
+    constructor(registry, definition) {
+        this.registry = registry;
+        this.definition = definition;
+        this.file = registry.fileOf(definition.name);
+        this.problems = [];
+    }
+
+    report(code, pointer, message) {
+        this.problems.push(createError(code, message, { file: this.file, pointer, definition: this.definition.name }));
+    }
+
+    checkReference(reference, pointer) {
+        if (typeof reference === 'string' && !this.registry.has(reference)) {
+            this.report('unknown-reference', pointer, `Unknown type reference '${reference}'`);
+        }
+    }
+
+    checkRange(minimum, maximum, pointer, label) {
+        const lower = toNumber(minimum);
+        const upper = toNumber(maximum);
+        if (lower === undefined || upper === undefined) {
+            return;
+        }
+        if (lower > upper) {
+            this.report('reversed-limits', pointer, `${label} minimum ${minimum} is greater than maximum ${maximum}`);
+        }
+    }
+
+    checkUnique(items, key, pointer, label, code) {
+        const seen = new Map();
+        items.forEach((item, index) => {
+            if (!Object.hasOwn(item, key)) {
+                return;
+            }
+            const value = item[key];
+            if (seen.has(value)) {
+                this.report(code, `${pointer}/${index}/${key}`,
+                    `Duplicate ${label} ${JSON.stringify(value)} (also used at ${pointer}/${seen.get(value)})`);
+            } else {
+                seen.set(value, index);
+            }
+        });
+    }
+
+    checkContext(item, pointer) {
+        if (!Number.isInteger(item.context)) {
+            return;
+        }
+        const encodable = item.context <= MAX_TAG_NUMBER;
+        if (!encodable && item.unencodable !== true) {
+            this.report('context-out-of-range', `${pointer}/context`, `Context tag ${item.context} is beyond the encodable tag numbers 0..${MAX_TAG_NUMBER}`);
+        }
+        if (encodable && item.unencodable === true) {
+            this.report('needless-unencodable', `${pointer}/unencodable`, `Context tag ${item.context} is encodable but marked unencodable`);
+        }
+    }
+
+    checkProprietary(traits, pointer) {
+        if (!traits.proprietary) {
+            return;
+        }
+        const ranges = [traits.proprietary].flat();
+        const maximum = toNumber(traits.maximum);
+        ranges.forEach((range, index) => {
+            const rangePointer = Array.isArray(traits.proprietary) ? `${pointer}/proprietary/${index}` : `${pointer}/proprietary`;
+            const from = toNumber(range.from);
+            const to = toNumber(range.to);
+            if (from !== undefined && to !== undefined && from > to) {
+                this.report('reversed-proprietary-range', rangePointer, `Proprietary range ${range.from}..${range.to} is reversed`);
+            }
+            if (maximum !== undefined && to > maximum) {
+                this.report('proprietary-beyond-maximum', `${rangePointer}/to`, `Proprietary range ${range.from}..${range.to} exceeds maximum ${traits.maximum}`);
+            }
+        });
+    }
+
+    checkTraits(traits, pointer) {
+        this.checkReference(traits.base, `${pointer}/base`);
+        this.checkRange(traits.minimum, traits.maximum, pointer, 'Value');
+
+        if (traits.length && typeof traits.length === 'object') {
+            this.checkRange(traits.length.minimum, traits.length.maximum, `${pointer}/length`, 'Length');
+        }
+        if (traits.series && typeof traits.series === 'object') {
+            this.checkRange(traits.series.minimum, traits.series.maximum, `${pointer}/series`, 'Series');
+        }
+        if (traits.range) {
+            this.checkRange(traits.range.minimum, traits.range.maximum, `${pointer}/range`, 'Range');
+        }
+        traits.ranges?.forEach((range, index) => {
+            this.checkRange(range.minimum, range.maximum, `${pointer}/ranges/${index}`, 'Range');
+        });
+        this.checkProprietary(traits, pointer);
+
+        for (const list of ITEM_LISTS) {
+            const items = traits[list];
+            if (!Array.isArray(items)) {
+                continue;
+            }
+            const listPointer = `${pointer}/${list}`;
+            this.checkUnique(items, 'name', listPointer, 'name', 'duplicate-item-name');
+
+            if (list === 'fields' || list === 'options') {
+                this.checkUnique(items, 'context', listPointer, 'context tag', 'duplicate-context');
+            }
+            if (list === 'values') {
+                this.checkUnique(items, 'constant', listPointer, 'constant', 'duplicate-constant');
+                this.checkItemsWithinMaximum(traits, items, 'constant', listPointer);
+            }
+            if (list === 'bits') {
+                this.checkUnique(items, 'position', listPointer, 'bit position', 'duplicate-bit-position');
+            }
+
+            items.forEach((item, index) => {
+                const itemPointer = `${listPointer}/${index}`;
+                if (list === 'fields' || list === 'options') {
+                    this.checkContext(item, itemPointer);
+                }
+                if (typeof item.type === 'string') {
+                    this.checkReference(item.type, `${itemPointer}/type`);
+                } else if (item.type && typeof item.type === 'object') {
+                    this.checkTraits(item.type, `${itemPointer}/type`);
+                }
+            });
+        }
+    }
+
+    checkItemsWithinMaximum(traits, items, key, pointer) {
+        const maximum = toNumber(traits.maximum);
+        if (maximum === undefined) {
+            return;
+        }
+        items.forEach((item, index) => {
+            if (toNumber(item[key]) > maximum) {
+                this.report(`${key}-beyond-maximum`, `${pointer}/${index}/${key}`, `${key} ${item[key]} exceeds maximum ${traits.maximum}`);
+            }
+        });
+    }
+
+    check() {
+        const definition = this.definition;
+        if (typeof definition.type === 'string') {
+            this.checkReference(definition.type, '/type');
+            if (definition.type === definition.name) {
+                this.report('self-reference', '/type', `Definition '${definition.name}' refers to itself`);
+            }
+        } else if (definition.type && typeof definition.type === 'object') {
+            this.checkTraits(definition.type, '/type');
+        }
+        return this.problems;
+    }
+}
+
+/**
+ * Runs the semantic checks on all definitions of a registry.
+ *
+ * @param {DefinitionRegistry} registry - Registry holding the definitions to check
+ * @returns {Array<Object>} One error diagnostic per problem; `pointer` is a JSON pointer into
+ *          the definition file, `file` is undefined for definitions not loaded from files
+ */
+export function checkDefinitions(registry) {
+    const problems = [];
+    for (const definition of registry.definitions) {
+        problems.push(...new DefinitionChecker(registry, definition).check());
+    }
+    return problems;
+}
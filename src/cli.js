@@ -0,0 +1,427 @@
+#!/usr/bin/env node
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module cli
+ *
+ * Command-line interface for generating code from, validating and using the BACnet
+ * type definitions.
+ *
+ * Commands:
+ * - `generate <target>` runs a transformer over the definitions, targets are
+ *   markdown, html, asn1, typescript, csharp, rust, c, json-schema, graph and template
+ * - `validate` checks the semantic integrity of the definitions
+ * - `decode <type> <hex>` decodes BACnet tagged octets and prints the value as JSON
+ * - `import-asn1 <file...>` turns ASN.1 type assignments into definition files
+ * - `diff <old-dir> <new-dir>` lists the changes between two versions of the definitions,
+ *   classified as wire-breaking, api-breaking or compatible
+ * - `sample <type>` writes a sample file of good and bad encodings of a type in the
+ *   format of test/samples
+ * - `trace <type> <hex>` prints the tags, fields and values read while decoding, with
+ *   errors at their byte offset; `--instance <file>` takes the type and octets from an
+ *   instance file
+ *
+ * Problems of loading and processing the definitions are printed as diagnostics. The
+ * exit code is 0 on success, 1 if a definition failed to load or process, validation
+ * found problems, decoding or tracing failed, an ASN.1 file is invalid, a diff found
+ * wire-breaking changes or the type of a sample is unknown, and 2 on invalid usage. With `--strict`
+ * generation stops at the first error without writing output.
+ *
+ * Usage:
+ * ```sh
+ * baclib-types generate rust --output src/bacnet_types.rs --root read-property-request
+ * baclib-types generate typescript -o types.d.ts --option enumStyle=const-enum
+ * baclib-types generate template --template kotlin.hbs -o Types.kt
+ * baclib-types generate graph -o users.mmd --option format=mermaid --option focus=time-stamp --option direction=dependents
+ * baclib-types validate --definitions ./definitions
+ * baclib-types decode read-property-request "0c 02 00 00 08 19 4d"
+ * baclib-types import-asn1 addendum.asn --output ./definitions
+ * baclib-types diff ../released/definitions ./definitions
+ * baclib-types sample time-stamp --output test/samples/time-stamp.json --option maxDepth=2
+ * baclib-types trace time-stamp "2e a4 7e 07 1b 01 b4 0e 1e 00 00 2f"
+ * baclib-types trace --instance capture.json
+ * ```
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { parseAsn1File, writeDefinitionFiles } from './asn1-importer.js';
+import { Asn1Transformer } from './asn1-transformer.js';
+import { CHeaderTransformer } from './c-header-transformer.js';
+import { checkDefinitions } from './check-definitions.js';
+import { CodecError, decode } from './codec.js';
+import { CSharpTransformer } from './csharp-transformer.js';
+import { diffDefinitions } from './definition-diff.js';
+import { formatDecodeTrace, traceDecode } from './decode-trace.js';
+import { DefinitionRegistry } from './definition-registry.js';
+import { DiagnosticError, errorsOf, formatDiagnostic } from './diagnostics.js';
+import { GraphTransformer } from './graph-transformer.js';
+import { parseHexToBytes } from './hex-text.js';
+import { HtmlTransformer } from './html-transformer.js';
+import { parseInstanceFile } from './instance-text.js';
+import { MAX_TAG_NUMBER } from './primitives.js';
+import { JsonSchemaTransformer } from './json-schema-transformer.js';
+import { MarkdownTransformer } from './markdown-transformer.js';
+import { RustTransformer } from './rust-transformer.js';
+import { formatSampleFile, generateSamples } from './sample-generator.js';
+import { TemplateTransformer } from './template-transformer.js';
+import { registry as bundledRegistry, traverseDefinitions } from './traverse.js';
+import { TypeScriptTransformer } from './typescript-transformer.js';
+
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: baclib-types <command> [options]
+
+Commands:
+  generate <target>     Generate output, target is one of: markdown, html, asn1,
+                        typescript, csharp, rust, c, json-schema, graph, template
+  validate              Check the semantic integrity of the definitions
+  decode <type> <hex>   Decode BACnet tagged octets of a type and print them as JSON
+  import-asn1 <file...> Write the type assignments of ASN.1 files as definition files
+  diff <old> <new>      List the changes between two definition directories, fails on
+                        wire-breaking changes
+  sample <type>         Write a sample file of good and bad encodings of a type
+  trace <type> <hex>    Print the tags, fields and values read while decoding, with
+                        errors at their byte offset
+
+Options:
+  -d, --definitions <dir>   Load the definitions from this directory instead of the bundled ones
+  -o, --output <path>       Output file or directory of the generator, importer or sample
+  --root <type>             Generate only this type and the types it references (repeatable)
+  --include <pattern>       Generate only types whose name or alias matches (repeatable)
+  --exclude <pattern>       Skip types whose name or alias matches (repeatable)
+  --option <key=value>      Transformer option, e.g. enumStyle=const-enum or the format,
+                            focus, depth and direction of the graph, or the maxDepth
+                            of the varied sample elements (repeatable)
+  --template <file>         Handlebars template of the template target
+  --context <number>        Context tag number of the decoded or traced value
+  --instance <file>         Instance file with the type and octets to trace
+  --strict                  Stop at the first definition error without writing output
+  -h, --help                Show this help
+`;
+
+// Generator targets with their transformer and the option receiving the output path
+const TARGETS = {
+    markdown: { create: options => new MarkdownTransformer(options), output: 'outputPath' },
+    html: { create: options => new HtmlTransformer(options), output: 'outputDirectory' },
+    asn1: { create: options => new Asn1Transformer(options), output: 'outputPath' },
+    typescript: { create: options => new TypeScriptTransformer(options), output: 'outputPath' },
+    csharp: { create: options => new CSharpTransformer(options), output: 'outputDirectory' },
+    rust: { create: options => new RustTransformer(options), output: 'outputPath' },
+    c: { create: options => new CHeaderTransformer(options), output: 'outputDirectory' },
+    'json-schema': { create: options => new JsonSchemaTransformer(options), output: 'outputDirectory' },
+    graph: { create: options => new GraphTransformer(options), output: 'outputPath' },
+    template: {
+        create: options => new TemplateTransformer(options),
+        output: options => (options.fileName ? 'outputDirectory' : 'outputPath')
+    }
+};
+
+class UsageError extends Error {
+}
+
+function parseOptionValue(text) {
+    if (text === 'true' || text === 'false') {
+        return text === 'true';
+    }
+    if (/^-?[0-9]+$/.test(text)) {
+        return Number(text);
+    }
+    return text;
+}
+
+function parseTransformerOptions(entries = []) {
+    const options = {};
+    for (const entry of entries) {
+        const separator = entry.indexOf('=');
+        if (separator <= 0) {
+            throw new UsageError(`Invalid option '${entry}', expected key=value`);
+        }
+        options[entry.slice(0, separator)] = parseOptionValue(entry.slice(separator + 1));
+    }
+    return options;
+}
+
+async function loadRegistry(values) {
+    return values.definitions ? DefinitionRegistry.load(path.resolve(values.definitions)) : bundledRegistry;
+}
+
+function printDiagnostics(diagnostics) {
+    for (const diagnostic of diagnostics) {
+        console.error(formatDiagnostic(diagnostic));
+    }
+}
+
+async function generate(positionals, values) {
+    const [targetName] = positionals;
+    const target = TARGETS[targetName];
+    if (!target) {
+        throw new UsageError(targetName
+            ? `Unknown target '${targetName}', expected one of: ${Object.keys(TARGETS).join(', ')}`
+            : 'Missing target');
+    }
+
+    const registry = await loadRegistry(values);
+    const options = { ...parseTransformerOptions(values.option), registry };
+    if (values.template) {
+        options.templatePath = values.template;
+    }
+    if (values.output) {
+        const outputOption = typeof target.output === 'function' ? target.output(options) : target.output;
+        options[outputOption] = values.output;
+    }
+
+    const result = await traverseDefinitions(target.create(options), {
+        registry,
+        roots: values.root,
+        include: values.include,
+        exclude: values.exclude,
+        strict: values.strict
+    });
+    printDiagnostics(result.diagnostics);
+    return result.errorCount > 0 || errorsOf(result.diagnostics).length ? EXIT_FAILURE : 0;
+}
+
+async function validate(positionals, values) {
+    const registry = await loadRegistry(values);
+    const problems = [...registry.diagnostics, ...checkDefinitions(registry)];
+    const failed = errorsOf(problems).length > 0;
+
+    console.log(`Total definitions: ${registry.size}`);
+    console.log(`Problems:          ${problems.length}`);
+    for (const problem of problems) {
+        console.log(`- ${problem.file ?? problem.definition} ${problem.pointer}`);
+        console.log(`  * ${problem.severity} ${problem.code}: ${problem.message}`);
+    }
+    console.log(`Status: ${failed ? 'FAIL' : 'PASS'}`);
+    return failed ? EXIT_FAILURE : 0;
+}
+
+function parseHexArguments(hexParts) {
+    const hex = hexParts.join('').replace(/[\s:]/g, '');
+    try {
+        return Uint8Array.from(parseHexToBytes(hex, 'the command line', 'argument'));
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+function parseDecodeOptions(values, registry) {
+    if (values.context === undefined) {
+        return { registry };
+    }
+    if (!/^[0-9]+$/.test(values.context) || Number(values.context) > MAX_TAG_NUMBER) {
+        throw new UsageError(`Invalid context '${values.context}', expected a tag number from 0 to ${MAX_TAG_NUMBER}`);
+    }
+    return { context: Number(values.context), registry };
+}
+
+async function decodeCommand(positionals, values) {
+    const [typeName, ...hexParts] = positionals;
+    if (!typeName || !hexParts.length) {
+        throw new UsageError('Expected a type name and hex octets');
+    }
+
+    const bytes = parseHexArguments(hexParts);
+    const registry = await loadRegistry(values);
+    const options = parseDecodeOptions(values, registry);
+
+    try {
+        const value = decode(typeName, bytes, options);
+        console.log(JSON.stringify(value, (key, entry) => {
+            if (typeof entry === 'bigint' || (typeof entry === 'number' && !Number.isFinite(entry))) {
+                return entry.toString();
+            }
+            if (entry instanceof Uint8Array) {
+                return Buffer.from(entry).toString('hex');
+            }
+            return entry;
+        }, 2));
+        return 0;
+    } catch (error) {
+        if (error instanceof CodecError) {
+            console.error(error.path ? `${error.message} in '${error.path}'` : error.message);
+            return EXIT_FAILURE;
+        }
+        throw error;
+    }
+}
+
+async function importAsn1(positionals, values) {
+    if (!positionals.length) {
+        throw new UsageError('Expected ASN.1 files');
+    }
+    if (!values.output) {
+        throw new UsageError('The import-asn1 command requires an output directory');
+    }
+
+    // Known types keep their names, e.g. references to "Unsigned" become "unsigned"
+    const registry = await loadRegistry(values);
+    const definitions = [];
+    try {
+        for (const filePath of positionals) {
+            definitions.push(...await parseAsn1File(filePath, { registry }));
+        }
+    } catch (error) {
+        console.error(error.message);
+        return EXIT_FAILURE;
+    }
+
+    const filePaths = await writeDefinitionFiles(definitions, values.output);
+    console.log(`Definitions written: ${filePaths.length}`);
+    return 0;
+}
+
+async function diff(positionals) {
+    const [oldDirectory, newDirectory] = positionals;
+    if (!oldDirectory || !newDirectory) {
+        throw new UsageError('Expected the old and the new definitions directory');
+    }
+
+    const changes = await diffDefinitions(path.resolve(oldDirectory), path.resolve(newDirectory));
+    const count = severity => changes.filter(change => change.severity === severity).length;
+
+    console.log(`Changes:           ${changes.length}`);
+    console.log(`Wire-breaking:     ${count('wire-breaking')}`);
+    console.log(`API-breaking:      ${count('api-breaking')}`);
+    console.log(`Compatible:        ${count('compatible')}`);
+    for (const change of changes) {
+        console.log(`- ${change.severity} ${change.path}`);
+        console.log(`  * ${change.message}`);
+    }
+    console.log(`Status: ${count('wire-breaking') ? 'FAIL' : 'PASS'}`);
+    return count('wire-breaking') ? EXIT_FAILURE : 0;
+}
+
+async function sample(positionals, values) {
+    const [typeName] = positionals;
+    if (!typeName) {
+        throw new UsageError('Expected a type name');
+    }
+    const registry = await loadRegistry(values);
+    let text;
+    try {
+        text = formatSampleFile(generateSamples(typeName, { ...parseTransformerOptions(values.option), registry }));
+    } catch (error) {
+        console.error(error.message);
+        return EXIT_FAILURE;
+    }
+    if (!values.output) {
+        process.stdout.write(text);
+        return 0;
+    }
+    await fs.writeFile(values.output, text, 'utf8');
+    console.log(`Sample file written: ${values.output}`);
+    return 0;
+}
+
+async function trace(positionals, values) {
+    let typeName;
+    let bytes;
+    if (values.instance) {
+        if (positionals.length) {
+            throw new UsageError('Expected either an instance file or a type name and hex octets');
+        }
+        ({ type: typeName, data: bytes } = await parseInstanceFile(values.instance));
+    } else {
+        const [name, ...hexParts] = positionals;
+        if (!name || !hexParts.length) {
+            throw new UsageError('Expected a type name and hex octets, or an instance file');
+        }
+        typeName = name;
+        bytes = parseHexArguments(hexParts);
+    }
+    const registry = await loadRegistry(values);
+    const options = parseDecodeOptions(values, registry);
+
+    let result;
+    try {
+        result = traceDecode(typeName, bytes, options);
+    } catch (error) {
+        if (error instanceof CodecError) {
+            console.error(error.message);
+            return EXIT_FAILURE;
+        }
+        throw error;
+    }
+    process.stdout.write(formatDecodeTrace(result));
+    return result.error ? EXIT_FAILURE : 0;
+}
+
+const COMMANDS = {
+    generate,
+    validate,
+    decode: decodeCommand,
+    'import-asn1': importAsn1,
+    diff,
+    sample,
+    trace
+};
+
+async function runCli(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                definitions: { type: 'string', short: 'd' },
+                output: { type: 'string', short: 'o' },
+                root: { type: 'string', multiple: true },
+                include: { type: 'string', multiple: true },
+                exclude: { type: 'string', multiple: true },
+                option: { type: 'string', multiple: true },
+                template: { type: 'string' },
+                context: { type: 'string' },
+                instance: { type: 'string' },
+                strict: { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    const [commandName, ...positionals] = parsed.positionals;
+    if (parsed.values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const command = COMMANDS[commandName];
+    if (!command) {
+        console.error(commandName ? `Unknown command '${commandName}'` : 'Missing command');
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    try {
+        return await command(positionals, parsed.values);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(error.message);
+            console.error(USAGE);
+            return EXIT_USAGE;
+        }
+        if (error instanceof DiagnosticError) {
+            printDiagnostics(error.diagnostics);
+            return EXIT_FAILURE;
+        }
+        throw error;
+    }
+}
+
+runCli(process.argv.slice(2))
+    .then(exitCode => {
+        process.exitCode = exitCode;
+    })
+    .catch(error => {
+        console.error(error instanceof Error ? error.message : String(error));
+        process.exitCode = EXIT_FAILURE;
+    });
@@ -0,0 +1,1322 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module codec
+ *
+ * Definition-driven BACnet ASN.1 encoder and decoder.
+ *
+ * This module converts plain JavaScript values into BACnet application/context
+ * tagged octets (ANSI/ASHRAE 135, clause 20.2) and back again. It does not contain
+ * any knowledge about individual services or constructed types; everything is
+ * derived from the same definitions that the traverser loads:
+ * - `primitive` ids of the definitions select the application tag and the content codec
+ * - `context` numbers of fields and options select context tagging
+ * - `optional` fields may be absent, `series` become arrays
+ * - choices are resolved by matching the next tag against the options
+ * - `minimum`/`maximum`/`length` restrictions are enforced while encoding and decoding
+ *
+ * `validateValue` runs the checks of the encoder without encoding and collects all
+ * problems, e.g. to reject input of a user interface before it reaches the encoder.
+ *
+ * With the `trace` option `decode` also lists the tag headers and contents it reads, which
+ * the decode-trace module prints for debugging.
+ *
+ * Value model used for encoding and returned by decoding:
+ * - null: `null`
+ * - boolean: `true`/`false`
+ * - unsigned, integer: `number`, or `bigint` beyond Number.MAX_SAFE_INTEGER
+ * - enumerated: the value name if the type names it, otherwise the constant
+ * - real, double: `number`
+ * - octet-string: `Uint8Array`
+ * - character-string: UTF-8 as plain `string`, other character sets as
+ *   `{ 'character-set', text }` or `{ 'character-set', 'code-page', bytes }`
+ * - bit-string: `boolean[]`, or an object of flags if the type names its bits
+ * - date: `{ year, month, day, 'day-of-week' }`, wildcards as `null`
+ * - time: `{ hour, minute, second, hundredths }`, wildcards as `null`
+ * - object-identifier: `{ 'object-type', instance }`
+ * - sequence: object keyed by field names, optional fields may be omitted
+ * - choice: object with exactly one key naming the chosen option
+ * - series: array of element values
+ * - any: array of `{ type, value }` items, `{ context, value }` for context tagged
+ *   primitives and `{ context, items }` for constructed data
+ *
+ * Usage:
+ * ```javascript
+ * import { encode, decode, validateValue } from './codec.js';
+ *
+ * const bytes = encode('read-property-request', {
+ *     'object-identifier': { 'object-type': 'device', instance: 12345 },
+ *     'property-identifier': 'object-name'
+ * });
+ * const value = decode('read-property-request', bytes);
+ * const errors = validateValue('read-property-request', { 'property-identifier': 'object-name' });
+ * // [{ path: 'object-identifier', message: "Missing required field 'object-identifier'" }]
+ * ```
+ */
+
+import { registry as bundledRegistry } from './traverse.js';
+import { typeCacheOf } from './type-cache.js';
+import { intersectLength, intersectRange } from './constraints.js';
+import { SAFE_INTEGER_MAXIMUM, SAFE_INTEGER_MINIMUM } from './limit.js';
+import {
+    LIMIT_BASES, MAX_OBJECT_INSTANCE, MAX_OBJECT_TYPE, MAX_TAG_NUMBER, PRIMITIVE_BIT_STRING,
+    PRIMITIVE_BOOLEAN, PRIMITIVE_CHARACTER_STRING, PRIMITIVE_DATE, PRIMITIVE_DOUBLE,
+    PRIMITIVE_ENUMERATED, PRIMITIVE_INTEGER, PRIMITIVE_NULL, PRIMITIVE_OBJECT_IDENTIFIER,
+    PRIMITIVE_OCTET_STRING, PRIMITIVE_REAL, PRIMITIVE_TIME, PRIMITIVE_UNSIGNED, WILDCARD
+} from './primitives.js';
+
+/**
+ * Error raised for values that cannot be encoded and octets that cannot be decoded.
+ * Carries the byte offset (decoding) and the value path of the offending element.
+ */
+export class CodecError extends Error {
+
+    /**
+     * @param {string} message - Description of the problem
+     * @param {Object} [details={}] - Location of the problem
+     * @param {number} [details.offset] - Byte offset where decoding failed
+     * @param {string} [details.path] - Value path like "list-of-results[2].read-result"
+     */
+    constructor(message, details = {}) {
+        super(details.offset === undefined ? message : `${message} (at offset ${details.offset})`);
+        this.name = 'CodecError';
+        this.offset = details.offset;
+        this.path = details.path;
+    }
+}
+
+const CHARACTER_SETS = ['utf-8', 'dbcs', 'jis-x-0208', 'ucs-4', 'ucs-2', 'iso-8859-1'];
+
+/**
+ * Resolves a type reference with the type cache of a registry (see type-cache.js).
+ * Unknown and circular references are reported as CodecError.
+ *
+ * @param {TypeCache} cache - Type cache of the registry
+ * @param {string|Object} reference - Type name or traits object
+ * @returns {Object} Descriptor with kind, primitive, names, constraints and items
+ */
+function describe(cache, reference) {
+    try {
+        return cache.describe(reference);
+    } catch (error) {
+        throw new CodecError(error.message);
+    }
+}
+
+/**
+ * Reads a BACnet tag header at the given offset.
+ *
+ * @param {Uint8Array} bytes - Encoded data
+ * @param {number} [offset=0] - Offset of the initial tag octet
+ * @returns {{offset: number, headerLength: number, class: string, number: number,
+ *            length: number, opening: boolean, closing: boolean, value?: number}}
+ *          Tag information; `value` holds the application boolean stored in the header
+ * @throws {CodecError} If the header is truncated or malformed
+ */
+export function readTag(bytes, offset = 0) {
+    let position = offset;
+    const next = () => {
+        if (position >= bytes.length) {
+            throw new CodecError('Truncated tag header', { offset: position });
+        }
+        return bytes[position++];
+    };
+
+    const initial = next();
+    const tagClass = (initial & 0x08) ? 'context' : 'application';
+    let number = initial >> 4;
+    const lvt = initial & 0x07;
+
+    if (number === 0x0F) {
+        number = next();
+        if (number === 0xFF) {
+            throw new CodecError('Reserved tag number 255', { offset });
+        }
+    }
+
+    const tag = { offset, headerLength: 0, class: tagClass, number, length: 0, opening: false, closing: false };
+
+    if (tagClass === 'context' && lvt === 6) {
+        tag.opening = true;
+    } else if (tagClass === 'context' && lvt === 7) {
+        tag.closing = true;
+    } else if (tagClass === 'application' && number === PRIMITIVE_BOOLEAN) {
+        tag.value = lvt;
+    } else if (lvt < 5) {
+        tag.length = lvt;
+    } else if (lvt === 5) {
+        const extended = next();
+        if (extended < 254) {
+            tag.length = extended;
+        } else if (extended === 254) {
+            tag.length = (next() << 8) | next();
+        } else {
+            tag.length = ((next() << 24) | (next() << 16) | (next() << 8) | next()) >>> 0;
+        }
+    } else {
+        throw new CodecError(`Invalid length/value/type ${lvt} for application tag ${number}`, { offset });
+    }
+
+    tag.headerLength = position - offset;
+    return tag;
+}
+
+function checkTagNumber(number, details) {
+    if (!Number.isInteger(number) || number < 0 || number > MAX_TAG_NUMBER) {
+        throw new CodecError(`Tag number ${number} can not be encoded, expected 0..${MAX_TAG_NUMBER}`, details);
+    }
+}
+
+function writeTag(writer, tagClass, number, lvt, length = 0, path) {
+    checkTagNumber(number, { path });
+    const classBit = tagClass === 'context' ? 0x08 : 0x00;
+    const head = [];
+    if (number < 15) {
+        head.push((number << 4) | classBit);
+    } else {
+        head.push(0xF0 | classBit, number);
+    }
+
+    if (lvt !== undefined) {
+        head[0] |= lvt;
+    } else if (length < 5) {
+        head[0] |= length;
+    } else {
+        head[0] |= 5;
+        if (length < 254) {
+            head.push(length);
+        } else if (length < 65536) {
+            head.push(254, length >> 8, length & 0xFF);
+        } else {
+            head.push(255, (length >>> 24) & 0xFF, (length >> 16) & 0xFF, (length >> 8) & 0xFF, length & 0xFF);
+        }
+    }
+    writer.push(...head);
+}
+
+function describeTag(tag) {
+    if (tag.opening) {
+        return `opening tag ${tag.number}`;
+    }
+    if (tag.closing) {
+        return `closing tag ${tag.number}`;
+    }
+    return tag.class === 'context' ? `context tag ${tag.number}` : `application tag ${tag.number}`;
+}
+
+function toBigInt(value, path) {
+    if (typeof value === 'bigint') {
+        return value;
+    }
+    if (typeof value === 'number' && Number.isInteger(value)) {
+        return BigInt(value);
+    }
+    throw new CodecError(`Expected an integer but got ${describeValue(value)}`, { path });
+}
+
+function fromBigInt(value) {
+    return (value <= SAFE_INTEGER_MAXIMUM && value >= SAFE_INTEGER_MINIMUM)
+        ? Number(value)
+        : value;
+}
+
+function describeValue(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'an array';
+    }
+    if (value instanceof Uint8Array) {
+        return 'a Uint8Array';
+    }
+    if (typeof value === 'object') {
+        return 'an object';
+    }
+    return `${typeof value} ${String(value)}`;
+}
+
+function encodeUnsignedContent(value) {
+    const bytes = [];
+    do {
+        bytes.unshift(Number(value & 0xFFn));
+        value >>= 8n;
+    } while (value > 0n);
+    return bytes;
+}
+
+function encodeSignedContent(value) {
+    const bytes = [];
+    for (;;) {
+        const byte = Number(value & 0xFFn);
+        bytes.unshift(byte);
+        value >>= 8n;
+        if ((value === 0n && (byte & 0x80) === 0) || (value === -1n && (byte & 0x80) !== 0)) {
+            return bytes;
+        }
+    }
+}
+
+function decodeUnsignedContent(content, offset) {
+    if (content.length === 0) {
+        throw new CodecError('Unsigned value without content octets', { offset });
+    }
+    if (content.length > 1 && content[0] === 0x00) {
+        throw new CodecError('Non-minimal unsigned encoding with leading 0x00', { offset });
+    }
+    let value = 0n;
+    for (const byte of content) {
+        value = (value << 8n) | BigInt(byte);
+    }
+    return value;
+}
+
+function decodeSignedContent(content, offset) {
+    if (content.length === 0) {
+        throw new CodecError('Integer value without content octets', { offset });
+    }
+    if (content.length > 1) {
+        if (content[0] === 0x00 && (content[1] & 0x80) === 0) {
+            throw new CodecError('Non-minimal integer encoding with leading 0x00', { offset });
+        }
+        if (content[0] === 0xFF && (content[1] & 0x80) !== 0) {
+            throw new CodecError('Non-minimal integer encoding with leading 0xFF', { offset });
+        }
+    }
+    let value = BigInt.asIntN(8, BigInt(content[0]));
+    for (const byte of content.subarray(1)) {
+        value = (value << 8n) | BigInt(byte);
+    }
+    return value;
+}
+
+function checkNumericConstraints(descriptor, value, details) {
+    const base = LIMIT_BASES[descriptor.primitive];
+    const restrictions = descriptor.constraints
+        .filter(constraint => Object.hasOwn(constraint, 'minimum') || Object.hasOwn(constraint, 'maximum'));
+
+    // Integers and finite floats are always bound to the range of their base, the non-finite
+    // floats (NaN and the infinities) only by explicit limits.
+    if (typeof value === 'number' && !Number.isFinite(value) && !restrictions.length) {
+        return;
+    }
+    const { minimum, maximum } = intersectRange(base, restrictions);
+    if (value < minimum || value > maximum) {
+        throw new CodecError(`Value ${value} is outside of the range ${minimum}..${maximum}`, details);
+    }
+}
+
+function checkLength(descriptor, length, unit, details) {
+    const { minimum, maximum } = intersectLength(descriptor.constraints);
+    if (length < minimum || (maximum !== null && length > maximum)) {
+        throw new CodecError(`Length of ${length} ${unit} is outside of the range ${minimum}..${maximum ?? ''}`, details);
+    }
+}
+
+function checkSeriesLength(descriptor, length, details) {
+    const { minimum, maximum } = descriptor.series;
+    if (length < minimum || (maximum !== null && length > maximum)) {
+        throw new CodecError(`Series of ${length} elements is outside of the range ${minimum}..${maximum ?? ''}`, details);
+    }
+}
+
+function isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+function daysInMonth(year, month) {
+    return [31, isLeapYear(year) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+}
+
+function checkRange(value, minimum, maximum, label, wildcard, details) {
+    if (value === null && wildcard) {
+        return;
+    }
+    if (!Number.isInteger(value) || value < minimum || value > maximum) {
+        throw new CodecError(`${label} must be ${minimum}..${maximum}${wildcard ? ' or FF' : ''}`, details);
+    }
+}
+
+/**
+ * Checks a date value. Date patterns allow wildcards and the special month/day
+ * codes; the `date` type only allows the fully specified or the all wildcard form.
+ */
+function checkDate(value, strict, details) {
+    const parts = [value.year, value.month, value.day, value['day-of-week']];
+    if (strict) {
+        if (parts.every(part => part === null)) {
+            return;
+        }
+        if (parts.some(part => part === null)) {
+            throw new CodecError('Partial wildcard is not allowed for date', details);
+        }
+    }
+    checkRange(value.year, 1900, 2154, 'year', true, details);
+    checkRange(value.month, 1, strict ? 12 : 14, 'month', !strict, details);
+    checkRange(value.day, 1, strict ? 31 : 34, 'day', !strict, details);
+    checkRange(value['day-of-week'], 1, 7, 'day-of-week', !strict, details);
+    if (value['day-of-week'] !== null && value.month > 12) {
+        throw new CodecError('month must be 1..12 or FF if day-of-week is given', details);
+    }
+    if (value.year !== null && value.month !== null && value.month <= 12 && value.day !== null && value.day <= 31
+        && value.day > daysInMonth(value.year, value.month)) {
+        const text = `${value.year}-${String(value.month).padStart(2, '0')}-${String(value.day).padStart(2, '0')}`;
+        throw new CodecError(`Date ${text} does not exist`, details);
+    }
+}
+
+/**
+ * Checks a time value. Time patterns allow wildcards for each part; the `time`
+ * type only allows the fully specified or the all wildcard form.
+ */
+function checkTime(value, strict, details) {
+    const parts = [value.hour, value.minute, value.second, value.hundredths];
+    if (strict) {
+        if (parts.every(part => part === null)) {
+            return;
+        }
+        if (parts.some(part => part === null)) {
+            throw new CodecError('Partial wildcard is not allowed for time', details);
+        }
+    }
+    checkRange(value.hour, 0, 23, 'hour', !strict, details);
+    checkRange(value.minute, 0, 59, 'minute', !strict, details);
+    checkRange(value.second, 0, 59, 'second', !strict, details);
+    checkRange(value.hundredths, 0, 99, 'hundredths', !strict, details);
+}
+
+function checkWeekNDay(bytes, details) {
+    const [month, week, day] = bytes;
+    checkRange(month === WILDCARD ? null : month, 1, 14, 'month', true, details);
+    checkRange(week === WILDCARD ? null : week, 1, 9, 'week-of-month', true, details);
+    checkRange(day === WILDCARD ? null : day, 1, 7, 'day-of-week', true, details);
+}
+
+// Additional checks for well-known types whose rules cannot be expressed by the definitions.
+const REFINEMENTS = {
+    'date': (value, details) => checkDate(value, true, details),
+    'time': (value, details) => checkTime(value, true, details),
+    'week-n-day': (value, details) => checkWeekNDay(value, details)
+};
+
+function applyRefinements(descriptor, value, details) {
+    for (const name of descriptor.names) {
+        REFINEMENTS[name]?.(value, details);
+    }
+}
+
+function objectTypeValues(descriptor) {
+    return descriptor.cache.registry.get('object-type')?.type?.values ?? [];
+}
+
+function encodeEnumeratedName(descriptor, value, path) {
+    if (typeof value !== 'string') {
+        return toBigInt(value, path);
+    }
+    const entry = descriptor.values?.find(item => item.name === value);
+    if (!entry) {
+        throw new CodecError(`Unknown enumeration value '${value}'`, { path });
+    }
+    return BigInt(entry.constant);
+}
+
+function decodeEnumeratedName(descriptor, value) {
+    const entry = descriptor.values?.find(item => BigInt(item.constant) === value);
+    return entry ? entry.name : fromBigInt(value);
+}
+
+function encodeCharacterString(descriptor, value, path) {
+    if (typeof value === 'string') {
+        checkLength(descriptor, [...value].length, 'characters', { path });
+        return [0, ...new TextEncoder().encode(value)];
+    }
+    if (!value || typeof value !== 'object') {
+        throw new CodecError(`Expected a string but got ${describeValue(value)}`, { path });
+    }
+
+    const characterSet = CHARACTER_SETS.indexOf(value['character-set']);
+    if (characterSet < 0) {
+        throw new CodecError(`Unknown character set '${value['character-set']}'`, { path });
+    }
+    if (value.bytes instanceof Uint8Array) {
+        const prefix = characterSet === 1 ? [1, (value['code-page'] >> 8) & 0xFF, value['code-page'] & 0xFF] : [characterSet];
+        return [...prefix, ...value.bytes];
+    }
+    if (typeof value.text !== 'string') {
+        throw new CodecError(`Character set '${value['character-set']}' requires text or bytes`, { path });
+    }
+
+    const codePoints = [...value.text].map(character => character.codePointAt(0));
+    checkLength(descriptor, codePoints.length, 'characters', { path });
+    switch (characterSet) {
+        case 0:
+            return [0, ...new TextEncoder().encode(value.text)];
+        case 3:
+            return [3, ...codePoints.flatMap(code => [(code >>> 24) & 0xFF, (code >> 16) & 0xFF, (code >> 8) & 0xFF, code & 0xFF])];
+        case 4:
+            if (codePoints.some(code => code > 0xFFFF)) {
+                throw new CodecError('Text contains characters outside of UCS-2', { path });
+            }
+            return [4, ...codePoints.flatMap(code => [code >> 8, code & 0xFF])];
+        case 5:
+            if (codePoints.some(code => code > 0xFF)) {
+                throw new CodecError('Text contains characters outside of ISO 8859-1', { path });
+            }
+            return [5, ...codePoints];
+        default:
+            throw new CodecError(`Character set '${value['character-set']}' requires bytes`, { path });
+    }
+}
+
+function decodeCharacterString(descriptor, content, details) {
+    if (content.length === 0) {
+        throw new CodecError('Character string without character set octet', details);
+    }
+    const characterSet = content[0];
+    const data = content.subarray(1);
+    let text;
+    switch (characterSet) {
+        case 0:
+            try {
+                text = new TextDecoder('utf-8', { fatal: true }).decode(data);
+            } catch {
+                throw new CodecError('Malformed UTF-8 character string', details);
+            }
+            checkLength(descriptor, [...text].length, 'characters', details);
+            return text;
+        case 1:
+            if (data.length < 2) {
+                throw new CodecError('DBCS character string without code page', details);
+            }
+            return { 'character-set': 'dbcs', 'code-page': (data[0] << 8) | data[1], bytes: data.slice(2) };
+        case 2:
+            return { 'character-set': 'jis-x-0208', bytes: data.slice() };
+        case 3:
+            if (data.length % 4 !== 0) {
+                throw new CodecError('UCS-4 character string length is not a multiple of 4', details);
+            }
+            text = '';
+            for (let index = 0; index < data.length; index += 4) {
+                const code = ((data[index] << 24) | (data[index + 1] << 16) | (data[index + 2] << 8) | data[index + 3]) >>> 0;
+                if (code > 0x10FFFF) {
+                    throw new CodecError(`Invalid UCS-4 code point ${code}`, details);
+                }
+                text += String.fromCodePoint(code);
+            }
+            break;
+        case 4:
+            if (data.length % 2 !== 0) {
+                throw new CodecError('UCS-2 character string length is not a multiple of 2', details);
+            }
+            text = '';
+            for (let index = 0; index < data.length; index += 2) {
+                text += String.fromCharCode((data[index] << 8) | data[index + 1]);
+            }
+            break;
+        case 5:
+            text = String.fromCharCode(...data);
+            break;
+        default:
+            throw new CodecError(`Reserved character set 0x${characterSet.toString(16).padStart(2, '0').toUpperCase()}`, details);
+    }
+    checkLength(descriptor, [...text].length, 'characters', details);
+    return { 'character-set': CHARACTER_SETS[characterSet], text };
+}
+
+function encodeBitString(descriptor, value, path) {
+    let bits;
+    if (Array.isArray(value)) {
+        bits = value.map(bit => bit === true);
+    } else if (descriptor.bits && value && typeof value === 'object') {
+        bits = [];
+        for (const [name, set] of Object.entries(value)) {
+            const bit = descriptor.bits.find(item => item.name === name);
+            const position = bit ? bit.position : (/^[0-9]+$/.test(name) ? Number(name) : -1);
+            if (position < 0) {
+                throw new CodecError(`Unknown bit '${name}'`, { path });
+            }
+            bits[position] = set === true;
+        }
+        const minimumLength = Math.max(...descriptor.bits.map(bit => bit.position + 1), minimumBitLength(descriptor));
+        while (bits.length < minimumLength) {
+            bits.push(false);
+        }
+        bits = Array.from(bits, bit => bit === true);
+    } else {
+        throw new CodecError(`Expected ${descriptor.bits ? 'an object of flags or ' : ''}an array of booleans but got ${describeValue(value)}`, { path });
+    }
+
+    checkLength(descriptor, bits.length, 'bits', { path });
+    const content = [(8 - (bits.length % 8)) % 8];
+    for (let index = 0; index < bits.length; index += 8) {
+        let byte = 0;
+        for (let bit = 0; bit < 8; bit++) {
+            if (bits[index + bit]) {
+                byte |= 0x80 >> bit;
+            }
+        }
+        content.push(byte);
+    }
+    return content;
+}
+
+function minimumBitLength(descriptor) {
+    let minimum = 0;
+    for (const constraint of descriptor.constraints) {
+        if (typeof constraint.length === 'number') {
+            minimum = Math.max(minimum, constraint.length);
+        } else if (constraint.length?.minimum !== undefined) {
+            minimum = Math.max(minimum, constraint.length.minimum);
+        }
+    }
+    return minimum;
+}
+
+function decodeBitString(descriptor, content, details) {
+    if (content.length === 0) {
+        throw new CodecError('Bit string without unused bits octet', details);
+    }
+    const unused = content[0];
+    if (unused > 7 || (content.length === 1 && unused !== 0)) {
+        throw new CodecError(`Unused bits must be in range 0..${content.length === 1 ? 0 : 7}`, details);
+    }
+    const length = (content.length - 1) * 8 - unused;
+    const bits = [];
+    for (let index = 0; index < length; index++) {
+        bits.push((content[1 + (index >> 3)] & (0x80 >> (index & 7))) !== 0);
+    }
+    checkLength(descriptor, length, 'bits', details);
+
+    if (!descriptor.bits) {
+        return bits;
+    }
+    const flags = {};
+    for (const bit of descriptor.bits) {
+        flags[bit.name] = bits[bit.position] === true;
+    }
+    bits.forEach((set, position) => {
+        if (set && !descriptor.bits.some(bit => bit.position === position)) {
+            flags[String(position)] = true;
+        }
+    });
+    return flags;
+}
+
+function encodeDate(value) {
+    const year = value.year === null ? WILDCARD : value.year - 1900;
+    return [year, value.month ?? WILDCARD, value.day ?? WILDCARD, value['day-of-week'] ?? WILDCARD];
+}
+
+function decodeDate(content) {
+    const part = byte => byte === WILDCARD ? null : byte;
+    return {
+        year: content[0] === WILDCARD ? null : content[0] + 1900,
+        month: part(content[1]),
+        day: part(content[2]),
+        'day-of-week': part(content[3])
+    };
+}
+
+function encodeTime(value) {
+    return [value.hour ?? WILDCARD, value.minute ?? WILDCARD, value.second ?? WILDCARD, value.hundredths ?? WILDCARD];
+}
+
+function decodeTime(content) {
+    const part = byte => byte === WILDCARD ? null : byte;
+    return { hour: part(content[0]), minute: part(content[1]), second: part(content[2]), hundredths: part(content[3]) };
+}
+
+function requireObject(value, keys, path) {
+    if (!value || typeof value !== 'object' || Array.isArray(value) || value instanceof Uint8Array) {
+        throw new CodecError(`Expected an object with ${keys.join(', ')} but got ${describeValue(value)}`, { path });
+    }
+    const normalized = {};
+    for (const key of keys) {
+        normalized[key] = value[key] ?? null;
+    }
+    return normalized;
+}
+
+function requireLength(content, length, label, details) {
+    if (content.length !== length) {
+        throw new CodecError(`${label} requires ${length} content octets but got ${content.length}`, details);
+    }
+}
+
+/**
+ * Encodes the content octets of a primitive value (without tag header).
+ */
+function encodePrimitiveContent(descriptor, value, path) {
+    const details = { path };
+    switch (descriptor.primitive) {
+        case PRIMITIVE_NULL:
+            if (value !== null) {
+                throw new CodecError(`Expected null but got ${describeValue(value)}`, details);
+            }
+            return [];
+        case PRIMITIVE_BOOLEAN:
+            if (typeof value !== 'boolean') {
+                throw new CodecError(`Expected a boolean but got ${describeValue(value)}`, details);
+            }
+            return [value ? 1 : 0];
+        case PRIMITIVE_UNSIGNED: {
+            const number = toBigInt(value, path);
+            checkNumericConstraints(descriptor, number, details);
+            return encodeUnsignedContent(number);
+        }
+        case PRIMITIVE_INTEGER: {
+            const number = toBigInt(value, path);
+            checkNumericConstraints(descriptor, number, details);
+            return encodeSignedContent(number);
+        }
+        case PRIMITIVE_ENUMERATED: {
+            const number = encodeEnumeratedName(descriptor, value, path);
+            checkNumericConstraints(descriptor, number, details);
+            return encodeUnsignedContent(number);
+        }
+        case PRIMITIVE_REAL:
+        case PRIMITIVE_DOUBLE: {
+            if (typeof value !== 'number') {
+                throw new CodecError(`Expected a number but got ${describeValue(value)}`, details);
+            }
+            checkNumericConstraints(descriptor, value, details);
+            const size = descriptor.primitive === PRIMITIVE_REAL ? 4 : 8;
+            const view = new DataView(new ArrayBuffer(size));
+            if (size === 4) {
+                view.setFloat32(0, value);
+            } else {
+                view.setFloat64(0, value);
+            }
+            return [...new Uint8Array(view.buffer)];
+        }
+        case PRIMITIVE_OCTET_STRING:
+            if (!(value instanceof Uint8Array)) {
+                throw new CodecError(`Expected a Uint8Array but got ${describeValue(value)}`, details);
+            }
+            checkLength(descriptor, value.length, 'octets', details);
+            applyRefinements(descriptor, value, details);
+            return [...value];
+        case PRIMITIVE_CHARACTER_STRING:
+            return encodeCharacterString(descriptor, value, path);
+        case PRIMITIVE_BIT_STRING:
+            return encodeBitString(descriptor, value, path);
+        case PRIMITIVE_DATE: {
+            const date = requireObject(value, ['year', 'month', 'day', 'day-of-week'], path);
+            applyRefinements(descriptor, date, details);
+            checkDate(date, false, details);
+            return encodeDate(date);
+        }
+        case PRIMITIVE_TIME: {
+            const time = requireObject(value, ['hour', 'minute', 'second', 'hundredths'], path);
+            applyRefinements(descriptor, time, details);
+            checkTime(time, false, details);
+            return encodeTime(time);
+        }
+        case PRIMITIVE_OBJECT_IDENTIFIER: {
+            const identifier = requireObject(value, ['object-type', 'instance'], path);
+            let objectType = identifier['object-type'];
+            if (typeof objectType === 'string') {
+                const entry = objectTypeValues(descriptor).find(item => item.name === objectType);
+                if (!entry) {
+                    throw new CodecError(`Unknown object type '${objectType}'`, details);
+                }
+                objectType = entry.constant;
+            }
+            checkRange(objectType, 0, MAX_OBJECT_TYPE, 'object-type', false, details);
+            checkRange(identifier.instance, 0, MAX_OBJECT_INSTANCE, 'instance', false, details);
+            const raw = ((objectType << 22) | identifier.instance) >>> 0;
+            return [(raw >>> 24) & 0xFF, (raw >> 16) & 0xFF, (raw >> 8) & 0xFF, raw & 0xFF];
+        }
+        default:
+            throw new CodecError(`Unsupported primitive ${descriptor.primitive}`, details);
+    }
+}
+
+/**
+ * Decodes the content octets of a primitive value (tag header already consumed).
+ */
+function decodePrimitiveContent(descriptor, content, tag, path) {
+    const details = { offset: tag.offset, path };
+    switch (descriptor.primitive) {
+        case PRIMITIVE_NULL:
+            requireLength(content, 0, 'Null', details);
+            return null;
+        case PRIMITIVE_BOOLEAN:
+            if (tag.class === 'application') {
+                if (tag.value > 1) {
+                    throw new CodecError(`Invalid boolean value ${tag.value}`, details);
+                }
+                return tag.value === 1;
+            }
+            requireLength(content, 1, 'Boolean', details);
+            if (content[0] > 1) {
+                throw new CodecError(`Invalid boolean value ${content[0]}`, details);
+            }
+            return content[0] === 1;
+        case PRIMITIVE_UNSIGNED: {
+            const value = decodeUnsignedContent(content, tag.offset);
+            checkNumericConstraints(descriptor, value, details);
+            return fromBigInt(value);
+        }
+        case PRIMITIVE_INTEGER: {
+            const value = decodeSignedContent(content, tag.offset);
+            checkNumericConstraints(descriptor, value, details);
+            return fromBigInt(value);
+        }
+        case PRIMITIVE_ENUMERATED: {
+            const value = decodeUnsignedContent(content, tag.offset);
+            checkNumericConstraints(descriptor, value, details);
+            return decodeEnumeratedName(descriptor, value);
+        }
+        case PRIMITIVE_REAL: {
+            requireLength(content, 4, 'Real', details);
+            const value = new DataView(content.buffer, content.byteOffset, 4).getFloat32(0);
+            checkNumericConstraints(descriptor, value, details);
+            return value;
+        }
+        case PRIMITIVE_DOUBLE: {
+            requireLength(content, 8, 'Double', details);
+            const value = new DataView(content.buffer, content.byteOffset, 8).getFloat64(0);
+            checkNumericConstraints(descriptor, value, details);
+            return value;
+        }
+        case PRIMITIVE_OCTET_STRING: {
+            const value = content.slice();
+            checkLength(descriptor, value.length, 'octets', details);
+            applyRefinements(descriptor, value, details);
+            return value;
+        }
+        case PRIMITIVE_CHARACTER_STRING:
+            return decodeCharacterString(descriptor, content, details);
+        case PRIMITIVE_BIT_STRING:
+            return decodeBitString(descriptor, content, details);
+        case PRIMITIVE_DATE: {
+            requireLength(content, 4, 'Date', details);
+            const value = decodeDate(content);
+            applyRefinements(descriptor, value, details);
+            checkDate(value, false, details);
+            return value;
+        }
+        case PRIMITIVE_TIME: {
+            requireLength(content, 4, 'Time', details);
+            const value = decodeTime(content);
+            applyRefinements(descriptor, value, details);
+            checkTime(value, false, details);
+            return value;
+        }
+        case PRIMITIVE_OBJECT_IDENTIFIER: {
+            requireLength(content, 4, 'Object identifier', details);
+            const raw = ((content[0] << 24) | (content[1] << 16) | (content[2] << 8) | content[3]) >>> 0;
+            const objectType = raw >>> 22;
+            const entry = objectTypeValues(descriptor).find(item => item.constant === objectType);
+            return { 'object-type': entry ? entry.name : objectType, instance: raw & MAX_OBJECT_INSTANCE };
+        }
+        default:
+            throw new CodecError(`Unsupported primitive ${descriptor.primitive}`, details);
+    }
+}
+
+/**
+ * Checks whether an element (field or option) can start with the given tag.
+ */
+function elementMatches(cache, element, tag) {
+    if (Object.hasOwn(element, 'context')) {
+        return tag.class === 'context' && !tag.closing && tag.number === element.context;
+    }
+    return startsWith(describe(cache, element.type), tag, new Set());
+}
+
+/**
+ * Checks whether the untagged encoding of a type can start with the given tag.
+ */
+function startsWith(descriptor, tag, visited) {
+    if (tag.closing || visited.has(descriptor)) {
+        return false;
+    }
+    visited.add(descriptor);
+    switch (descriptor.kind) {
+        case 'primitive':
+            return tag.class === 'application' && tag.number === descriptor.primitive;
+        case 'any':
+            return tag.class === 'application';
+        case 'series':
+            return startsWith(descriptor.element, tag, visited);
+        case 'choice':
+            return descriptor.options.some(option => Object.hasOwn(option, 'context')
+                ? elementMatches(descriptor.cache, option, tag)
+                : startsWith(describe(descriptor.cache, option.type), tag, visited));
+        case 'sequence':
+            for (const field of descriptor.fields) {
+                const matches = Object.hasOwn(field, 'context')
+                    ? elementMatches(descriptor.cache, field, tag)
+                    : startsWith(describe(descriptor.cache, field.type), tag, visited);
+                if (matches) {
+                    return true;
+                }
+                if (!field.optional) {
+                    return false;
+                }
+            }
+            return false;
+        default:
+            return false;
+    }
+}
+
+function joinPath(path, name) {
+    return path ? `${path}.${name}` : name;
+}
+
+function encodeElement(writer, descriptor, value, context, path) {
+    if (descriptor.kind === 'primitive') {
+        const content = encodePrimitiveContent(descriptor, value, path);
+        if (context === undefined) {
+            if (descriptor.primitive === PRIMITIVE_BOOLEAN) {
+                writeTag(writer, 'application', PRIMITIVE_BOOLEAN, content[0]);
+            } else {
+                writeTag(writer, 'application', descriptor.primitive, undefined, content.length);
+                writer.push(...content);
+            }
+        } else {
+            writeTag(writer, 'context', context, undefined, content.length, path);
+            writer.push(...content);
+        }
+        return;
+    }
+
+    if (context !== undefined) {
+        writeTag(writer, 'context', context, 6, 0, path);
+    }
+    encodeConstructed(writer, descriptor, value, path);
+    if (context !== undefined) {
+        writeTag(writer, 'context', context, 7, 0, path);
+    }
+}
+
+function encodeConstructed(writer, descriptor, value, path) {
+    switch (descriptor.kind) {
+        case 'sequence': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                throw new CodecError(`Expected an object but got ${describeValue(value)}`, { path });
+            }
+            if (!descriptor.fields.length) {
+                throw new CodecError('Sequence type without fields', { path });
+            }
+            for (const key of Object.keys(value)) {
+                if (value[key] !== undefined && !descriptor.fields.some(field => field.name === key)) {
+                    throw new CodecError(`Unknown field '${key}'`, { path });
+                }
+            }
+            for (const field of descriptor.fields) {
+                const fieldValue = value[field.name];
+                const fieldPath = joinPath(path, field.name);
+                if (fieldValue === undefined) {
+                    if (!field.optional) {
+                        throw new CodecError(`Missing required field '${field.name}'`, { path: fieldPath });
+                    }
+                    continue;
+                }
+                encodeElement(writer, describe(descriptor.cache, field.type), fieldValue, field.context, fieldPath);
+            }
+            return;
+        }
+        case 'choice': {
+            const keys = value && typeof value === 'object' && !Array.isArray(value)
+                ? Object.keys(value).filter(key => value[key] !== undefined)
+                : [];
+            if (keys.length !== 1) {
+                throw new CodecError(`Expected an object with exactly one option but got ${describeValue(value)}`, { path });
+            }
+            const option = descriptor.options.find(item => item.name === keys[0]);
+            if (!option) {
+                throw new CodecError(`Unknown option '${keys[0]}'`, { path });
+            }
+            encodeElement(writer, describe(descriptor.cache, option.type), value[keys[0]], option.context, joinPath(path, option.name));
+            return;
+        }
+        case 'series': {
+            if (!Array.isArray(value)) {
+                throw new CodecError(`Expected an array but got ${describeValue(value)}`, { path });
+            }
+            checkSeriesLength(descriptor, value.length, { path });
+            value.forEach((element, index) => {
+                encodeElement(writer, descriptor.element, element, undefined, `${path}[${index}]`);
+            });
+            return;
+        }
+        case 'any':
+            encodeAny(writer, descriptor.cache, value, path);
+            return;
+    }
+}
+
+function encodeAny(writer, cache, value, path) {
+    if (!Array.isArray(value)) {
+        throw new CodecError(`Expected an array of tagged items but got ${describeValue(value)}`, { path });
+    }
+    value.forEach((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        if (typeof item?.type === 'string') {
+            encodeElement(writer, describe(cache, item.type), item.value, undefined, itemPath);
+        } else if (Number.isInteger(item?.context) && Array.isArray(item.items)) {
+            writeTag(writer, 'context', item.context, 6, 0, itemPath);
+            encodeAny(writer, cache, item.items, itemPath);
+            writeTag(writer, 'context', item.context, 7, 0, itemPath);
+        } else if (Number.isInteger(item?.context) && item.value instanceof Uint8Array) {
+            writeTag(writer, 'context', item.context, undefined, item.value.length, itemPath);
+            writer.push(...item.value);
+        } else {
+            throw new CodecError(`Expected { type, value }, { context, value } or { context, items } but got ${describeValue(item)}`, { path: itemPath });
+        }
+    });
+}
+
+class Reader {
+
+    constructor(bytes, trace) {
+        this.bytes = bytes;
+        this.offset = 0;
+        this.trace = trace;
+    }
+
+    record(entry) {
+        this.trace?.push(entry);
+    }
+
+    /**
+     * Returns to an offset and removes the trace entries recorded since the mark.
+     */
+    rewind(offset, mark) {
+        this.offset = offset;
+        return this.trace?.splice(mark) ?? [];
+    }
+
+    atEnd() {
+        return this.offset >= this.bytes.length;
+    }
+
+    peekTag() {
+        return this.atEnd() ? null : readTag(this.bytes, this.offset);
+    }
+
+    readTag() {
+        const tag = readTag(this.bytes, this.offset);
+        this.offset += tag.headerLength;
+        return tag;
+    }
+
+    read(length, tag, path) {
+        const remaining = this.bytes.length - this.offset;
+        if (length > remaining) {
+            // Reported at the content, the tag header itself was read completely
+            throw new CodecError(`Truncated data: missing ${length - remaining} byte(s) of ${describeTag(tag)}`, { offset: this.offset, path });
+        }
+        const content = this.bytes.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return content;
+    }
+}
+
+function isEnd(reader) {
+    if (reader.atEnd()) {
+        return true;
+    }
+    return reader.peekTag().closing;
+}
+
+function expectTag(reader, predicate, expected, path) {
+    if (reader.atEnd()) {
+        throw new CodecError(`Unexpected end of data, expected ${expected}`, { offset: reader.offset, path });
+    }
+    const tag = reader.readTag();
+    if (!predicate(tag)) {
+        throw new CodecError(`Expected ${expected} but found ${describeTag(tag)}`, { offset: tag.offset, path });
+    }
+    reader.record({ offset: tag.offset, length: tag.headerLength, path, tag });
+    return tag;
+}
+
+function decodeElement(reader, descriptor, context, path) {
+    if (descriptor.kind === 'primitive') {
+        const tag = context === undefined
+            ? expectTag(reader, tag => tag.class === 'application' && tag.number === descriptor.primitive,
+                `application tag ${descriptor.primitive}`, path)
+            : expectTag(reader, tag => tag.class === 'context' && !tag.opening && !tag.closing && tag.number === context,
+                `context tag ${context}`, path);
+        const content = reader.read(tag.length, tag, path);
+        // Application tagged booleans keep their value in the tag header
+        if (tag.class === 'context' || descriptor.primitive !== PRIMITIVE_BOOLEAN) {
+            reader.record({ offset: tag.offset + tag.headerLength, length: content.length, path, descriptor });
+        }
+        return decodePrimitiveContent(descriptor, content, tag, path);
+    }
+
+    if (context === undefined) {
+        return decodeConstructed(reader, descriptor, path);
+    }
+    expectTag(reader, tag => tag.opening && tag.number === context, `opening tag ${context}`, path);
+    const value = decodeConstructed(reader, descriptor, path);
+    expectTag(reader, tag => tag.closing && tag.number === context, `closing tag ${context}`, path);
+    return value;
+}
+
+function decodeConstructed(reader, descriptor, path) {
+    switch (descriptor.kind) {
+        case 'sequence': {
+            const value = {};
+            for (const field of descriptor.fields) {
+                const fieldPath = joinPath(path, field.name);
+                const tag = isEnd(reader) ? null : reader.peekTag();
+                if (!tag || !elementMatches(descriptor.cache, field, tag)) {
+                    if (field.optional) {
+                        continue;
+                    }
+                    // An empty list without context tag has no octets at all
+                    const fieldDescriptor = describe(descriptor.cache, field.type);
+                    if (!Object.hasOwn(field, 'context') && fieldDescriptor.kind === 'series') {
+                        value[field.name] = decodeConstructed(reader, fieldDescriptor, fieldPath);
+                        continue;
+                    }
+                    const found = tag ? describeTag(tag) : 'end of data';
+                    throw new CodecError(`Missing required field '${field.name}', found ${found}`, { offset: reader.offset, path: fieldPath });
+                }
+                value[field.name] = decodeElement(reader, describe(descriptor.cache, field.type), field.context, fieldPath);
+            }
+            return value;
+        }
+        case 'choice': {
+            const tag = isEnd(reader) ? null : reader.peekTag();
+            const candidates = tag ? descriptor.options.filter(option => elementMatches(descriptor.cache, option, tag)) : [];
+            if (!candidates.length) {
+                const found = tag ? describeTag(tag) : 'end of data';
+                throw new CodecError(`No option matches ${found}`, { offset: reader.offset, path });
+            }
+            const start = reader.offset;
+            const mark = reader.trace?.length;
+            let firstError;
+            let firstEntries;
+            for (const option of candidates) {
+                try {
+                    return { [option.name]: decodeElement(reader, describe(descriptor.cache, option.type), option.context, joinPath(path, option.name)) };
+                } catch (error) {
+                    if (!(error instanceof CodecError)) {
+                        throw error;
+                    }
+                    const entries = reader.rewind(start, mark);
+                    firstError ??= error;
+                    firstEntries ??= entries;
+                }
+            }
+            // The trace ends with the option that the error belongs to
+            reader.trace?.push(...firstEntries);
+            throw firstError;
+        }
+        case 'series': {
+            const value = [];
+            while (!isEnd(reader) && startsWith(descriptor.element, reader.peekTag(), new Set())) {
+                value.push(decodeElement(reader, descriptor.element, undefined, `${path}[${value.length}]`));
+            }
+            checkSeriesLength(descriptor, value.length, { offset: reader.offset, path });
+            return value;
+        }
+        case 'any':
+            return decodeAny(reader, descriptor.cache, path);
+    }
+}
+
+function decodeAny(reader, cache, path) {
+    const items = [];
+    while (!isEnd(reader)) {
+        const itemPath = `${path}[${items.length}]`;
+        const tag = reader.readTag();
+        reader.record({ offset: tag.offset, length: tag.headerLength, path: itemPath, tag });
+        if (tag.opening) {
+            const nested = decodeAny(reader, cache, itemPath);
+            expectTag(reader, closing => closing.closing && closing.number === tag.number, `closing tag ${tag.number}`, itemPath);
+            items.push({ context: tag.number, items: nested });
+        } else if (tag.class === 'context') {
+            const content = reader.read(tag.length, tag, itemPath);
+            reader.record({ offset: tag.offset + tag.headerLength, length: content.length, path: itemPath });
+            items.push({ context: tag.number, value: content.slice() });
+        } else {
+            const type = cache.primitiveNames.get(tag.number);
+            if (!type) {
+                throw new CodecError(`Unknown application tag ${tag.number}`, { offset: tag.offset, path: itemPath });
+            }
+            const content = reader.read(tag.length, tag, itemPath);
+            if (tag.number !== PRIMITIVE_BOOLEAN) {
+                reader.record({ offset: tag.offset + tag.headerLength, length: content.length, path: itemPath, descriptor: describe(cache, type) });
+            }
+            items.push({ type, value: decodePrimitiveContent(describe(cache, type), content, tag, itemPath) });
+        }
+    }
+    return items;
+}
+
+/**
+ * Encodes a value of the named definition into BACnet tagged octets.
+ *
+ * @param {string} typeName - Name of the definition, e.g. "read-property-request"
+ * @param {*} value - Value following the value model described in the module documentation
+ * @param {Object} [options={}] - Encoding options
+ * @param {number} [options.context] - Context tag number; application tagging if omitted
+ * @param {DefinitionRegistry} [options.registry] - Registry to resolve the type with, the
+ *        bundled definitions if omitted
+ * @returns {Uint8Array} The encoded octets
+ * @throws {CodecError} If the value does not fit the definition
+ */
+export function encode(typeName, value, options = {}) {
+    const descriptor = describe(typeCacheOf(options.registry ?? bundledRegistry), typeName);
+    const writer = [];
+    encodeElement(writer, descriptor, value, options.context, '');
+    return new Uint8Array(writer);
+}
+
+/**
+ * Decodes BACnet tagged octets as a value of the named definition.
+ * All octets must be consumed; trailing data is reported as an error.
+ *
+ * @param {string} typeName - Name of the definition, e.g. "read-property-request"
+ * @param {Uint8Array} bytes - Encoded octets
+ * @param {Object} [options={}] - Decoding options
+ * @param {number} [options.context] - Expected context tag number; application tagging if omitted
+ * @param {Array<Object>} [options.trace] - Receives `{ offset, length, path, tag }` for every tag
+ *        header and `{ offset, length, path, descriptor }` for every content read, in the order
+ *        of the octets; entries of choice options that did not match are removed again
+ * @param {DefinitionRegistry} [options.registry] - Registry to resolve the type with, the
+ *        bundled definitions if omitted
+ * @returns {*} The decoded value
+ * @throws {CodecError} If the octets are malformed or do not match the definition
+ */
+export function decode(typeName, bytes, options = {}) {
+    if (!(bytes instanceof Uint8Array)) {
+        throw new CodecError(`Expected a Uint8Array but got ${describeValue(bytes)}`);
+    }
+    const descriptor = describe(typeCacheOf(options.registry ?? bundledRegistry), typeName);
+    const reader = new Reader(bytes, options.trace);
+    const value = decodeElement(reader, descriptor, options.context, '');
+    if (!reader.atEnd()) {
+        throw new CodecError(`Unexpected trailing data of ${bytes.length - reader.offset} byte(s)`, { offset: reader.offset });
+    }
+    return value;
+}
+
+function isEnumerationMember(descriptor, number) {
+    if (!descriptor.values?.length || descriptor.values.some(item => BigInt(item.constant) === number)) {
+        return true;
+    }
+    if (descriptor.constraints.some(constraint => constraint.extensible === true)) {
+        return true;
+    }
+    return descriptor.constraints
+        .flatMap(constraint => [constraint.proprietary ?? []].flat())
+        .some(range => number >= BigInt(range.from) && number <= BigInt(range.to));
+}
+
+function validateContext(element, path, errors) {
+    if (Object.hasOwn(element, 'context')) {
+        try {
+            checkTagNumber(element.context, { path });
+        } catch (error) {
+            errors.push({ path, message: error.message });
+        }
+    }
+}
+
+function validateElement(descriptor, value, path, errors) {
+    const report = message => errors.push({ path, message });
+    try {
+        switch (descriptor.kind) {
+            case 'primitive':
+                encodePrimitiveContent(descriptor, value, path);
+                if (descriptor.primitive === PRIMITIVE_ENUMERATED && typeof value !== 'string'
+                    && !isEnumerationMember(descriptor, BigInt(value))) {
+                    report(`Value ${value} is neither a named value nor in an extensible or proprietary range`);
+                }
+                return;
+            case 'any':
+                encodeAny([], descriptor.cache, value, path);
+                return;
+            case 'series':
+                if (!Array.isArray(value)) {
+                    report(`Expected an array but got ${describeValue(value)}`);
+                    return;
+                }
+                checkSeriesLength(descriptor, value.length, { path });
+                break;
+        }
+    } catch (error) {
+        if (!(error instanceof CodecError)) {
+            throw error;
+        }
+        errors.push({ path: error.path ?? path, message: error.message });
+    }
+
+    switch (descriptor.kind) {
+        case 'sequence':
+            if (!value || typeof value !== 'object' || Array.isArray(value) || value instanceof Uint8Array) {
+                report(`Expected an object but got ${describeValue(value)}`);
+                return;
+            }
+            for (const key of Object.keys(value)) {
+                if (value[key] !== undefined && !descriptor.fields.some(field => field.name === key)) {
+                    report(`Unknown field '${key}'`);
+                }
+            }
+            for (const field of descriptor.fields) {
+                const fieldPath = joinPath(path, field.name);
+                if (value[field.name] !== undefined) {
+                    validateContext(field, fieldPath, errors);
+                    validateElement(describe(descriptor.cache, field.type), value[field.name], fieldPath, errors);
+                } else if (!field.optional) {
+                    errors.push({ path: fieldPath, message: `Missing required field '${field.name}'` });
+                }
+            }
+            return;
+        case 'choice': {
+            const keys = value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Uint8Array)
+                ? Object.keys(value).filter(key => value[key] !== undefined)
+                : [];
+            if (keys.length !== 1) {
+                report(`Expected an object with exactly one option but got ${keys.length > 1 ? `${keys.length} options` : describeValue(value)}`);
+                return;
+            }
+            const option = descriptor.options.find(item => item.name === keys[0]);
+            if (!option) {
+                report(`Unknown option '${keys[0]}'`);
+                return;
+            }
+            validateContext(option, joinPath(path, option.name), errors);
+            validateElement(describe(descriptor.cache, option.type), value[keys[0]], joinPath(path, option.name), errors);
+            return;
+        }
+        case 'series':
+            value.forEach((element, index) => {
+                validateElement(descriptor.element, element, `${path}[${index}]`, errors);
+            });
+            return;
+    }
+}
+
+/**
+ * Checks a value of the named definition without encoding it and reports all problems
+ * instead of stopping at the first. Besides the checks of the encoder, numeric
+ * enumeration values must be named by the type, lie in one of its `proprietary`
+ * ranges or the type must be `extensible`.
+ *
+ * @param {string} typeName - Name of the definition, e.g. "read-property-multiple-ack"
+ * @param {*} value - Value following the value model described in the module documentation
+ * @param {Object} [options={}] - Validation options
+ * @param {DefinitionRegistry} [options.registry] - Registry to resolve the type with, the
+ *        bundled definitions if omitted
+ * @returns {Array<{path: string, message: string}>} The problems with the value path of
+ *          the offending element, e.g. "list-of-results[2].read-result"; empty if the value is valid
+ * @throws {CodecError} If the type is unknown
+ */
+export function validateValue(typeName, value, options = {}) {
+    const descriptor = describe(typeCacheOf(options.registry ?? bundledRegistry), typeName);
+    const errors = [];
+    validateElement(descriptor, value, '', errors);
+    return errors;
+}
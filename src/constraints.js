@@ -0,0 +1,219 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module constraints
+ *
+ * Effective constraints of BACnet types.
+ *
+ * Restrictions are spread over reference chains: a field typed `unsigned-16` is bound by
+ * the `maximum` of the `unsigned-16` definition, and a field with inline traits like
+ * `{ "base": "unsigned-16", "maximum": 1000 }` narrows it further. This module follows the
+ * chain down to the primitive and intersects the restrictions of every level with the
+ * 64-bit limits of the base (see limit.js):
+ * - range: `minimum`/`maximum` of unsigned, integer, enumerated (as bigint) and real,
+ *   double (as number) values
+ * - length: `length` of octet-string, character-string and bit-string values
+ * - series: the length of the list if the type is a `series`
+ * - storage: recommended storage type of numeric values, 'uint8' ... 'uint64',
+ *   'int8' ... 'int64' for integers, 'float32' for real and 'float64' for double
+ *
+ * Usage:
+ * ```javascript
+ * import { resolveConstraints } from './constraints.js';
+ *
+ * resolveConstraints('unsigned-16');
+ * // { base: 'unsigned', primitive: 2, range: { minimum: 0n, maximum: 65535n },
+ * //   length: null, series: null, storage: 'uint16' }
+ * resolveConstraints({ base: 'character-string', length: { maximum: 64 }, series: true });
+ * ```
+ */
+
+import { getDefaultLimit, getLimitValue } from './limit.js';
+import { PRIMITIVE_NAMES } from './primitives.js';
+import { registry as bundledRegistry } from './traverse.js';
+
+const LENGTH_BASES = new Set(['octet-string', 'character-string', 'bit-string']);
+
+const STORAGE_TYPES = [
+    ['uint8', 0n, 0xFFn], ['uint16', 0n, 0xFFFFn], ['uint32', 0n, 0xFFFFFFFFn], ['uint64', 0n, (1n << 64n) - 1n],
+    ['int8', -0x80n, 0x7Fn], ['int16', -0x8000n, 0x7FFFn], ['int32', -0x80000000n, 0x7FFFFFFFn], ['int64', -(1n << 63n), (1n << 63n) - 1n]
+];
+
+/**
+ * Maps a numeric range to the smallest storage type holding it: 'uint8', 'uint16',
+ * 'uint32', 'uint64', 'int8', 'int16', 'int32' or 'int64' for integer ranges and
+ * 'float32' or 'float64' for other ranges.
+ *
+ * @param {bigint|number|string} minimum - Smallest value
+ * @param {bigint|number|string} maximum - Largest value
+ * @returns {string|undefined} The storage type or undefined if no limits are given
+ *          or an integer range exceeds 64 bits
+ */
+export function storageTypeOf(minimum, maximum) {
+    if (minimum === undefined || minimum === null || maximum === undefined || maximum === null) {
+        return undefined;
+    }
+    const isInteger = value => typeof value === 'bigint' || /^-?[0-9]+$/.test(String(value).trim());
+    if (!isInteger(minimum) || !isInteger(maximum)) {
+        const limit = getDefaultLimit('real');
+        return Number(minimum) >= limit.minimum && Number(maximum) <= limit.maximum ? 'float32' : 'float64';
+    }
+    const low = BigInt(minimum);
+    const high = BigInt(maximum);
+    return STORAGE_TYPES.find(([, typeMinimum, typeMaximum]) => low >= typeMinimum && high <= typeMaximum)?.[0];
+}
+
+/**
+ * Intersects the `minimum`/`maximum` restrictions of traits with the limits of a
+ * numeric base.
+ *
+ * @param {string} base - Numeric base: unsigned, integer, enumerated, real or double
+ * @param {Array<Object>} constraints - Traits holding the restrictions
+ * @returns {{minimum: bigint|number, maximum: bigint|number}} The effective range
+ * @throws {SyntaxError} If a limit is not a valid number of the base
+ * @throws {Error} If a limit lies outside of the base limits or the range is empty
+ */
+export function intersectRange(base, constraints) {
+    const limit = getDefaultLimit(base);
+    if (!limit) {
+        throw new Error(`'${base}' is not a numeric base`);
+    }
+
+    let { minimum, maximum } = limit;
+    for (const constraint of constraints) {
+        for (const name of ['minimum', 'maximum']) {
+            if (constraint[name] === undefined) {
+                continue;
+            }
+            const value = getLimitValue({ ...constraint, base }, name);
+            if (value < limit.minimum || value > limit.maximum) {
+                throw new Error(`The ${name} ${constraint[name]} is outside of the ${base} range ${limit.minimum}..${limit.maximum}`);
+            }
+            if (name === 'minimum' && value > minimum) {
+                minimum = value;
+            }
+            if (name === 'maximum' && value < maximum) {
+                maximum = value;
+            }
+        }
+    }
+
+    if (minimum > maximum) {
+        throw new Error(`The restrictions of ${base} leave the empty range ${minimum}..${maximum}`);
+    }
+    return { minimum, maximum };
+}
+
+/**
+ * Intersects the `length` restrictions of traits. A number restricts to an exact
+ * length, `{minimum, maximum}` to a range.
+ *
+ * @param {Array<Object>} constraints - Traits holding the restrictions
+ * @returns {{minimum: number, maximum: number|null}} The effective length, maximum null if unbounded
+ * @throws {Error} If the length range is empty
+ */
+export function intersectLength(constraints) {
+    let minimum = 0;
+    let maximum = null;
+    for (const constraint of constraints) {
+        if (constraint.length === undefined) {
+            continue;
+        }
+        const length = typeof constraint.length === 'number'
+            ? { minimum: constraint.length, maximum: constraint.length }
+            : constraint.length;
+        if (length.minimum !== undefined && length.minimum > minimum) {
+            minimum = length.minimum;
+        }
+        if (length.maximum !== undefined && (maximum === null || length.maximum < maximum)) {
+            maximum = length.maximum;
+        }
+    }
+
+    if (maximum !== null && minimum > maximum) {
+        throw new Error(`The length restrictions leave the empty range ${minimum}..${maximum}`);
+    }
+    return { minimum, maximum };
+}
+
+/**
+ * Normalizes the `series` trait to the range of the list length. `true` allows lists
+ * of any length, a number an exact length.
+ *
+ * @param {boolean|number|Object} [series] - The `series` trait
+ * @returns {{minimum: number, maximum: number|null}|null} The length range, maximum null
+ *          if unbounded, or null if the type is no series
+ */
+export function normalizeSeries(series) {
+    if (series === undefined || series === null || series === false) {
+        return null;
+    }
+    if (typeof series === 'number') {
+        return { minimum: series, maximum: series };
+    }
+    if (typeof series === 'object') {
+        return { minimum: series.minimum ?? 0, maximum: series.maximum ?? null };
+    }
+    return { minimum: 0, maximum: null };
+}
+
+function toReference(subject) {
+    if (typeof subject === 'string') {
+        return subject;
+    }
+    if (!subject || typeof subject !== 'object') {
+        throw new Error(`Invalid type reference: ${JSON.stringify(subject)}`);
+    }
+    if (Object.hasOwn(subject, 'base')) {
+        return subject;
+    }
+    if (Object.hasOwn(subject, 'primitive')) {
+        return subject.name;
+    }
+    if (subject.type === undefined) {
+        throw new Error(`'${subject.name}' has no type`);
+    }
+    return subject.type;
+}
+
+/**
+ * Resolves the effective constraints of a definition, an item, a type name or traits.
+ * The outermost `series` of the chain determines the list length; all range and length
+ * restrictions apply to the elements.
+ *
+ * @param {string|Object} subject - Type name/alias, traits, definition or item (field/option)
+ * @param {Object} [options={}] - Resolution options
+ * @param {DefinitionRegistry} [options.registry] - Registry to resolve references with
+ * @returns {{base: string, primitive: number, range: Object|null, length: Object|null,
+ *           series: Object|null, storage: string|null}} The effective constraints,
+ *          range and length are null if they do not apply to the base
+ * @throws {Error} On unknown or circular references, invalid limits or empty ranges
+ */
+export function resolveConstraints(subject, options = {}) {
+    const registry = options.registry ?? bundledRegistry;
+    const resolved = registry.resolveBase(toReference(subject));
+    const base = PRIMITIVE_NAMES[resolved.primitive];
+    const constraints = resolved.traits;
+
+    const seriesTraits = constraints.find(traits => traits.series !== undefined && traits.series !== false);
+    const range = getDefaultLimit(base) ? intersectRange(base, constraints) : null;
+
+    let storage = null;
+    if (base === 'real') {
+        storage = 'float32';
+    } else if (base === 'double') {
+        storage = 'float64';
+    } else if (range) {
+        storage = storageTypeOf(range.minimum, range.maximum);
+    }
+
+    return {
+        base,
+        primitive: resolved.primitive,
+        range,
+        length: LENGTH_BASES.has(base) ? intersectLength(constraints) : null,
+        series: seriesTraits ? normalizeSeries(seriesTraits.series) : null,
+        storage
+    };
+}
@@ -0,0 +1,488 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module csharp-transformer
+ *
+ * C# code generator transformer for BACnet type definitions.
+ *
+ * This transformer implements the standard transformer interface used by the traverser
+ * engine and writes one C# source file per generated type into an output directory:
+ * - sequences become sealed records with `required` init properties, `optional` fields
+ *   become nullable properties
+ * - choices become abstract records with one sealed nested record per option
+ * - enumerations become enums, bit-strings with named bits `[Flags]` enums
+ *   (bit-strings with more than 64 bits become enums of bit positions used as sets)
+ * - `series` become `IReadOnlyList<T>`
+ * - numbers use the C# type of the `storage` resolved by the constraints module
+ *   (e.g. `unsigned-16` -> `ushort`)
+ * - date, time, object identifier, null and any values get small support types
+ *
+ * Type names are derived from the alias of a definition (e.g. `BACnetObjectType`).
+ * Definitions that only reference or constrain another type (e.g. `unsigned-16`) do
+ * not get a file; they are resolved to the C# type at every use site. Inline traits
+ * of fields and options become nested types named after the item with a `Type` suffix.
+ * The generated code requires C# 11 (`required` members, file-scoped namespaces).
+ *
+ * Usage:
+ * ```javascript
+ * import { CSharpTransformer } from './csharp-transformer.js';
+ * import { traverseDefinitions } from './traverse.js';
+ *
+ * const transformer = new CSharpTransformer({
+ *   namespace: 'BAClib.Types',
+ *   outputDirectory: 'generated/csharp'
+ * });
+ *
+ * await traverseDefinitions(transformer);
+ * ```
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import { resolveConstraints, storageTypeOf } from './constraints.js';
+import { toPascalCase } from './naming.js';
+import {
+    LIMIT_BASES, PRIMITIVE_ANY, PRIMITIVE_BIT_STRING, PRIMITIVE_BOOLEAN, PRIMITIVE_CHARACTER_STRING,
+    PRIMITIVE_CHOICE, PRIMITIVE_DATE, PRIMITIVE_DOUBLE, PRIMITIVE_ENUMERATED, PRIMITIVE_INTEGER,
+    PRIMITIVE_NULL, PRIMITIVE_OBJECT_IDENTIFIER, PRIMITIVE_OCTET_STRING, PRIMITIVE_REAL,
+    PRIMITIVE_SEQUENCE, PRIMITIVE_TIME, PRIMITIVE_UNSIGNED
+} from './primitives.js';
+import { registry as bundledRegistry } from './traverse.js';
+
+// C# keywords of the storage types of the constraints module
+const STORAGE_TYPES = {
+    uint8: 'byte', uint16: 'ushort', uint32: 'uint', uint64: 'ulong',
+    int8: 'sbyte', int16: 'short', int32: 'int', int64: 'long',
+    float32: 'float', float64: 'double'
+};
+
+// Members every record inherits, which generated properties must not hide
+const RESERVED_MEMBERS = new Set(['Equals', 'GetHashCode', 'ToString', 'GetType', 'EqualityContract', 'Deconstruct', 'PrintMembers']);
+
+const FILE_HEADER = [
+    '// <auto-generated>',
+    '// Generated from the BAClib generic BACnet type definitions. Do not edit.',
+    '// </auto-generated>',
+    '',
+    '#nullable enable',
+    '',
+    'using System;',
+    'using System.Collections.Generic;',
+    ''
+];
+
+/**
+ * Returns the narrowest C# integer type holding all values between minimum and maximum,
+ * i.e. that of their storage type (see storageTypeOf), `ulong`/`long` beyond 64 bits.
+ *
+ * @param {bigint} minimum - Smallest value
+ * @param {bigint} maximum - Largest value
+ * @returns {string} C# type keyword
+ */
+export function narrowestIntegerType(minimum, maximum) {
+    return STORAGE_TYPES[storageTypeOf(minimum, maximum) ?? (minimum >= 0n ? 'uint64' : 'int64')];
+}
+
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * C# transformer class that converts BACnet definitions to C# types.
+ * Implements the transformer interface required by the traverser engine.
+ */
+export class CSharpTransformer {
+
+    /**
+     * Creates a new CSharpTransformer instance.
+     *
+     * @param {Object} [options={}] - Configuration options
+     * @param {string} [options.namespace='BAClib.Types'] - Namespace of the generated types
+     * @param {string} [options.outputDirectory='csharp'] - Directory for the generated files
+     * @param {number} [options.indentSize=4] - Number of spaces per indentation level
+     * @param {DefinitionRegistry} [options.registry] - Registry used to resolve type references,
+     *        must match the registry passed to traverseDefinitions
+     */
+    constructor(options = {}) {
+        this.namespace = options.namespace || 'BAClib.Types';
+        this.outputDirectory = options.outputDirectory || 'csharp';
+        this.indentSize = options.indentSize || 4;
+        this.registry = options.registry ?? bundledRegistry;
+
+        // Generated sources keyed by file name
+        this.files = new Map();
+
+        // Frames of the definitions, traits and items currently being processed
+        this.stack = [];
+    }
+
+    /**
+     * Returns the C# type name of a definition.
+     *
+     * @param {Object} definition - The definition
+     * @returns {string} PascalCase alias (or name)
+     */
+    typeNameOf(definition) {
+        return toPascalCase(definition.alias ?? definition.name);
+    }
+
+    /**
+     * Returns the C# type used wherever the given definition is referenced.
+     *
+     * @param {string} reference - Name or alias of the referenced definition
+     * @returns {string} C# type expression
+     * @throws {Error} If the reference cannot be resolved
+     */
+    typeOfReference(reference) {
+        const definition = this.registry.require(reference);
+
+        if (Object.hasOwn(definition, 'primitive')) {
+            return this.#typeOfPrimitive(definition);
+        }
+        if (typeof definition.type === 'string') {
+            return this.typeOfReference(definition.type);
+        }
+
+        const traits = definition.type;
+        const primitive = this.registry.resolveBase(traits).primitive;
+        const hasItems = Boolean(traits.bits ?? traits.values ?? traits.options ?? traits.fields);
+        return this.#typeOfTraits(traits, primitive, hasItems, this.#declarationNameOf(definition, traits));
+    }
+
+    /**
+     * Handler invoked when starting to process a definition.
+     */
+    startDefinition(context) {
+        this.stack.push({ context, traits: null });
+    }
+
+    /**
+     * Handler invoked when finishing a definition. Generates the file of its type, if any.
+     */
+    endDefinition(context) {
+        const frame = this.stack.pop();
+        const definition = context.definition;
+
+        let name;
+        let lines = null;
+        if (context.isPrimitive) {
+            name = this.typeNameOf(definition);
+            lines = this.#declareSupportType(name, definition.primitive);
+        } else if (frame.traits) {
+            name = this.#declarationNameOf(definition, frame.traits.context.traits);
+            lines = this.#declare(name, frame.traits);
+        }
+
+        if (lines) {
+            const source = [
+                ...FILE_HEADER,
+                `namespace ${this.namespace};`,
+                '',
+                ...this.#renderSummary(definition.description, 0),
+                ...lines,
+                ''
+            ];
+            this.files.set(`${name}.cs`, source.join('\n'));
+        }
+    }
+
+    /**
+     * Handler invoked when starting to process traits. Reserves the member names and the
+     * names of nested types so that they neither collide with each other nor with the
+     * enclosing type.
+     */
+    startTraits(context) {
+        const primitive = this.registry.resolveBase(context.traits).primitive;
+        const parent = this.stack.at(-1);
+        const enclosingName = parent.nestedName ?? this.#declarationNameOf(context.definition, context.traits);
+        const used = new Set([enclosingName, ...RESERVED_MEMBERS]);
+
+        const unique = name => {
+            let candidate = name;
+            for (let counter = 2; used.has(candidate); counter++) {
+                candidate = name + counter;
+            }
+            used.add(candidate);
+            return candidate;
+        };
+
+        // Nested types must not hide the types referenced by the items
+        const items = context.items ?? [];
+        const referencedTypes = new Set(items
+            .filter(item => typeof item.type === 'string')
+            .flatMap(item => this.typeOfReference(item.type).match(/[A-Za-z_][A-Za-z0-9_]*/g)));
+
+        const memberNames = items.map(item => {
+            const name = toPascalCase(item.name);
+            if (primitive !== PRIMITIVE_CHOICE) {
+                return unique(used.has(name) ? name + 'Value' : name);
+            }
+            // Choice options are nested positional records with a "Value" property
+            return unique(used.has(name) || referencedTypes.has(name) || name === 'Value' ? name + 'Option' : name);
+        });
+        const nestedNames = items.map(item => {
+            const name = toPascalCase(item.name) + 'Type';
+            return unique(referencedTypes.has(name) ? name + 'Value' : name);
+        });
+
+        this.stack.push({ context, primitive, enclosingName, memberNames, nestedNames, members: [], nested: [] });
+    }
+
+    /**
+     * Handler invoked when finishing traits. Hands the collected traits to the
+     * enclosing item or definition.
+     */
+    endTraits(context) {
+        const frame = this.stack.pop();
+        this.stack.at(-1).traits = frame;
+    }
+
+    /**
+     * Handler invoked when starting to process an item (field, option, bit, value).
+     */
+    startItem(context) {
+        const parent = this.stack.at(-1);
+        this.stack.push({ context, traits: null, nestedName: parent.nestedNames[context.index] });
+    }
+
+    /**
+     * Handler invoked when finishing an item. Adds the item with its C# type to the
+     * enclosing traits and collects the declaration of inline traits.
+     */
+    endItem(context) {
+        const frame = this.stack.pop();
+        const parent = this.stack.at(-1);
+        const item = context.item;
+
+        let type;
+        if (frame.traits) {
+            const declaration = this.#declare(frame.nestedName, frame.traits);
+            if (declaration) {
+                parent.nested.push([...this.#renderSummary(item.description, 0), ...declaration]);
+            }
+            type = this.#typeOfTraits(frame.traits.context.traits, frame.traits.primitive, Boolean(declaration), frame.nestedName);
+        } else if (typeof item.type === 'string') {
+            type = this.typeOfReference(item.type);
+        }
+
+        parent.members.push({ item, name: parent.memberNames[context.index], type });
+    }
+
+    /**
+     * Optional lifecycle hook invoked after all definitions have been processed.
+     * Writes all generated files into the output directory.
+     *
+     * @param {Object} result - Processing result from traverser
+     * @returns {Promise<void>}
+     */
+    async afterProcessing(result) {
+        console.log(`Total definitions: ${result.totalCount}`);
+        console.log(`Processed:         ${result.processedCount}`);
+        console.log(`Errors:            ${result.errorCount}`);
+        console.log('----------------------------------------');
+
+        await fs.mkdir(this.outputDirectory, { recursive: true });
+        for (const [fileName, source] of this.files) {
+            await fs.writeFile(path.join(this.outputDirectory, fileName), source, 'utf8');
+        }
+        console.log(`${this.files.size} files written to: ${this.outputDirectory}`);
+    }
+
+    /**
+     * Name of the type generated for a top-level definition. Series of structured
+     * elements declare the element type with an `Item` suffix.
+     */
+    #declarationNameOf(definition, traits) {
+        const hasItems = traits.bits ?? traits.values ?? traits.options ?? traits.fields;
+        return this.typeNameOf(definition) + (traits.series && hasItems ? 'Item' : '');
+    }
+
+    #typeOfPrimitive(definition) {
+        switch (definition.primitive) {
+            case PRIMITIVE_BOOLEAN:
+                return 'bool';
+            case PRIMITIVE_OCTET_STRING:
+                return 'byte[]';
+            case PRIMITIVE_CHARACTER_STRING:
+                return 'string';
+            case PRIMITIVE_BIT_STRING:
+                return 'System.Collections.BitArray';
+            case PRIMITIVE_CHOICE:
+            case PRIMITIVE_SEQUENCE:
+                return 'object';
+            case PRIMITIVE_NULL:
+            case PRIMITIVE_DATE:
+            case PRIMITIVE_TIME:
+            case PRIMITIVE_OBJECT_IDENTIFIER:
+            case PRIMITIVE_ANY:
+                return this.typeNameOf(definition);
+            default:
+                return this.#numericType({ base: definition.name });
+        }
+    }
+
+    /**
+     * C# type of traits. `declaredName` is the name of the type declared for the traits'
+     * items, if any; without items the constrained base type is used.
+     */
+    #typeOfTraits(traits, primitive, hasDeclaration, declaredName) {
+        let element;
+        if (hasDeclaration) {
+            element = primitive === PRIMITIVE_BIT_STRING && this.#isBitSet(traits) ? `IReadOnlySet<${declaredName}>` : declaredName;
+        } else if (LIMIT_BASES[primitive] && (primitive !== PRIMITIVE_ENUMERATED || this.#hasOwnLimits(traits))) {
+            element = this.#numericType(traits);
+        } else {
+            element = this.typeOfReference(traits.base);
+        }
+        return traits.series ? `IReadOnlyList<${element}>` : element;
+    }
+
+    #hasOwnLimits(traits) {
+        return Object.hasOwn(traits, 'minimum') || Object.hasOwn(traits, 'maximum');
+    }
+
+    /**
+     * Numeric type of the storage for the limits of the traits and their bases.
+     */
+    #numericType(traits) {
+        return STORAGE_TYPES[resolveConstraints(traits, { registry: this.registry }).storage];
+    }
+
+    #isBitSet(traits) {
+        return traits.bits.some(bit => bit.position >= 64);
+    }
+
+    /**
+     * Declares the type of traits with items.
+     *
+     * @returns {Array<string>|null} Source lines or null if the traits need no own type
+     */
+    #declare(name, frame) {
+        if (!frame.members.length) {
+            return null;
+        }
+
+        switch (frame.primitive) {
+            case PRIMITIVE_ENUMERATED:
+                return this.#declareEnumeration(name, frame);
+            case PRIMITIVE_BIT_STRING:
+                return this.#declareBits(name, frame);
+            case PRIMITIVE_CHOICE:
+                return this.#declareChoice(name, frame);
+            default:
+                return this.#declareSequence(name, frame);
+        }
+    }
+
+    #declareEnumeration(name, frame) {
+        const traits = frame.context.traits;
+        const limits = [
+            ...frame.members.map(({ item }) => BigInt(item.constant)),
+            ...[traits.proprietary ?? []].flat().map(range => BigInt(range.to))
+        ];
+        if (traits.maximum !== undefined) {
+            limits.push(BigInt(traits.maximum));
+        }
+        const underlying = narrowestIntegerType(0n, limits.reduce((a, b) => (a > b ? a : b)));
+
+        const body = frame.members.map(({ item, name: memberName }) => [
+            ...this.#renderSummary(item.description, 1),
+            this.#indent(1) + `${memberName} = ${item.constant},`
+        ]);
+        return [`public enum ${name} : ${underlying}`, '{', ...body.flat(), '}'];
+    }
+
+    #declareBits(name, frame) {
+        const positions = frame.members.map(({ item }) => item.position);
+
+        // Enumerations cannot hold more than 64 flags, so large bit-strings name the positions
+        if (this.#isBitSet(frame.context.traits)) {
+            const body = frame.members.map(({ item, name: memberName }) => [
+                ...this.#renderSummary(item.description, 1),
+                this.#indent(1) + `${memberName} = ${item.position},`
+            ]);
+            const underlying = narrowestIntegerType(0n, BigInt(Math.max(...positions)));
+            return [`public enum ${name} : ${underlying}`, '{', ...body.flat(), '}'];
+        }
+
+        const underlying = narrowestIntegerType(0n, (1n << BigInt(Math.max(...positions) + 1)) - 1n);
+        const one = { uint: '1U', ulong: '1UL' }[underlying] ?? '1';
+        const body = frame.members.map(({ item, name: memberName }) => [
+            ...this.#renderSummary(item.description, 1),
+            this.#indent(1) + `${memberName} = ${one} << ${item.position},`
+        ]);
+        if (!frame.memberNames.includes('None')) {
+            body.unshift([this.#indent(1) + 'None = 0,']);
+        }
+        return ['[System.Flags]', `public enum ${name} : ${underlying}`, '{', ...body.flat(), '}'];
+    }
+
+    #declareSequence(name, frame) {
+        const properties = frame.members.map(({ item, name: memberName, type }) => [
+            ...this.#renderSummary(item.description, 1),
+            this.#indent(1) + (item.optional
+                ? `public ${type}? ${memberName} { get; init; }`
+                : `public required ${type} ${memberName} { get; init; }`)
+        ]);
+        return [`public sealed record ${name}`, '{', ...this.#joinBlocks([...properties, ...this.#nestedBlocks(frame)]), '}'];
+    }
+
+    #declareChoice(name, frame) {
+        const constructor = [
+            this.#indent(1) + `private protected ${name}()`,
+            this.#indent(1) + '{',
+            this.#indent(1) + '}'
+        ];
+        const options = frame.members.map(({ item, name: memberName, type }) => [
+            ...this.#renderSummary(item.description, 1),
+            this.#indent(1) + `public sealed record ${memberName}(${type} Value) : ${name};`
+        ]);
+        return [`public abstract record ${name}`, '{', ...this.#joinBlocks([constructor, ...options, ...this.#nestedBlocks(frame)]), '}'];
+    }
+
+    #declareSupportType(name, primitive) {
+        switch (primitive) {
+            case PRIMITIVE_NULL:
+                return [`public readonly record struct ${name};`];
+            case PRIMITIVE_DATE:
+                return [`public readonly record struct ${name}(ushort? Year, byte? Month, byte? Day, byte? DayOfWeek);`];
+            case PRIMITIVE_TIME:
+                return [`public readonly record struct ${name}(byte? Hour, byte? Minute, byte? Second, byte? Hundredths);`];
+            case PRIMITIVE_OBJECT_IDENTIFIER: {
+                const objectType = this.registry.get('object-type');
+                const objectTypeName = objectType ? this.typeNameOf(objectType) : 'ushort';
+                return [`public readonly record struct ${name}(${objectTypeName} ObjectType, uint Instance);`];
+            }
+            case PRIMITIVE_ANY:
+                // Application data is kept in its encoded form
+                return [`public sealed record ${name}(ReadOnlyMemory<byte> Encoded);`];
+            default:
+                return null;
+        }
+    }
+
+    #nestedBlocks(frame) {
+        return frame.nested.map(lines => lines.map(line => (line ? this.#indent(1) + line : line)));
+    }
+
+    /**
+     * Joins member blocks with an empty line in between.
+     */
+    #joinBlocks(blocks) {
+        return blocks.flatMap((block, index) => (index === 0 ? block : ['', ...block]));
+    }
+
+    #renderSummary(description, level) {
+        if (!description) {
+            return [];
+        }
+        const indent = this.#indent(level);
+        return [`${indent}/// <summary>`, `${indent}/// ${escapeXml(description)}`, `${indent}/// </summary>`];
+    }
+
+    #indent(level) {
+        return ' '.repeat(level * this.indentSize);
+    }
+}
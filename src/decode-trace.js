@@ -0,0 +1,156 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module decode-trace
+ *
+ * Tree-shaped trace of decoding BACnet tagged octets, for debugging captures by hand.
+ *
+ * Every tag header and every content read by the decoder becomes a line with its offset,
+ * its octets and a comment in the style of the sample files (test/samples/*.json):
+ * - tags: class, number and length, prefixed with the value path of their element and
+ *   followed by its definition path, e.g.
+ *   "property-identifier: Context Tag 1, Length = 1 (read-property-request.property-identifier)"
+ * - contents: the decoded value, e.g. "Enumerated Value = 77 (object-name)"
+ * - errors: "Invalid data: ..." at the byte offset reported by the decoder, followed by
+ *   the octets that were not decoded
+ *
+ * Lines are indented by the nesting of their element. The trace of a choice ends with
+ * the first option that matched the tag if none of them could be decoded.
+ *
+ * Usage:
+ * ```javascript
+ * import { formatDecodeTrace, traceDecode } from './decode-trace.js';
+ *
+ * const trace = traceDecode('read-property-request', Uint8Array.from([0x0C, 0x02, 0x00, 0x00, 0x08, 0x19, 0x4D]));
+ * console.log(formatDecodeTrace(trace));
+ * // read-property-request, 7 octets
+ * // 0  0C           object-identifier: Context Tag 0, Length = 4 (read-property-request.object-identifier)
+ * // 1  02 00 00 08    Object Identifier: object-type = 8 (device), instance = 8
+ * // 5  19           property-identifier: Context Tag 1, Length = 1 (read-property-request.property-identifier)
+ * // 6  4D             Enumerated Value = 77 (object-name)
+ * ```
+ */
+
+import { CodecError, decode } from './codec.js';
+import { annotateContent, annotateProblem, annotateTag, formatHex } from './tag-annotation.js';
+import { registry as bundledRegistry } from './traverse.js';
+
+// Longer contents continue on the following lines
+const OCTETS_PER_LINE = 8;
+
+/**
+ * Nesting level of a value path, e.g. 2 for "list-of-results[0]" and "time-stamp.datetime".
+ */
+function depthOf(path) {
+    return path ? path.split(/\.|(?=\[)/).length : 0;
+}
+
+/**
+ * Definition path of a value path like the traverser names its items, without the
+ * indexes of series elements.
+ */
+function definitionPathOf(typeName, path) {
+    return path ? `${typeName}.${path.replace(/\[[0-9]+\]/g, '')}` : typeName;
+}
+
+/**
+ * Decodes octets of a definition and traces the tags and contents read.
+ *
+ * @param {string} typeName - Name or alias of the definition, e.g. "read-property-request"
+ * @param {Uint8Array} bytes - Encoded octets
+ * @param {Object} [options={}] - Decoding options
+ * @param {number} [options.context] - Expected context tag number; application tagging if omitted
+ * @param {DefinitionRegistry} [options.registry] - Registry to resolve the type with, the
+ *        bundled definitions if omitted
+ * @returns {{type: string, length: number, value: *, error: CodecError|undefined,
+ *           lines: Array<{offset: number, bytes: Uint8Array, depth: number, comment: string, error?: boolean}>}}
+ *          The decoded value or the error of the decoder, and a line per tag, content and error
+ * @throws {CodecError} If the type is unknown or the octets are not a Uint8Array
+ */
+export function traceDecode(typeName, bytes, options = {}) {
+    const registry = options.registry ?? bundledRegistry;
+    const definition = registry.get(typeName);
+    if (!definition) {
+        throw new CodecError(`Unknown type '${typeName}'`);
+    }
+    if (!(bytes instanceof Uint8Array)) {
+        throw new CodecError('Expected a Uint8Array of octets');
+    }
+
+    const entries = [];
+    let value;
+    let error;
+    try {
+        value = decode(definition.name, bytes, { context: options.context, trace: entries, registry });
+    } catch (caught) {
+        if (!(caught instanceof CodecError)) {
+            throw caught;
+        }
+        error = caught;
+    }
+
+    const lines = entries.map(entry => {
+        const octets = bytes.subarray(entry.offset, entry.offset + entry.length);
+        const depth = depthOf(entry.path);
+        if (entry.tag) {
+            const prefix = entry.path ? `${entry.path}: ` : '';
+            const comment = `${prefix}${annotateTag(entry.tag)} (${definitionPathOf(definition.name, entry.path)})`;
+            return { offset: entry.offset, bytes: octets, depth, comment };
+        }
+        const comment = entry.descriptor ? annotateContent(entry.descriptor, octets) : undefined;
+        return { offset: entry.offset, bytes: octets, depth: depth + 1, comment: comment ?? '' };
+    });
+
+    if (error) {
+        const decoded = entries.reduce((end, entry) => Math.max(end, entry.offset + entry.length), 0);
+        const offset = error.offset ?? decoded;
+        const prefix = error.path ? `${error.path}: ` : '';
+        const depth = depthOf(error.path);
+        const comment = `${prefix}${annotateProblem(error)}`;
+        // Errors of traced tags and contents point back at them, the rest follows the error
+        if (offset >= decoded) {
+            lines.push({ offset, bytes: bytes.subarray(offset), depth, comment, error: true });
+        } else {
+            lines.push({ offset, bytes: new Uint8Array(0), depth, comment, error: true });
+            if (decoded < bytes.length) {
+                lines.push({ offset: decoded, bytes: bytes.subarray(decoded), depth, comment: '(not decoded)' });
+            }
+        }
+    }
+
+    return { type: definition.name, length: bytes.length, value, error, lines };
+}
+
+/**
+ * Formats a trace as text, a line per tag header, content and error with the decimal
+ * offset, the octets in hex and the comment indented by nesting level.
+ *
+ * @param {Object} trace - Trace returned by `traceDecode`
+ * @returns {string} The trace, starting with the type name and the number of octets
+ */
+export function formatDecodeTrace(trace) {
+    const rows = [];
+    for (const line of trace.lines) {
+        const chunks = [];
+        for (let start = 0; start < line.bytes.length || !chunks.length; start += OCTETS_PER_LINE) {
+            chunks.push(line.bytes.subarray(start, start + OCTETS_PER_LINE));
+        }
+        // Errors are marked in the octet column if they have no octets left to show
+        chunks.forEach((chunk, index) => rows.push({
+            offset: line.offset + index * OCTETS_PER_LINE,
+            hex: line.error && !line.bytes.length ? '^^' : formatHex(chunk),
+            depth: line.depth,
+            comment: index ? '' : line.comment
+        }));
+    }
+
+    const minimumDepth = Math.min(...rows.map(row => row.depth));
+    const offsetWidth = String(Math.max(trace.length, 1) - 1).length;
+    const hexWidth = Math.max(0, ...rows.map(row => row.hex.length));
+    const text = rows.map(row => {
+        const comment = row.comment ? `${'  '.repeat(row.depth - minimumDepth)}${row.comment}` : '';
+        return `${String(row.offset).padStart(offsetWidth)}  ${row.hex.padEnd(hexWidth)}  ${comment}`.trimEnd();
+    });
+    return [`${trace.type}, ${trace.length} octet${trace.length === 1 ? '' : 's'}`, ...text].join('\n') + '\n';
+}
@@ -0,0 +1,350 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module definition-diff
+ *
+ * Compatibility diff between two versions of the definitions.
+ *
+ * Code for deployed devices is regenerated from the definitions, so an update must not
+ * silently change the encoding. This module compares the definitions by name and classifies
+ * every change:
+ * - 'wire-breaking': the encoding changes or values valid before are rejected, e.g. changed
+ *   `primitive` ids and `context` tags, removed fields and options, fields that became
+ *   required, removed or renumbered enumeration `constant`s and bit `position`s and
+ *   narrowed `minimum`/`maximum`, `length` and `series` restrictions and `proprietary` ranges
+ * - 'api-breaking': the encoding stays but generated code changes, e.g. removed
+ *   definitions, changed aliases, renamed values and references to other types with the
+ *   same encoding
+ * - 'compatible': added definitions, optional fields, options and values, widened
+ *   restrictions and `proprietary` ranges
+ *
+ * Restrictions are compared by their effective constraints (see constraints.js), so a
+ * field changing from `unsigned` to `unsigned-16` is reported as narrowed range. Changes
+ * of a referenced definition are reported once, at that definition.
+ *
+ * A change is a plain object like a diagnostic:
+ * - severity: 'wire-breaking', 'api-breaking' or 'compatible'
+ * - code: stable identifier of the change, e.g. 'context-changed'
+ * - definition: name of the affected definition
+ * - path: dot-separated path of the affected item, e.g. "read-property-request.property-identifier"
+ * - message: human readable description
+ *
+ * Usage:
+ * ```javascript
+ * import { diffDefinitions } from './definition-diff.js';
+ *
+ * const changes = await diffDefinitions('released/definitions', 'definitions');
+ * const breaking = changes.filter(change => change.severity === 'wire-breaking');
+ * ```
+ */
+
+import { isDeepStrictEqual } from 'util';
+
+import { resolveConstraints } from './constraints.js';
+import { DefinitionRegistry } from './definition-registry.js';
+
+const WIRE_BREAKING = 'wire-breaking';
+const API_BREAKING = 'api-breaking';
+const COMPATIBLE = 'compatible';
+
+// Item lists of traits with the kind of their items and the key of their number
+const ITEM_KINDS = {
+    fields: { kind: 'field' },
+    options: { kind: 'option' },
+    values: { kind: 'value', numberKey: 'constant' },
+    bits: { kind: 'bit', numberKey: 'position' }
+};
+
+async function loadRegistry(source) {
+    if (source instanceof DefinitionRegistry) {
+        return source;
+    }
+    return DefinitionRegistry.load(source, { strict: true });
+}
+
+function formatRange(range) {
+    return `${range.minimum}..${range.maximum ?? 'unbounded'}`;
+}
+
+/**
+ * Compares two ranges with an upper bound of null meaning unbounded.
+ *
+ * @returns {string|undefined} 'narrowed' if the new range rejects values of the old one,
+ *          'widened' if it accepts more values, undefined if both are equal
+ */
+function compareRanges(oldRange, newRange) {
+    const isBelow = (a, b) => b === null ? a !== null : a !== null && a < b;
+    if (newRange.minimum > oldRange.minimum || isBelow(newRange.maximum, oldRange.maximum)) {
+        return 'narrowed';
+    }
+    if (newRange.minimum < oldRange.minimum || isBelow(oldRange.maximum, newRange.maximum)) {
+        return 'widened';
+    }
+    return undefined;
+}
+
+/**
+ * Normalizes the `proprietary` ranges of a type to sorted intervals of bigints, adjacent
+ * and overlapping ranges merged. Reversed ranges accept no numbers.
+ */
+function proprietaryRangesOf(type) {
+    const ranges = typeof type === 'object' && type.proprietary !== undefined ? [type.proprietary].flat() : [];
+    const intervals = ranges
+        .map(range => ({ minimum: BigInt(range.from), maximum: BigInt(range.to) }))
+        .filter(range => range.minimum <= range.maximum)
+        .sort((a, b) => (a.minimum < b.minimum ? -1 : a.minimum > b.minimum ? 1 : 0));
+    const merged = [];
+    for (const interval of intervals) {
+        const last = merged.at(-1);
+        if (last && interval.minimum <= last.maximum + 1n) {
+            last.maximum = interval.maximum > last.maximum ? interval.maximum : last.maximum;
+        } else {
+            merged.push({ ...interval });
+        }
+    }
+    return merged;
+}
+
+function coversRange(intervals, range) {
+    return intervals.some(interval => interval.minimum <= range.minimum && interval.maximum >= range.maximum);
+}
+
+function formatRanges(intervals) {
+    return intervals.length ? intervals.map(formatRange).join(', ') : 'none';
+}
+
+function itemsKeyOf(type) {
+    return type && typeof type === 'object' ? Object.keys(ITEM_KINDS).find(key => type[key] !== undefined) : undefined;
+}
+
+function referenceOf(type) {
+    return typeof type === 'string' ? type : type?.base;
+}
+
+/**
+ * Whether an enumeration or bit-string accepts numbers beyond its named items.
+ */
+function isOpen(type) {
+    return typeof type === 'object' && (type.extensible === true || type.proprietary !== undefined);
+}
+
+/**
+ * Compares the definitions of two registries.
+ */
+class DefinitionDiff {
+
+    constructor(oldRegistry, newRegistry) {
+        this.oldRegistry = oldRegistry;
+        this.newRegistry = newRegistry;
+        this.changes = [];
+    }
+
+    run() {
+        for (const oldDefinition of this.oldRegistry.definitions) {
+            this.definition = oldDefinition.name;
+            const newDefinition = this.newRegistry.get(oldDefinition.name);
+            if (!newDefinition || newDefinition.name !== oldDefinition.name) {
+                this.report(API_BREAKING, 'definition-removed', oldDefinition.name, 'Definition removed');
+            } else {
+                this.compareDefinitions(oldDefinition, newDefinition);
+            }
+        }
+        for (const newDefinition of this.newRegistry.definitions) {
+            if (this.oldRegistry.get(newDefinition.name)?.name !== newDefinition.name) {
+                this.definition = newDefinition.name;
+                this.report(COMPATIBLE, 'definition-added', newDefinition.name, 'Definition added');
+            }
+        }
+        return this.changes;
+    }
+
+    report(severity, code, path, message) {
+        this.changes.push({ severity, code, definition: this.definition, path, message });
+    }
+
+    compareDefinitions(oldDefinition, newDefinition) {
+        const path = oldDefinition.name;
+        if (oldDefinition.alias !== newDefinition.alias) {
+            this.report(API_BREAKING, 'alias-changed', path, `Alias changed from '${oldDefinition.alias}' to '${newDefinition.alias}'`);
+        }
+
+        if (oldDefinition.primitive !== undefined || newDefinition.primitive !== undefined) {
+            if (oldDefinition.primitive !== newDefinition.primitive) {
+                this.report(WIRE_BREAKING, 'primitive-changed', path,
+                    `Primitive changed from ${oldDefinition.primitive ?? 'none'} to ${newDefinition.primitive ?? 'none'}`);
+            }
+            return;
+        }
+        this.compareTypes(oldDefinition.type, newDefinition.type, path);
+    }
+
+    /**
+     * Compares the types of a definition or item: the effective encoding and constraints,
+     * the referenced type and the items of inline traits.
+     */
+    compareTypes(oldType, newType, path) {
+        if (isDeepStrictEqual(oldType, newType)) {
+            return;
+        }
+
+        let oldConstraints;
+        let newConstraints;
+        try {
+            oldConstraints = resolveConstraints(oldType, { registry: this.oldRegistry });
+        } catch {
+            // The old type was invalid, nothing to be compatible with
+        }
+        try {
+            newConstraints = resolveConstraints(newType, { registry: this.newRegistry });
+        } catch (error) {
+            this.report(WIRE_BREAKING, 'type-invalid', path, `Type can not be resolved: ${error.message}`);
+            return;
+        }
+
+        if (oldConstraints && oldConstraints.primitive !== newConstraints.primitive) {
+            this.report(WIRE_BREAKING, 'encoding-changed', path, `Encoding changed from ${oldConstraints.base} to ${newConstraints.base}`);
+            return;
+        }
+
+        if (referenceOf(oldType) !== referenceOf(newType)) {
+            this.report(API_BREAKING, 'type-changed', path, `Type changed from '${referenceOf(oldType)}' to '${referenceOf(newType)}'`);
+        }
+        if (oldConstraints) {
+            this.compareConstraints(oldConstraints, newConstraints, path);
+        }
+        if (isOpen(oldType) && !isOpen(newType) && itemsKeyOf(newType)) {
+            this.report(WIRE_BREAKING, 'extensibility-removed', path, 'Extensible or proprietary numbers are no longer accepted');
+        } else {
+            this.compareProprietary(oldType, newType, path);
+        }
+
+        const itemsKey = itemsKeyOf(oldType);
+        if (itemsKey && itemsKey === itemsKeyOf(newType)) {
+            this.compareItems(itemsKey, oldType[itemsKey], newType[itemsKey], path);
+        }
+    }
+
+    compareConstraints(oldConstraints, newConstraints, path) {
+        for (const [name, label] of [['range', 'Range'], ['length', 'Length']]) {
+            if (oldConstraints[name] && newConstraints[name]) {
+                this.compareRestriction(oldConstraints[name], newConstraints[name], path, name, label);
+            }
+        }
+
+        if (!oldConstraints.series !== !newConstraints.series) {
+            this.report(WIRE_BREAKING, 'series-changed', path, newConstraints.series ? 'Became a list' : 'Is no longer a list');
+        } else if (oldConstraints.series) {
+            this.compareRestriction(oldConstraints.series, newConstraints.series, path, 'series', 'List length');
+        }
+    }
+
+    compareRestriction(oldRange, newRange, path, name, label) {
+        const comparison = compareRanges(oldRange, newRange);
+        if (comparison) {
+            this.report(comparison === 'narrowed' ? WIRE_BREAKING : COMPATIBLE, `${name}-${comparison}`, path,
+                `${label} ${comparison} from ${formatRange(oldRange)} to ${formatRange(newRange)}`);
+        }
+    }
+
+    /**
+     * Compares the `proprietary` ranges of two types as sets of numbers: numbers no longer
+     * accepted narrow them, even if others are added.
+     */
+    compareProprietary(oldType, newType, path) {
+        const oldRanges = proprietaryRangesOf(oldType);
+        const newRanges = proprietaryRangesOf(newType);
+        let comparison;
+        if (oldRanges.some(range => !coversRange(newRanges, range))) {
+            comparison = 'narrowed';
+        } else if (newRanges.some(range => !coversRange(oldRanges, range))) {
+            comparison = 'widened';
+        }
+        if (comparison) {
+            this.report(comparison === 'narrowed' ? WIRE_BREAKING : COMPATIBLE, `proprietary-${comparison}`, path,
+                `Proprietary range ${comparison} from ${formatRanges(oldRanges)} to ${formatRanges(newRanges)}`);
+        }
+    }
+
+    /**
+     * Compares fields, options, values or bits by name.
+     */
+    compareItems(itemsKey, oldItems, newItems, path) {
+        const { kind, numberKey } = ITEM_KINDS[itemsKey];
+        const newByName = new Map(newItems.map(item => [item.name, item]));
+        const oldNames = new Set(oldItems.map(item => item.name));
+        const renamed = new Set();
+
+        for (const oldItem of oldItems) {
+            const itemPath = `${path}.${oldItem.name}`;
+            const newItem = newByName.get(oldItem.name);
+            if (!newItem) {
+                // A number kept under another name is a rename, the encoding stays the same
+                const successor = numberKey && newItems.find(item => item[numberKey] === oldItem[numberKey] && !oldNames.has(item.name));
+                if (successor) {
+                    renamed.add(successor);
+                    this.report(API_BREAKING, `${kind}-renamed`, itemPath, `Renamed to '${successor.name}'`);
+                } else {
+                    this.report(WIRE_BREAKING, `${kind}-removed`, itemPath, `${kind[0].toUpperCase()}${kind.slice(1)} removed`);
+                }
+                continue;
+            }
+
+            if (numberKey && oldItem[numberKey] !== newItem[numberKey]) {
+                this.report(WIRE_BREAKING, `${numberKey}-changed`, itemPath,
+                    `${numberKey[0].toUpperCase()}${numberKey.slice(1)} changed from ${oldItem[numberKey]} to ${newItem[numberKey]}`);
+            }
+            if (oldItem.context !== newItem.context) {
+                this.report(WIRE_BREAKING, 'context-changed', itemPath,
+                    `Context tag changed from ${oldItem.context ?? 'none'} to ${newItem.context ?? 'none'}`);
+            }
+            if (oldItem.optional && !newItem.optional) {
+                this.report(WIRE_BREAKING, 'field-required', itemPath, 'Field became required');
+            } else if (!oldItem.optional && newItem.optional) {
+                this.report(API_BREAKING, 'field-optional', itemPath, 'Field became optional');
+            }
+            if (oldItem.type !== undefined || newItem.type !== undefined) {
+                this.compareTypes(oldItem.type, newItem.type, itemPath);
+            }
+        }
+
+        for (const newItem of newItems) {
+            if (oldNames.has(newItem.name) || renamed.has(newItem)) {
+                continue;
+            }
+            const itemPath = `${path}.${newItem.name}`;
+            if (kind === 'field' && !newItem.optional) {
+                this.report(WIRE_BREAKING, 'field-added', itemPath, 'Required field added');
+            } else {
+                this.report(COMPATIBLE, `${kind}-added`, itemPath, `${kind[0].toUpperCase()}${kind.slice(1)} added`);
+            }
+        }
+
+        // Fields are encoded in their order
+        if (kind === 'field') {
+            const oldOrder = oldItems.map(item => item.name).filter(name => newByName.has(name));
+            const newOrder = newItems.map(item => item.name).filter(name => oldNames.has(name));
+            if (!isDeepStrictEqual(oldOrder, newOrder)) {
+                this.report(WIRE_BREAKING, 'field-order-changed', path, `Fields reordered from ${oldOrder.join(', ')} to ${newOrder.join(', ')}`);
+            }
+        }
+    }
+}
+
+/**
+ * Compares two versions of the definitions and classifies the changes as wire-breaking,
+ * API-breaking or compatible.
+ *
+ * @param {string|Array<string>|DefinitionRegistry} oldSource - Directory (or directories) of
+ *        the old definitions or their registry
+ * @param {string|Array<string>|DefinitionRegistry} newSource - Directory (or directories) of
+ *        the new definitions or their registry
+ * @returns {Promise<Array<Object>>} The changes in the order of the old definitions,
+ *          followed by the added definitions
+ * @throws {DiagnosticError} If definitions of a directory fail to load
+ */
+export async function diffDefinitions(oldSource, newSource) {
+    const oldRegistry = await loadRegistry(oldSource);
+    const newRegistry = await loadRegistry(newSource);
+    return new DefinitionDiff(oldRegistry, newRegistry).run();
+}
@@ -0,0 +1,303 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module definition-registry
+ *
+ * Lookup of BACnet type definitions by name or alias.
+ *
+ * A registry is built from one or more definition directories or from in-memory
+ * definition objects. Besides plain lookups it resolves string type references
+ * transitively (e.g. `date` -> `date-pattern` -> primitive 10) and detects
+ * circular references on the way.
+ *
+ * All registered definitions are deeply frozen to prevent accidental mutations.
+ *
+ * Usage:
+ * ```javascript
+ * import { DefinitionRegistry } from './definition-registry.js';
+ *
+ * const registry = await DefinitionRegistry.load(['definitions', 'vendor-definitions']);
+ * registry.get('BACnetObjectType');           // lookup by alias
+ * registry.resolve('date').chain;             // ['date', 'date-pattern']
+ * registry.resolveBase('unsigned-8').primitive; // 2
+ * ```
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import { createError, DiagnosticError, errorsOf } from './diagnostics.js';
+
+/**
+ * Recursively freezes an object and all nested objects/arrays to make them deeply immutable.
+ *
+ * @param {Object|Array} object - The object to freeze recursively
+ * @returns {Object|Array} The frozen object
+ */
+export function deepFreeze(object) {
+    if (object && typeof object === 'object' && !Object.isFrozen(object)) {
+        Object.freeze(object);
+        Object.getOwnPropertyNames(object).forEach(property => deepFreeze(object[property]));
+    }
+    return object;
+}
+
+/**
+ * Registry of type definitions with name/alias lookup and reference resolution.
+ */
+export class DefinitionRegistry {
+
+    #definitions = [];
+    #byName = new Map();
+    #byAlias = new Map();
+    #files = new Map();
+    #diagnostics = [];
+
+    /**
+     * Creates a registry from in-memory definition objects.
+     *
+     * @param {Array<Object>} [definitions=[]] - Definition objects to register
+     * @throws {Error} If a definition has no name or a name/alias is registered twice
+     */
+    constructor(definitions = []) {
+        for (const definition of definitions) {
+            this.add(definition);
+        }
+    }
+
+    /**
+     * Loads all JSON definition files of the given directories into a new registry.
+     * Files that cannot be read or parsed, lack the required properties (name/alias) or
+     * redefine a name/alias are skipped and reported in `diagnostics`.
+     *
+     * @param {string|Array<string>} directories - One or more definition directories
+     * @param {Object} [options={}] - Loading options
+     * @param {boolean} [options.strict=false] - Throw instead of skipping problematic files
+     * @returns {Promise<DefinitionRegistry>} The populated registry
+     * @throws {Error} If a directory cannot be read
+     * @throws {DiagnosticError} In strict mode, if any file was skipped
+     */
+    static async load(directories, options = {}) {
+        const registry = new DefinitionRegistry();
+
+        for (const directory of [directories].flat()) {
+            const files = (await fs.readdir(directory)).filter(file => file.endsWith('.json')).sort();
+
+            for (const file of files) {
+                const filePath = path.join(directory, file);
+                const report = (code, message, pointer, definition) =>
+                    registry.#diagnostics.push(createError(code, message, { file: filePath, pointer, definition }));
+
+                let content;
+                try {
+                    content = await fs.readFile(filePath, 'utf-8');
+                } catch (error) {
+                    report('unreadable-file', `Cannot read file: ${error.message}`);
+                    continue;
+                }
+
+                let definition;
+                try {
+                    definition = JSON.parse(content);
+                } catch (error) {
+                    report('invalid-json', `Invalid JSON: ${error.message}`);
+                    continue;
+                }
+
+                // Validate that definition has required properties
+                if (typeof definition?.name !== 'string' || !definition.name) {
+                    report('missing-name', 'Missing required property \'name\'', '/name');
+                    continue;
+                }
+                if (typeof definition.alias !== 'string' || !definition.alias) {
+                    report('missing-alias', 'Missing required property \'alias\'', '/alias', definition.name);
+                    continue;
+                }
+                if (registry.#byName.has(definition.name)) {
+                    const other = registry.#files.get(definition.name);
+                    report('duplicate-name', `Duplicate definition name '${definition.name}' (also defined in ${other})`, '/name', definition.name);
+                    continue;
+                }
+                if (registry.#byAlias.has(definition.alias)) {
+                    const other = registry.#files.get(registry.#byAlias.get(definition.alias).name);
+                    report('duplicate-alias', `Duplicate definition alias '${definition.alias}' (also defined in ${other})`, '/alias', definition.name);
+                    continue;
+                }
+
+                registry.add(definition, filePath);
+            }
+        }
+
+        const errors = errorsOf(registry.#diagnostics);
+        if (options.strict && errors.length) {
+            throw new DiagnosticError(errors);
+        }
+        return registry;
+    }
+
+    /**
+     * Registers a single definition. The definition is deeply frozen.
+     *
+     * @param {Object} definition - Definition object with at least a name
+     * @param {string} [filePath] - File the definition was loaded from
+     * @returns {Object} The frozen definition
+     * @throws {Error} If the name is missing or the name/alias is already registered
+     */
+    add(definition, filePath) {
+        if (!definition || typeof definition.name !== 'string' || !definition.name) {
+            throw new Error('Definition must have a non-empty name');
+        }
+        if (this.#byName.has(definition.name)) {
+            throw new Error(`Duplicate definition name '${definition.name}'`);
+        }
+        if (definition.alias !== undefined && this.#byAlias.has(definition.alias)) {
+            throw new Error(`Duplicate definition alias '${definition.alias}' of '${definition.name}'`);
+        }
+
+        deepFreeze(definition);
+        this.#definitions.push(definition);
+        this.#byName.set(definition.name, definition);
+        if (definition.alias !== undefined) {
+            this.#byAlias.set(definition.alias, definition);
+        }
+        if (filePath !== undefined) {
+            this.#files.set(definition.name, filePath);
+        }
+        return definition;
+    }
+
+    /**
+     * All registered definitions in registration order.
+     *
+     * @returns {Array<Object>} A frozen copy of the definitions array
+     */
+    get definitions() {
+        return Object.freeze([...this.#definitions]);
+    }
+
+    /**
+     * Problems found while loading the definitions, see the diagnostics module.
+     *
+     * @returns {Array<Object>} A frozen copy of the diagnostics
+     */
+    get diagnostics() {
+        return Object.freeze([...this.#diagnostics]);
+    }
+
+    /**
+     * Number of registered definitions.
+     */
+    get size() {
+        return this.#definitions.length;
+    }
+
+    /**
+     * Checks whether a definition with the given name or alias exists.
+     *
+     * @param {string} nameOrAlias - Definition name or alias
+     * @returns {boolean}
+     */
+    has(nameOrAlias) {
+        return this.#byName.has(nameOrAlias) || this.#byAlias.has(nameOrAlias);
+    }
+
+    /**
+     * Looks up a definition by name, falling back to the alias.
+     *
+     * @param {string} nameOrAlias - Definition name (e.g. "object-type") or alias (e.g. "BACnetObjectType")
+     * @returns {Object|undefined} The definition or undefined if unknown
+     */
+    get(nameOrAlias) {
+        return this.#byName.get(nameOrAlias) ?? this.#byAlias.get(nameOrAlias);
+    }
+
+    /**
+     * Returns the file a definition was loaded from.
+     *
+     * @param {string} nameOrAlias - Definition name or alias
+     * @returns {string|undefined} The file path or undefined for in-memory definitions
+     */
+    fileOf(nameOrAlias) {
+        const definition = this.get(nameOrAlias);
+        return definition ? this.#files.get(definition.name) : undefined;
+    }
+
+    /**
+     * Looks up a definition by name or alias and fails if it does not exist.
+     *
+     * @param {string} nameOrAlias - Definition name or alias
+     * @returns {Object} The definition
+     * @throws {Error} If the definition is unknown
+     */
+    require(nameOrAlias) {
+        const definition = this.get(nameOrAlias);
+        if (!definition) {
+            throw new Error(`Unknown type '${nameOrAlias}'`);
+        }
+        return definition;
+    }
+
+    /**
+     * Follows string type references until a definition with a primitive id or
+     * with inline traits is reached.
+     *
+     * @param {string|Object} reference - Type name/alias or traits object
+     * @returns {{chain: Array<string>, definition: Object|undefined, traits: Object|undefined, primitive: number|undefined}}
+     *          The names of all definitions on the way, the last definition and
+     *          either its traits or its primitive id
+     * @throws {Error} On unknown or circular references
+     */
+    resolve(reference) {
+        const chain = [];
+        let definition;
+
+        while (typeof reference === 'string') {
+            definition = this.require(reference);
+            if (chain.includes(definition.name)) {
+                throw new Error(`Circular type reference: ${[...chain, definition.name].join(' -> ')}`);
+            }
+            chain.push(definition.name);
+
+            if (Object.hasOwn(definition, 'primitive')) {
+                return { chain, definition, traits: undefined, primitive: definition.primitive };
+            }
+            reference = definition.type;
+        }
+
+        return { chain, definition, traits: reference, primitive: undefined };
+    }
+
+    /**
+     * Like resolve(), but additionally follows the `base` of traits until a primitive
+     * definition is reached, e.g. `unsigned-8` -> `unsigned` -> primitive 2.
+     *
+     * @param {string|Object} reference - Type name/alias or traits object
+     * @returns {{chain: Array<string>, definition: Object, primitive: number, traits: Array<Object>}}
+     *          The names of all definitions on the way, the primitive definition, its id
+     *          and all traits objects passed from the outside in
+     * @throws {Error} On unknown or circular references
+     */
+    resolveBase(reference) {
+        const chain = [];
+        const traits = [];
+
+        for (;;) {
+            const resolved = this.resolve(reference);
+            for (const name of resolved.chain) {
+                if (chain.includes(name)) {
+                    throw new Error(`Circular type reference: ${[...chain, name].join(' -> ')}`);
+                }
+                chain.push(name);
+            }
+            if (resolved.primitive !== undefined) {
+                return { chain, definition: resolved.definition, primitive: resolved.primitive, traits };
+            }
+            if (!resolved.traits || typeof resolved.traits !== 'object') {
+                throw new Error(`Invalid type reference: ${JSON.stringify(resolved.traits)}`);
+            }
+            traits.push(resolved.traits);
+            reference = resolved.traits.base;
+        }
+    }
+}
@@ -0,0 +1,165 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module definition-selection
+ *
+ * Selection and ordering of definitions for a traversal.
+ *
+ * Code generators for embedded targets only need the types of the services they
+ * implement. This module selects the definitions a set of root types depends on and
+ * filters them with glob patterns on their name or alias (`*` matches any sequence
+ * of characters, `?` a single character).
+ *
+ * The selected definitions are returned in a deterministic topological order: every
+ * definition comes after the definitions it references. Definitions without mutual
+ * dependencies keep their registry order, and members of reference cycles are emitted
+ * in the order they are reached.
+ *
+ * Usage:
+ * ```javascript
+ * import { selectDefinitions } from './definition-selection.js';
+ *
+ * const selected = selectDefinitions(registry, {
+ *     roots: ['confirmed-request-pdu', 'read-property-ack'],
+ *     exclude: ['*-request']
+ * });
+ * ```
+ */
+
+/**
+ * Collects the names of all definitions directly referenced by a definition: string
+ * `type`s of the definition and its items as well as the `base` of all traits.
+ *
+ * @param {Object} definition - Definition object
+ * @returns {Array<string>} Referenced names or aliases in order of appearance, without duplicates
+ */
+export function referencesOf(definition) {
+    const references = new Set();
+
+    const collect = type => {
+        if (typeof type === 'string') {
+            references.add(type);
+            return;
+        }
+        if (!type || typeof type !== 'object') {
+            return;
+        }
+        if (typeof type.base === 'string') {
+            references.add(type.base);
+        }
+        for (const item of type.bits ?? type.values ?? type.options ?? type.fields ?? []) {
+            collect(item.type);
+        }
+    };
+
+    collect(definition.type);
+    return [...references];
+}
+
+function globToRegExp(pattern) {
+    const source = pattern
+        .split('')
+        .map(character => {
+            if (character === '*') {
+                return '.*';
+            }
+            if (character === '?') {
+                return '.';
+            }
+            return character.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`);
+}
+
+function createMatcher(patterns) {
+    const expressions = [patterns].flat().map(globToRegExp);
+    return definition => expressions.some(expression =>
+        expression.test(definition.name) || (definition.alias !== undefined && expression.test(definition.alias)));
+}
+
+/**
+ * Orders definitions so that each definition follows the definitions it references.
+ *
+ * @param {DefinitionRegistry} registry - Registry used to resolve references
+ * @param {Array<Object>} definitions - Definitions to order (in registry order)
+ * @returns {Array<Object>} The same definitions in topological order
+ */
+export function sortTopologically(registry, definitions) {
+    const selected = new Set(definitions);
+    const visited = new Set();
+    const ordered = [];
+
+    const visit = definition => {
+        if (visited.has(definition)) {
+            return;
+        }
+        visited.add(definition);
+
+        for (const reference of referencesOf(definition)) {
+            const dependency = registry.get(reference);
+            if (dependency && selected.has(dependency)) {
+                visit(dependency);
+            }
+        }
+        ordered.push(definition);
+    };
+
+    definitions.forEach(visit);
+    return ordered;
+}
+
+/**
+ * Selects definitions of a registry by root types and name patterns.
+ *
+ * Without `roots` all definitions are candidates; with `roots` the candidates are the
+ * roots and everything they transitively reference. The patterns are applied to the
+ * candidates afterwards, so `exclude` can also prune dependencies of the roots.
+ * References to unknown types are ignored here; they are reported by the semantic checks.
+ *
+ * @param {DefinitionRegistry} registry - Registry holding the definitions
+ * @param {Object} [options={}] - Selection options
+ * @param {Array<string>} [options.roots] - Names or aliases of the root types
+ * @param {string|Array<string>} [options.include] - Keep only definitions matching one of these patterns
+ * @param {string|Array<string>} [options.exclude] - Drop definitions matching one of these patterns
+ * @returns {Array<Object>} The selected definitions in topological order
+ * @throws {Error} If a root type is unknown
+ */
+export function selectDefinitions(registry, options = {}) {
+    let candidates = registry.definitions;
+
+    if (options.roots) {
+        const closure = new Set();
+        const pending = options.roots.map(root => registry.require(root));
+
+        while (pending.length) {
+            const definition = pending.pop();
+            if (closure.has(definition)) {
+                continue;
+            }
+            closure.add(definition);
+
+            for (const reference of referencesOf(definition)) {
+                const dependency = registry.get(reference);
+                if (dependency) {
+                    pending.push(dependency);
+                }
+            }
+        }
+
+        candidates = candidates.filter(definition => closure.has(definition));
+    }
+
+    if (options.include) {
+        const matches = createMatcher(options.include);
+        candidates = candidates.filter(matches);
+    }
+
+    if (options.exclude) {
+        const matches = createMatcher(options.exclude);
+        candidates = candidates.filter(definition => !matches(definition));
+    }
+
+    return sortTopologically(registry, candidates);
+}
@@ -0,0 +1,81 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module diagnostics
+ *
+ * Structured problem reports of the definition loader, the semantic checks and the traverser.
+ *
+ * A diagnostic is a plain object:
+ * - severity: 'error' or 'warning'
+ * - code: stable identifier of the problem, e.g. 'invalid-json'
+ * - file: path of the definition file, undefined for in-memory definitions
+ * - pointer: JSON pointer into the file ('' for the whole document)
+ * - definition: name of the affected definition if known
+ * - message: human readable description
+ *
+ * Loader codes: 'unreadable-file', 'invalid-json', 'missing-name', 'missing-alias',
+ * 'duplicate-name', 'duplicate-alias'. Traverser codes: 'transform-failed'. The codes of the
+ * semantic checks are listed in check-definitions.js.
+ *
+ * Usage:
+ * ```javascript
+ * import { formatDiagnostic } from './diagnostics.js';
+ *
+ * const result = await traverseDefinitions(transformer);
+ * result.diagnostics.forEach(diagnostic => console.error(formatDiagnostic(diagnostic)));
+ * ```
+ */
+
+/**
+ * Error thrown in strict mode, carries the diagnostics that caused it.
+ */
+export class DiagnosticError extends Error {
+
+    /**
+     * @param {Array<Object>} diagnostics - The error diagnostics
+     * @param {Object} [options] - Error options, e.g. the `cause`
+     */
+    constructor(diagnostics, options) {
+        const [first] = diagnostics;
+        const more = diagnostics.length > 1 ? ` (and ${diagnostics.length - 1} more)` : '';
+        super(`${formatDiagnostic(first)}${more}`, options);
+        this.name = 'DiagnosticError';
+        this.diagnostics = diagnostics;
+    }
+}
+
+/**
+ * Creates a diagnostic of severity 'error'.
+ *
+ * @param {string} code - Identifier of the problem
+ * @param {string} message - Description of the problem
+ * @param {Object} [location={}] - Location: file, pointer and definition
+ * @returns {Object} The diagnostic
+ */
+export function createError(code, message, location = {}) {
+    return { severity: 'error', code, file: location.file, pointer: location.pointer ?? '', definition: location.definition, message };
+}
+
+/**
+ * Returns the diagnostics of severity 'error'.
+ *
+ * @param {Array<Object>} diagnostics - Diagnostics to filter
+ * @returns {Array<Object>} The errors
+ */
+export function errorsOf(diagnostics) {
+    return diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+}
+
+/**
+ * Formats a diagnostic as a single line, e.g.
+ * "definitions/colour.json /type/values/1: error transform-failed: Unknown type 'x'".
+ *
+ * @param {Object} diagnostic - The diagnostic
+ * @returns {string} The formatted line
+ */
+export function formatDiagnostic(diagnostic) {
+    const source = diagnostic.file ?? diagnostic.definition ?? '<unknown>';
+    const location = diagnostic.pointer ? `${source} ${diagnostic.pointer}` : source;
+    return `${location}: ${diagnostic.severity} ${diagnostic.code}: ${diagnostic.message}`;
+}
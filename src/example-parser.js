@@ -0,0 +1,125 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import { ensureObject, parseHexToBytes } from './hex-text.js';
+
+function validateEnvelope(example, sourceLabel) {
+	ensureObject(example, `Invalid example JSON in ${sourceLabel}: top-level must be an object`);
+
+	if (example.root !== 'BAClib') {
+		throw new Error(`Invalid example JSON in ${sourceLabel}: root must be \"BAClib\"`);
+	}
+
+	if (typeof example.type !== 'string' || !example.type.trim()) {
+		throw new Error(`Invalid example JSON in ${sourceLabel}: type must be a non-empty string`);
+	}
+
+	if (!Array.isArray(example.asdu)) {
+		throw new Error(`Invalid example JSON in ${sourceLabel}: asdu must be an array`);
+	}
+}
+
+function validateCase(entry, sourceLabel, index) {
+	ensureObject(entry, `Invalid asdu entry in ${sourceLabel} at index ${index}: entry must be an object`);
+
+	if (typeof entry.name !== 'string' || !entry.name.trim()) {
+		throw new Error(`Invalid asdu entry in ${sourceLabel} at index ${index}: name must be a non-empty string`);
+	}
+
+	if (typeof entry.good !== 'boolean') {
+		throw new Error(`Invalid asdu entry in ${sourceLabel} at index ${index}: good must be a boolean`);
+	}
+
+	if (!Array.isArray(entry.data)) {
+		throw new Error(`Invalid asdu entry in ${sourceLabel} at index ${index}: data must be an array`);
+	}
+}
+
+function validateChunk(chunk, sourceLabel, location) {
+	if (!Array.isArray(chunk) || chunk.length < 1 || chunk.length > 2) {
+		throw new Error(`Invalid data chunk in ${sourceLabel} at ${location}: chunk must be a [hex, comment] pair`);
+	}
+
+	if (typeof chunk[0] !== 'string') {
+		throw new Error(`Invalid data chunk in ${sourceLabel} at ${location}: hex must be a string`);
+	}
+
+	if (chunk.length === 2 && typeof chunk[1] !== 'string') {
+		throw new Error(`Invalid data chunk in ${sourceLabel} at ${location}: comment must be a string`);
+	}
+}
+
+function parseCase(entry, sourceLabel, index) {
+	validateCase(entry, sourceLabel, index);
+
+	const bytes = [];
+	const annotations = [];
+
+	entry.data.forEach((chunk, chunkIndex) => {
+		const location = `asdu[${index}].data[${chunkIndex}]`;
+		validateChunk(chunk, sourceLabel, location);
+
+		// Hex chunks may group octets with whitespace, e.g. "7E 07 1B 01"
+		const hex = chunk[0].replace(/\s+/g, '');
+		const chunkBytes = hex ? parseHexToBytes(hex, sourceLabel, location) : [];
+
+		annotations.push({
+			offset: bytes.length,
+			length: chunkBytes.length,
+			comment: chunk[1] ?? ''
+		});
+		bytes.push(...chunkBytes);
+	});
+
+	return {
+		name: entry.name,
+		good: entry.good,
+		data: new Uint8Array(bytes),
+		annotations
+	};
+}
+
+/**
+ * Parses an example JSON text (as used in test/samples) into normalized cases.
+ * Each case carries the concatenated bytes of all chunks and one annotation per chunk
+ * with the byte offset and length of the chunk and its comment.
+ *
+ * @param {string} text - Raw JSON text.
+ * @param {Object} [options] - Parse options.
+ * @param {string} [options.filePath] - Optional source file path for error messages.
+ * @returns {Promise<{root: string, type: string, cases: Array<{name: string, good: boolean, data: Uint8Array, annotations: Array<{offset: number, length: number, comment: string}>}>}>}
+ */
+export async function parseExampleText(text, options = {}) {
+	if (typeof text !== 'string') {
+		throw new Error('parseExampleText expects a JSON string as input');
+	}
+
+	const example = JSON.parse(text);
+	const sourceLabel = options.filePath ?? '<inline-json>';
+	validateEnvelope(example, sourceLabel);
+
+	return {
+		root: example.root,
+		type: example.type,
+		cases: example.asdu.map((entry, index) => parseCase(entry, sourceLabel, index))
+	};
+}
+
+/**
+ * Reads and parses an example JSON file.
+ *
+ * @param {string} filePath - Path to the example JSON file.
+ * @returns {Promise<{root: string, type: string, cases: Array<{name: string, good: boolean, data: Uint8Array, annotations: Array<{offset: number, length: number, comment: string}>}>}>}
+ */
+export async function parseExampleFile(filePath) {
+	if (typeof filePath !== 'string' || !filePath.trim()) {
+		throw new Error('parseExampleFile expects a non-empty file path');
+	}
+
+	const resolvedPath = path.resolve(filePath);
+	const text = await fs.readFile(resolvedPath, 'utf8');
+	return parseExampleText(text, { filePath: resolvedPath });
+}
@@ -0,0 +1,367 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module graph-transformer
+ *
+ * Dependency graph export of the BACnet type definitions.
+ *
+ * This transformer implements the standard transformer interface used by the traverser
+ * engine and writes the graph of which definitions reference which, to review the impact
+ * of changing a shared type and the order of code generation:
+ * - nodes are the traversed definitions, primitives are left out unless `primitives` is set
+ * - an edge leads from a definition to each type it references by name: the `type` of
+ *   aliases like `date` -> `date-pattern`, the `base` of traits and the types of fields
+ *   and options
+ * - `focus` limits the graph to the types reached from one type within `depth` steps,
+ *   following references (`direction: 'dependencies'`) or their users (`'dependents'`)
+ * - strongly connected components, the types referencing each other in cycles, are
+ *   reported and marked in the output
+ *
+ * The graph is written as Graphviz DOT, as a Mermaid flowchart or as JSON adjacency list
+ * `{ nodes: [{ name, alias, references }], components: [[name, ...]] }`.
+ *
+ * Usage:
+ * ```javascript
+ * import { GraphTransformer } from './graph-transformer.js';
+ * import { traverseDefinitions } from './traverse.js';
+ *
+ * const transformer = new GraphTransformer({
+ *   format: 'mermaid',
+ *   focus: 'time-stamp',
+ *   direction: 'dependents',
+ *   depth: 2,
+ *   outputPath: 'time-stamp-users.mmd'
+ * });
+ *
+ * await traverseDefinitions(transformer);
+ * ```
+ */
+
+import fs from 'fs/promises';
+
+import { referencesOf } from './definition-selection.js';
+import { registry as bundledRegistry } from './traverse.js';
+
+// Output formats with the extension of their default output file
+const FORMATS = {
+    dot: 'dot',
+    mermaid: 'mmd',
+    json: 'json'
+};
+
+const DIRECTIONS = ['dependencies', 'dependents'];
+
+/**
+ * Finds the strongly connected components of a graph with Tarjan's algorithm. Only
+ * components forming a cycle are returned: those with several nodes and single nodes
+ * referencing themselves.
+ *
+ * @param {Array<{name: string, references: Array<string>}>} nodes - Nodes with their outgoing edges
+ * @returns {Array<Array<string>>} The components with their names in node order, ordered
+ *          by their first node
+ */
+export function findStronglyConnectedComponents(nodes) {
+    const order = new Map(nodes.map((node, index) => [node.name, index]));
+    const edges = new Map(nodes.map(node => [node.name, node.references.filter(name => order.has(name))]));
+    const indices = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+
+    const connect = name => {
+        indices.set(name, indices.size);
+        lowLinks.set(name, indices.get(name));
+        stack.push(name);
+        onStack.add(name);
+
+        for (const reference of edges.get(name)) {
+            if (!indices.has(reference)) {
+                connect(reference);
+                lowLinks.set(name, Math.min(lowLinks.get(name), lowLinks.get(reference)));
+            } else if (onStack.has(reference)) {
+                lowLinks.set(name, Math.min(lowLinks.get(name), indices.get(reference)));
+            }
+        }
+
+        if (lowLinks.get(name) === indices.get(name)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== name);
+
+            if (component.length > 1 || edges.get(name).includes(name)) {
+                components.push(component.sort((a, b) => order.get(a) - order.get(b)));
+            }
+        }
+    };
+
+    for (const node of nodes) {
+        if (!indices.has(node.name)) {
+            connect(node.name);
+        }
+    }
+    return components.sort((a, b) => order.get(a[0]) - order.get(b[0]));
+}
+
+/**
+ * Builds the dependency graph of definitions.
+ *
+ * @param {DefinitionRegistry} registry - Registry used to resolve references
+ * @param {Array<Object>} definitions - Definitions forming the nodes, in output order
+ * @param {Object} [options={}] - Graph options
+ * @param {boolean} [options.primitives=false] - Keep the primitive definitions as nodes
+ * @param {string} [options.focus] - Name or alias of the type the graph is limited to
+ * @param {number} [options.depth] - Maximum number of steps from the focus, unlimited by default
+ * @param {string} [options.direction='dependencies'] - Follow the references of the focus
+ *        ('dependencies') or the types referencing it ('dependents')
+ * @returns {{nodes: Array<Object>, components: Array<Array<string>>}} Nodes with `name`,
+ *          `alias` and the names of their `references`, and the cyclic components
+ * @throws {Error} If the focus is unknown or not part of the graph
+ */
+export function buildDependencyGraph(registry, definitions, options = {}) {
+    const selected = definitions.filter(definition => options.primitives || definition.primitive === undefined);
+    const names = new Set(selected.map(definition => definition.name));
+
+    let nodes = selected.map(definition => ({
+        name: definition.name,
+        alias: definition.alias,
+        references: [...new Set(referencesOf(definition).map(reference => registry.get(reference)?.name))]
+            .filter(name => names.has(name))
+    }));
+
+    if (options.focus !== undefined) {
+        const focus = registry.require(options.focus).name;
+        if (!names.has(focus)) {
+            throw new Error(`Type '${options.focus}' is not part of the graph`);
+        }
+
+        const neighbours = new Map(nodes.map(node => [node.name, []]));
+        for (const node of nodes) {
+            for (const reference of node.references) {
+                if (options.direction === 'dependents') {
+                    neighbours.get(reference).push(node.name);
+                } else {
+                    neighbours.get(node.name).push(reference);
+                }
+            }
+        }
+
+        // Breadth-first, so every type is reached on its shortest path from the focus
+        const reached = new Set([focus]);
+        let frontier = [focus];
+        for (let step = 0; frontier.length && (options.depth === undefined || step < options.depth); step++) {
+            const next = [];
+            for (const name of frontier) {
+                for (const neighbour of neighbours.get(name)) {
+                    if (!reached.has(neighbour)) {
+                        reached.add(neighbour);
+                        next.push(neighbour);
+                    }
+                }
+            }
+            frontier = next;
+        }
+
+        nodes = nodes
+            .filter(node => reached.has(node.name))
+            .map(node => ({ ...node, references: node.references.filter(name => reached.has(name)) }));
+    }
+
+    return { nodes, components: findStronglyConnectedComponents(nodes) };
+}
+
+function quote(text) {
+    return `"${text.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Graph transformer class that exports the references between BACnet definitions.
+ * Implements the transformer interface required by the traverser engine.
+ */
+export class GraphTransformer {
+
+    /**
+     * Creates a new GraphTransformer instance.
+     *
+     * @param {Object} [options={}] - Configuration options
+     * @param {string} [options.format='dot'] - Output format: 'dot', 'mermaid' or 'json'
+     * @param {string} [options.focus] - Name or alias of the type the graph is limited to
+     * @param {number} [options.depth] - Maximum number of steps from the focus
+     * @param {string} [options.direction='dependencies'] - 'dependencies' or 'dependents' of the focus
+     * @param {boolean} [options.primitives=false] - Keep the primitive definitions as nodes
+     * @param {number} [options.indentSize=4] - Number of spaces per indentation level
+     * @param {string} [options.outputPath] - Path for output file, 'dependencies.<dot|mmd|json>' by default
+     * @param {DefinitionRegistry} [options.registry] - Registry used to resolve type references,
+     *        must match the registry passed to traverseDefinitions
+     */
+    constructor(options = {}) {
+        this.format = options.format || 'dot';
+        if (!Object.hasOwn(FORMATS, this.format)) {
+            throw new Error(`Unknown format '${this.format}', expected one of: ${Object.keys(FORMATS).join(', ')}`);
+        }
+        this.direction = options.direction || 'dependencies';
+        if (!DIRECTIONS.includes(this.direction)) {
+            throw new Error(`Unknown direction '${this.direction}', expected one of: ${DIRECTIONS.join(', ')}`);
+        }
+        if (options.depth !== undefined && !(Number.isInteger(options.depth) && options.depth >= 0)) {
+            throw new Error(`Invalid depth '${options.depth}', expected a non-negative integer`);
+        }
+        this.focus = options.focus;
+        this.depth = options.depth;
+        this.primitives = options.primitives === true;
+        this.indentSize = options.indentSize || 4;
+        this.outputPath = options.outputPath || `dependencies.${FORMATS[this.format]}`;
+        this.registry = options.registry ?? bundledRegistry;
+
+        this.definitions = [];
+
+        this.statistics = {
+            definitions: 0,   // Definitions traversed
+            items: 0          // Fields, options, bits and values traversed
+        };
+    }
+
+    /**
+     * Handler invoked when starting to process a definition. Collects the definition as
+     * a node of the graph.
+     */
+    startDefinition(context) {
+        this.statistics.definitions++;
+        this.definitions.push(context.definition);
+    }
+
+    /**
+     * Handler invoked when finishing a definition.
+     */
+    endDefinition(context) {
+        // No-op, the references are collected from the whole definition
+    }
+
+    /**
+     * Handler invoked when starting to process traits.
+     */
+    startTraits(context) {
+        // No-op, the references are collected from the whole definition
+    }
+
+    /**
+     * Handler invoked when finishing traits.
+     */
+    endTraits(context) {
+        // No-op, the references are collected from the whole definition
+    }
+
+    /**
+     * Handler invoked when starting to process an item (field, option, bit, value).
+     */
+    startItem(context) {
+        this.statistics.items++;
+    }
+
+    /**
+     * Handler invoked when finishing an item.
+     */
+    endItem(context) {
+        // No-op, the references are collected from the whole definition
+    }
+
+    /**
+     * Optional lifecycle hook invoked after all definitions have been processed.
+     * Builds the graph, reports its cycles and writes it to the configured file path.
+     *
+     * @param {Object} result - Processing result from traverser
+     * @returns {Promise<void>}
+     */
+    async afterProcessing(result) {
+        const graph = buildDependencyGraph(this.registry, this.definitions, {
+            primitives: this.primitives,
+            focus: this.focus,
+            depth: this.depth,
+            direction: this.direction
+        });
+
+        console.log(`Total definitions: ${result.totalCount}`);
+        console.log(`Processed:         ${result.processedCount}`);
+        console.log(`Errors:            ${result.errorCount}`);
+        console.log(`Nodes:             ${graph.nodes.length}`);
+        console.log(`Edges:             ${graph.nodes.reduce((count, node) => count + node.references.length, 0)}`);
+        console.log(`Cycles:            ${graph.components.length}`);
+        for (const component of graph.components) {
+            console.log(`- ${component.join(', ')}`);
+        }
+        console.log('----------------------------------------');
+
+        await fs.writeFile(this.outputPath, this.render(graph), 'utf8');
+        console.log(`Output written to: ${this.outputPath}`);
+    }
+
+    /**
+     * Renders a graph in the configured format.
+     *
+     * @param {{nodes: Array<Object>, components: Array<Array<string>>}} graph - Graph returned by buildDependencyGraph
+     * @returns {string} The file content
+     */
+    render(graph) {
+        switch (this.format) {
+            case 'mermaid':
+                return this.#renderMermaid(graph);
+            case 'json':
+                return JSON.stringify(graph, null, this.indentSize) + '\n';
+            default:
+                return this.#renderDot(graph);
+        }
+    }
+
+    #renderDot(graph) {
+        const indent = ' '.repeat(this.indentSize);
+        const lines = ['digraph dependencies {', `${indent}rankdir=LR;`, `${indent}node [shape=box];`];
+
+        graph.components.forEach((component, index) => {
+            lines.push(`${indent}subgraph cluster_${index + 1} {`);
+            lines.push(`${indent}${indent}label="cycle ${index + 1}";`);
+            lines.push(`${indent}${indent}style=dashed;`);
+            lines.push(...component.map(name => `${indent}${indent}${quote(name)};`));
+            lines.push(`${indent}}`);
+        });
+
+        for (const node of graph.nodes) {
+            const attributes = node.alias ? ` [tooltip=${quote(node.alias)}]` : '';
+            lines.push(`${indent}${quote(node.name)}${attributes};`);
+        }
+        for (const node of graph.nodes) {
+            lines.push(...node.references.map(reference => `${indent}${quote(node.name)} -> ${quote(reference)};`));
+        }
+
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Mermaid identifiers must not contain hyphens, so nodes are numbered and labeled
+     * with their names.
+     */
+    #renderMermaid(graph) {
+        const indent = ' '.repeat(this.indentSize);
+        const ids = new Map(graph.nodes.map((node, index) => [node.name, `n${index}`]));
+        const lines = ['flowchart LR'];
+
+        for (const node of graph.nodes) {
+            lines.push(`${indent}${ids.get(node.name)}[${quote(node.name)}]`);
+        }
+        graph.components.forEach((component, index) => {
+            lines.push(`${indent}subgraph cycle${index + 1} [cycle ${index + 1}]`);
+            lines.push(...component.map(name => `${indent}${indent}${ids.get(name)}`));
+            lines.push(`${indent}end`);
+        });
+        for (const node of graph.nodes) {
+            lines.push(...node.references.map(reference => `${indent}${ids.get(node.name)} --> ${ids.get(reference)}`));
+        }
+
+        return lines.join('\n') + '\n';
+    }
+}
@@ -0,0 +1,35 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+const HEX_PATTERN = /^[0-9a-fA-F]+$/;
+
+export function ensureObject(value, message) {
+	if (!value || typeof value !== 'object' || Array.isArray(value)) {
+		throw new Error(message);
+	}
+}
+
+/**
+ * Converts a hex string into an array of byte values.
+ *
+ * @param {string} hex - Hex digits without separators.
+ * @param {string} sourceLabel - File path or label used in error messages.
+ * @param {string} location - Location within the source used in error messages, e.g. "index 3".
+ * @returns {Array<number>}
+ */
+export function parseHexToBytes(hex, sourceLabel, location) {
+	if (!HEX_PATTERN.test(hex)) {
+		throw new Error(`Invalid hex string in ${sourceLabel} at ${location}: \"${hex}\" contains non-hex characters`);
+	}
+
+	if ((hex.length % 2) !== 0) {
+		throw new Error(`Invalid hex string in ${sourceLabel} at ${location}: \"${hex}\" has odd length`);
+	}
+
+	const bytes = [];
+	for (let i = 0; i < hex.length; i += 2) {
+		bytes.push(Number.parseInt(hex.slice(i, i + 2), 16));
+	}
+
+	return bytes;
+}
@@ -0,0 +1,421 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module html-transformer
+ *
+ * HTML documentation transformer for BACnet type definitions.
+ *
+ * This transformer implements the standard transformer interface used by the traverser
+ * engine and writes a static site that can be browsed offline:
+ * - one page per definition with its description, restrictions and a table of its
+ *   fields, options, values or bits including their descriptions
+ * - enumeration tables list the constants, their proprietary ranges and extensibility
+ * - every type reference links to the page of the referenced definition
+ * - a "used by" section lists the definitions referencing the definition
+ * - `index.html` lists all definitions and searches names, aliases and constants of
+ *   definitions and their items
+ *
+ * The pages are rendered after the traversal, so links and the reverse index only
+ * cover the processed definitions, e.g. those selected by `roots` or `include`.
+ *
+ * Usage:
+ * ```javascript
+ * import { HtmlTransformer } from './html-transformer.js';
+ * import { traverseDefinitions } from './traverse.js';
+ *
+ * const transformer = new HtmlTransformer({
+ *   outputDirectory: 'site',
+ *   title: 'BACnet Types'
+ * });
+ *
+ * await traverseDefinitions(transformer);
+ * ```
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import { referencesOf } from './definition-selection.js';
+import { PRIMITIVE_BIT_STRING, PRIMITIVE_CHOICE, PRIMITIVE_ENUMERATED } from './primitives.js';
+import { registry as bundledRegistry } from './traverse.js';
+
+const PRIMITIVE_KINDS = {
+    [-1]: 'Any application tagged data',
+    [-2]: 'Choice of options',
+    [-3]: 'Sequence of fields'
+};
+
+const STYLE = `body { font-family: system-ui, sans-serif; margin: 0; color: #222; }
+nav { background: #24476b; padding: 0.6em 1.5em; }
+nav a { color: #fff; text-decoration: none; font-weight: 600; }
+main { max-width: 72em; padding: 1em 1.5em; }
+code { font-family: ui-monospace, monospace; }
+table { border-collapse: collapse; margin: 0.5em 0 1em; }
+th, td { border: 1px solid #ccc; padding: 0.3em 0.6em; text-align: left; vertical-align: top; }
+th { background: #eef2f6; }
+td .nested { margin-top: 0.4em; }
+.optional { color: #777; font-size: 0.85em; }
+.restrictions { color: #555; }
+#search { font-size: 1em; padding: 0.4em; width: 30em; max-width: 100%; }
+#results li { margin: 0.2em 0; }
+`;
+
+const SEARCH_SCRIPT = `const input = document.getElementById('search');
+const results = document.getElementById('results');
+const maxResults = 100;
+
+input.addEventListener('input', () => {
+    const query = input.value.trim().toLowerCase();
+    results.replaceChildren();
+    if (!query) {
+        return;
+    }
+    const matches = SEARCH_INDEX.filter(entry => entry.terms.some(term => term.includes(query)));
+    for (const entry of matches.slice(0, maxResults)) {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = entry.href;
+        link.textContent = entry.label;
+        item.append(link, ' ' + entry.detail);
+        results.append(item);
+    }
+    if (matches.length > maxResults) {
+        const item = document.createElement('li');
+        item.textContent = \`and \${matches.length - maxResults} more\`;
+        results.append(item);
+    }
+});
+`;
+
+/**
+ * Escapes text for HTML element content and attribute values.
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatRange(minimum, maximum) {
+    return `${minimum ?? ''}..${maximum ?? ''}`;
+}
+
+/**
+ * Describes the restrictions of traits, e.g. "range 0..255, length 1..20, list of 1..".
+ */
+function describeRestrictions(traits) {
+    const parts = [];
+    if (traits.minimum !== undefined || traits.maximum !== undefined) {
+        parts.push(`range ${formatRange(traits.minimum, traits.maximum)}`);
+    }
+    if (typeof traits.length === 'number') {
+        parts.push(`length ${traits.length}`);
+    } else if (traits.length) {
+        parts.push(`length ${formatRange(traits.length.minimum, traits.length.maximum)}`);
+    }
+    if (traits.series === true) {
+        parts.push('list');
+    } else if (typeof traits.series === 'number') {
+        parts.push(`list of ${traits.series}`);
+    } else if (traits.series) {
+        parts.push(`list of ${formatRange(traits.series.minimum, traits.series.maximum)}`);
+    }
+    if (traits.extensible) {
+        parts.push('extensible');
+    }
+    return parts.join(', ');
+}
+
+/**
+ * HTML transformer class that converts BACnet definitions to a static documentation site.
+ * Implements the transformer interface required by the traverser engine.
+ */
+export class HtmlTransformer {
+
+    /**
+     * Creates a new HtmlTransformer instance.
+     *
+     * @param {Object} [options={}] - Configuration options
+     * @param {string} [options.outputDirectory='html'] - Directory for the generated site
+     * @param {string} [options.title='BACnet Type Definitions'] - Title of the site
+     * @param {DefinitionRegistry} [options.registry] - Registry used to resolve type references,
+     *        must match the registry passed to traverseDefinitions
+     */
+    constructor(options = {}) {
+        this.outputDirectory = options.outputDirectory || 'html';
+        this.title = options.title || 'BACnet Type Definitions';
+        this.registry = options.registry ?? bundledRegistry;
+
+        // Definition name -> { definition, traits } of the pages to render
+        this.pages = new Map();
+
+        // Frames of the definitions, traits and items currently being processed
+        this.stack = [];
+
+        this.statistics = {
+            definitions: 0,   // Pages written
+            items: 0          // Fields, options, bits and values processed
+        };
+    }
+
+    /**
+     * Returns the file name of the page of a definition.
+     *
+     * @param {Object} definition - The definition
+     * @returns {string} File name like "read-property-request.html"
+     */
+    fileNameOf(definition) {
+        return `${definition.name}.html`;
+    }
+
+    /**
+     * Handler invoked when starting to process a definition.
+     */
+    startDefinition(context) {
+        this.stack.push({ context, traits: null });
+    }
+
+    /**
+     * Handler invoked when finishing a definition. Keeps its model for rendering.
+     */
+    endDefinition(context) {
+        const frame = this.stack.pop();
+        this.pages.set(context.definition.name, { definition: context.definition, traits: frame.traits });
+    }
+
+    /**
+     * Handler invoked when starting to process traits.
+     */
+    startTraits(context) {
+        const primitive = this.registry.resolveBase(context.traits).primitive;
+        this.stack.push({ context, traits: context.traits, primitive, members: [] });
+    }
+
+    /**
+     * Handler invoked when finishing traits. Hands the traits model to the enclosing
+     * item or definition.
+     */
+    endTraits(context) {
+        const { traits, primitive, members } = this.stack.pop();
+        this.stack.at(-1).traits = { traits, primitive, members };
+    }
+
+    /**
+     * Handler invoked when starting to process an item (field, option, bit, value).
+     */
+    startItem(context) {
+        this.statistics.items++;
+        this.stack.push({ context, traits: null });
+    }
+
+    /**
+     * Handler invoked when finishing an item. Adds the item to the enclosing traits.
+     */
+    endItem(context) {
+        const frame = this.stack.pop();
+        this.stack.at(-1).members.push({ item: context.item, traits: frame.traits, anchor: this.#anchorOf(context) });
+    }
+
+    /**
+     * Optional lifecycle hook invoked after all definitions have been processed.
+     * Renders the pages, the index with the search and writes the site.
+     *
+     * @param {Object} result - Processing result from traverser
+     * @returns {Promise<void>}
+     */
+    async afterProcessing(result) {
+        console.log(`Total definitions: ${result.totalCount}`);
+        console.log(`Processed:         ${result.processedCount}`);
+        console.log(`Errors:            ${result.errorCount}`);
+        console.log('----------------------------------------');
+
+        const usages = this.#collectUsages();
+        const files = new Map([
+            ['style.css', STYLE],
+            ['search.js', SEARCH_SCRIPT],
+            ['search-index.js', `const SEARCH_INDEX = ${JSON.stringify(this.#buildSearchIndex())};\n`],
+            ['index.html', this.#renderIndex()]
+        ]);
+        for (const page of this.pages.values()) {
+            files.set(this.fileNameOf(page.definition), this.#renderPage(page, usages.get(page.definition.name)));
+            this.statistics.definitions++;
+        }
+
+        await fs.mkdir(this.outputDirectory, { recursive: true });
+        for (const [fileName, content] of files) {
+            await fs.writeFile(path.join(this.outputDirectory, fileName), content, 'utf8');
+        }
+        console.log(`${files.size} files written to: ${this.outputDirectory}`);
+    }
+
+    /**
+     * Anchor of an item within its page: the item names below the definition, e.g.
+     * "list-of-results.read-result".
+     */
+    #anchorOf(context) {
+        return context.fullname.split('.').slice(1).join('.');
+    }
+
+    /**
+     * Builds the reverse index: definition name -> names of the pages referencing it.
+     */
+    #collectUsages() {
+        const usages = new Map();
+        for (const { definition } of this.pages.values()) {
+            for (const reference of referencesOf(definition)) {
+                const name = this.registry.get(reference)?.name;
+                if (name && name !== definition.name) {
+                    usages.set(name, [...(usages.get(name) ?? []), definition]);
+                }
+            }
+        }
+        return usages;
+    }
+
+    #buildSearchIndex() {
+        const entries = [];
+        for (const { definition, traits } of this.pages.values()) {
+            const alias = definition.alias ?? definition.name;
+            const href = this.fileNameOf(definition);
+            entries.push({ label: alias, detail: definition.name, href, terms: [definition.name, alias].map(term => term.toLowerCase()) });
+
+            const addItems = model => {
+                for (const { item, traits: nested, anchor } of model?.members ?? []) {
+                    const constant = item.constant ?? item.position;
+                    entries.push({
+                        label: item.name,
+                        detail: `${constant !== undefined ? `(${constant}) ` : ''}in ${alias}`,
+                        href: `${href}#${encodeURIComponent(anchor)}`,
+                        terms: [item.name, ...(constant !== undefined ? [String(constant)] : [])].map(term => term.toLowerCase())
+                    });
+                    addItems(nested);
+                }
+            };
+            addItems(traits);
+        }
+        return entries;
+    }
+
+    #renderDocument(title, body, script = '') {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="style.css">
+</head>
+<body>
+<nav><a href="index.html">${escapeHtml(this.title)}</a></nav>
+<main>
+${body}
+</main>
+${script}</body>
+</html>
+`;
+    }
+
+    #renderIndex() {
+        const rows = [...this.pages.values()]
+            .sort((first, second) => first.definition.name.localeCompare(second.definition.name))
+            .map(({ definition }) => `<tr><td>${this.#renderLink(definition.name)}</td><td><code>${escapeHtml(definition.name)}</code></td>`
+                + `<td>${escapeHtml(definition.description ?? '')}</td></tr>`);
+
+        const body = `<h1>${escapeHtml(this.title)}</h1>
+<p><input id="search" type="search" placeholder="Search names, aliases and constants" autofocus></p>
+<ul id="results"></ul>
+<h2>All definitions</h2>
+<table>
+<tr><th>Type</th><th>Name</th><th>Description</th></tr>
+${rows.join('\n')}
+</table>`;
+        return this.#renderDocument(this.title, body, '<script src="search-index.js"></script>\n<script src="search.js"></script>\n');
+    }
+
+    #renderPage({ definition, traits }, usages = []) {
+        const alias = definition.alias ?? definition.name;
+        const parts = [`<h1>${escapeHtml(alias)}</h1>`, `<p><code>${escapeHtml(definition.name)}</code></p>`];
+        if (definition.description) {
+            parts.push(`<p>${escapeHtml(definition.description)}</p>`);
+        }
+
+        parts.push('<h2>Type</h2>');
+        if (Object.hasOwn(definition, 'primitive')) {
+            parts.push(definition.primitive >= 0
+                ? `<p>Primitive type with application tag ${definition.primitive}.</p>`
+                : `<p>${PRIMITIVE_KINDS[definition.primitive] ?? 'Primitive type'}.</p>`);
+        } else if (traits) {
+            parts.push(this.#renderTraits(traits));
+        } else {
+            parts.push(`<p>Same as ${this.#renderLink(definition.type)}.</p>`);
+        }
+
+        if (usages.length) {
+            const links = usages
+                .sort((first, second) => first.name.localeCompare(second.name))
+                .map(user => `<li>${this.#renderLink(user.name)}</li>`);
+            parts.push('<h2>Used by</h2>', `<ul>\n${links.join('\n')}\n</ul>`);
+        }
+
+        return this.#renderDocument(`${alias} - ${this.title}`, parts.join('\n'));
+    }
+
+    /**
+     * Renders the base with the restrictions of traits, followed by the table of items.
+     */
+    #renderTraits(model) {
+        const { traits, primitive, members } = model;
+        const restrictions = describeRestrictions(traits);
+        const parts = [`<p>${this.#renderLink(traits.base)}${restrictions ? ` <span class="restrictions">(${escapeHtml(restrictions)})</span>` : ''}</p>`];
+
+        if (members.length) {
+            parts.push(this.#renderItems(primitive, members));
+        }
+        if (primitive === PRIMITIVE_ENUMERATED && traits.proprietary) {
+            const ranges = [traits.proprietary].flat().map(range => `<tr><td>${escapeHtml(range.from)}</td><td>${escapeHtml(range.to)}</td></tr>`);
+            parts.push('<p>Proprietary ranges:</p>', `<table>\n<tr><th>From</th><th>To</th></tr>\n${ranges.join('\n')}\n</table>`);
+        }
+        return parts.join('\n');
+    }
+
+    #renderItems(primitive, members) {
+        const described = ({ item }) => `<td>${escapeHtml(item.description ?? '')}</td>`;
+        const named = ({ item, anchor }) => `<td id="${escapeHtml(anchor)}"><code>${escapeHtml(item.name)}</code>`
+            + `${item.optional ? ' <span class="optional">optional</span>' : ''}</td>`;
+
+        let header;
+        let rows;
+        if (primitive === PRIMITIVE_ENUMERATED) {
+            header = '<th>Value</th><th>Constant</th><th>Description</th>';
+            rows = members.map(member => named(member) + `<td>${escapeHtml(member.item.constant)}</td>` + described(member));
+        } else if (primitive === PRIMITIVE_BIT_STRING) {
+            header = '<th>Bit</th><th>Position</th><th>Description</th>';
+            rows = members.map(member => named(member) + `<td>${escapeHtml(member.item.position)}</td>` + described(member));
+        } else {
+            header = `<th>${primitive === PRIMITIVE_CHOICE ? 'Option' : 'Field'}</th><th>Context</th><th>Type</th><th>Description</th>`;
+            rows = members.map(member => named(member) + `<td>${escapeHtml(member.item.context ?? '')}</td>`
+                + `<td>${this.#renderItemType(member)}</td>` + described(member));
+        }
+        return `<table>\n<tr>${header}</tr>\n${rows.map(row => `<tr>${row}</tr>`).join('\n')}\n</table>`;
+    }
+
+    #renderItemType({ item, traits }) {
+        if (traits) {
+            return `<div class="nested">${this.#renderTraits(traits)}</div>`;
+        }
+        return typeof item.type === 'string' ? this.#renderLink(item.type) : '';
+    }
+
+    /**
+     * Renders a type reference, linked if the referenced definition has a page.
+     */
+    #renderLink(reference) {
+        const definition = this.registry.get(reference);
+        const label = escapeHtml(definition?.alias ?? reference);
+        return definition && this.pages.has(definition.name)
+            ? `<a href="${escapeHtml(this.fileNameOf(definition))}">${label}</a>`
+            : label;
+    }
+}
@@ -3,3 +3,14 @@
 
 export { parseInstanceText, parseInstanceFile } from './instance-text.js';
 export { parseExampleText, parseExampleFile } from './example-parser.js';
+export { parseAsn1Text, parseAsn1File, writeDefinitionFiles } from './asn1-importer.js';
+export { encode, decode, validateValue, readTag, CodecError } from './codec.js';
+export { traceDecode, formatDecodeTrace } from './decode-trace.js';
+export { generateValue } from './value-generator.js';
+export { generateSamples, formatSampleFile } from './sample-generator.js';
+export { DefinitionRegistry } from './definition-registry.js';
+export { checkDefinitions } from './check-definitions.js';
+export { diffDefinitions } from './definition-diff.js';
+export { resolveConstraints } from './constraints.js';
+export { selectDefinitions, referencesOf } from './definition-selection.js';
+export { DiagnosticError, formatDiagnostic } from './diagnostics.js';
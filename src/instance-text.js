@@ -4,13 +4,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 
-const HEX_PATTERN = /^[0-9a-fA-F]+$/;
-
-function ensureObject(value, message) {
-	if (!value || typeof value !== 'object' || Array.isArray(value)) {
-		throw new Error(message);
-	}
-}
+import { ensureObject, parseHexToBytes } from './hex-text.js';
 
 function validateEnvelope(instance, sourceLabel) {
 	ensureObject(instance, `Invalid instance JSON in ${sourceLabel}: top-level must be an object`);
@@ -34,23 +28,6 @@ function validateDataEntry(entry, sourceLabel, index) {
 	}
 }
 
-function parseHexToBytes(hex, sourceLabel, index) {
-	if (!HEX_PATTERN.test(hex)) {
-		throw new Error(`Invalid hex string in ${sourceLabel} at index ${index}: \"${hex}\" contains non-hex characters`);
-	}
-
-	if ((hex.length % 2) !== 0) {
-		throw new Error(`Invalid hex string in ${sourceLabel} at index ${index}: \"${hex}\" has odd length`);
-	}
-
-	const bytes = [];
-	for (let i = 0; i < hex.length; i += 2) {
-		bytes.push(Number.parseInt(hex.slice(i, i + 2), 16));
-	}
-
-	return bytes;
-}
-
 async function readIncludeFile(includeRef, currentDir) {
 	const trimmed = includeRef.trim();
 	if (!trimmed) {
@@ -119,7 +96,7 @@ async function expandDataEntries(instance, sourceFilePath, includeStack) {
 			continue;
 		}
 
-		expandedBytes.push(...parseHexToBytes(entry, sourceLabel, i));
+		expandedBytes.push(...parseHexToBytes(entry, sourceLabel, `index ${i}`));
 	}
 
 	return expandedBytes;
@@ -0,0 +1,485 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module json-schema-transformer
+ *
+ * JSON Schema (2020-12) transformer for values of BACnet type definitions.
+ *
+ * The schemas in `schemas/` describe the definition files; this transformer emits one
+ * schema per definition describing its values instead, so tools without access to the
+ * codec module can validate them. The schemas follow the value model of the codec
+ * module in its JSON form, i.e. as printed by the `decode` command of the CLI:
+ * - integers beyond Number.MAX_SAFE_INTEGER (bigint) are decimal strings, their pattern
+ *   admits the magnitudes up to the range ends, e.g. 0..18446744073709551615 of `unsigned-64`
+ * - the non-finite real and double values are the strings 'NaN', 'Infinity' and '-Infinity'
+ * - octet-strings and the `bytes` of character-strings are hex strings
+ * - enumerations are the names of their values, extensible enumerations and those with
+ *   `proprietary` ranges additionally accept the plain constant
+ * - bit-strings with named bits are objects of boolean flags, others boolean arrays
+ * - sequences are objects, `optional` fields are not required and unknown fields rejected
+ * - choices are `oneOf` single-key objects named by the option
+ * - `series` are arrays bounded by `minItems`/`maxItems`
+ * - `minimum`/`maximum` and `length` restrictions become numeric and length bounds
+ *
+ * References between definitions become relative `$ref`s to `<name>.schema.json`, which
+ * resolve against the `$id` of the referencing schema. Rules the definitions cannot
+ * express (e.g. the wildcards of `date` or existing days of a month) are left to the
+ * codec module.
+ *
+ * Usage:
+ * ```javascript
+ * import { JsonSchemaTransformer } from './json-schema-transformer.js';
+ * import { traverseDefinitions } from './traverse.js';
+ *
+ * const transformer = new JsonSchemaTransformer({
+ *   outputDirectory: 'value-schemas',
+ *   baseUri: 'https://example.com/bacnet/'
+ * });
+ *
+ * await traverseDefinitions(transformer);
+ * ```
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import { resolveConstraints } from './constraints.js';
+import { SAFE_INTEGER_MAXIMUM, SAFE_INTEGER_MINIMUM } from './limit.js';
+import {
+    MAX_OBJECT_INSTANCE, MAX_OBJECT_TYPE, PRIMITIVE_ANY, PRIMITIVE_BIT_STRING, PRIMITIVE_BOOLEAN,
+    PRIMITIVE_CHARACTER_STRING, PRIMITIVE_CHOICE, PRIMITIVE_DATE, PRIMITIVE_DOUBLE,
+    PRIMITIVE_ENUMERATED, PRIMITIVE_INTEGER, PRIMITIVE_NULL, PRIMITIVE_OBJECT_IDENTIFIER,
+    PRIMITIVE_OCTET_STRING, PRIMITIVE_REAL, PRIMITIVE_TIME, PRIMITIVE_UNSIGNED
+} from './primitives.js';
+import { registry as bundledRegistry } from './traverse.js';
+
+const SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+const HEX_PATTERN = '^([0-9A-Fa-f]{2})*$';
+
+const NON_FINITE_NUMBERS = ['NaN', 'Infinity', '-Infinity'];
+
+/**
+ * Returns the length bounds of a schema keyword pair, e.g. minLength/maxLength,
+ * omitting the bounds that do not restrict anything.
+ */
+function lengthBounds(length, minimumKey, maximumKey, factor = 1) {
+    const bounds = {};
+    if (length?.minimum) {
+        bounds[minimumKey] = length.minimum * factor;
+    }
+    if (length && length.maximum !== null && length.maximum !== undefined) {
+        bounds[maximumKey] = length.maximum * factor;
+    }
+    return bounds;
+}
+
+function hexString(length) {
+    return { type: 'string', pattern: HEX_PATTERN, ...lengthBounds(length, 'minLength', 'maxLength', 2) };
+}
+
+function digitRange(first, last) {
+    return first === last ? String(first) : `[${first}-${last}]`;
+}
+
+/**
+ * Returns a regular expression alternation of the decimals 0..limit without leading zeros,
+ * i.e. the shorter decimals followed by those of the length of the limit and below it.
+ */
+function decimalAlternation(limit) {
+    const digits = String(limit);
+    const alternatives = ['0'];
+    if (digits.length > 1) {
+        alternatives.push(digits.length > 2 ? `[1-9][0-9]{0,${digits.length - 2}}` : '[1-9]');
+    }
+    for (let index = 0; index < digits.length; index++) {
+        const first = index === 0 ? 1 : 0;
+        const digit = Number(digits[index]);
+        if (digit > first) {
+            const rest = digits.length - index - 1;
+            alternatives.push(`${digits.slice(0, index)}${digitRange(first, digit - 1)}${'[0-9]'.repeat(Math.min(rest, 1))}${rest > 1 ? `{${rest}}` : ''}`);
+        }
+    }
+    if (limit > 0n) {
+        alternatives.push(digits);
+    }
+    return alternatives.join('|');
+}
+
+function nullableInteger(minimum, maximum) {
+    return { type: ['integer', 'null'], minimum, maximum };
+}
+
+/**
+ * JSON Schema transformer class that converts BACnet definitions to value schemas.
+ * Implements the transformer interface required by the traverser engine.
+ */
+export class JsonSchemaTransformer {
+
+    /**
+     * Creates a new JsonSchemaTransformer instance.
+     *
+     * @param {Object} [options={}] - Configuration options
+     * @param {string} [options.outputDirectory='json-schema'] - Directory for the generated files
+     * @param {string} [options.baseUri='https://baclib.github.io/schemas/values/'] - URI the
+     *        `$id` of each schema is based on, must end with a slash
+     * @param {number} [options.indentSize=4] - Number of spaces per indentation level
+     * @param {DefinitionRegistry} [options.registry] - Registry used to resolve type references,
+     *        must match the registry passed to traverseDefinitions
+     */
+    constructor(options = {}) {
+        this.outputDirectory = options.outputDirectory || 'json-schema';
+        this.baseUri = options.baseUri ?? 'https://baclib.github.io/schemas/values/';
+        this.indentSize = options.indentSize || 4;
+        this.registry = options.registry ?? bundledRegistry;
+
+        if (!this.baseUri.endsWith('/')) {
+            throw new Error(`The base URI '${this.baseUri}' must end with a slash`);
+        }
+
+        // File name -> schema
+        this.files = new Map();
+
+        // Frames of the definitions, traits and items currently being processed
+        this.stack = [];
+
+        this.statistics = {
+            definitions: 0,   // Schemas emitted
+            items: 0          // Fields, options, bits and values processed
+        };
+    }
+
+    /**
+     * Returns the file name of the schema of a definition.
+     *
+     * @param {Object} definition - The definition
+     * @returns {string} File name like "read-property-request.schema.json"
+     */
+    fileNameOf(definition) {
+        return `${definition.name}.schema.json`;
+    }
+
+    /**
+     * Handler invoked when starting to process a definition.
+     */
+    startDefinition(context) {
+        this.stack.push({ context, traits: null });
+    }
+
+    /**
+     * Handler invoked when finishing a definition. Emits its schema.
+     */
+    endDefinition(context) {
+        const frame = this.stack.pop();
+        const definition = context.definition;
+        const fileName = this.fileNameOf(definition);
+
+        let schema;
+        if (context.isPrimitive) {
+            schema = this.#schemaOfPrimitive(definition);
+        } else if (frame.traits) {
+            schema = frame.traits.schema;
+        } else {
+            schema = this.#reference(definition.type);
+        }
+
+        this.statistics.definitions++;
+        this.files.set(fileName, {
+            $schema: SCHEMA_DIALECT,
+            $id: this.baseUri + fileName,
+            title: definition.alias ?? definition.name,
+            ...(definition.description ? { description: definition.description } : {}),
+            ...schema
+        });
+    }
+
+    /**
+     * Handler invoked when starting to process traits. Collects the members of the
+     * traits until endTraits builds their schema.
+     */
+    startTraits(context) {
+        const primitive = this.registry.resolveBase(context.traits).primitive;
+        this.stack.push({ context, primitive, members: [] });
+    }
+
+    /**
+     * Handler invoked when finishing traits. Hands the schema of the traits to the
+     * enclosing item or definition.
+     */
+    endTraits(context) {
+        const frame = this.stack.pop();
+        this.stack.at(-1).traits = { schema: this.#schemaOfTraits(frame) };
+    }
+
+    /**
+     * Handler invoked when starting to process an item (field, option, bit, value).
+     */
+    startItem(context) {
+        this.statistics.items++;
+        this.stack.push({ context, traits: null });
+    }
+
+    /**
+     * Handler invoked when finishing an item. Adds the item with its schema to the
+     * enclosing traits.
+     */
+    endItem(context) {
+        const frame = this.stack.pop();
+        const item = context.item;
+
+        let schema;
+        if (frame.traits) {
+            schema = frame.traits.schema;
+        } else if (item.type !== undefined) {
+            schema = this.#reference(item.type);
+        }
+        if (schema && item.description) {
+            schema = { description: item.description, ...schema };
+        }
+
+        this.stack.at(-1).members.push({ item, schema });
+    }
+
+    /**
+     * Optional lifecycle hook invoked after all definitions have been processed.
+     * Writes one schema file per definition to the output directory.
+     *
+     * @param {Object} result - Processing result from traverser
+     * @returns {Promise<void>}
+     */
+    async afterProcessing(result) {
+        console.log(`Total definitions: ${result.totalCount}`);
+        console.log(`Processed:         ${result.processedCount}`);
+        console.log(`Errors:            ${result.errorCount}`);
+        console.log('----------------------------------------');
+
+        await fs.mkdir(this.outputDirectory, { recursive: true });
+        for (const [fileName, schema] of this.files) {
+            const text = JSON.stringify(schema, null, this.indentSize) + '\n';
+            await fs.writeFile(path.join(this.outputDirectory, fileName), text, 'utf8');
+        }
+        console.log(`${this.files.size} files written to: ${this.outputDirectory}`);
+    }
+
+    #reference(type) {
+        return { $ref: this.fileNameOf(this.registry.require(type)) };
+    }
+
+    #schemaOfPrimitive(definition) {
+        const primitive = definition.primitive;
+        switch (primitive) {
+            case PRIMITIVE_NULL:
+                return { type: 'null' };
+            case PRIMITIVE_BOOLEAN:
+                return { type: 'boolean' };
+            case PRIMITIVE_UNSIGNED:
+            case PRIMITIVE_INTEGER:
+            case PRIMITIVE_REAL:
+            case PRIMITIVE_DOUBLE:
+            case PRIMITIVE_OCTET_STRING:
+            case PRIMITIVE_CHARACTER_STRING:
+            case PRIMITIVE_BIT_STRING:
+                return this.#schemaOfConstrained(primitive, definition.name);
+            case PRIMITIVE_ENUMERATED: {
+                const { range } = resolveConstraints(definition.name, { registry: this.registry });
+                return { anyOf: [{ type: 'string' }, this.#integerSchema(range, false)] };
+            }
+            case PRIMITIVE_DATE:
+                return {
+                    type: 'object',
+                    properties: {
+                        year: nullableInteger(1900, 2154),
+                        month: nullableInteger(1, 14),
+                        day: nullableInteger(1, 34),
+                        'day-of-week': nullableInteger(1, 7)
+                    },
+                    additionalProperties: false
+                };
+            case PRIMITIVE_TIME:
+                return {
+                    type: 'object',
+                    properties: {
+                        hour: nullableInteger(0, 23),
+                        minute: nullableInteger(0, 59),
+                        second: nullableInteger(0, 59),
+                        hundredths: nullableInteger(0, 99)
+                    },
+                    additionalProperties: false
+                };
+            case PRIMITIVE_OBJECT_IDENTIFIER: {
+                const objectType = { type: 'integer', minimum: 0, maximum: MAX_OBJECT_TYPE };
+                return {
+                    type: 'object',
+                    required: ['object-type', 'instance'],
+                    properties: {
+                        'object-type': this.registry.has('object-type')
+                            ? { anyOf: [this.#reference('object-type'), objectType] }
+                            : objectType,
+                        instance: { type: 'integer', minimum: 0, maximum: MAX_OBJECT_INSTANCE }
+                    },
+                    additionalProperties: false
+                };
+            }
+            case PRIMITIVE_ANY:
+                return {
+                    type: 'array',
+                    items: {
+                        anyOf: [
+                            { type: 'object', required: ['type', 'value'], properties: { type: { type: 'string' }, value: true } },
+                            { type: 'object', required: ['context', 'value'], properties: { context: { type: 'integer', minimum: 0 }, value: hexString(null) } },
+                            { type: 'object', required: ['context', 'items'], properties: { context: { type: 'integer', minimum: 0 }, items: { $ref: '#' } } }
+                        ]
+                    }
+                };
+            default:
+                // choice and sequence
+                return { type: 'object' };
+        }
+    }
+
+    /**
+     * Builds the schema of traits, including the series array.
+     */
+    #schemaOfTraits(frame) {
+        const traits = frame.context.traits;
+        let schema;
+
+        if (!frame.members.length) {
+            schema = this.#schemaOfConstrained(frame.primitive, traits);
+        } else if (frame.primitive === PRIMITIVE_ENUMERATED) {
+            schema = this.#schemaOfEnumeration(frame);
+        } else if (frame.primitive === PRIMITIVE_BIT_STRING) {
+            const properties = Object.fromEntries(frame.members.map(({ item }) =>
+                [item.name, item.description ? { type: 'boolean', description: item.description } : { type: 'boolean' }]));
+            schema = { type: 'object', properties, patternProperties: { '^[0-9]+$': { type: 'boolean' } }, additionalProperties: false };
+        } else if (frame.primitive === PRIMITIVE_CHOICE) {
+            schema = {
+                oneOf: frame.members.map(({ item, schema }) => ({
+                    type: 'object',
+                    required: [item.name],
+                    properties: { [item.name]: schema },
+                    additionalProperties: false
+                }))
+            };
+        } else {
+            // Sequences
+            const required = frame.members.filter(({ item }) => !item.optional).map(({ item }) => item.name);
+            schema = {
+                type: 'object',
+                ...(required.length ? { required } : {}),
+                properties: Object.fromEntries(frame.members.map(({ item, schema }) => [item.name, schema])),
+                additionalProperties: false
+            };
+        }
+
+        if (!traits.series) {
+            return schema;
+        }
+        const { series } = resolveConstraints(traits, { registry: this.registry });
+        return { type: 'array', items: schema, ...lengthBounds(series, 'minItems', 'maxItems') };
+    }
+
+    /**
+     * Builds the schema of an enumeration: its value names, plus the constants of the
+     * extensible range and the proprietary ranges.
+     */
+    #schemaOfEnumeration(frame) {
+        const traits = frame.context.traits;
+        const names = { enum: frame.members.map(({ item }) => item.name) };
+        const constants = [];
+        if (traits.extensible) {
+            const { range } = resolveConstraints(traits, { registry: this.registry });
+            constants.push(this.#integerSchema(range, false));
+        } else {
+            for (const range of [traits.proprietary ?? []].flat()) {
+                constants.push(this.#integerSchema({ minimum: BigInt(range.from), maximum: BigInt(range.to) }, false));
+            }
+        }
+        return constants.length ? { anyOf: [names, ...constants] } : names;
+    }
+
+    /**
+     * Builds the schema of a numeric or string subject (type name or traits without
+     * items) with the effective bounds of its whole reference chain. Subjects of other
+     * bases reference their base.
+     */
+    #schemaOfConstrained(primitive, subject) {
+        const constraints = () => resolveConstraints(subject, { registry: this.registry });
+        switch (primitive) {
+            case PRIMITIVE_UNSIGNED:
+            case PRIMITIVE_INTEGER:
+                return this.#integerSchema(constraints().range, primitive === PRIMITIVE_INTEGER);
+            case PRIMITIVE_REAL:
+            case PRIMITIVE_DOUBLE: {
+                // Like the codec, only floats without explicit restrictions admit the non-finite values
+                const { range } = constraints();
+                const number = { type: 'number', minimum: range.minimum, maximum: range.maximum };
+                const chain = this.registry.resolveBase(subject).traits;
+                if (!chain.some(entry => entry.minimum !== undefined || entry.maximum !== undefined)) {
+                    return { anyOf: [number, { enum: NON_FINITE_NUMBERS }] };
+                }
+                return number;
+            }
+            case PRIMITIVE_OCTET_STRING:
+                return hexString(constraints().length);
+            case PRIMITIVE_CHARACTER_STRING:
+                return this.#characterStringSchema(constraints().length);
+            case PRIMITIVE_BIT_STRING:
+                return { type: 'array', items: { type: 'boolean' }, ...lengthBounds(constraints().length, 'minItems', 'maxItems') };
+            default:
+                return this.#reference(subject.base);
+        }
+    }
+
+    /**
+     * Integers are numbers within the safe range and decimal strings beyond it.
+     */
+    #integerSchema(range, signed) {
+        const clamp = value => (value > SAFE_INTEGER_MAXIMUM ? SAFE_INTEGER_MAXIMUM : value < SAFE_INTEGER_MINIMUM ? SAFE_INTEGER_MINIMUM : value);
+        const number = { type: 'integer', minimum: Number(clamp(range.minimum)), maximum: Number(clamp(range.maximum)) };
+        if (range.minimum >= SAFE_INTEGER_MINIMUM && range.maximum <= SAFE_INTEGER_MAXIMUM) {
+            return number;
+        }
+        // A pattern cannot compare numbers, but it can bound the magnitude digit by digit
+        const alternatives = [];
+        if (range.maximum >= 0n) {
+            alternatives.push(decimalAlternation(range.maximum));
+        }
+        if (signed && range.minimum < 0n) {
+            alternatives.push(`-(?!0$)(?:${decimalAlternation(-range.minimum)})`);
+        }
+        return { anyOf: [number, { type: 'string', pattern: `^(?:${alternatives.join('|')})$` }] };
+    }
+
+    #characterStringSchema(length) {
+        const text = { type: 'string', ...lengthBounds(length, 'minLength', 'maxLength') };
+        return {
+            anyOf: [
+                text,
+                {
+                    type: 'object',
+                    required: ['character-set', 'text'],
+                    properties: { 'character-set': { enum: ['utf-8', 'ucs-4', 'ucs-2', 'iso-8859-1'] }, text },
+                    additionalProperties: false
+                },
+                {
+                    type: 'object',
+                    required: ['character-set', 'code-page', 'bytes'],
+                    properties: {
+                        'character-set': { const: 'dbcs' },
+                        'code-page': { type: 'integer', minimum: 0, maximum: 0xFFFF },
+                        bytes: hexString(null)
+                    },
+                    additionalProperties: false
+                },
+                {
+                    type: 'object',
+                    required: ['character-set', 'bytes'],
+                    properties: { 'character-set': { const: 'jis-x-0208' }, bytes: hexString(null) },
+                    additionalProperties: false
+                }
+            ]
+        };
+    }
+}
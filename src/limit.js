@@ -35,6 +35,10 @@ export const REAL_MAXIMUM_VALUE = 3.4028234663852886e38;
 export const DOUBLE_MINIMUM_VALUE = -Number.MAX_VALUE;
 export const DOUBLE_MAXIMUM_VALUE = Number.MAX_VALUE;
 
+// Integers beyond these limits are represented as bigint values
+export const SAFE_INTEGER_MINIMUM = BigInt(Number.MIN_SAFE_INTEGER);
+export const SAFE_INTEGER_MAXIMUM = BigInt(Number.MAX_SAFE_INTEGER);
+
 const defaultLimits = {
     unsigned: {
         isInteger: true,
@@ -63,6 +67,10 @@ const defaultLimits = {
     }
 }
 
+export function getDefaultLimit(base) {
+    return defaultLimits[base];
+}
+
 export function getLimitValue(type, name) {
     const defaultLimit = defaultLimits[type.base];
     const limit = type[name];
@@ -70,7 +78,10 @@ export function getLimitValue(type, name) {
         return defaultLimit[name];
     }
     if (defaultLimit.isInteger) {
-        return BigInt(limit);
+        if (typeof limit === 'bigint' || (typeof limit === 'number' && Number.isInteger(limit)) || /^-?[0-9]+$/.test(limit)) {
+            return BigInt(limit);
+        }
+        throw new SyntaxError(`Invalid integer value: '${limit}'`);
     }
     const number = Number(limit);
     if (String(limit).trim() === '' || !Number.isFinite(Number(limit))) {
@@ -0,0 +1,101 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module naming
+ *
+ * Identifier conventions shared by the code generators.
+ *
+ * Definition names are kebab-case (e.g. "analog-input") and aliases follow the ASN.1
+ * notation of the standard (e.g. "BACnet-Abort-PDU"). Both are split at every
+ * non-alphanumeric character and joined in the casing of the target language.
+ */
+
+function splitWords(name) {
+    return name.split(/[^A-Za-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Converts a definition or item name into a PascalCase identifier,
+ * e.g. "BACnet-Abort-PDU" -> "BACnetAbortPDU", "analog-input" -> "AnalogInput".
+ * Identifiers that would start with a digit are prefixed with an underscore.
+ *
+ * @param {string} name - Name or alias
+ * @returns {string} The identifier
+ */
+export function toPascalCase(name) {
+    const identifier = splitWords(name)
+        .map(word => word[0].toUpperCase() + word.slice(1))
+        .join('');
+    return /^[0-9]/.test(identifier) ? '_' + identifier : identifier;
+}
+
+/**
+ * Converts a name into a camelCase identifier, e.g. "property-array-index" -> "propertyArrayIndex",
+ * "BACnet-Abort-PDU" -> "bacnetAbortPDU".
+ * Identifiers that would start with a digit are prefixed with an underscore.
+ *
+ * @param {string} name - Name or alias
+ * @returns {string} The identifier
+ */
+export function toCamelCase(name) {
+    const identifier = splitWords(name)
+        .map((word, index) => (index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1)))
+        .join('');
+    return /^[0-9]/.test(identifier) ? '_' + identifier : identifier;
+}
+
+/**
+ * Converts a name into a snake_case identifier, e.g. "property-array-index" ->
+ * "property_array_index".
+ * Identifiers that would start with a digit are prefixed with an underscore.
+ *
+ * @param {string} name - Name or alias
+ * @returns {string} The identifier
+ */
+export function toSnakeCase(name) {
+    const identifier = splitWords(name)
+        .map(word => word.toLowerCase())
+        .join('_');
+    return /^[0-9]/.test(identifier) ? '_' + identifier : identifier;
+}
+
+/**
+ * Converts a name into a SCREAMING_SNAKE_CASE identifier, e.g. "in-alarm" -> "IN_ALARM".
+ *
+ * @param {string} name - Name or alias
+ * @returns {string} The identifier
+ */
+export function toScreamingSnakeCase(name) {
+    return toSnakeCase(name).toUpperCase();
+}
+
+/**
+ * Converts a name into a lower-case kebab-case name, e.g. "BACnet-Abort-PDU" -> "bacnet-abort-pdu".
+ *
+ * @param {string} name - Name or alias
+ * @returns {string} The name
+ */
+export function toKebabCase(name) {
+    return splitWords(name)
+        .map(word => word.toLowerCase())
+        .join('-');
+}
+
+/**
+ * Derives a definition or item name from an ASN.1 identifier of the standard. The
+ * "BACnet" prefix of type references is dropped and the words are split at case
+ * changes and digits, e.g. "BACnet-Abort-PDU" -> "abort-pdu", "BACnetIPMode" ->
+ * "ip-mode", "Unsigned8" -> "unsigned-8", "propertyArrayIndex" -> "property-array-index".
+ *
+ * @param {string} identifier - ASN.1 type reference or identifier
+ * @returns {string} The kebab-case name
+ */
+export function toDefinitionName(identifier) {
+    return identifier
+        .replace(/^BACnet-?(?=[A-Za-z])/, '')
+        .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1-$2')
+        .replace(/([A-Za-z])([0-9])/g, '$1-$2')
+        .toLowerCase();
+}
@@ -0,0 +1,76 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module primitives
+ *
+ * Ids of the `primitive` property of definitions.
+ *
+ * The ids 0 to 12 are the application tag numbers of the primitive types (ANSI/ASHRAE 135,
+ * clause 20.2.1.4), the negative ids mark the constructed kinds any, choice and sequence.
+ * Also holds the encoding limits shared by the codec, the checks and the generators.
+ */
+
+export const PRIMITIVE_NULL = 0;
+export const PRIMITIVE_BOOLEAN = 1;
+export const PRIMITIVE_UNSIGNED = 2;
+export const PRIMITIVE_INTEGER = 3;
+export const PRIMITIVE_REAL = 4;
+export const PRIMITIVE_DOUBLE = 5;
+export const PRIMITIVE_OCTET_STRING = 6;
+export const PRIMITIVE_CHARACTER_STRING = 7;
+export const PRIMITIVE_BIT_STRING = 8;
+export const PRIMITIVE_ENUMERATED = 9;
+export const PRIMITIVE_DATE = 10;
+export const PRIMITIVE_TIME = 11;
+export const PRIMITIVE_OBJECT_IDENTIFIER = 12;
+
+export const PRIMITIVE_ANY = -1;
+export const PRIMITIVE_CHOICE = -2;
+export const PRIMITIVE_SEQUENCE = -3;
+
+// Base names of the primitives as used by limit.js and the constraints module
+export const PRIMITIVE_NAMES = {
+    [PRIMITIVE_NULL]: 'null',
+    [PRIMITIVE_BOOLEAN]: 'boolean',
+    [PRIMITIVE_UNSIGNED]: 'unsigned',
+    [PRIMITIVE_INTEGER]: 'integer',
+    [PRIMITIVE_REAL]: 'real',
+    [PRIMITIVE_DOUBLE]: 'double',
+    [PRIMITIVE_OCTET_STRING]: 'octet-string',
+    [PRIMITIVE_CHARACTER_STRING]: 'character-string',
+    [PRIMITIVE_BIT_STRING]: 'bit-string',
+    [PRIMITIVE_ENUMERATED]: 'enumerated',
+    [PRIMITIVE_DATE]: 'date',
+    [PRIMITIVE_TIME]: 'time',
+    [PRIMITIVE_OBJECT_IDENTIFIER]: 'object-identifier',
+    [PRIMITIVE_ANY]: 'any',
+    [PRIMITIVE_CHOICE]: 'choice',
+    [PRIMITIVE_SEQUENCE]: 'sequence'
+};
+
+// Base names of the primitives restricted by `minimum`/`maximum`, see intersectRange
+export const LIMIT_BASES = {
+    [PRIMITIVE_UNSIGNED]: 'unsigned',
+    [PRIMITIVE_INTEGER]: 'integer',
+    [PRIMITIVE_ENUMERATED]: 'enumerated',
+    [PRIMITIVE_REAL]: 'real',
+    [PRIMITIVE_DOUBLE]: 'double'
+};
+
+// Base names of the integer primitives, the integer part of LIMIT_BASES
+export const INTEGER_BASES = {
+    [PRIMITIVE_UNSIGNED]: 'unsigned',
+    [PRIMITIVE_INTEGER]: 'integer',
+    [PRIMITIVE_ENUMERATED]: 'enumerated'
+};
+
+// Tag number 255 is reserved for extensions (clause 20.2.1.2)
+export const MAX_TAG_NUMBER = 254;
+
+// Largest object type and instance number of an object identifier (clause 20.2.14)
+export const MAX_OBJECT_TYPE = 0x3FF;
+export const MAX_OBJECT_INSTANCE = 0x3FFFFF;
+
+// Octet of the unspecified fields of dates and times (clauses 20.2.12 and 20.2.13)
+export const WILDCARD = 0xFF;
@@ -6,62 +6,23 @@ import path from 'node:path';
 import util from 'node:util';
 import { fileURLToPath } from 'node:url';
 
-const INTEGER_BASES = new Set(['unsigned', 'integer', 'enumerated']);
-const FLOAT_BASES = new Set(['real', 'double']);
-const SUPPORTED_BASES = new Set([...INTEGER_BASES, ...FLOAT_BASES]);
+import { resolveConstraints } from './constraints.js';
+import {
+    INTEGER_64_MAXIMUM,
+    INTEGER_64_MINIMUM,
+    REAL_MAXIMUM_VALUE,
+    UNSIGNED_64_MAXIMUM
+} from './limit.js';
 
 // Fixed 64-bit integer boundaries.
-export const UINT64_MAX_VALUE = (1n << 64n) - 1n;
-export const INT64_MAX_VALUE = (1n << 63n) - 1n;
-export const INT64_MIN_VALUE = -(1n << 63n);
+export const UINT64_MAX_VALUE = UNSIGNED_64_MAXIMUM;
+export const INT64_MAX_VALUE = INTEGER_64_MAXIMUM;
+export const INT64_MIN_VALUE = INTEGER_64_MINIMUM;
 
 // IEEE 754 single-precision (32-bit) float max finite value.
-export const FLOAT32_MAX_VALUE = 3.4028234663852886e38;
+export const FLOAT32_MAX_VALUE = REAL_MAXIMUM_VALUE;
 
-const TYPE_LIMITS = {
-    unsigned: {
-        minimum: 0n,
-        maximum: UINT64_MAX_VALUE
-    },
-    integer: {
-        minimum: INT64_MIN_VALUE,
-        maximum: INT64_MAX_VALUE
-    },
-    enumerated: {
-        minimum: 0n,
-        maximum: UINT64_MAX_VALUE
-    },
-    real: {
-        minimum: -FLOAT32_MAX_VALUE,
-        maximum: FLOAT32_MAX_VALUE
-    },
-    double: {
-        minimum: -Number.MAX_VALUE,
-        maximum: Number.MAX_VALUE
-    }
-};
-
-function parseBigIntLike(value, fieldName) {
-    if (typeof value === 'number') {
-        if (!Number.isFinite(value) || !Number.isInteger(value)) {
-            throw new Error(`${fieldName} must be an integer number or integer string.`);
-        }
-        return BigInt(value);
-    }
-
-    if (typeof value === 'string' && /^-?[0-9]+$/.test(value)) {
-        return BigInt(value);
-    }
-
-    throw new Error(`${fieldName} must be an integer number or integer string.`);
-}
-
-function parseNumberLike(value, fieldName) {
-    if (typeof value !== 'number' || Number.isNaN(value)) {
-        throw new Error(`${fieldName} must be a number.`);
-    }
-    return value;
-}
+const SUPPORTED_BASES = ['unsigned', 'integer', 'enumerated', 'real', 'double'];
 
 function toTraitsObject(input) {
     if (!input || typeof input !== 'object') {
@@ -76,71 +37,29 @@ function toTraitsObject(input) {
     return input;
 }
 
+/**
+ * Resolves the numeric base and the effective range of a definition or traits object.
+ * References such as `{ "base": "unsigned-16" }` are followed, see resolveConstraints.
+ *
+ * @param {Object} input - Definition or traits object
+ * @returns {{base: string, minValue: bigint|number, maxValue: bigint|number}} The base and range
+ * @throws {Error} If the base is not numeric or the limits are invalid
+ */
 export function resolveNumericBaseType(input) {
     const traits = toTraitsObject(input);
-    const base = traits.base;
-
-    if (typeof base !== 'string' || !SUPPORTED_BASES.has(base)) {
-        throw new Error(`'${String(base)}' is not a supported bases of ${[...SUPPORTED_BASES].join(', ')}.`);
-    }
-
-    if (INTEGER_BASES.has(base)) {
-        const limits = TYPE_LIMITS[base];
-        const minValue = traits.minimum === undefined
-            ? limits.minimum
-            : parseBigIntLike(traits.minimum, 'minimum');
-        const maxValue = traits.maximum === undefined
-            ? limits.maximum
-            : parseBigIntLike(traits.maximum, 'maximum');
-
-        if ((base === 'unsigned' || base === 'enumerated') && minValue < 0n) {
-            throw new Error(`Base '${base}' requires minimum >= 0.`);
-        }
-
-        if (minValue < limits.minimum || maxValue > limits.maximum) {
-            throw new Error(
-                `Base '${base}' supports only the 64-bit range ${limits.minimum}..${limits.maximum}.`
-            );
-        }
-
-        if (minValue > maxValue) {
-            throw new Error('minimum must be <= maximum.');
-        }
-
-        return {
-            base,
-            minValue,
-            maxValue
-        };
-    }
-
-    const limits = TYPE_LIMITS[base];
-    const minValue = traits.minimum === undefined
-        ? limits.minimum
-        : parseNumberLike(traits.minimum, 'minimum');
-    const maxValue = traits.maximum === undefined
-        ? limits.maximum
-        : parseNumberLike(traits.maximum, 'maximum');
-
-    if (minValue < limits.minimum || maxValue > limits.maximum) {
-        if (base === 'real') {
-            throw new Error(
-                `Base 'real' supports only 32-bit float range ${limits.minimum}..${limits.maximum}.`
-            );
-        }
-        throw new Error(
-            `Base '${base}' supports only range ${limits.minimum}..${limits.maximum}.`
-        );
+    if (typeof traits.base !== 'string') {
+        throw new Error(`'${String(traits.base)}' is not a supported bases of ${SUPPORTED_BASES.join(', ')}.`);
     }
 
-    if (minValue > maxValue) {
-        throw new Error('minimum must be <= maximum.');
+    const { base, range } = resolveConstraints(traits);
+    if (!range) {
+        throw new Error(`'${traits.base}' is not a supported bases of ${SUPPORTED_BASES.join(', ')}.`);
     }
 
     return {
         base,
-        minValue,
-        maxValue
+        minValue: range.minimum,
+        maxValue: range.maximum
     };
 }
 
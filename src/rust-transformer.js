@@ -0,0 +1,469 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module rust-transformer
+ *
+ * Rust code generator transformer for BACnet type definitions.
+ *
+ * This transformer implements the standard transformer interface used by the traverser
+ * engine and emits one Rust module with a type per definition:
+ * - sequences become structs, `optional` fields `Option<T>` and `series` `Vec<T>`
+ * - choices become enums with one tuple variant per option
+ * - enumerations become `#[repr(u32)]` enums with conversions from and to `u32`;
+ *   `extensible` enumerations (or those with proprietary ranges) get an `Unknown(u32)`
+ *   variant for values without a name
+ * - bit-strings with named bits become bitflags-style newtypes with one constant per bit
+ * - references, primitives and constrained types become type aliases, integers use the
+ *   Rust type of the `storage` resolved by the constraints module
+ *
+ * Type names are the PascalCase form of the definition name (`read-property-request`
+ * -> `ReadPropertyRequest`), field names its snake_case form (`property_array_index`).
+ * Names colliding with Rust keywords use raw identifiers (`r#type`). Inline traits of
+ * fields and options become separate types prefixed with the name of the enclosing type.
+ * The generated module does not depend on any crate.
+ *
+ * Usage:
+ * ```javascript
+ * import { RustTransformer } from './rust-transformer.js';
+ * import { traverseDefinitions } from './traverse.js';
+ *
+ * const transformer = new RustTransformer({ outputPath: 'bacnet_types.rs' });
+ *
+ * await traverseDefinitions(transformer);
+ * ```
+ */
+
+import fs from 'fs/promises';
+
+import { resolveConstraints, storageTypeOf } from './constraints.js';
+import { toPascalCase, toScreamingSnakeCase, toSnakeCase } from './naming.js';
+import {
+    INTEGER_BASES, PRIMITIVE_ANY, PRIMITIVE_BIT_STRING, PRIMITIVE_BOOLEAN,
+    PRIMITIVE_CHARACTER_STRING, PRIMITIVE_CHOICE, PRIMITIVE_DATE, PRIMITIVE_DOUBLE,
+    PRIMITIVE_ENUMERATED, PRIMITIVE_NULL, PRIMITIVE_OBJECT_IDENTIFIER, PRIMITIVE_OCTET_STRING,
+    PRIMITIVE_REAL, PRIMITIVE_SEQUENCE, PRIMITIVE_TIME
+} from './primitives.js';
+import { registry as bundledRegistry } from './traverse.js';
+
+// Rust types of the integer storage types of the constraints module
+const STORAGE_TYPES = {
+    uint8: 'u8', uint16: 'u16', uint32: 'u32', uint64: 'u64',
+    int8: 'i8', int16: 'i16', int32: 'i32', int64: 'i64'
+};
+
+const KEYWORDS = new Set([
+    'as', 'break', 'const', 'continue', 'crate', 'else', 'enum', 'extern', 'false', 'fn', 'for', 'if', 'impl', 'in',
+    'let', 'loop', 'match', 'mod', 'move', 'mut', 'pub', 'ref', 'return', 'self', 'static', 'struct', 'super', 'trait',
+    'true', 'type', 'unsafe', 'use', 'where', 'while', 'async', 'await', 'dyn', 'abstract', 'become', 'box', 'do',
+    'final', 'macro', 'override', 'priv', 'typeof', 'unsized', 'virtual', 'yield', 'try', 'gen'
+]);
+
+// Keywords that cannot be used as raw identifiers
+const RESERVED_PATHS = new Set(['crate', 'self', 'super', 'Self']);
+
+/**
+ * Converts a name into a Rust field name, escaping keywords, e.g. "type" -> "r#type".
+ *
+ * @param {string} name - Item name
+ * @returns {string} The identifier
+ */
+export function toRustFieldName(name) {
+    const identifier = toSnakeCase(name);
+    if (RESERVED_PATHS.has(identifier)) {
+        return identifier + '_';
+    }
+    return KEYWORDS.has(identifier) ? 'r#' + identifier : identifier;
+}
+
+/**
+ * Converts a name into a Rust type or variant name, e.g. "read-property-request" -> "ReadPropertyRequest".
+ *
+ * @param {string} name - Definition or item name
+ * @returns {string} The identifier
+ */
+export function toRustTypeName(name) {
+    const identifier = toPascalCase(name);
+    return RESERVED_PATHS.has(identifier) ? identifier + '_' : identifier;
+}
+
+/**
+ * Returns the narrowest Rust integer type holding all values between minimum and maximum,
+ * i.e. that of their storage type (see storageTypeOf), `u64`/`i64` beyond 64 bits.
+ *
+ * @param {bigint} minimum - Smallest value
+ * @param {bigint} maximum - Largest value
+ * @returns {string} Rust type
+ */
+export function narrowestRustInteger(minimum, maximum) {
+    return STORAGE_TYPES[storageTypeOf(minimum, maximum) ?? (minimum >= 0n ? 'uint64' : 'int64')];
+}
+
+/**
+ * Rust transformer class that converts BACnet definitions to a Rust module.
+ * Implements the transformer interface required by the traverser engine.
+ */
+export class RustTransformer {
+
+    /**
+     * Creates a new RustTransformer instance.
+     *
+     * @param {Object} [options={}] - Configuration options
+     * @param {string} [options.outputPath='bacnet_types.rs'] - Path for output file
+     * @param {number} [options.indentSize=4] - Number of spaces per indentation level
+     * @param {DefinitionRegistry} [options.registry] - Registry used to resolve type references,
+     *        must match the registry passed to traverseDefinitions
+     */
+    constructor(options = {}) {
+        this.outputPath = options.outputPath || 'bacnet_types.rs';
+        this.indentSize = options.indentSize || 4;
+        this.registry = options.registry ?? bundledRegistry;
+
+        this.output = '// Generated from the BAClib generic BACnet type definitions. Do not edit.\n';
+
+        // Frames of the definitions, traits and items currently being processed
+        this.stack = [];
+    }
+
+    /**
+     * Returns the Rust type name of a definition.
+     *
+     * @param {Object} definition - The definition
+     * @returns {string} PascalCase name
+     */
+    typeNameOf(definition) {
+        return toRustTypeName(definition.name);
+    }
+
+    /**
+     * Handler invoked when starting to process a definition.
+     */
+    startDefinition(context) {
+        this.stack.push({ context, name: this.typeNameOf(context.definition), traits: null });
+    }
+
+    /**
+     * Handler invoked when finishing a definition. Emits its type or type alias.
+     */
+    endDefinition(context) {
+        const frame = this.stack.pop();
+        const definition = context.definition;
+
+        let declaration;
+        if (context.isPrimitive) {
+            declaration = this.#declarePrimitive(frame.name, definition);
+        } else if (frame.traits) {
+            declaration = this.#declareTraits(frame.name, frame.traits);
+        } else {
+            declaration = [`pub type ${frame.name} = ${this.typeNameOf(this.registry.require(definition.type))};`];
+        }
+
+        if (declaration) {
+            this.#emit(definition.description, declaration);
+        }
+    }
+
+    /**
+     * Handler invoked when starting to process traits.
+     */
+    startTraits(context) {
+        const primitive = this.registry.resolveBase(context.traits).primitive;
+        this.stack.push({ context, primitive, name: this.stack.at(-1).name, members: [] });
+    }
+
+    /**
+     * Handler invoked when finishing traits. Hands the collected traits to the
+     * enclosing item or definition.
+     */
+    endTraits(context) {
+        const frame = this.stack.pop();
+        this.stack.at(-1).traits = frame;
+    }
+
+    /**
+     * Handler invoked when starting to process an item (field, option, bit, value).
+     * Inline traits of the item are named after the enclosing type and the item.
+     */
+    startItem(context) {
+        const parent = this.stack.at(-1);
+        this.stack.push({ context, name: parent.name + toRustTypeName(context.item.name), traits: null });
+    }
+
+    /**
+     * Handler invoked when finishing an item. Emits the type of inline traits and adds
+     * the item with its Rust type to the enclosing traits.
+     */
+    endItem(context) {
+        const frame = this.stack.pop();
+        const item = context.item;
+
+        let type;
+        if (frame.traits) {
+            // Inline traits without items are used directly, e.g. `Vec<u8>`
+            if (frame.traits.members.length) {
+                this.#emit(item.description, this.#declareTraits(frame.name, frame.traits));
+            }
+            type = this.#typeOfTraits(frame.name, frame.traits);
+        } else if (typeof item.type === 'string') {
+            type = this.typeNameOf(this.registry.require(item.type));
+        }
+
+        this.stack.at(-1).members.push({ item, type });
+    }
+
+    /**
+     * Optional lifecycle hook invoked after all definitions have been processed.
+     * Writes the accumulated module to the configured file path.
+     *
+     * @param {Object} result - Processing result from traverser
+     * @returns {Promise<void>}
+     */
+    async afterProcessing(result) {
+        console.log(`Total definitions: ${result.totalCount}`);
+        console.log(`Processed:         ${result.processedCount}`);
+        console.log(`Errors:            ${result.errorCount}`);
+        console.log('----------------------------------------');
+
+        await fs.writeFile(this.outputPath, this.output, 'utf8');
+        console.log(`Output written to: ${this.outputPath}`);
+    }
+
+    #emit(description, lines) {
+        const comment = description ? [`/// ${description}`] : [];
+        this.output += '\n' + [...comment, ...lines].join('\n') + '\n';
+    }
+
+    #declarePrimitive(name, definition) {
+        switch (definition.primitive) {
+            case PRIMITIVE_NULL:
+                return [`pub type ${name} = ();`];
+            case PRIMITIVE_BOOLEAN:
+                return [`pub type ${name} = bool;`];
+            case PRIMITIVE_REAL:
+                return [`pub type ${name} = f32;`];
+            case PRIMITIVE_DOUBLE:
+                return [`pub type ${name} = f64;`];
+            case PRIMITIVE_OCTET_STRING:
+                return [`pub type ${name} = Vec<u8>;`];
+            case PRIMITIVE_CHARACTER_STRING:
+                // Fully qualified, the definitions contain an alias named "string"
+                return [`pub type ${name} = std::string::String;`];
+            case PRIMITIVE_BIT_STRING:
+                return [`pub type ${name} = Vec<bool>;`];
+            case PRIMITIVE_DATE:
+                return this.#declareStruct(name, ['year: Option<u16>', 'month: Option<u8>', 'day: Option<u8>', 'day_of_week: Option<u8>'], true);
+            case PRIMITIVE_TIME:
+                return this.#declareStruct(name, ['hour: Option<u8>', 'minute: Option<u8>', 'second: Option<u8>', 'hundredths: Option<u8>'], true);
+            case PRIMITIVE_OBJECT_IDENTIFIER: {
+                const objectType = this.registry.get('object-type');
+                return this.#declareStruct(name, [`object_type: ${objectType ? this.typeNameOf(objectType) : 'u16'}`, 'instance: u32'], true);
+            }
+            case PRIMITIVE_ANY:
+                // Application data is kept in its encoded form
+                return [
+                    '#[derive(Debug, Clone, PartialEq, Eq, Hash, Default)]',
+                    `pub struct ${name}(pub Vec<u8>);`
+                ];
+            case PRIMITIVE_CHOICE:
+            case PRIMITIVE_SEQUENCE:
+                // Only used as base of traits
+                return null;
+            default:
+                return [`pub type ${name} = ${this.#integerType({ base: definition.name })};`];
+        }
+    }
+
+    #declareStruct(name, fields, isCopy) {
+        return [
+            isCopy ? '#[derive(Debug, Clone, Copy, PartialEq, Eq, Hash)]' : '#[derive(Debug, Clone, PartialEq)]',
+            `pub struct ${name} {`,
+            ...fields.map(field => `${this.#indent(1)}pub ${field},`),
+            '}'
+        ];
+    }
+
+    /**
+     * Declares the type of traits. Traits with items declare their element type
+     * (suffixed with `Item` for series), all others a type alias.
+     */
+    #declareTraits(name, frame) {
+        const traits = frame.context.traits;
+        if (!frame.members.length) {
+            return [`pub type ${name} = ${this.#typeOfTraits(name, frame)};`];
+        }
+
+        const elementName = traits.series ? name + 'Item' : name;
+        let lines;
+        switch (frame.primitive) {
+            case PRIMITIVE_ENUMERATED:
+                lines = this.#declareEnumeration(elementName, frame);
+                break;
+            case PRIMITIVE_BIT_STRING:
+                lines = this.#declareBits(elementName, frame);
+                break;
+            case PRIMITIVE_CHOICE:
+                lines = this.#declareChoice(elementName, frame);
+                break;
+            default:
+                lines = this.#declareSequence(elementName, frame);
+        }
+
+        if (traits.series) {
+            lines.push('', `pub type ${name} = Vec<${elementName}>;`);
+        }
+        return lines;
+    }
+
+    /**
+     * Rust type of traits. Traits with items refer to their declared type, all others
+     * to their (constrained) base.
+     */
+    #typeOfTraits(name, frame) {
+        const traits = frame.context.traits;
+        if (frame.members.length) {
+            return name;
+        }
+
+        let element;
+        if (INTEGER_BASES[frame.primitive] && Object.keys(traits).some(key => key === 'minimum' || key === 'maximum')) {
+            element = this.#integerType(traits);
+        } else {
+            element = this.typeNameOf(this.registry.require(traits.base));
+        }
+        return traits.series ? `Vec<${element}>` : element;
+    }
+
+    /**
+     * Integer type of the storage for the limits of the traits and their bases.
+     */
+    #integerType(traits) {
+        return STORAGE_TYPES[resolveConstraints(traits, { registry: this.registry }).storage];
+    }
+
+    #declareSequence(name, frame) {
+        const fields = frame.members.flatMap(({ item, type }) => [
+            ...(item.description ? [`${this.#indent(1)}/// ${item.description}`] : []),
+            `${this.#indent(1)}pub ${toRustFieldName(item.name)}: ${item.optional ? `Option<${type}>` : type},`
+        ]);
+        return ['#[derive(Debug, Clone, PartialEq)]', `pub struct ${name} {`, ...fields, '}'];
+    }
+
+    #declareChoice(name, frame) {
+        const variants = frame.members.flatMap(({ item, type }) => [
+            ...(item.description ? [`${this.#indent(1)}/// ${item.description}`] : []),
+            `${this.#indent(1)}${toRustTypeName(item.name)}(${type}),`
+        ]);
+        return ['#[derive(Debug, Clone, PartialEq)]', `pub enum ${name} {`, ...variants, '}'];
+    }
+
+    #declareEnumeration(name, frame) {
+        const traits = frame.context.traits;
+        const constants = frame.members.map(({ item }) => BigInt(item.constant));
+        const repr = constants.some(constant => constant > 0xFFFFFFFFn) ? 'u64' : 'u32';
+        const variants = frame.members.map(({ item }) => ({ item, variant: toRustTypeName(item.name) }));
+
+        // Extensible enumerations keep unnamed values in a fallback variant
+        let fallback = null;
+        if (traits.extensible || traits.proprietary) {
+            const used = new Set(variants.map(({ variant }) => variant));
+            fallback = ['Unknown', 'Proprietary', 'UnknownValue'].find(candidate => !used.has(candidate));
+        }
+
+        const indent = this.#indent(1);
+        const body = variants.flatMap(({ item, variant }) => [
+            ...(item.description ? [`${indent}/// ${item.description}`] : []),
+            `${indent}${variant} = ${item.constant},`
+        ]);
+        if (fallback) {
+            // Explicit discriminant, the implicit one could collide with unordered constants
+            const discriminant = constants.reduce((a, b) => (a > b ? a : b)) + 1n;
+            body.push(`${indent}/// A value without a name, e.g. from a proprietary range.`, `${indent}${fallback}(${repr}) = ${discriminant},`);
+        }
+
+        const toValue = variants.map(({ item, variant }) => `${this.#indent(3)}${name}::${variant} => ${item.constant},`);
+        const fromValue = variants.map(({ item, variant }) => `${this.#indent(3)}${item.constant} => ${fallback ? '' : 'Ok('}Self::${variant}${fallback ? '' : ')'},`);
+        if (fallback) {
+            toValue.push(`${this.#indent(3)}${name}::${fallback}(value) => value,`);
+            fromValue.push(`${this.#indent(3)}value => Self::${fallback}(value),`);
+        } else {
+            fromValue.push(`${this.#indent(3)}value => Err(value),`);
+        }
+
+        const conversion = fallback
+            ? [
+                `impl From<${repr}> for ${name} {`,
+                `${indent}fn from(value: ${repr}) -> Self {`
+            ]
+            : [
+                `impl TryFrom<${repr}> for ${name} {`,
+                `${indent}type Error = ${repr};`,
+                '',
+                `${indent}fn try_from(value: ${repr}) -> Result<Self, ${repr}> {`
+            ];
+
+        return [
+            `#[derive(Debug, Clone, Copy, PartialEq, Eq, Hash)]`,
+            `#[repr(${repr})]`,
+            `pub enum ${name} {`,
+            ...body,
+            '}',
+            '',
+            `impl From<${name}> for ${repr} {`,
+            `${indent}fn from(value: ${name}) -> Self {`,
+            `${this.#indent(2)}match value {`,
+            ...toValue,
+            `${this.#indent(2)}}`,
+            `${indent}}`,
+            '}',
+            '',
+            ...conversion,
+            `${this.#indent(2)}match value {`,
+            ...fromValue,
+            `${this.#indent(2)}}`,
+            `${indent}}`,
+            '}'
+        ];
+    }
+
+    #declareBits(name, frame) {
+        const maximum = Math.max(...frame.members.map(({ item }) => item.position));
+        const bits = maximum < 8 ? 'u8' : maximum < 16 ? 'u16' : maximum < 32 ? 'u32' : maximum < 64 ? 'u64' : 'u128';
+        const indent = this.#indent(1);
+
+        const constants = frame.members.flatMap(({ item }) => [
+            ...(item.description ? [`${indent}/// ${item.description}`] : []),
+            `${indent}pub const ${toScreamingSnakeCase(item.name)}: Self = Self(1 << ${item.position});`
+        ]);
+
+        return [
+            '#[derive(Debug, Clone, Copy, PartialEq, Eq, Hash, Default)]',
+            `pub struct ${name}(pub ${bits});`,
+            '',
+            `impl ${name} {`,
+            ...constants,
+            '',
+            `${indent}/// Returns the raw bits, bit n of the bit-string is \`1 << n\`.`,
+            `${indent}pub const fn bits(self) -> ${bits} {`,
+            `${this.#indent(2)}self.0`,
+            `${indent}}`,
+            '',
+            `${indent}/// Returns true if all flags of \`other\` are set.`,
+            `${indent}pub const fn contains(self, other: Self) -> bool {`,
+            `${this.#indent(2)}self.0 & other.0 == other.0`,
+            `${indent}}`,
+            '}',
+            '',
+            `impl core::ops::BitOr for ${name} {`,
+            `${indent}type Output = Self;`,
+            '',
+            `${indent}fn bitor(self, other: Self) -> Self {`,
+            `${this.#indent(2)}Self(self.0 | other.0)`,
+            `${indent}}`,
+            '}'
+        ];
+    }
+
+    #indent(level) {
+        return ' '.repeat(level * this.indentSize);
+    }
+}
@@ -0,0 +1,784 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module sample-generator
+ *
+ * Sample files of a type in the format of test/samples/*.json, with annotated hex chunks.
+ *
+ * The cases cover the boundaries of the definition, each as application tagged (untagged
+ * for constructed types), context tagged (tag 8) and extended context tagged (tag 42):
+ * - good cases: minimum and maximum of ranges, empty and maximum lengths, first and last
+ *   enumeration values and proprietary ranges, named bits cleared and set, the extreme
+ *   dates and times and the all wildcard form, each choice option, optional fields absent
+ *   and present, and the shortest and longest series
+ * - bad cases: values one step beyond the restrictions, e.g. a maximum plus one, a string
+ *   one character too long, month 13 of a date or the 25th hour, and a good case
+ *   truncated by its last octet
+ *
+ * Case names start with the class of the first tag, e.g. "application-tagged-valid-maximum",
+ * and untagged cases starting with a context tag add its number, e.g.
+ * "context-tagged-0-valid-time-minimum" of `time-stamp`.
+ *
+ * Fields, options and series elements of constructed types are varied one at a time
+ * while all other elements keep their shallowest value, down to `maxDepth` levels.
+ * Every case is checked with the codec like the sample tests do: good cases decode and
+ * encode to the same octets, bad cases fail to decode. Good values with an ambiguous
+ * encoding and violations the decoder accepts are left out. The chunk of a violation is
+ * annotated with the error of the decoder.
+ *
+ * Usage:
+ * ```javascript
+ * import { formatSampleFile, generateSamples } from './sample-generator.js';
+ *
+ * const samples = generateSamples('abort-reason');
+ * await fs.writeFile('test/samples/abort-reason.json', formatSampleFile(samples), 'utf8');
+ * ```
+ */
+
+import { CodecError, decode, encode, readTag } from './codec.js';
+import { intersectLength, intersectRange } from './constraints.js';
+import { SAFE_INTEGER_MAXIMUM, SAFE_INTEGER_MINIMUM } from './limit.js';
+import {
+    LIMIT_BASES, MAX_OBJECT_INSTANCE, MAX_OBJECT_TYPE, PRIMITIVE_BIT_STRING, PRIMITIVE_BOOLEAN,
+    PRIMITIVE_CHARACTER_STRING, PRIMITIVE_DATE, PRIMITIVE_DOUBLE, PRIMITIVE_ENUMERATED,
+    PRIMITIVE_INTEGER, PRIMITIVE_NULL, PRIMITIVE_OBJECT_IDENTIFIER, PRIMITIVE_OCTET_STRING,
+    PRIMITIVE_REAL, PRIMITIVE_TIME, PRIMITIVE_UNSIGNED, WILDCARD
+} from './primitives.js';
+import { annotateContent, annotateProblem, annotateTag, formatHex } from './tag-annotation.js';
+import { registry as bundledRegistry } from './traverse.js';
+import { typeCacheOf } from './type-cache.js';
+
+// Context tags of the cases: untagged, then a context tag in the initial octet and an
+// extended one (clause 20.2.1.2), like the existing samples
+const CONTEXTS = [undefined, 8, 42];
+const MAX_SHORT_TAG_NUMBER = 14;
+
+// Longer strings and series are not written as maximum length cases
+const MAX_SAMPLE_LENGTH = 255;
+const MAX_SAMPLE_SERIES_LENGTH = 8;
+
+const SAMPLE_TEXT = 'The BAClib Initiative ';
+
+const METADATA = {
+    'SPDX-FileCopyrightText': 'Copyright 2024-2026 The BAClib Initiative and Contributors',
+    'SPDX-License-Identifier': 'EPL-2.0'
+};
+
+/**
+ * Element value outside of the restrictions of its type, encoded without the checks of
+ * the codec: either a value of the unrestricted primitive or the raw content octets.
+ */
+class Unchecked {
+
+    constructor({ value, content }) {
+        this.value = value;
+        this.content = content;
+    }
+}
+
+function toNumeric(value) {
+    return value <= SAFE_INTEGER_MAXIMUM && value >= SAFE_INTEGER_MINIMUM
+        ? Number(value)
+        : value;
+}
+
+/**
+ * Steps a float of 4 or 8 octets to its neighbour towards positive (1) or negative (-1)
+ * infinity.
+ */
+function stepFloat(value, direction, size) {
+    const view = new DataView(new ArrayBuffer(size));
+    const signBit = size === 4 ? 0x80000000n : 0x8000000000000000n;
+    if (size === 4) {
+        view.setFloat32(0, value);
+    } else {
+        view.setFloat64(0, value);
+    }
+    let bits = size === 4 ? BigInt(view.getUint32(0)) : view.getBigUint64(0);
+    if (value === 0) {
+        bits = direction > 0 ? 1n : signBit | 1n;
+    } else if ((value > 0) === (direction > 0)) {
+        bits += 1n;
+    } else {
+        bits -= 1n;
+    }
+    if (size === 4) {
+        view.setUint32(0, Number(bits));
+        return view.getFloat32(0);
+    }
+    view.setBigUint64(0, bits);
+    return view.getFloat64(0);
+}
+
+function calendarDate(year, month, day) {
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    return { year, month, day, 'day-of-week': weekday === 0 ? 7 : weekday };
+}
+
+function sampleText(length) {
+    return Array.from({ length }, (_, index) => SAMPLE_TEXT[index % SAMPLE_TEXT.length]).join('');
+}
+
+function sampleOctets(length) {
+    return Uint8Array.from({ length }, (_, index) => (index * 0x11) & 0xFF);
+}
+
+function sampleBits(length) {
+    return Array.from({ length }, (_, index) => index % 2 === 0);
+}
+
+function joinLabel(prefix, label) {
+    return label === 'default' ? prefix : `${prefix}-${label}`;
+}
+
+function joinPath(path, name) {
+    return path ? `${path}.${name}` : name;
+}
+
+/**
+ * Encodes the header of a tag, see clause 20.2.1.
+ */
+function tagHeader(tagClass, number, length, lvt) {
+    const header = number < 15 ? [(number << 4) | (tagClass === 'context' ? 0x08 : 0)] : [0xF0 | (tagClass === 'context' ? 0x08 : 0), number];
+    if (lvt !== undefined) {
+        header[0] |= lvt;
+    } else if (length < 5) {
+        header[0] |= length;
+    } else if (length < 254) {
+        header[0] |= 5;
+        header.push(length);
+    } else if (length < 65536) {
+        header[0] |= 5;
+        header.push(254, length >> 8, length & 0xFF);
+    } else {
+        header[0] |= 5;
+        header.push(255, (length >>> 24) & 0xFF, (length >> 16) & 0xFF, (length >> 8) & 0xFF, length & 0xFF);
+    }
+    return header;
+}
+
+/**
+ * Builds the boundary values, violations and annotated encodings of a type.
+ */
+class SampleBuilder {
+
+    constructor(cache, maxDepth) {
+        this.cache = cache;
+        this.maxDepth = maxDepth;
+    }
+
+    /**
+     * The shallowest value of a type: required fields only, the options with the
+     * shallowest values, the shortest series and the first boundary of primitives.
+     */
+    defaultOf(descriptor) {
+        switch (descriptor.kind) {
+            case 'sequence': {
+                if (!descriptor.fields.length) {
+                    throw new Error(`Sequence type '${descriptor.names[0]}' has no fields`);
+                }
+                const value = {};
+                for (const field of descriptor.fields.filter(item => !item.optional)) {
+                    value[field.name] = this.defaultOf(this.cache.describe(field.type));
+                }
+                return value;
+            }
+            case 'choice': {
+                const option = this.shallowestOption(descriptor);
+                return { [option.name]: this.defaultOf(this.cache.describe(option.type)) };
+            }
+            case 'series':
+                return Array.from({ length: descriptor.series.minimum }, () => this.elementDefaultOf(descriptor));
+            case 'any':
+                return [];
+            default:
+                return this.boundariesOf(descriptor)[0].value;
+        }
+    }
+
+    shallowestOption(descriptor) {
+        if (!descriptor.options.length) {
+            throw new Error(`Choice type '${descriptor.names[0]}' has no options`);
+        }
+        const depths = descriptor.options.map(option => this.cache.depthOf(option.type));
+        const depth = Math.min(...depths);
+        if (depth === Infinity) {
+            throw new Error(`Choice type '${descriptor.names[0] ?? ''}' has no finite value`);
+        }
+        return descriptor.options[depths.indexOf(depth)];
+    }
+
+    elementDefaultOf(descriptor) {
+        // Elements of 'any' are not delimited, the decoder recognizes them by an application tag
+        return descriptor.element.kind === 'any' ? [{ type: 'null', value: null }] : this.defaultOf(descriptor.element);
+    }
+
+    /**
+     * Good values of a type, the first one labelled 'default' or being the default value.
+     *
+     * @returns {Array<{label: string, value: *}>}
+     */
+    variantsOf(descriptor, depth) {
+        if (depth > this.maxDepth) {
+            return [{ label: 'default', value: this.defaultOf(descriptor) }];
+        }
+        switch (descriptor.kind) {
+            case 'sequence':
+                return this.sequenceVariants(descriptor, depth);
+            case 'choice':
+                return descriptor.options
+                    .filter(option => this.cache.depthOf(option.type) < Infinity)
+                    .flatMap(option => this.variantsOf(this.cache.describe(option.type), depth + 1)
+                        .map(({ label, value }) => ({ label: joinLabel(option.name, label), value: { [option.name]: value } })));
+            case 'series':
+                return this.seriesVariants(descriptor, depth);
+            case 'any':
+                return [
+                    { label: 'empty', value: [] },
+                    { label: 'application-tagged-item', value: [{ type: 'unsigned', value: 1 }] },
+                    { label: 'constructed-item', value: [{ context: 0, items: [{ type: 'null', value: null }] }] }
+                ];
+            default:
+                return this.boundariesOf(descriptor);
+        }
+    }
+
+    sequenceVariants(descriptor, depth) {
+        const base = this.defaultOf(descriptor);
+        const optional = descriptor.fields.filter(field => field.optional);
+        const variants = [];
+        if (optional.length) {
+            const present = { ...base };
+            for (const field of optional) {
+                present[field.name] = this.defaultOf(this.cache.describe(field.type));
+            }
+            const ordered = Object.fromEntries(descriptor.fields.map(field => [field.name, present[field.name]]));
+            variants.push({ label: 'optional-absent', value: base }, { label: 'optional-present', value: ordered });
+        } else {
+            variants.push({ label: 'default', value: base });
+        }
+
+        for (const field of descriptor.fields) {
+            for (const { label, value } of this.variantsOf(this.cache.describe(field.type), depth + 1)) {
+                variants.push({ label: joinLabel(field.name, label), value: this.withField(descriptor, base, field, value) });
+            }
+        }
+        return variants;
+    }
+
+    withField(descriptor, base, field, value) {
+        return Object.fromEntries(descriptor.fields
+            .filter(item => item === field || Object.hasOwn(base, item.name))
+            .map(item => [item.name, item === field ? value : base[item.name]]));
+    }
+
+    seriesVariants(descriptor, depth) {
+        const { minimum, maximum } = descriptor.series;
+        const elements = length => Array.from({ length }, () => this.elementDefaultOf(descriptor));
+        const variants = [{ label: minimum ? 'minimum-length' : 'empty', value: elements(minimum) }];
+        if (minimum === 0 && maximum !== 0) {
+            variants.push({ label: 'one-element', value: elements(1) });
+        }
+        if (maximum !== null && maximum > Math.max(minimum, 1) && maximum <= MAX_SAMPLE_SERIES_LENGTH) {
+            variants.push({ label: 'maximum-length', value: elements(maximum) });
+        }
+        if (descriptor.element.kind !== 'any' && maximum !== 0) {
+            for (const { label, value } of this.variantsOf(descriptor.element, depth + 1).slice(1)) {
+                variants.push({ label: joinLabel('element', label), value: [value, ...elements(Math.max(minimum - 1, 0))] });
+            }
+        }
+        return variants;
+    }
+
+    /**
+     * Values of a type with one element one step beyond its restrictions.
+     *
+     * @returns {Array<{label: string, value: *}>}
+     */
+    violationsOf(descriptor, depth) {
+        if (depth > this.maxDepth) {
+            return [];
+        }
+        switch (descriptor.kind) {
+            case 'sequence': {
+                const base = this.defaultOf(descriptor);
+                return descriptor.fields.flatMap(field => this.violationsOf(this.cache.describe(field.type), depth + 1)
+                    .map(({ label, value }) => ({ label: joinLabel(field.name, label), value: this.withField(descriptor, base, field, value) })));
+            }
+            case 'choice':
+                return descriptor.options
+                    .filter(option => this.cache.depthOf(option.type) < Infinity)
+                    .flatMap(option => this.violationsOf(this.cache.describe(option.type), depth + 1)
+                        .map(({ label, value }) => ({ label: joinLabel(option.name, label), value: { [option.name]: value } })));
+            case 'series':
+                return this.seriesViolations(descriptor, depth);
+            case 'any':
+                return [];
+            default:
+                return this.primitiveViolations(descriptor);
+        }
+    }
+
+    seriesViolations(descriptor, depth) {
+        const { minimum, maximum } = descriptor.series;
+        const elements = length => Array.from({ length }, () => this.elementDefaultOf(descriptor));
+        const violations = [];
+        if (maximum !== null && maximum < MAX_SAMPLE_SERIES_LENGTH) {
+            violations.push({ label: 'above-maximum-length', value: new Unchecked({ value: elements(maximum + 1) }) });
+        }
+        if (minimum > 0) {
+            violations.push({ label: 'below-minimum-length', value: new Unchecked({ value: elements(minimum - 1) }) });
+        }
+        if (descriptor.element.kind !== 'any') {
+            for (const { label, value } of this.violationsOf(descriptor.element, depth + 1)) {
+                violations.push({ label: joinLabel('element', label), value: [value, ...elements(Math.max(minimum - 1, 0))] });
+            }
+        }
+        return violations;
+    }
+
+    /**
+     * Boundary values of a primitive type, the first one is its default value.
+     */
+    boundariesOf(descriptor) {
+        const boundaries = (...entries) => entries.map(([label, value]) => ({ label, value }));
+        switch (descriptor.primitive) {
+            case PRIMITIVE_NULL:
+                return boundaries(['default', null]);
+            case PRIMITIVE_BOOLEAN:
+                return boundaries(['false', false], ['true', true]);
+            case PRIMITIVE_UNSIGNED:
+            case PRIMITIVE_INTEGER: {
+                const { minimum, maximum } = intersectRange(LIMIT_BASES[descriptor.primitive], descriptor.constraints);
+                return boundaries(['minimum', toNumeric(minimum)], ['maximum', toNumeric(maximum)]);
+            }
+            case PRIMITIVE_ENUMERATED:
+                return this.enumeratedBoundaries(descriptor).map(([label, value]) => ({ label, value }));
+            case PRIMITIVE_REAL:
+            case PRIMITIVE_DOUBLE: {
+                const { minimum, maximum } = this.floatRange(descriptor);
+                return boundaries(['minimum', minimum], ['maximum', maximum]);
+            }
+            case PRIMITIVE_OCTET_STRING: {
+                if (descriptor.names.includes('week-n-day')) {
+                    return boundaries(['minimum', Uint8Array.of(1, 1, 1)], ['maximum', Uint8Array.of(14, 9, 7)], ['all-wildcard', Uint8Array.of(WILDCARD, WILDCARD, WILDCARD)]);
+                }
+                return this.lengthBoundaries(descriptor, sampleOctets);
+            }
+            case PRIMITIVE_CHARACTER_STRING:
+                return this.lengthBoundaries(descriptor, sampleText);
+            case PRIMITIVE_BIT_STRING:
+                if (descriptor.bits) {
+                    const flags = set => Object.fromEntries(descriptor.bits.map(bit => [bit.name, set]));
+                    return boundaries(['no-flags', flags(false)], ['all-flags', flags(true)]);
+                }
+                return this.lengthBoundaries(descriptor, sampleBits);
+            case PRIMITIVE_DATE:
+                return boundaries(['minimum', calendarDate(1900, 1, 1)], ['maximum', calendarDate(2154, 12, 31)],
+                    ['all-wildcard', { year: null, month: null, day: null, 'day-of-week': null }]);
+            case PRIMITIVE_TIME:
+                return boundaries(['minimum', { hour: 0, minute: 0, second: 0, hundredths: 0 }], ['maximum', { hour: 23, minute: 59, second: 59, hundredths: 99 }],
+                    ['all-wildcard', { hour: null, minute: null, second: null, hundredths: null }]);
+            case PRIMITIVE_OBJECT_IDENTIFIER:
+                return boundaries(['minimum', { 'object-type': 0, instance: 0 }], ['maximum', { 'object-type': MAX_OBJECT_TYPE, instance: MAX_OBJECT_INSTANCE }]);
+            default:
+                throw new Error(`Unsupported primitive ${descriptor.primitive}`);
+        }
+    }
+
+    enumeratedBoundaries(descriptor) {
+        const { minimum, maximum } = intersectRange('enumerated', descriptor.constraints);
+        if (!descriptor.values?.length) {
+            return [['minimum', toNumeric(minimum)], ['maximum', toNumeric(maximum)]];
+        }
+        const named = descriptor.values
+            .filter(item => BigInt(item.constant) >= minimum && BigInt(item.constant) <= maximum)
+            .sort((a, b) => a.constant - b.constant);
+        if (!named.length) {
+            return [['minimum', toNumeric(minimum)], ['maximum', toNumeric(maximum)]];
+        }
+        const toValue = number => descriptor.values.find(item => BigInt(item.constant) === number)?.name ?? toNumeric(number);
+        const entries = [['first-value', named[0].name], ['last-value', named.at(-1).name]];
+        const proprietary = descriptor.constraints.flatMap(constraint => [constraint.proprietary ?? []].flat());
+        proprietary.forEach((range, index) => {
+            const prefix = proprietary.length > 1 ? `proprietary-${index + 1}` : 'proprietary';
+            entries.push([`${prefix}-minimum`, toValue(BigInt(range.from))], [`${prefix}-maximum`, toValue(BigInt(range.to))]);
+        });
+        if (descriptor.constraints.some(constraint => constraint.extensible === true)) {
+            entries.push(['maximum', toValue(maximum)]);
+        }
+        return entries;
+    }
+
+    /**
+     * The range of a float type, rounded inwards to 32 bits for real.
+     */
+    floatRange(descriptor) {
+        const size = descriptor.primitive === PRIMITIVE_REAL ? 4 : 8;
+        let { minimum, maximum } = intersectRange(LIMIT_BASES[descriptor.primitive], descriptor.constraints);
+        if (size === 4) {
+            const [low, high] = [Math.fround(minimum), Math.fround(maximum)];
+            minimum = low < minimum ? stepFloat(low, 1, 4) : low;
+            maximum = high > maximum ? stepFloat(high, -1, 4) : high;
+        }
+        return { minimum, maximum, size };
+    }
+
+    lengthBoundaries(descriptor, create) {
+        const { minimum, maximum } = intersectLength(descriptor.constraints);
+        const boundaries = [{ label: minimum ? 'minimum-length' : 'empty', value: create(minimum) }];
+        if (maximum !== null && maximum > minimum && maximum <= MAX_SAMPLE_LENGTH) {
+            boundaries.push({ label: 'maximum-length', value: create(maximum) });
+        }
+        return boundaries;
+    }
+
+    primitiveViolations(descriptor) {
+        const violations = (...entries) => entries.map(([label, unchecked]) => ({ label, value: new Unchecked(unchecked) }));
+        const restricted = descriptor.constraints.some(constraint => Object.hasOwn(constraint, 'minimum') || Object.hasOwn(constraint, 'maximum'));
+        switch (descriptor.primitive) {
+            case PRIMITIVE_UNSIGNED:
+            case PRIMITIVE_INTEGER:
+            case PRIMITIVE_ENUMERATED: {
+                const { minimum, maximum } = intersectRange(LIMIT_BASES[descriptor.primitive], descriptor.constraints);
+                return violations(['below-minimum', { value: toNumeric(minimum - 1n) }], ['above-maximum', { value: toNumeric(maximum + 1n) }]);
+            }
+            case PRIMITIVE_REAL:
+            case PRIMITIVE_DOUBLE: {
+                if (!restricted) {
+                    return [];
+                }
+                const { minimum, maximum, size } = this.floatRange(descriptor);
+                return violations(['below-minimum', { value: stepFloat(minimum, -1, size) }], ['above-maximum', { value: stepFloat(maximum, 1, size) }]);
+            }
+            case PRIMITIVE_OCTET_STRING:
+                if (descriptor.names.includes('week-n-day')) {
+                    return violations(['month-15', { content: [15, 1, 1] }], ['week-10', { content: [1, 10, 1] }], ['day-of-week-8', { content: [1, 1, 8] }]);
+                }
+                return this.lengthViolations(descriptor, sampleOctets);
+            case PRIMITIVE_CHARACTER_STRING:
+                return this.lengthViolations(descriptor, sampleText);
+            case PRIMITIVE_BIT_STRING:
+                return this.lengthViolations(descriptor, sampleBits);
+            case PRIMITIVE_DATE: {
+                // 1900-01-01 is a Monday; patterns accept the months 13, 14 and the days 32..34
+                const strict = descriptor.names.includes('date');
+                return violations([`month-${strict ? 13 : 15}`, { content: [0, strict ? 13 : 15, 1, 1] }],
+                    [`day-${strict ? 32 : 35}`, { content: [0, 1, strict ? 32 : 35, 1] }], ['day-of-week-8', { content: [0, 1, 1, 8] }]);
+            }
+            case PRIMITIVE_TIME:
+                return violations(['hour-24', { content: [24, 0, 0, 0] }], ['minute-60', { content: [0, 60, 0, 0] }],
+                    ['second-60', { content: [0, 0, 60, 0] }], ['hundredths-100', { content: [0, 0, 0, 100] }]);
+            default:
+                return [];
+        }
+    }
+
+    lengthViolations(descriptor, create) {
+        const { minimum, maximum } = intersectLength(descriptor.constraints);
+        const violations = [];
+        if (maximum !== null && maximum < MAX_SAMPLE_LENGTH) {
+            violations.push({ label: 'above-maximum-length', value: new Unchecked({ value: create(maximum + 1) }) });
+        }
+        if (minimum > 0) {
+            violations.push({ label: 'below-minimum-length', value: new Unchecked({ value: create(minimum - 1) }) });
+        }
+        return violations;
+    }
+
+    /**
+     * Encodes an element as annotated chunks `{ bytes, comment, unchecked }`.
+     *
+     * @throws {CodecError} If an unchecked value can not be encoded at all
+     */
+    chunksOf(descriptor, value, context, path) {
+        const unchecked = value instanceof Unchecked;
+        if (descriptor.kind === 'primitive') {
+            return this.primitiveChunks(descriptor, value, context, path);
+        }
+
+        const chunks = [];
+        const prefix = path ? `${path}: ` : '';
+        if (context !== undefined) {
+            chunks.push({ bytes: tagHeader('context', context, 0, 6), comment: `${prefix}Opening Tag ${context}` });
+        }
+        const content = unchecked ? value.value : value;
+        switch (descriptor.kind) {
+            case 'sequence':
+                for (const field of descriptor.fields) {
+                    if (content[field.name] !== undefined) {
+                        chunks.push(...this.chunksOf(this.cache.describe(field.type), content[field.name], field.context, joinPath(path, field.name)));
+                    }
+                }
+                break;
+            case 'choice': {
+                const option = descriptor.options.find(item => Object.hasOwn(content, item.name));
+                chunks.push(...this.chunksOf(this.cache.describe(option.type), content[option.name], option.context, joinPath(path, option.name)));
+                break;
+            }
+            case 'series':
+                content.forEach((element, index) => {
+                    chunks.push(...this.chunksOf(descriptor.element, element, undefined, `${path}[${index}]`));
+                });
+                break;
+            case 'any':
+                content.forEach((item, index) => chunks.push(...this.anyChunks(item, `${path}[${index}]`)));
+                break;
+        }
+        if (context !== undefined) {
+            chunks.push({ bytes: tagHeader('context', context, 0, 7), comment: `${prefix}Closing Tag ${context}` });
+        }
+        // The length of a series is checked after its elements
+        if (unchecked) {
+            chunks.push({ bytes: [], comment: '', unchecked: true });
+        }
+        return chunks;
+    }
+
+    anyChunks(item, path) {
+        if (item.type) {
+            return this.chunksOf(this.cache.describe(item.type), item.value, undefined, path);
+        }
+        return [
+            { bytes: tagHeader('context', item.context, 0, 6), comment: `${path}: Opening Tag ${item.context}` },
+            ...item.items.flatMap((nested, index) => this.anyChunks(nested, `${path}[${index}]`)),
+            { bytes: tagHeader('context', item.context, 0, 7), comment: `${path}: Closing Tag ${item.context}` }
+        ];
+    }
+
+    primitiveChunks(descriptor, value, context, path) {
+        const unchecked = value instanceof Unchecked;
+        let content;
+        if (unchecked && value.content) {
+            content = Uint8Array.from(value.content);
+        } else {
+            // The unrestricted primitive encodes values beyond the restrictions as well, context
+            // tagged since application tagged booleans have no content octets
+            const primitiveName = this.cache.primitiveNames.get(descriptor.primitive);
+            const bytes = encode(primitiveName, this.primitiveValueOf(descriptor, unchecked ? value.value : value), { context: 0, registry: this.cache.registry });
+            content = bytes.subarray(readTag(bytes).headerLength);
+        }
+
+        let header;
+        if (context !== undefined) {
+            header = tagHeader('context', context, content.length);
+        } else if (descriptor.primitive === PRIMITIVE_BOOLEAN) {
+            header = tagHeader('application', PRIMITIVE_BOOLEAN, 0, content[0]);
+        } else {
+            header = tagHeader('application', descriptor.primitive, content.length);
+        }
+        const tag = readTag(Uint8Array.from(header));
+        const chunks = [{ bytes: header, comment: `${path ? `${path}: ` : ''}${annotateTag(tag)}` }];
+        const hasContent = descriptor.primitive === PRIMITIVE_BOOLEAN ? tag.class === 'context' : descriptor.primitive !== PRIMITIVE_NULL;
+        if (hasContent) {
+            chunks.push({ bytes: [...content], comment: annotateContent(descriptor, content), unchecked });
+        } else if (unchecked) {
+            chunks[0].unchecked = true;
+        }
+        return chunks;
+    }
+
+    /**
+     * Converts names of enumeration values and bits for the unrestricted primitive.
+     */
+    primitiveValueOf(descriptor, value) {
+        if (descriptor.primitive === PRIMITIVE_ENUMERATED && typeof value === 'string') {
+            return descriptor.values.find(item => item.name === value).constant;
+        }
+        if (descriptor.primitive === PRIMITIVE_BIT_STRING && !Array.isArray(value)) {
+            const bits = [];
+            for (const bit of descriptor.bits) {
+                bits[bit.position] = value[bit.name] === true;
+            }
+            return Array.from(bits, bit => bit === true);
+        }
+        return value;
+    }
+}
+
+/**
+ * Prefix of a case name from the class of the first tag like in the existing samples:
+ * "application-tagged", "context-tagged" or "extended-context-tagged". Untagged cases
+ * that start with a context tag add its number, e.g. "context-tagged-0" for the options
+ * of a choice, so they are not mistaken for the cases of the outer context tag.
+ */
+function prefixOf(chunks, context) {
+    const tag = readTag(Uint8Array.from(chunks[0].bytes));
+    if (tag.class === 'application') {
+        return 'application-tagged';
+    }
+    const prefix = tag.number > MAX_SHORT_TAG_NUMBER ? 'extended-context-tagged' : 'context-tagged';
+    return context === undefined ? `${prefix}-${tag.number}` : prefix;
+}
+
+function bytesOf(chunks) {
+    return Uint8Array.from(chunks.flatMap(chunk => chunk.bytes));
+}
+
+/**
+ * Decodes the octets of a case like the sample tests: context tagged cases are decoded
+ * untagged as well, since constructed types may start with a context tag.
+ */
+function decodeCase(registry, typeName, bytes, context) {
+    if (context !== undefined) {
+        try {
+            return { value: decode(typeName, bytes, { registry }), options: {} };
+        } catch (error) {
+            if (!(error instanceof CodecError)) {
+                throw error;
+            }
+        }
+    }
+    const options = context === undefined ? {} : { context };
+    return { value: decode(typeName, bytes, { ...options, registry }), options };
+}
+
+function decodeError(registry, typeName, bytes, context) {
+    try {
+        decodeCase(registry, typeName, bytes, context);
+        return undefined;
+    } catch (error) {
+        if (error instanceof CodecError) {
+            return error;
+        }
+        throw error;
+    }
+}
+
+function isRoundTrip(registry, typeName, bytes, context) {
+    try {
+        const { value, options } = decodeCase(registry, typeName, bytes, context);
+        return formatHex(encode(typeName, value, { ...options, registry })) === formatHex(bytes);
+    } catch (error) {
+        if (error instanceof CodecError) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+function toData(chunks) {
+    return chunks.map(chunk => [formatHex(chunk.bytes), chunk.comment]);
+}
+
+/**
+ * Truncates the last octet of a good case.
+ */
+function truncate(chunks) {
+    const last = chunks.at(-1);
+    return [...chunks.slice(0, -1), { bytes: last.bytes.slice(0, -1), comment: annotateProblem('missing 1 byte') }];
+}
+
+/**
+ * Generates the sample cases of a type: boundary values as good cases, violations and a
+ * truncation as bad cases, each application and context tagged.
+ *
+ * @param {string} typeName - Name or alias of the definition, e.g. "abort-reason"
+ * @param {Object} [options={}] - Generation options
+ * @param {number} [options.maxDepth=1] - Nesting depth down to which fields, options and
+ *        elements are varied
+ * @param {DefinitionRegistry} [options.registry] - Registry to resolve the type with, the
+ *        bundled definitions if omitted
+ * @returns {{metadata: Object, root: string, type: string, asdu: Array<{name: string,
+ *          good: boolean, data: Array<Array<string>>}>}} The content of a sample file
+ * @throws {Error} On an invalid depth, unknown types and types without finite values
+ */
+export function generateSamples(typeName, options = {}) {
+    const maxDepth = options.maxDepth ?? 1;
+    if (!Number.isInteger(maxDepth) || maxDepth < 0) {
+        throw new Error(`Invalid maximum depth ${maxDepth}, expected a non-negative integer`);
+    }
+
+    const registry = options.registry ?? bundledRegistry;
+    const cache = typeCacheOf(registry);
+    const descriptor = cache.describe(typeName);
+    const name = registry.get(typeName).name;
+    const builder = new SampleBuilder(cache, maxDepth);
+    const variants = builder.variantsOf(descriptor, 0);
+    const violations = builder.violationsOf(descriptor, 0);
+
+    const asdu = [];
+    for (const context of CONTEXTS) {
+        const seen = new Set();
+        // Truncated cases are named after the tag of the complete case
+        const add = (label, good, chunks, complete = chunks) => {
+            const key = formatHex(bytesOf(chunks));
+            if (!seen.has(key)) {
+                seen.add(key);
+                const prefix = prefixOf(complete, context);
+                asdu.push({ name: `${prefix}-${good ? 'valid' : 'wrong'}${label === 'default' ? '' : `-${label}`}`, good, data: toData(chunks) });
+            }
+        };
+
+        const goodChunks = [];
+        for (const { label, value } of variants) {
+            const chunks = builder.chunksOf(descriptor, value, context, '');
+            if (chunks.length && isRoundTrip(registry, name, bytesOf(chunks), context)) {
+                goodChunks.push(chunks);
+                add(label, true, chunks);
+            }
+        }
+
+        for (const { label, value } of violations) {
+            let chunks;
+            try {
+                chunks = builder.chunksOf(descriptor, value, context, '');
+            } catch (error) {
+                // Not even the unrestricted primitive takes the value, e.g. unsigned -1
+                if (error instanceof CodecError) {
+                    continue;
+                }
+                throw error;
+            }
+            const error = chunks.length ? decodeError(registry, name, bytesOf(chunks), context) : undefined;
+            if (error) {
+                const marked = chunks.find(chunk => chunk.unchecked);
+                marked.comment = annotateProblem(error);
+                add(label, false, chunks);
+            }
+        }
+
+        const longest = goodChunks.find(chunks => chunks.at(-1).bytes.length > 1) ?? goodChunks[0];
+        if (longest && decodeError(registry, name, bytesOf(truncate(longest)), context)) {
+            add('truncated', false, truncate(longest), longest);
+        }
+    }
+
+    return { metadata: { ...METADATA }, root: 'BAClib', type: name, asdu };
+}
+
+/**
+ * Formats sample cases like the files in test/samples, with one line per hex chunk.
+ *
+ * @param {Object} samples - Content of a sample file as returned by `generateSamples`
+ * @returns {string} The JSON text with a final line break
+ */
+export function formatSampleFile(samples) {
+    const indent = level => ' '.repeat(level * 4);
+    const cases = samples.asdu.map(sample => [
+        `${indent(2)}{`,
+        `${indent(3)}"name": ${JSON.stringify(sample.name)},`,
+        `${indent(3)}"good": ${sample.good},`,
+        `${indent(3)}"data": [`,
+        sample.data.map(([hex, comment]) => `${indent(4)}[ ${JSON.stringify(hex)}, ${JSON.stringify(comment)} ]`).join(',\n'),
+        `${indent(3)}]`,
+        `${indent(2)}}`
+    ].join('\n'));
+    const metadata = Object.entries(samples.metadata)
+        .map(([key, value]) => `${indent(2)}${JSON.stringify(key)}: ${JSON.stringify(value)}`);
+
+    return [
+        '{',
+        `${indent(1)}"metadata": {`,
+        metadata.join(',\n'),
+        `${indent(1)}},`,
+        `${indent(1)}"root": ${JSON.stringify(samples.root)},`,
+        `${indent(1)}"type": ${JSON.stringify(samples.type)},`,
+        `${indent(1)}"asdu": [`,
+        cases.join(',\n'),
+        `${indent(1)}]`,
+        '}',
+        ''
+    ].join('\n');
+}
@@ -0,0 +1,308 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module tag-annotation
+ *
+ * Human readable comments of BACnet tag headers and content octets, in the style of the
+ * annotated hex chunks of the sample files (test/samples/*.json):
+ * - tags: "Application Tag 10, Length = 4", "Context Tag 1, Length = 2",
+ *   "Opening Tag 8", "Closing Tag 8"
+ * - contents: "Unsigned Value = 258", "Enumerated Value = 77 (object-name)",
+ *   "Character Set UTF-8, text = Hi", "Date Value = 2026-07-27 (Monday)",
+ *   "Time Pattern = 14:any minute, 12.50", "Week-N-Day = July, week 3, Monday"
+ * - problems: "Invalid data: missing 1 byte"
+ *
+ * Contents are annotated from their octets, so values outside of the restrictions of
+ * their type are shown as they are. The descriptor only adds names: enumeration values,
+ * bits, object types and the `date`, `time` and `week-n-day` types.
+ *
+ * Usage:
+ * ```javascript
+ * import { annotateContent, annotateTag } from './tag-annotation.js';
+ *
+ * const tag = readTag(bytes);
+ * const comments = [annotateTag(tag), annotateContent(descriptor, bytes.subarray(tag.headerLength, tag.headerLength + tag.length))];
+ * ```
+ */
+
+import {
+    MAX_OBJECT_INSTANCE, PRIMITIVE_BIT_STRING, PRIMITIVE_BOOLEAN, PRIMITIVE_CHARACTER_STRING,
+    PRIMITIVE_DATE, PRIMITIVE_DOUBLE, PRIMITIVE_ENUMERATED, PRIMITIVE_INTEGER, PRIMITIVE_NULL,
+    PRIMITIVE_OBJECT_IDENTIFIER, PRIMITIVE_OCTET_STRING, PRIMITIVE_REAL, PRIMITIVE_TIME,
+    PRIMITIVE_UNSIGNED, WILDCARD
+} from './primitives.js';
+
+const CHARACTER_SETS = ['UTF-8', 'DBCS', 'JIS X 0208', 'UCS-4', 'UCS-2', 'ISO 8859-1'];
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const MONTHS = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Special months and days of date patterns and week-n-day (clause 21), other weeks of
+// the month read "week 9" like the sample files
+const SPECIAL_MONTHS = { 13: 'odd months', 14: 'even months' };
+const SPECIAL_DAYS = { 32: 'last day of month', 33: 'odd days of month', 34: 'even days of month' };
+const SPECIAL_WEEKS = { 6: 'last 7 days', 7: 'week prior to last 7 days', 8: 'week prior to last 14 days' };
+
+/**
+ * Formats octets as upper case hex pairs separated by spaces, e.g. "7E 07 1B 01".
+ *
+ * @param {Uint8Array|Array<number>} bytes - Octets to format
+ * @returns {string} The hex text, empty for no octets
+ */
+export function formatHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+}
+
+/**
+ * Annotates a tag header as read by `readTag` of the codec.
+ *
+ * @param {Object} tag - Tag with class, number, length, opening, closing and value
+ * @returns {string} E.g. "Context Tag 1, Length = 2" or "Opening Tag 3"
+ */
+export function annotateTag(tag) {
+    if (tag.opening) {
+        return `Opening Tag ${tag.number}`;
+    }
+    if (tag.closing) {
+        return `Closing Tag ${tag.number}`;
+    }
+    if (tag.class === 'application' && tag.number === PRIMITIVE_BOOLEAN) {
+        return `Application Tag 1, Boolean Value = ${formatBoolean(tag.value)}`;
+    }
+    return `${tag.class === 'context' ? 'Context' : 'Application'} Tag ${tag.number}, Length = ${tag.length}`;
+}
+
+/**
+ * Annotates an error of the codec or a problem of the octets.
+ *
+ * @param {Error|string} problem - Error or description of the problem
+ * @returns {string} E.g. "Invalid data: value 256 is outside of the range 0..255"
+ */
+export function annotateProblem(problem) {
+    const message = (problem instanceof Error ? problem.message : problem).replace(/ \(at offset [0-9]+\)$/, '');
+    return `Invalid data: ${message.charAt(0).toLowerCase()}${message.slice(1)}`;
+}
+
+/**
+ * Annotates the content octets of a primitive value.
+ *
+ * @param {Object} descriptor - Type descriptor of the type cache (see type-cache.js) with
+ *        primitive and names, and the values or bits of enumerations and bit strings
+ * @param {Uint8Array} content - Content octets after the tag header
+ * @returns {string|undefined} The annotation, undefined if the content has a length the
+ *          primitive can not be read from
+ */
+export function annotateContent(descriptor, content) {
+    switch (descriptor.primitive) {
+        case PRIMITIVE_NULL:
+            return content.length ? undefined : 'Null Value';
+        case PRIMITIVE_BOOLEAN:
+            return content.length === 1 ? `Boolean Value = ${formatBoolean(content[0])}` : undefined;
+        case PRIMITIVE_UNSIGNED:
+            return content.length ? `Unsigned Value = ${readUnsigned(content)}` : undefined;
+        case PRIMITIVE_INTEGER:
+            return content.length ? `Integer Value = ${readSigned(content)}` : undefined;
+        case PRIMITIVE_ENUMERATED: {
+            if (!content.length) {
+                return undefined;
+            }
+            const constant = readUnsigned(content);
+            const entry = descriptor.values?.find(item => BigInt(item.constant) === constant);
+            return `Enumerated Value = ${constant}${entry ? ` (${entry.name})` : ''}`;
+        }
+        case PRIMITIVE_REAL:
+        case PRIMITIVE_DOUBLE:
+            return annotateFloat(descriptor.primitive, content);
+        case PRIMITIVE_OCTET_STRING:
+            if (descriptor.names?.includes('week-n-day') && content.length === 3) {
+                return `Week-N-Day = ${formatWeekNDay(content)}`;
+            }
+            return `Octet String Value = ${content.length ? formatHex(content).replace(/ /g, '') : 'empty'}`;
+        case PRIMITIVE_CHARACTER_STRING:
+            return annotateCharacterString(content);
+        case PRIMITIVE_BIT_STRING:
+            return annotateBitString(descriptor, content);
+        case PRIMITIVE_DATE:
+            if (content.length !== 4) {
+                return undefined;
+            }
+            return descriptor.names?.includes('date')
+                ? `Date Value = ${formatDate(content, true)}`
+                : `Date Pattern = ${formatDate(content, false)}`;
+        case PRIMITIVE_TIME:
+            if (content.length !== 4) {
+                return undefined;
+            }
+            return descriptor.names?.includes('time')
+                ? `Time Value = ${formatTime(content, true)}`
+                : `Time Pattern = ${formatTime(content, false)}`;
+        case PRIMITIVE_OBJECT_IDENTIFIER:
+            return content.length === 4 ? annotateObjectIdentifier(descriptor, content) : undefined;
+        default:
+            return undefined;
+    }
+}
+
+function formatBoolean(value) {
+    return value === 0 ? 'FALSE' : value === 1 ? 'TRUE' : String(value);
+}
+
+function readUnsigned(content) {
+    let value = 0n;
+    for (const byte of content) {
+        value = (value << 8n) | BigInt(byte);
+    }
+    return value;
+}
+
+function readSigned(content) {
+    return BigInt.asIntN(content.length * 8, readUnsigned(content));
+}
+
+function annotateFloat(primitive, content) {
+    const size = primitive === PRIMITIVE_REAL ? 4 : 8;
+    if (content.length !== size) {
+        return undefined;
+    }
+    const view = new DataView(content.buffer, content.byteOffset, size);
+    const value = size === 4 ? view.getFloat32(0) : view.getFloat64(0);
+    let text = String(value);
+    if (value === Infinity) {
+        text = '+Infinity';
+    } else if (Number.isInteger(value) && !text.includes('e')) {
+        text = `${text}.0`;
+    }
+    return `${size === 4 ? 'Real' : 'Double'} Value = ${text}`;
+}
+
+function annotateCharacterString(content) {
+    if (!content.length) {
+        return undefined;
+    }
+    const characterSet = CHARACTER_SETS[content[0]];
+    const data = content.subarray(1);
+    let text;
+    switch (content[0]) {
+        case 0:
+            text = new TextDecoder('utf-8').decode(data);
+            break;
+        case 1:
+            return data.length < 2 ? undefined : `Character Set DBCS, code page ${(data[0] << 8) | data[1]}`;
+        case 3:
+            if (data.length % 4) {
+                return undefined;
+            }
+            text = '';
+            for (let index = 0; index < data.length; index += 4) {
+                const code = ((data[index] << 24) | (data[index + 1] << 16) | (data[index + 2] << 8) | data[index + 3]) >>> 0;
+                text += code <= 0x10FFFF ? String.fromCodePoint(code) : '�';
+            }
+            break;
+        case 4:
+            if (data.length % 2) {
+                return undefined;
+            }
+            text = '';
+            for (let index = 0; index < data.length; index += 2) {
+                text += String.fromCharCode((data[index] << 8) | data[index + 1]);
+            }
+            break;
+        case 5:
+            text = String.fromCharCode(...data);
+            break;
+        default:
+            return characterSet ? `Character Set ${characterSet}, ${data.length} octet(s)` : undefined;
+    }
+    return `Character Set ${characterSet}, ${text ? `text = ${text}` : 'empty string'}`;
+}
+
+function annotateBitString(descriptor, content) {
+    if (!content.length || content[0] > 7) {
+        return undefined;
+    }
+    const length = (content.length - 1) * 8 - content[0];
+    const bits = Array.from({ length: Math.max(length, 0) }, (_, index) => (content[1 + (index >> 3)] & (0x80 >> (index & 7))) !== 0);
+    const text = `Bit String Value = ${bits.length ? bits.map(bit => (bit ? '1' : '0')).join('') : 'empty'} (unused bits = ${content[0]})`;
+    const set = (descriptor.bits ?? []).filter(bit => bits[bit.position]).map(bit => bit.name);
+    return set.length ? `${text}, set: ${set.join(', ')}` : text;
+}
+
+function formatWeekday(day) {
+    return WEEKDAYS[day - 1] ?? `day ${day}`;
+}
+
+/**
+ * Formats a date like the sample files, e.g. "2026-07-27 (Monday)",
+ * "any year, 07-27 (Monday)", "2026, odd months, day 27, any weekday" or
+ * "2026-07, last day of month".
+ */
+function formatDate(content, strict) {
+    if (content.every(byte => byte === WILDCARD)) {
+        return strict ? 'all wildcard (special exception)' : 'all wildcard';
+    }
+    const [yearOctet, month, day, weekday] = content;
+    const year = yearOctet === WILDCARD ? 'any year' : String(yearOctet + 1900);
+    const twoDigits = number => String(number).padStart(2, '0');
+    const weekdayText = weekday === WILDCARD ? 'any weekday' : formatWeekday(weekday);
+
+    if (month >= 1 && month <= 12) {
+        const head = yearOctet === WILDCARD ? `${year}, ${twoDigits(month)}` : `${year}-${twoDigits(month)}`;
+        if (day >= 1 && day <= 31) {
+            return weekday === WILDCARD ? `${head}-${twoDigits(day)}, any weekday` : `${head}-${twoDigits(day)} (${weekdayText})`;
+        }
+        const dayText = day === WILDCARD ? 'any day' : SPECIAL_DAYS[day] ?? `day ${day}`;
+        return day in SPECIAL_DAYS && weekday === WILDCARD ? `${head}, ${dayText}` : `${head}, ${dayText}, ${weekdayText}`;
+    }
+
+    const monthText = month === WILDCARD ? 'any month' : SPECIAL_MONTHS[month] ?? `month ${month}`;
+    const dayText = day === WILDCARD ? 'any day' : SPECIAL_DAYS[day] ?? `day ${day}`;
+    return `${year}, ${monthText}, ${dayText}, ${weekdayText}`;
+}
+
+/**
+ * Formats a time like the sample files, e.g. "14:35:12.50", "any hour, 35:12.50",
+ * "14:35:any second, 50 hundredths" or "14:35:12, any hundredths".
+ */
+function formatTime(content, strict) {
+    if (content.every(byte => byte === WILDCARD)) {
+        return strict ? 'all wildcard (special exception)' : 'all wildcard';
+    }
+    const [hour, minute, second, hundredths] = content;
+    const parts = [[hour, 'any hour'], [minute, 'any minute'], [second, 'any second']]
+        .map(([part, wildcard]) => (part === WILDCARD ? wildcard : String(part).padStart(2, '0')));
+
+    let text = '';
+    for (let index = 0; index < 3; index++) {
+        text += parts[index];
+        const isWildcard = content[index] === WILDCARD;
+        if (index < 2) {
+            text += isWildcard ? ', ' : ':';
+        } else {
+            text += isWildcard || hundredths === WILDCARD ? ', ' : '.';
+        }
+    }
+    if (hundredths === WILDCARD) {
+        return `${text}any hundredths`;
+    }
+    const hundredthsText = String(hundredths).padStart(2, '0');
+    return second === WILDCARD ? `${text}${hundredthsText} hundredths` : `${text}${hundredthsText}`;
+}
+
+function formatWeekNDay([month, week, day]) {
+    const monthText = month === WILDCARD ? 'any month' : MONTHS[month - 1] ?? SPECIAL_MONTHS[month] ?? `month ${month}`;
+    const weekText = week === WILDCARD ? 'any week' : SPECIAL_WEEKS[week] ?? `week ${week}`;
+    const dayText = day === WILDCARD ? 'any day' : formatWeekday(day);
+    return `${monthText}, ${weekText}, ${dayText}`;
+}
+
+function annotateObjectIdentifier(descriptor, content) {
+    const raw = ((content[0] << 24) | (content[1] << 16) | (content[2] << 8) | content[3]) >>> 0;
+    const objectType = raw >>> 22;
+    const entry = (descriptor.cache.registry.get('object-type')?.type?.values ?? []).find(item => item.constant === objectType);
+    return `Object Identifier: object-type = ${objectType}${entry ? ` (${entry.name})` : ''}, instance = ${raw & MAX_OBJECT_INSTANCE}`;
+}
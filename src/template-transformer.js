@@ -0,0 +1,333 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module template-transformer
+ *
+ * Handlebars template driven code generator for BACnet type definitions.
+ *
+ * This transformer implements the standard transformer interface used by the traverser
+ * engine and renders user-supplied Handlebars templates, so that further target languages
+ * can be supported without writing a transformer. Each definition is described by a model:
+ * - `name`, `alias`, `description` and `names` with the naming variants
+ *   (`pascal`, `camel`, `snake`, `screamingSnake`, `kebab`) of the alias or name
+ * - `kind`: 'primitive', 'alias', 'enumeration', 'bits', 'choice', 'sequence' or 'constrained'
+ * - `primitive`: name of the primitive the type resolves to (e.g. 'unsigned')
+ * - `base`, `minimum`, `maximum`: base type and resolved numeric limits (decimal strings)
+ * - `length`: `{minimum, maximum}` of string, octet-string and bit-string lengths, otherwise null
+ * - `series`: `{minimum, maximum}` of the length if the type is a list, otherwise null
+ * - `extensible`, `proprietary`: extensibility of enumerations and bit-strings
+ * - `reference`: model of the referenced type for aliases
+ * - `items`: bits, values, options or fields with `name`, `names`, `description`,
+ *   `constant`, `position`, `context` (the context tag), `optional` and `type`
+ *
+ * The `type` of an item is the model of its inline traits or, for named types, a model
+ * with `kind: 'reference'` describing the referenced definition.
+ *
+ * Built-in helpers: `pascalCase`, `camelCase`, `snakeCase`, `screamingSnakeCase`,
+ * `kebabCase`, `storageType` (maps a numeric range to 'uint8' ... 'int64', 'float32'
+ * or 'float64') and `eq`. Output is not HTML-escaped.
+ *
+ * Usage:
+ * ```javascript
+ * import { TemplateTransformer } from './template-transformer.js';
+ * import { traverseDefinitions } from './traverse.js';
+ *
+ * const transformer = new TemplateTransformer({
+ *   template: '{{#each definitions}}{{#if (eq kind "enumeration")}}enum class {{names.pascal}} ...{{/if}}{{/each}}',
+ *   outputPath: 'generated/Types.kt'
+ * });
+ *
+ * await traverseDefinitions(transformer);
+ * ```
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import Handlebars from 'handlebars';
+
+import { normalizeSeries, resolveConstraints, storageTypeOf } from './constraints.js';
+import { toCamelCase, toKebabCase, toPascalCase, toScreamingSnakeCase, toSnakeCase } from './naming.js';
+import { registry as bundledRegistry } from './traverse.js';
+
+function namesOf(name) {
+    return {
+        pascal: toPascalCase(name),
+        camel: toCamelCase(name),
+        snake: toSnakeCase(name),
+        screamingSnake: toScreamingSnakeCase(name),
+        kebab: toKebabCase(name)
+    };
+}
+
+/**
+ * Template transformer class that renders BACnet definitions with Handlebars templates.
+ * Implements the transformer interface required by the traverser engine.
+ */
+export class TemplateTransformer {
+
+    /**
+     * Creates a new TemplateTransformer instance.
+     *
+     * Either `outputPath` (one file rendered with `{definitions}`) or `outputDirectory`
+     * and `fileName` (one file per definition rendered with `{definition}`) must be given.
+     *
+     * @param {Object} options - Configuration options
+     * @param {string} [options.template] - Handlebars template source
+     * @param {string} [options.templatePath] - File to read the template from instead
+     * @param {Object<string, string>} [options.partials] - Partial templates by name
+     * @param {Object<string, Function>} [options.helpers] - Additional helpers by name
+     * @param {Object} [options.data] - Additional data merged into the template context
+     * @param {string} [options.outputPath] - File to write all definitions to
+     * @param {string} [options.outputDirectory] - Directory for one file per definition
+     * @param {string} [options.fileName] - Template of the file name per definition, e.g. '{{names.pascal}}.kt'
+     * @param {DefinitionRegistry} [options.registry] - Registry used to resolve type references,
+     *        must match the registry passed to traverseDefinitions
+     * @throws {Error} If no template or no output is configured
+     */
+    constructor(options = {}) {
+        if (options.template === undefined && options.templatePath === undefined) {
+            throw new Error('Missing template, expected option \'template\' or \'templatePath\'');
+        }
+        if (!options.outputPath && !(options.outputDirectory && options.fileName)) {
+            throw new Error('Missing output, expected option \'outputPath\' or \'outputDirectory\' and \'fileName\'');
+        }
+
+        this.template = options.template;
+        this.templatePath = options.templatePath;
+        this.data = options.data ?? {};
+        this.outputPath = options.outputPath;
+        this.outputDirectory = options.outputDirectory;
+        this.fileName = options.fileName;
+        this.registry = options.registry ?? bundledRegistry;
+
+        this.handlebars = Handlebars.create();
+        this.handlebars.registerHelper({
+            pascalCase: name => toPascalCase(String(name)),
+            camelCase: name => toCamelCase(String(name)),
+            snakeCase: name => toSnakeCase(String(name)),
+            screamingSnakeCase: name => toScreamingSnakeCase(String(name)),
+            kebabCase: name => toKebabCase(String(name)),
+            storageType: (minimum, maximum) => storageTypeOf(minimum, maximum),
+            eq: (a, b) => a === b,
+            ...options.helpers
+        });
+        this.handlebars.registerPartial(options.partials ?? {});
+
+        // Models of all processed definitions in traversal order
+        this.models = [];
+
+        // Models of the definitions, traits and items currently being processed
+        this.stack = [];
+    }
+
+    /**
+     * Optional lifecycle hook invoked before processing. Reads the template file and
+     * checks the template syntax before any definition is processed.
+     *
+     * @returns {Promise<void>}
+     * @throws {Error} If the template cannot be parsed
+     */
+    async start() {
+        if (this.template === undefined) {
+            this.template = await fs.readFile(this.templatePath, 'utf8');
+        }
+        this.handlebars.parse(this.template);
+    }
+
+    /**
+     * Handler invoked when starting to process a definition.
+     */
+    startDefinition(context) {
+        const definition = context.definition;
+        const model = {
+            name: definition.name,
+            alias: definition.alias,
+            description: definition.description,
+            names: namesOf(definition.alias ?? definition.name),
+            definition
+        };
+
+        if (context.isPrimitive) {
+            const { primitive, minimum, maximum } = this.#describeReference(definition.name);
+            Object.assign(model, { kind: 'primitive', primitive, minimum, maximum, series: null });
+        } else if (typeof definition.type === 'string') {
+            const reference = this.#describeReference(definition.type);
+            Object.assign(model, { kind: 'alias', primitive: reference.primitive, reference });
+        }
+        this.stack.push({ model, target: null });
+    }
+
+    /**
+     * Handler invoked when finishing a definition.
+     */
+    endDefinition(context) {
+        this.models.push(this.stack.pop().model);
+    }
+
+    /**
+     * Handler invoked when starting to process traits. Adds the resolved traits to the
+     * model of the enclosing definition or item.
+     */
+    startTraits(context) {
+        const frame = this.stack.at(-1);
+        const description = this.#describeTraits(context.traits);
+        frame.target = this.stack.length === 1 ? Object.assign(frame.model, description) : (frame.model.type = description);
+    }
+
+    /**
+     * Handler invoked when finishing traits.
+     */
+    endTraits(context) {
+    }
+
+    /**
+     * Handler invoked when starting to process an item (field, option, bit, value).
+     */
+    startItem(context) {
+        const item = context.item;
+        const model = {
+            name: item.name,
+            description: item.description,
+            names: namesOf(item.name),
+            constant: item.constant,
+            position: item.position,
+            context: item.context,
+            optional: item.optional === true,
+            index: context.index,
+            isFirst: context.isFirst,
+            isLast: context.isLast,
+            type: typeof item.type === 'string' ? this.#describeReference(item.type) : undefined,
+            item
+        };
+        this.stack.push({ model, target: null });
+    }
+
+    /**
+     * Handler invoked when finishing an item. Adds the item to the enclosing traits.
+     */
+    endItem(context) {
+        const frame = this.stack.pop();
+        this.stack.at(-1).target.items.push(frame.model);
+    }
+
+    /**
+     * Optional lifecycle hook invoked after all definitions have been processed.
+     * Renders the templates and writes the output.
+     *
+     * @param {Object} result - Processing result from traverser
+     * @returns {Promise<void>}
+     */
+    async afterProcessing(result) {
+        console.log(`Total definitions: ${result.totalCount}`);
+        console.log(`Processed:         ${result.processedCount}`);
+        console.log(`Errors:            ${result.errorCount}`);
+        console.log('----------------------------------------');
+
+        const render = this.handlebars.compile(this.template, { noEscape: true });
+
+        if (this.outputPath) {
+            await fs.mkdir(path.dirname(this.outputPath), { recursive: true });
+            await fs.writeFile(this.outputPath, render({ ...this.data, definitions: this.models }), 'utf8');
+            console.log(`Output written to: ${this.outputPath}`);
+            return;
+        }
+
+        const renderFileName = this.handlebars.compile(this.fileName, { noEscape: true });
+        await fs.mkdir(this.outputDirectory, { recursive: true });
+        for (const definition of this.models) {
+            const filePath = path.join(this.outputDirectory, renderFileName(definition));
+            await fs.writeFile(filePath, render({ ...this.data, definition }), 'utf8');
+        }
+        console.log(`Output written to: ${this.outputDirectory} (${this.models.length} files)`);
+    }
+
+    /**
+     * Describes traits: kind, resolved primitive, limits, series and extensibility.
+     */
+    #describeTraits(traits) {
+        const constraints = resolveConstraints(traits, { registry: this.registry });
+
+        let kind = 'constrained';
+        if (traits.values) {
+            kind = 'enumeration';
+        } else if (traits.bits) {
+            kind = 'bits';
+        } else if (traits.options) {
+            kind = 'choice';
+        } else if (traits.fields) {
+            kind = 'sequence';
+        }
+
+        let minimum = null;
+        let maximum = null;
+        if (kind === 'enumeration') {
+            const limits = [
+                ...traits.values.map(value => BigInt(value.constant)),
+                ...[traits.proprietary ?? []].flat().map(range => BigInt(range.to)),
+                ...(traits.maximum !== undefined ? [BigInt(traits.maximum)] : [])
+            ];
+            minimum = '0';
+            maximum = String(limits.reduce((a, b) => (a > b ? a : b), 0n));
+        } else if (constraints.range) {
+            minimum = String(constraints.range.minimum);
+            maximum = String(constraints.range.maximum);
+        }
+
+        return {
+            kind,
+            primitive: constraints.base,
+            base: traits.base,
+            baseNames: namesOf(this.registry.get(traits.base)?.alias ?? traits.base),
+            minimum,
+            maximum,
+            length: constraints.length,
+            series: normalizeSeries(traits.series),
+            extensible: traits.extensible === true,
+            proprietary: [traits.proprietary ?? []].flat(),
+            items: [],
+            traits
+        };
+    }
+
+    /**
+     * Describes a named type used by an alias or item, including the limits and series
+     * of the type it resolves to.
+     */
+    #describeReference(reference) {
+        const definition = this.registry.require(reference);
+        const resolved = this.registry.resolve(reference);
+
+        let target;
+        if (resolved.primitive !== undefined) {
+            const { base, range, length } = resolveConstraints(reference, { registry: this.registry });
+            target = {
+                kind: resolved.definition === definition ? 'primitive' : 'alias',
+                primitive: base,
+                minimum: range ? String(range.minimum) : null,
+                maximum: range ? String(range.maximum) : null,
+                length,
+                series: null
+            };
+        } else {
+            target = this.#describeTraits(resolved.traits);
+            if (resolved.definition !== definition) {
+                target.kind = 'alias';
+            }
+        }
+
+        return {
+            kind: 'reference',
+            name: definition.name,
+            alias: definition.alias,
+            names: namesOf(definition.alias ?? definition.name),
+            targetKind: target.kind,
+            primitive: target.primitive,
+            minimum: target.minimum,
+            maximum: target.maximum,
+            length: target.length,
+            series: target.series
+        };
+    }
+}
@@ -13,11 +13,23 @@ const __dirname = path.dirname(__filename);
  * to process BACnet definitions and generate markdown output.
  */
 
+import { formatDiagnostic } from './diagnostics.js';
 import { traverseDefinitions } from './traverse.js';
 import { MarkdownTransformer } from './markdown-transformer.js';
+import { TypeScriptTransformer } from './typescript-transformer.js';
+import { CSharpTransformer } from './csharp-transformer.js';
+import { RustTransformer } from './rust-transformer.js';
+import { CHeaderTransformer } from './c-header-transformer.js';
+import { JsonSchemaTransformer } from './json-schema-transformer.js';
+import { HtmlTransformer } from './html-transformer.js';
+import { Asn1Transformer } from './asn1-transformer.js';
+import { GraphTransformer } from './graph-transformer.js';
 
 const outputDir = path.join(__dirname, '..', 'local-working-files');
 
+// Print the problems of a traversal
+const report = result => result.diagnostics.forEach(diagnostic => console.error(formatDiagnostic(diagnostic)));
+
 // Ensure the output directory exists
 await fs.mkdir(outputDir, { recursive: true });
 
@@ -29,4 +41,44 @@ const transformer = new MarkdownTransformer({
 });
 
 // Traverse all definitions using the markdown transformer
-await traverseDefinitions(transformer);
+report(await traverseDefinitions(transformer));
+
+// Generate TypeScript declarations of the same definitions
+report(await traverseDefinitions(new TypeScriptTransformer({
+    outputPath: path.join(outputDir, 'bacnet-types.d.ts')
+})));
+
+// Generate C# types, one file per type
+report(await traverseDefinitions(new CSharpTransformer({
+    outputDirectory: path.join(outputDir, 'csharp')
+})));
+
+// Generate a Rust module
+report(await traverseDefinitions(new RustTransformer({
+    outputPath: path.join(outputDir, 'bacnet_types.rs')
+})));
+
+// Generate a C header with name tables
+report(await traverseDefinitions(new CHeaderTransformer({
+    outputDirectory: path.join(outputDir, 'c')
+})));
+
+// Generate JSON Schemas of the values, one file per type
+report(await traverseDefinitions(new JsonSchemaTransformer({
+    outputDirectory: path.join(outputDir, 'json-schema')
+})));
+
+// Generate the browsable documentation site
+report(await traverseDefinitions(new HtmlTransformer({
+    outputDirectory: path.join(outputDir, 'html')
+})));
+
+// Generate an ASN.1 module for comparison with the standard
+report(await traverseDefinitions(new Asn1Transformer({
+    outputPath: path.join(outputDir, 'bacnet-types.asn')
+})));
+
+// Generate the dependency graph of the types
+report(await traverseDefinitions(new GraphTransformer({
+    outputPath: path.join(outputDir, 'dependencies.dot')
+})));
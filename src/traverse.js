@@ -18,68 +18,21 @@
  * All loaded definitions are deeply frozen to prevent accidental mutations.
  */
 
-import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
+import { DefinitionRegistry } from './definition-registry.js';
+import { createError, DiagnosticError, errorsOf } from './diagnostics.js';
+import { selectDefinitions } from './definition-selection.js';
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-/**
- * Recursively freezes an object and all nested objects/arrays to make them deeply immutable.
- * This prevents accidental mutations of the loaded definitions throughout the application.
- * 
- * @param {Object|Array} object - The object to freeze recursively
- * @returns {Object|Array} The frozen object
- */
-function deepFreeze(object) {
-    if (object && typeof object === 'object' && !Object.isFrozen(object)) {
-        Object.freeze(object);
-        Object.getOwnPropertyNames(object).forEach(property => deepFreeze(object[property]));
-    }
-    return object;
-}
-
 const definitionsDir = path.join(__dirname, '..', 'definitions');
 
-/**
- * Loads and validates all JSON definition files from the definitions directory.
- * Each definition is weakly validated for required properties (name, alias) and then
- * deeply frozen to ensure immutability. The entire definitions array is also frozen.
- * 
- * @returns {Promise<Array>} A frozen array of frozen definition objects
- * @throws {Error} If the definitions directory cannot be read
- */
-async function loadDefinitions() {
-    const definitions = [];
-    const files = (await fs.readdir(definitionsDir)).filter(file => file.endsWith('.json'));
-
-    for (const file of files) {
-        try {
-            const filePath = path.join(definitionsDir, file);
-            const content = await fs.readFile(filePath, 'utf-8');
-            const definition = JSON.parse(content);
-
-            // Validate that definition has required properties
-            if (!definition.name || !definition.alias) {
-                console.warn(`Warning: ${file} missing required properties (name/alias)`);
-                continue;
-            }
-
-            // Deeply freeze the definition to prevent mutations
-            deepFreeze(definition);
-            definitions.push(definition);
-        } catch (error) {
-            console.error(`Error loading ${file}:`, error.message);
-        }
-    }
-
-    // Freeze the entire array to prevent adding/removing definitions
-    return deepFreeze(definitions);
-}
-
 // Load all definitions at module initialization
-const definitions = await loadDefinitions();
+const registry = await DefinitionRegistry.load(definitionsDir);
+const definitions = registry.definitions;
 
 /**
  * Recursively traverses traits and their nested items.
@@ -95,17 +48,24 @@ const definitions = await loadDefinitions();
  * 
  * @param {Object} context - Processing context
  * @param {string} context.fullname - Dot-separated path to this element
+ * @param {string} context.pointer - JSON pointer of the element holding the traits
  * @param {Object} context.traits - The traits object being processed
  * @param {Array} context.ancestors - Array of parent contexts
  * @param {number} context.level - Current nesting level
+ * @param {Array<string>} context.references - Names of the definitions expanded on the way here
  * @param {Object} transformer - Transformer instance with handler methods
+ * @param {Object} settings - Traversal settings derived from the options of traverseDefinitions
  */
-function traverseTraits(context, transformer) {
+function traverseTraits(context, transformer, settings) {
     const traits = context.traits;
     const level = context.level;
 
     // Determine what kind of items this trait has (bits, values, options, or fields)
-    context.items = traits.bits ?? traits.values ?? traits.options ?? traits.fields;
+    const itemsKey = ['bits', 'values', 'options', 'fields'].find(key => traits[key] !== undefined);
+    context.items = traits[itemsKey];
+
+    // Only items of the traversed definition itself are located, not those of expanded references
+    const isLocated = context.references.length === 1;
 
     // Notify transformer that we're starting to process this trait
     transformer.startTraits(context);
@@ -119,13 +79,19 @@ function traverseTraits(context, transformer) {
                 item,
                 level,
                 fullname: context.fullname + '.' + item.name,
+                pointer: `${context.pointer}/type/${itemsKey}/${index}`,
                 ancestors: [...context.ancestors, context],
                 isFirst: index === 0,
                 isLast: index === lastIndex,
                 index,
+                references: context.references,
                 userContext: context.userContext
             };
 
+            if (isLocated) {
+                settings.location = itemContext.pointer;
+            }
+
             // Notify transformer that we're starting an item
             transformer.startItem(itemContext);
 
@@ -140,15 +106,25 @@ function traverseTraits(context, transformer) {
                     traits: item.type,
                     level: level + 1,
                     fullname: itemContext.fullname,
+                    pointer: itemContext.pointer,
                     ancestors: itemContext.ancestors,
+                    references: itemContext.references,
                     userContext: itemContext.userContext
                 };
 
-                traverseTraits(nestedContext, transformer);
+                traverseTraits(nestedContext, transformer, settings);
+            }
+            // If references are followed, expand named types (e.g. "object-identifier")
+            else if (settings.followReferences && typeof item.type === 'string') {
+                traverseReference(itemContext, item.type, transformer, settings);
             }
 
             // Notify transformer that we're done with this item
             transformer.endItem(itemContext);
+
+            if (isLocated) {
+                settings.location = context.pointer;
+            }
         });
     }
 
@@ -156,6 +132,67 @@ function traverseTraits(context, transformer) {
     transformer.endTraits(context);
 }
 
+/**
+ * Expands a string type reference into the referenced definition.
+ *
+ * The transformer's optional startReference/endReference hooks enclose the expansion.
+ * Their context carries the referenced definition like a definition context does, plus:
+ * - reference: The type name or alias as written in the definitions
+ * - isRecursive: The definition is already being expanded on this path (not descended)
+ * - isTruncated: The depth limit is reached (not descended)
+ *
+ * References to definitions with traits are traversed like nested traits, references
+ * to other references (e.g. `date` -> `date-pattern`) are followed until a primitive
+ * or traits definition is reached.
+ *
+ * @param {Object} context - Context of the item or definition holding the reference
+ * @param {string} reference - Name or alias of the referenced definition
+ * @param {Object} transformer - Transformer instance with handler methods
+ * @param {Object} settings - Traversal settings derived from the options of traverseDefinitions
+ * @throws {Error} If the reference cannot be resolved
+ */
+function traverseReference(context, reference, transformer, settings) {
+    const definition = settings.registry.get(reference);
+    if (!definition) {
+        throw new Error(`Unknown type reference '${reference}' at ${context.fullname}`);
+    }
+
+    const references = context.references;
+    const isRecursive = references.includes(definition.name);
+    const isTruncated = !isRecursive && references.length > settings.maxDepth;
+
+    const referenceContext = {
+
+        thisName: definition.name,
+        thisAlias: definition.alias,
+
+        definition,
+        reference,
+        isPrimitive: Object.hasOwn(definition, 'primitive'),
+        traits: definition.type?.base ? definition.type : null,
+        isRecursive,
+        isTruncated,
+        fullname: context.fullname,
+        pointer: '',
+        ancestors: [...context.ancestors, context],
+        level: context.level + 1,
+        references: [...references, definition.name],
+        userContext: context.userContext
+    };
+
+    transformer.startReference?.(referenceContext);
+
+    if (!isRecursive && !isTruncated) {
+        if (referenceContext.traits) {
+            traverseTraits(referenceContext, transformer, settings);
+        } else if (typeof definition.type === 'string') {
+            traverseReference(referenceContext, definition.type, transformer, settings);
+        }
+    }
+
+    transformer.endReference?.(referenceContext);
+}
+
 /**
  * Traverses all BACnet definitions and invokes transformer methods for each element.
  * 
@@ -177,20 +214,63 @@ function traverseTraits(context, transformer) {
  * - endItem(context)
  * - afterProcessing(result) - optional
  * 
+ * With `followReferences` enabled, string type references of definitions and items are
+ * expanded into the referenced definitions (see traverseReference), and the transformer
+ * may additionally implement:
+ * - startReference(context) - optional
+ * - endReference(context) - optional
+ * 
+ * Recursive types are expanded only once per path, and
+ * `maxDepth` limits the number of nested expansions.
+ * 
+ * The `roots`, `include` and `exclude` options restrict the traversal to a selection of
+ * definitions, which are then visited in topological order (see selectDefinitions).
+ * 
+ * Problems are reported as diagnostics (see the diagnostics module): those of loading the
+ * registry and one 'transform-failed' error per definition the transformer failed on,
+ * located by the JSON pointer of the item being processed. In `strict` mode the traversal
+ * throws a DiagnosticError on registry errors before processing and on the first failed
+ * definition, so no output is written from an incomplete set of definitions.
+ * 
  * @param {Object} transformer - Transformer instance with handler methods
- * @param {Object} [options={}] - Processing options (reserved for future use)
- * @returns {Promise<Object>} Processing result with counts: { totalCount, processedCount, errorCount }
+ * @param {Object} [options={}] - Processing options
+ * @param {DefinitionRegistry} [options.registry] - Registry to traverse instead of the bundled definitions
+ * @param {boolean} [options.followReferences=false] - Expand string type references
+ * @param {number} [options.maxDepth=16] - Maximum number of nested reference expansions
+ * @param {Array<string>} [options.roots] - Traverse only these types and everything they reference
+ * @param {string|Array<string>} [options.include] - Traverse only definitions matching these glob patterns
+ * @param {string|Array<string>} [options.exclude] - Skip definitions matching these glob patterns
+ * @param {boolean} [options.strict=false] - Throw on the first error instead of skipping definitions
+ * @returns {Promise<Object>} Processing result with counts and problems:
+ *          { totalCount, processedCount, errorCount, diagnostics }
+ * @throws {DiagnosticError} In strict mode, if the registry has load errors or a definition fails
  */
 export async function traverseDefinitions(transformer, options = {}) {
 
+    const settings = {
+        registry: options.registry ?? registry,
+        followReferences: options.followReferences ?? false,
+        maxDepth: options.maxDepth ?? 16,
+        location: ''
+    };
+
+    const diagnostics = [...settings.registry.diagnostics];
+    if (options.strict && errorsOf(diagnostics).length) {
+        throw new DiagnosticError(errorsOf(diagnostics));
+    }
+
     await transformer.start?.();
 
-    let totalCount = definitions.length;
+    const isSelective = options.roots || options.include || options.exclude;
+    const source = isSelective ? selectDefinitions(settings.registry, options) : settings.registry.definitions;
+
+    let totalCount = source.length;
     let processedCount = 0;
     let errorCount = 0;
 
     // Process each definition
-    for (const definition of definitions) {
+    for (const definition of source) {
+        settings.location = '';
         try {
             // Create initial context for this definition
             const context = {
@@ -200,10 +280,12 @@ export async function traverseDefinitions(transformer, options = {}) {
 
                 definition,                                                 // The definition object
                 fullname: definition.name,                                  // Fully qualified name
+                pointer: '',                                                // JSON pointer into the definition
                 isPrimitive: Object.hasOwn(definition, 'primitive'),        // Is this a primitive type?
                 traits: definition.type?.base ? definition.type : null,     // Traits if applicable
                 ancestors: [],                                              // Parent contexts (empty at top)
-                level: 0                                                    // Nesting level (0 = top)
+                level: 0,                                                   // Nesting level (0 = top)
+                references: [definition.name]                               // Definitions expanded on this path
             };
 
             // Notify transformer we're starting this definition
@@ -211,7 +293,11 @@ export async function traverseDefinitions(transformer, options = {}) {
 
             // If this definition has traits, traverse them
             if (context.traits) {
-                traverseTraits(context, transformer);
+                traverseTraits(context, transformer, settings);
+            }
+            // Or expand the referenced definition if references are followed
+            else if (settings.followReferences && typeof definition.type === 'string') {
+                traverseReference(context, definition.type, transformer, settings);
             }
 
             // Notify transformer we're done with this definition
@@ -220,13 +306,21 @@ export async function traverseDefinitions(transformer, options = {}) {
             processedCount++;
         }
         catch (error) {
-            console.error(`Error processing definition ${definition.name}:`, error.message);
+            const diagnostic = createError('transform-failed', error.message, {
+                file: settings.registry.fileOf(definition.name),
+                pointer: settings.location,
+                definition: definition.name
+            });
+            if (options.strict) {
+                throw new DiagnosticError([diagnostic], { cause: error });
+            }
+            diagnostics.push(diagnostic);
             errorCount++;
         }
     }
 
     // Build result summary
-    const result = { totalCount, processedCount, errorCount };
+    const result = { totalCount, processedCount, errorCount, diagnostics };
 
     // Call optional lifecycle hook if transformer provides it
     if (typeof transformer.afterProcessing === 'function') {
@@ -237,7 +331,7 @@ export async function traverseDefinitions(transformer, options = {}) {
 }
 
 /**
- * Export the loaded definitions for external use.
+ * Export the loaded definitions and their registry for external use.
  * All definitions are deeply frozen and immutable.
  */
-export { definitions };
+export { definitions, registry };
@@ -0,0 +1,163 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module type-cache
+ *
+ * Type descriptors of a registry for the codec and the tools that build values, e.g. the
+ * value and sample generators.
+ *
+ * Reference chains such as `date` -> `date-pattern` are followed, restrictions of every
+ * level are collected in `constraints` and the descriptor gets the `kind` primitive, any,
+ * choice, sequence or series. `series` is normalized to `{ minimum, maximum }`, `cache`
+ * refers back to the cache, so the types of fields and options are resolved against the
+ * same registry, and the depth of the shallowest value of every definition is known, so
+ * recursive types can be cut off.
+ *
+ * Usage:
+ * ```javascript
+ * import { typeCacheOf } from './type-cache.js';
+ *
+ * const cache = typeCacheOf(registry);
+ * const descriptor = cache.describe('read-property-request');
+ * const depth = cache.depthOf('time-stamp');
+ * ```
+ */
+
+import { normalizeSeries } from './constraints.js';
+import { PRIMITIVE_ANY, PRIMITIVE_CHOICE, PRIMITIVE_SEQUENCE } from './primitives.js';
+
+// Resolved types and value depths per registry
+const caches = new WeakMap();
+
+/**
+ * Resolves type references and computes how deep the shallowest value
+ * of each definition is.
+ */
+export class TypeCache {
+
+    constructor(registry) {
+        this.registry = registry;
+        this.named = new Map();
+        this.traits = new WeakMap();
+        this.depths = this.computeDepths();
+
+        // Application tag number -> name of the definition declaring it, as decoded for 'any'
+        this.primitiveNames = new Map();
+        for (const definition of registry.definitions) {
+            if (definition.primitive >= 0 && !this.primitiveNames.has(definition.primitive)) {
+                this.primitiveNames.set(definition.primitive, definition.name);
+            }
+        }
+    }
+
+    /**
+     * Resolves a type reference (definition name or inline traits) into a descriptor.
+     *
+     * @param {string|Object} reference - Type name or traits object
+     * @param {Array<string>} [names=[]] - Names already on the resolution chain (cycle guard)
+     * @returns {Object} Descriptor with kind, primitive, names, constraints and items
+     * @throws {Error} On unknown or circular references
+     */
+    describe(reference, names = []) {
+        if (typeof reference === 'string') {
+            if (this.named.has(reference)) {
+                return this.named.get(reference);
+            }
+            if (names.includes(reference)) {
+                throw new Error(`Circular type reference: ${[...names, reference].join(' -> ')}`);
+            }
+            const definition = this.registry.get(reference);
+            if (!definition) {
+                throw new Error(`Unknown type '${reference}'`);
+            }
+            const resolved = Object.hasOwn(definition, 'primitive')
+                ? { kind: this.kindOf(definition.primitive), primitive: definition.primitive, names: [], constraints: [], fields: [], options: [], cache: this }
+                : this.describe(definition.type, [...names, reference]);
+            const descriptor = { ...resolved, names: [definition.name, ...resolved.names] };
+            this.named.set(reference, descriptor);
+            return descriptor;
+        }
+
+        if (!reference || typeof reference !== 'object') {
+            throw new Error(`Invalid type reference: ${JSON.stringify(reference)}`);
+        }
+        if (this.traits.has(reference)) {
+            return this.traits.get(reference);
+        }
+
+        let descriptor;
+        if (reference.series) {
+            const { series, ...element } = reference;
+            descriptor = { kind: 'series', series: normalizeSeries(series), element: this.describe(element, names), names: [], constraints: [], cache: this };
+        } else {
+            const base = this.describe(reference.base, names);
+            descriptor = { ...base, constraints: [...base.constraints, reference] };
+            for (const [key, kind] of [['fields', 'sequence'], ['options', 'choice'], ['values'], ['bits']]) {
+                if (reference[key]) {
+                    descriptor[key] = reference[key];
+                    descriptor.kind = kind ?? descriptor.kind;
+                }
+            }
+        }
+
+        this.traits.set(reference, descriptor);
+        return descriptor;
+    }
+
+    kindOf(primitive) {
+        return { [PRIMITIVE_ANY]: 'any', [PRIMITIVE_CHOICE]: 'choice', [PRIMITIVE_SEQUENCE]: 'sequence' }[primitive] ?? 'primitive';
+    }
+
+    /**
+     * Computes the depth of the shallowest value of every definition, Infinity for types
+     * without finite values. Iterates until the depths of recursive types settle.
+     */
+    computeDepths() {
+        const depths = new Map();
+        for (let changed = true; changed;) {
+            changed = false;
+            for (const definition of this.registry.definitions) {
+                const depth = Object.hasOwn(definition, 'primitive') ? 0 : this.depthOf(definition.type, depths);
+                if (depth < (depths.get(definition.name) ?? Infinity)) {
+                    depths.set(definition.name, depth);
+                    changed = true;
+                }
+            }
+        }
+        return depths;
+    }
+
+    depthOf(type, depths = this.depths) {
+        if (typeof type === 'string') {
+            return depths.get(this.registry.get(type)?.name) ?? Infinity;
+        }
+        if (!type || typeof type !== 'object') {
+            return Infinity;
+        }
+        if (type.series) {
+            const { series, ...element } = type;
+            return normalizeSeries(series).minimum === 0 ? 0 : 1 + this.depthOf(element, depths);
+        }
+        if (type.fields) {
+            return 1 + Math.max(0, ...type.fields.filter(field => !field.optional).map(field => this.depthOf(field.type, depths)));
+        }
+        if (type.options) {
+            return 1 + Math.min(...type.options.map(option => this.depthOf(option.type, depths)));
+        }
+        return this.depthOf(type.base, depths);
+    }
+}
+
+/**
+ * Returns the type cache of a registry, created on first use.
+ *
+ * @param {DefinitionRegistry} registry - Registry to resolve references with
+ * @returns {TypeCache} The cache shared by all users of the registry
+ */
+export function typeCacheOf(registry) {
+    if (!caches.has(registry)) {
+        caches.set(registry, new TypeCache(registry));
+    }
+    return caches.get(registry);
+}
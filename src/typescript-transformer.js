@@ -0,0 +1,338 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module typescript-transformer
+ *
+ * TypeScript declaration transformer for BACnet type definitions.
+ *
+ * This transformer implements the standard transformer interface used by the traverser
+ * engine and emits one TypeScript file with a declaration per definition. The declared
+ * shapes follow the value model of the codec module, so decoded values can be typed
+ * directly:
+ * - enumerations become unions of their value names (or const enums, see `enumStyle`),
+ *   extensible enumerations additionally accept the plain constant
+ * - bit-strings with named bits become interfaces with one flag per bit
+ * - sequences become interfaces, `optional` fields are marked with `?`
+ * - choices become unions of single-key objects discriminated by the option name
+ * - `series` become arrays
+ * - unsigned and integer values become `number`, or `number | bigint` if their effective
+ *   range (see constraints.js) exceeds Number.MAX_SAFE_INTEGER like the 64-bit types, since
+ *   the codec returns `bigint` only beyond the safe integers
+ *
+ * Type names are derived from the alias of a definition (e.g. `BACnetObjectType`),
+ * falling back to its name. Nested traits are emitted as inline type literals.
+ *
+ * Usage:
+ * ```javascript
+ * import { TypeScriptTransformer } from './typescript-transformer.js';
+ * import { traverseDefinitions } from './traverse.js';
+ *
+ * const transformer = new TypeScriptTransformer({
+ *   enumStyle: 'union',
+ *   outputPath: 'bacnet-types.d.ts'
+ * });
+ *
+ * await traverseDefinitions(transformer);
+ * ```
+ */
+
+import fs from 'fs/promises';
+
+import { resolveConstraints } from './constraints.js';
+import { SAFE_INTEGER_MAXIMUM, SAFE_INTEGER_MINIMUM } from './limit.js';
+import { toPascalCase } from './naming.js';
+import {
+    PRIMITIVE_ANY, PRIMITIVE_BIT_STRING, PRIMITIVE_BOOLEAN, PRIMITIVE_CHARACTER_STRING,
+    PRIMITIVE_CHOICE, PRIMITIVE_DATE, PRIMITIVE_ENUMERATED, PRIMITIVE_INTEGER, PRIMITIVE_NULL,
+    PRIMITIVE_OBJECT_IDENTIFIER, PRIMITIVE_OCTET_STRING, PRIMITIVE_SEQUENCE, PRIMITIVE_TIME,
+    PRIMITIVE_UNSIGNED
+} from './primitives.js';
+import { registry as bundledRegistry } from './traverse.js';
+
+const INTEGER_PRIMITIVES = new Set([PRIMITIVE_UNSIGNED, PRIMITIVE_INTEGER, PRIMITIVE_ENUMERATED]);
+
+function quote(name) {
+    return `'${name.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Places a rendered expression behind a prefix. Multi-line unions start with a
+ * line break and are appended without the separating space.
+ */
+function after(prefix, expression) {
+    return expression.startsWith('\n') ? prefix + expression : `${prefix} ${expression}`;
+}
+
+/**
+ * TypeScript transformer class that converts BACnet definitions to type declarations.
+ * Implements the transformer interface required by the traverser engine.
+ */
+export class TypeScriptTransformer {
+
+    /**
+     * Creates a new TypeScriptTransformer instance.
+     *
+     * @param {Object} [options={}] - Configuration options
+     * @param {string} [options.enumStyle='union'] - 'union' for string literal unions or
+     *        'const-enum' for const enums of top-level enumerations (nested enumerations stay unions)
+     * @param {number} [options.indentSize=4] - Number of spaces per indentation level
+     * @param {string} [options.outputPath='bacnet-types.d.ts'] - Path for output file
+     * @param {DefinitionRegistry} [options.registry] - Registry used to resolve type references,
+     *        must match the registry passed to traverseDefinitions
+     */
+    constructor(options = {}) {
+        this.enumStyle = options.enumStyle ?? 'union';
+        this.indentSize = options.indentSize || 4;
+        this.outputPath = options.outputPath || 'bacnet-types.d.ts';
+        this.registry = options.registry ?? bundledRegistry;
+
+        if (this.enumStyle !== 'union' && this.enumStyle !== 'const-enum') {
+            throw new Error(`Unknown enum style '${this.enumStyle}', expected 'union' or 'const-enum'`);
+        }
+
+        this.output = '// Generated from the BAClib generic BACnet type definitions. Do not edit.\n';
+
+        // Frames of the definitions, traits and items currently being processed
+        this.stack = [];
+
+        this.statistics = {
+            definitions: 0,   // Declarations emitted
+            items: 0          // Fields, options, bits and values processed
+        };
+    }
+
+    /**
+     * Returns the TypeScript type name of a definition.
+     *
+     * @param {Object} definition - The definition
+     * @returns {string} PascalCase alias (or name)
+     */
+    typeNameOf(definition) {
+        return toPascalCase(definition.alias ?? definition.name);
+    }
+
+    /**
+     * Handler invoked when starting to process a definition.
+     */
+    startDefinition(context) {
+        this.stack.push({ context, traits: null });
+    }
+
+    /**
+     * Handler invoked when finishing a definition. Emits its declaration.
+     */
+    endDefinition(context) {
+        const frame = this.stack.pop();
+        const definition = context.definition;
+        const name = this.typeNameOf(definition);
+
+        let declaration;
+        if (context.isPrimitive) {
+            declaration = `export type ${name} = ${this.#renderPrimitive(definition.primitive, name)};`;
+        } else if (frame.traits) {
+            declaration = this.#renderDeclaration(name, frame.traits);
+        } else {
+            declaration = `export type ${name} = ${this.typeNameOf(this.registry.require(definition.type))};`;
+        }
+
+        this.statistics.definitions++;
+        this.output += '\n' + this.#renderComment(definition.description, 0) + declaration + '\n';
+    }
+
+    /**
+     * Handler invoked when starting to process traits. Collects the members of the
+     * traits until endTraits renders them.
+     */
+    startTraits(context) {
+        const primitive = this.registry.resolveBase(context.traits).primitive;
+        this.stack.push({ context, primitive, members: [] });
+    }
+
+    /**
+     * Handler invoked when finishing traits. Hands the collected traits to the
+     * enclosing item or definition.
+     */
+    endTraits(context) {
+        const frame = this.stack.pop();
+        this.stack.at(-1).traits = frame;
+    }
+
+    /**
+     * Handler invoked when starting to process an item (field, option, bit, value).
+     */
+    startItem(context) {
+        this.statistics.items++;
+        this.stack.push({ context, traits: null });
+    }
+
+    /**
+     * Handler invoked when finishing an item. Adds the item with its rendered type to
+     * the enclosing traits.
+     */
+    endItem(context) {
+        const frame = this.stack.pop();
+        const item = context.item;
+
+        let expression;
+        if (frame.traits) {
+            expression = this.#renderTraits(frame.traits);
+        } else if (typeof item.type === 'string') {
+            expression = this.typeNameOf(this.registry.require(item.type));
+        }
+
+        this.stack.at(-1).members.push({ item, expression });
+    }
+
+    /**
+     * Optional lifecycle hook invoked after all definitions have been processed.
+     * Writes the accumulated declarations to the configured file path.
+     *
+     * @param {Object} result - Processing result from traverser
+     * @returns {Promise<void>}
+     */
+    async afterProcessing(result) {
+        console.log(`Total definitions: ${result.totalCount}`);
+        console.log(`Processed:         ${result.processedCount}`);
+        console.log(`Errors:            ${result.errorCount}`);
+        console.log('----------------------------------------');
+
+        await fs.writeFile(this.outputPath, this.output, 'utf8');
+        console.log(`Output written to: ${this.outputPath}`);
+    }
+
+    #renderPrimitive(primitive, name) {
+        switch (primitive) {
+            case PRIMITIVE_NULL:
+                return 'null';
+            case PRIMITIVE_BOOLEAN:
+                return 'boolean';
+            case PRIMITIVE_OCTET_STRING:
+                return 'Uint8Array';
+            case PRIMITIVE_CHARACTER_STRING:
+                return [
+                    'string',
+                    "{ 'character-set': 'utf-8' | 'ucs-4' | 'ucs-2' | 'iso-8859-1'; text: string }",
+                    "{ 'character-set': 'dbcs'; 'code-page': number; bytes: Uint8Array }",
+                    "{ 'character-set': 'jis-x-0208'; bytes: Uint8Array }"
+                ].join(' | ');
+            case PRIMITIVE_UNSIGNED:
+            case PRIMITIVE_INTEGER:
+                // 64-bit ranges, bigint beyond the safe integers
+                return 'number | bigint';
+            case PRIMITIVE_BIT_STRING:
+                return 'boolean[]';
+            case PRIMITIVE_ENUMERATED:
+                return 'string | number';
+            case PRIMITIVE_DATE:
+                return "{ year: number | null; month: number | null; day: number | null; 'day-of-week': number | null }";
+            case PRIMITIVE_TIME:
+                return '{ hour: number | null; minute: number | null; second: number | null; hundredths: number | null }';
+            case PRIMITIVE_OBJECT_IDENTIFIER: {
+                const objectType = this.registry.get('object-type');
+                const objectTypeName = objectType ? this.typeNameOf(objectType) : 'string';
+                return `{ 'object-type': ${objectTypeName} | number; instance: number }`;
+            }
+            case PRIMITIVE_ANY:
+                return `Array<{ type: string; value: unknown } | { context: number; value: Uint8Array } | { context: number; items: ${name} }>`;
+            case PRIMITIVE_CHOICE:
+            case PRIMITIVE_SEQUENCE:
+                return 'Record<string, unknown>';
+            default:
+                // real and double
+                return 'number';
+        }
+    }
+
+    /**
+     * Renders a top-level declaration. Sequences and named bits become interfaces,
+     * enumerations const enums if requested, everything else a type alias.
+     */
+    #renderDeclaration(name, frame) {
+        const traits = frame.context.traits;
+
+        if (!traits.series && frame.members.length) {
+            if (frame.primitive === PRIMITIVE_SEQUENCE || frame.primitive === PRIMITIVE_BIT_STRING) {
+                return `export interface ${name} ${this.#renderTraits(frame)}`;
+            }
+            if (frame.primitive === PRIMITIVE_ENUMERATED && this.enumStyle === 'const-enum') {
+                const members = frame.members.map(({ item }) =>
+                    this.#renderComment(item.description, 1) + this.#indent(1) + `${toPascalCase(item.name)} = ${quote(item.name)},`);
+                return `export const enum ${name} {\n${members.join('\n')}\n}`;
+            }
+        }
+
+        return after(`export type ${name} =`, this.#renderTraits(frame)) + ';';
+    }
+
+    /**
+     * Renders the type expression of traits, including the series array.
+     */
+    #renderTraits(frame) {
+        const traits = frame.context.traits;
+        const level = frame.context.level;
+        let expression;
+
+        if (!frame.members.length) {
+            expression = this.#renderConstrained(frame);
+        } else if (frame.primitive === PRIMITIVE_ENUMERATED) {
+            const names = frame.members.map(({ item }) => quote(item.name));
+            if (traits.extensible || traits.proprietary) {
+                names.push('number');
+            }
+            expression = names.map(name => '\n' + this.#indent(level + 1) + '| ' + name).join('');
+        } else if (frame.primitive === PRIMITIVE_CHOICE) {
+            expression = frame.members
+                .map(({ item, expression }) => '\n' + this.#indent(level + 1) + `| { ${after(quote(item.name) + ':', expression)} }`)
+                .join('');
+        } else {
+            // Sequences and bit-strings
+            const members = frame.members.map(({ item, expression }) => {
+                const key = quote(item.name) + (item.optional ? '?' : '');
+                const type = frame.primitive === PRIMITIVE_BIT_STRING ? 'boolean' : expression;
+                return this.#renderComment(item.description, level + 1) + this.#indent(level + 1) + after(key + ':', type) + ';';
+            });
+            expression = `{\n${members.join('\n')}\n${this.#indent(level)}}`;
+        }
+
+        if (!traits.series) {
+            return expression;
+        }
+        return /^[A-Za-z0-9_]+$/.test(expression) ? `${expression}[]` : `Array<${expression}${expression.startsWith('\n') ? '\n' + this.#indent(level) : ''}>`;
+    }
+
+    /**
+     * Renders traits without items, i.e. a constrained base type. Integers whose
+     * effective range exceeds the safe JavaScript numbers may also be bigint.
+     */
+    #renderConstrained(frame) {
+        const traits = frame.context.traits;
+
+        if (INTEGER_PRIMITIVES.has(frame.primitive)) {
+            const { range } = resolveConstraints(traits, { registry: this.registry });
+            const unsafe = range.minimum < SAFE_INTEGER_MINIMUM || range.maximum > SAFE_INTEGER_MAXIMUM;
+            if (frame.primitive !== PRIMITIVE_ENUMERATED) {
+                return unsafe ? 'number | bigint' : 'number';
+            }
+            // Enumerations keep their names unless restricted to unsafe constants
+            const restricted = this.registry.resolveBase(traits).traits
+                .some(entry => entry.minimum !== undefined || entry.maximum !== undefined);
+            if (restricted && unsafe) {
+                return 'number | bigint';
+            }
+        }
+
+        return this.typeNameOf(this.registry.require(traits.base));
+    }
+
+    #renderComment(description, level) {
+        if (!description) {
+            return '';
+        }
+        return this.#indent(level) + `/** ${description.replace(/\*\//g, '*\\/')} */\n`;
+    }
+
+    #indent(level) {
+        return ' '.repeat(level * this.indentSize);
+    }
+}
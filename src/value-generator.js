@@ -0,0 +1,704 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @module value-generator
+ *
+ * Seeded random values of BACnet types for property-based and fuzz testing.
+ *
+ * Values follow the value model of the codec (see codec.js) and respect the restrictions
+ * of the definitions, so every generated value can be encoded and decodes to an equal value:
+ * - unsigned, integer, enumerated: within `minimum`/`maximum`, as `bigint` beyond
+ *   Number.MAX_SAFE_INTEGER; edge cases are the range bounds and the 8 to 64-bit limits
+ *   of limit.js with their neighbours
+ * - enumerated: named values, numbers of `proprietary` ranges and, if `extensible`, any
+ *   number of the range
+ * - real, double: within `minimum`/`maximum`, rounded to 32 bits for real
+ * - octet-string, character-string, bit-string: within `length`, named bits as flags
+ * - date, time: valid calendar dates and times, wildcards for patterns
+ * - sequence: required fields and a random selection of optional fields
+ * - choice: one random option, except the `unencodable` options beyond tag 254
+ * - series: arrays within the `series` length
+ *
+ * The same seed yields the same value. `edgeCaseBias` is the probability of choosing an
+ * edge case (range bounds, shortest and longest lengths) instead of a uniform value.
+ * Beyond `maxDepth` optional fields are omitted, series are as short as possible and
+ * choices take the options with the shallowest values, so recursive types terminate.
+ * Unbounded lengths are kept short to keep the values small.
+ *
+ * With `outOfRange` one element of the value is pushed out of its restrictions, e.g. a
+ * number beyond its `maximum`, a string exceeding its `length` or an enumeration constant
+ * not named by its type. If the random value has no restricted element, e.g. an empty
+ * series, it is generated again along the shallowest path to one. `validateValue` reports
+ * every such value, the encoder rejects all but unnamed enumeration constants.
+ *
+ * Usage:
+ * ```javascript
+ * import { encode, decode } from './codec.js';
+ * import { generateValue } from './value-generator.js';
+ *
+ * for (let seed = 0; seed < 100; seed++) {
+ *     const value = generateValue('read-property-request', { seed });
+ *     assert.deepEqual(decode('read-property-request', encode('read-property-request', value)), value);
+ * }
+ * const invalid = generateValue('lighting-command', { seed: 7, outOfRange: true });
+ * ```
+ */
+
+import { intersectLength, intersectRange } from './constraints.js';
+import {
+    INTEGER_16_MAXIMUM, INTEGER_16_MINIMUM, INTEGER_32_MAXIMUM, INTEGER_32_MINIMUM,
+    INTEGER_64_MAXIMUM, INTEGER_64_MINIMUM, INTEGER_8_MAXIMUM, INTEGER_8_MINIMUM,
+    SAFE_INTEGER_MAXIMUM, SAFE_INTEGER_MINIMUM, UNSIGNED_16_MAXIMUM, UNSIGNED_32_MAXIMUM,
+    UNSIGNED_64_MAXIMUM, UNSIGNED_8_MAXIMUM
+} from './limit.js';
+import {
+    LIMIT_BASES, MAX_OBJECT_INSTANCE, MAX_OBJECT_TYPE, MAX_TAG_NUMBER, PRIMITIVE_BIT_STRING,
+    PRIMITIVE_BOOLEAN, PRIMITIVE_CHARACTER_STRING, PRIMITIVE_DATE, PRIMITIVE_DOUBLE,
+    PRIMITIVE_ENUMERATED, PRIMITIVE_INTEGER, PRIMITIVE_NULL, PRIMITIVE_OBJECT_IDENTIFIER,
+    PRIMITIVE_OCTET_STRING, PRIMITIVE_REAL, PRIMITIVE_TIME, PRIMITIVE_UNSIGNED, WILDCARD
+} from './primitives.js';
+import { registry as bundledRegistry } from './traverse.js';
+import { typeCacheOf } from './type-cache.js';
+
+// Integers at which the encoding or the storage type changes, see limit.js
+const INTEGER_EDGES = [
+    0n, UNSIGNED_8_MAXIMUM, UNSIGNED_16_MAXIMUM, UNSIGNED_32_MAXIMUM, UNSIGNED_64_MAXIMUM,
+    INTEGER_8_MINIMUM, INTEGER_8_MAXIMUM, INTEGER_16_MINIMUM, INTEGER_16_MAXIMUM,
+    INTEGER_32_MINIMUM, INTEGER_32_MAXIMUM, INTEGER_64_MINIMUM, INTEGER_64_MAXIMUM,
+    SAFE_INTEGER_MINIMUM, SAFE_INTEGER_MAXIMUM
+].flatMap(edge => [edge - 1n, edge, edge + 1n]);
+
+const FLOAT32_MINIMUM_SUBNORMAL = 2 ** -149;
+
+// Uniform floats are drawn from this magnitude, larger ones are left to the edge cases
+const FLOAT_SPAN = 1e6;
+
+// Additional elements of unbounded lengths, larger lengths are only chosen as edge case
+const STRING_SPAN = 16;
+const SERIES_SPAN = 3;
+const MAX_EDGE_STRING_LENGTH = 1024;
+const MAX_EDGE_SERIES_LENGTH = 8;
+
+// Levels beyond maxDepth before a type is considered to have no finite value
+const MAX_EXCESS_DEPTH = 64;
+
+const SPECIAL_CHARACTERS = ['ä', 'ß', '€', 'あ', '\u{1F600}', '\t', '"', '\\'];
+
+const WILDCARD_CHANCE = 0.25;
+const OPTIONAL_CHANCE = 0.5;
+const NUMBERED_CHANCE = 0.2;
+
+/**
+ * Checks whether the codec can encode an option, options of the standard with context
+ * tags beyond 254 are marked `unencodable`.
+ */
+function isEncodable(option) {
+    return option.unencodable !== true && !(option.context > MAX_TAG_NUMBER);
+}
+
+/**
+ * Checks whether a length range has a bound that generated values can violate.
+ */
+function hasLengthViolation({ minimum, maximum }, maxEdgeLength) {
+    return (maximum !== null && maximum < maxEdgeLength) || minimum > 0;
+}
+
+/**
+ * Checks whether the generator pushes values of a primitive descriptor out of their
+ * restrictions, following the violations of the generate methods.
+ */
+function hasPrimitiveViolation(descriptor) {
+    switch (descriptor.primitive) {
+        case PRIMITIVE_NULL:
+        case PRIMITIVE_BOOLEAN:
+            return false;
+        case PRIMITIVE_DOUBLE:
+            return descriptor.constraints.some(constraint => Object.hasOwn(constraint, 'minimum') || Object.hasOwn(constraint, 'maximum'));
+        case PRIMITIVE_OCTET_STRING:
+            return descriptor.names.includes('week-n-day') || hasLengthViolation(intersectLength(descriptor.constraints), MAX_EDGE_STRING_LENGTH);
+        case PRIMITIVE_CHARACTER_STRING:
+            return hasLengthViolation(intersectLength(descriptor.constraints), MAX_EDGE_STRING_LENGTH);
+        case PRIMITIVE_BIT_STRING:
+            return descriptor.bits
+                ? intersectLength(descriptor.constraints).maximum !== null
+                : hasLengthViolation(intersectLength(descriptor.constraints), MAX_EDGE_STRING_LENGTH);
+        default:
+            return true;
+    }
+}
+
+// Depths of the shallowest restricted element of every definition per type cache
+const violationDepths = new WeakMap();
+
+/**
+ * Computes how deep the shallowest element the generator can push out of its restrictions
+ * is in a type, Infinity for types without such elements.
+ */
+function violationDepthOf(cache, reference, depths) {
+    if (typeof reference === 'string') {
+        return depths.get(cache.registry.get(reference)?.name) ?? Infinity;
+    }
+    return descriptorViolationDepth(cache, cache.describe(reference), depths);
+}
+
+function descriptorViolationDepth(cache, descriptor, depths) {
+    switch (descriptor.kind) {
+        case 'sequence':
+            return 1 + Math.min(...descriptor.fields.map(field => violationDepthOf(cache, field.type, depths)));
+        case 'choice':
+            return 1 + Math.min(...descriptor.options.filter(isEncodable).map(option => violationDepthOf(cache, option.type, depths)));
+        case 'series':
+            // Series of 'any' are generated as one element, their length is not violated
+            if (descriptor.element.kind !== 'any' && hasLengthViolation(descriptor.series, MAX_EDGE_SERIES_LENGTH)) {
+                return 0;
+            }
+            return 1 + descriptorViolationDepth(cache, descriptor.element, depths);
+        case 'any':
+            return 1 + Math.min(...[...cache.primitiveNames.values()].map(name => violationDepthOf(cache, name, depths)));
+        default:
+            return hasPrimitiveViolation(descriptor) ? 0 : Infinity;
+    }
+}
+
+/**
+ * Returns the violation depths of all definitions of a type cache. Iterates until the
+ * depths of recursive types settle, like the value depths of the cache.
+ */
+function violationDepthsOf(cache) {
+    if (!violationDepths.has(cache)) {
+        const depths = new Map();
+        for (let changed = true; changed;) {
+            changed = false;
+            for (const definition of cache.registry.definitions) {
+                const depth = descriptorViolationDepth(cache, cache.describe(definition.name), depths);
+                if (depth < (depths.get(definition.name) ?? Infinity)) {
+                    depths.set(definition.name, depth);
+                    changed = true;
+                }
+            }
+        }
+        violationDepths.set(cache, depths);
+    }
+    return violationDepths.get(cache);
+}
+
+/**
+ * Creates a mulberry32 generator of unsigned 32-bit integers.
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let mixed = Math.imul(state ^ (state >>> 15), state | 1);
+        mixed ^= mixed + Math.imul(mixed ^ (mixed >>> 7), mixed | 61);
+        return (mixed ^ (mixed >>> 14)) >>> 0;
+    };
+}
+
+function toNumeric(value) {
+    return value <= SAFE_INTEGER_MAXIMUM && value >= SAFE_INTEGER_MINIMUM
+        ? Number(value)
+        : value;
+}
+
+function isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+function daysInMonth(year, month) {
+    return [31, isLeapYear(year) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+}
+
+/**
+ * Creates a date value with its day of week, 1 is Monday in BACnet.
+ */
+function calendarDate(year, month, day) {
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    return { year, month, day, 'day-of-week': weekday === 0 ? 7 : weekday };
+}
+
+/**
+ * Steps a 32-bit float to its neighbour towards positive (1) or negative (-1) infinity.
+ */
+function stepFloat32(value, direction) {
+    const view = new DataView(new ArrayBuffer(4));
+    view.setFloat32(0, value);
+    let bits = view.getUint32(0);
+    if (value === 0) {
+        bits = direction > 0 ? 0x00000001 : 0x80000001;
+    } else if ((value > 0) === (direction > 0)) {
+        bits += 1;
+    } else {
+        bits -= 1;
+    }
+    view.setUint32(0, bits);
+    return view.getFloat32(0);
+}
+
+/**
+ * Generates one value, optionally with an element out of its restrictions.
+ */
+class ValueGenerator {
+
+    constructor(cache, options) {
+        this.cache = cache;
+        this.next = createRandom(options.seed);
+        this.maxDepth = options.maxDepth;
+        this.edgeCaseBias = options.edgeCaseBias;
+        // Elements that can be pushed out of their restrictions: { path, create }
+        this.violations = options.outOfRange ? [] : null;
+        this.violationDepths = options.outOfRange ? violationDepthsOf(cache) : null;
+    }
+
+    random() {
+        return this.next() / 0x100000000;
+    }
+
+    chance(probability) {
+        return this.random() < probability;
+    }
+
+    integer(minimum, maximum) {
+        return minimum + Math.floor(this.random() * (maximum - minimum + 1));
+    }
+
+    bigint(minimum, maximum) {
+        const span = maximum - minimum + 1n;
+        const bits = (BigInt(this.next()) << 64n) | (BigInt(this.next()) << 32n) | BigInt(this.next());
+        return minimum + bits % span;
+    }
+
+    pick(items) {
+        return items[Math.floor(this.random() * items.length)];
+    }
+
+    isEdgeCase() {
+        return this.chance(this.edgeCaseBias);
+    }
+
+    /**
+     * Chooses a length of the range, preferring short lengths for unbounded ranges.
+     */
+    length({ minimum, maximum }, span, maxEdgeLength) {
+        if (this.isEdgeCase()) {
+            return maximum !== null && maximum <= maxEdgeLength && this.chance(0.5) ? maximum : minimum;
+        }
+        return this.integer(minimum, Math.min(maximum ?? Infinity, minimum + span));
+    }
+
+    addViolation(path, create) {
+        this.violations?.push({ path, create });
+    }
+
+    /**
+     * Picks the item whose type has the shallowest restricted element.
+     */
+    shallowestViolation(items) {
+        const depths = items.map(item => violationDepthOf(this.cache, item.type, this.violationDepths));
+        return this.pick(items.filter((item, index) => depths[index] === Math.min(...depths)));
+    }
+
+    /**
+     * Generates a value of a descriptor. `steer` leads the value to the shallowest element
+     * that can be pushed out of its restrictions, including optional fields and series
+     * elements if needed.
+     */
+    generate(descriptor, path, depth, steer = false) {
+        if (depth > this.maxDepth + MAX_EXCESS_DEPTH) {
+            throw new Error(`No finite value at ${path.join('.') || 'the root'}`);
+        }
+        switch (descriptor.kind) {
+            case 'sequence':
+                return this.generateSequence(descriptor, path, depth, steer);
+            case 'choice':
+                return this.generateChoice(descriptor, path, depth, steer);
+            case 'series':
+                return this.generateSeries(descriptor, path, depth, steer);
+            case 'any':
+                return this.generateAny(path, depth, false, steer);
+            default:
+                return this.generatePrimitive(descriptor, path);
+        }
+    }
+
+    generateSequence(descriptor, path, depth, steer) {
+        if (!descriptor.fields.length) {
+            throw new Error(`Sequence type '${descriptor.names[0]}' has no fields`);
+        }
+        const target = steer ? this.shallowestViolation(descriptor.fields) : null;
+        const value = {};
+        for (const field of descriptor.fields) {
+            if (field === target || !field.optional || (depth < this.maxDepth && this.chance(OPTIONAL_CHANCE))) {
+                value[field.name] = this.generate(this.cache.describe(field.type), [...path, field.name], depth + 1, field === target);
+            }
+        }
+        return value;
+    }
+
+    generateChoice(descriptor, path, depth, steer) {
+        let options = descriptor.options.filter(isEncodable);
+        if (!options.length) {
+            throw new Error(`Choice type '${descriptor.names[0]}' has no options`);
+        }
+        if (steer) {
+            options = [this.shallowestViolation(options)];
+        } else if (depth >= this.maxDepth) {
+            const depths = options.map(option => this.cache.depthOf(option.type));
+            options = options.filter((option, index) => depths[index] === Math.min(...depths));
+        }
+        const option = this.pick(options);
+        return { [option.name]: this.generate(this.cache.describe(option.type), [...path, option.name], depth + 1, steer) };
+    }
+
+    generateSeries(descriptor, path, depth, steer) {
+        const { minimum, maximum } = descriptor.series;
+        let length = depth >= this.maxDepth ? minimum : this.length(descriptor.series, SERIES_SPAN, MAX_EDGE_SERIES_LENGTH);
+        // Without bounds to violate, the first element leads to the restricted element
+        const steerElement = steer && (descriptor.element.kind === 'any' || !hasLengthViolation(descriptor.series, MAX_EDGE_SERIES_LENGTH));
+        if (steerElement) {
+            length = Math.max(length, 1);
+        }
+        if (descriptor.element.kind === 'any') {
+            // Elements of 'any' are not delimited, the decoder returns all items as one element
+            return length ? [this.generateAny([...path, 0], depth + 1, true, steerElement)] : [];
+        }
+        const elements = () => this.generate(descriptor.element, path, this.maxDepth);
+        const value = Array.from({ length }, (_, index) => this.generate(descriptor.element, [...path, index], depth + 1, steerElement && index === 0));
+
+        if (maximum !== null && maximum < MAX_EDGE_SERIES_LENGTH) {
+            this.addViolation(path, () => [...value, ...Array.from({ length: maximum + 1 - length }, elements)]);
+        }
+        if (minimum > 0) {
+            this.addViolation(path, () => value.slice(0, minimum - 1));
+        }
+        return value;
+    }
+
+    /**
+     * Generates the items of 'any', starting with an application tagged item if the
+     * decoder has to recognize them by their first tag or if `steer` needs an item of a
+     * restricted primitive.
+     */
+    generateAny(path, depth, recognizable = false, steer = false) {
+        const typed = recognizable || steer;
+        const count = depth >= this.maxDepth && !typed ? 0 : this.integer(typed ? 1 : 0, 3);
+        return Array.from({ length: count }, (_, index) => {
+            const itemPath = [...path, index];
+            const roll = typed && index === 0 ? 1 : this.random();
+            if (roll < 0.15) {
+                return { context: this.integer(0, 254), value: this.bytes(this.integer(0, 8)) };
+            }
+            if (roll < 0.3) {
+                return { context: this.integer(0, 254), items: this.generateAny([...itemPath, 'items'], depth + 1) };
+            }
+            const types = [...this.cache.primitiveNames.values()];
+            const type = steer && index === 0 ? this.shallowestViolation(types.map(name => ({ type: name }))).type : this.pick(types);
+            return { type, value: this.generate(this.cache.describe(type), [...itemPath, 'value'], depth + 1) };
+        });
+    }
+
+    generatePrimitive(descriptor, path) {
+        switch (descriptor.primitive) {
+            case PRIMITIVE_NULL:
+                return null;
+            case PRIMITIVE_BOOLEAN:
+                return this.chance(0.5);
+            case PRIMITIVE_UNSIGNED:
+            case PRIMITIVE_INTEGER:
+                return this.generateInteger(descriptor, path);
+            case PRIMITIVE_ENUMERATED:
+                return descriptor.values?.length ? this.generateEnumerated(descriptor, path) : this.generateInteger(descriptor, path);
+            case PRIMITIVE_REAL:
+            case PRIMITIVE_DOUBLE:
+                return this.generateFloat(descriptor, path);
+            case PRIMITIVE_OCTET_STRING:
+                return descriptor.names.includes('week-n-day') ? this.generateWeekNDay(path) : this.generateOctetString(descriptor, path);
+            case PRIMITIVE_CHARACTER_STRING:
+                return this.generateCharacterString(descriptor, path);
+            case PRIMITIVE_BIT_STRING:
+                return this.generateBitString(descriptor, path);
+            case PRIMITIVE_DATE:
+                return this.generateDate(descriptor.names.includes('date'), path);
+            case PRIMITIVE_TIME:
+                return this.generateTime(descriptor.names.includes('time'), path);
+            case PRIMITIVE_OBJECT_IDENTIFIER:
+                return this.generateObjectIdentifier(path);
+            default:
+                throw new Error(`Unsupported primitive ${descriptor.primitive}`);
+        }
+    }
+
+    generateInteger(descriptor, path) {
+        const { minimum, maximum } = intersectRange(LIMIT_BASES[descriptor.primitive], descriptor.constraints);
+        this.addViolation(path, () => toNumeric(this.chance(0.5) ? maximum + 1n : minimum - 1n));
+
+        if (this.isEdgeCase()) {
+            return toNumeric(this.pick([minimum, maximum, ...INTEGER_EDGES.filter(edge => edge >= minimum && edge <= maximum)]));
+        }
+        return toNumeric(this.bigint(minimum, maximum));
+    }
+
+    generateEnumerated(descriptor, path) {
+        const { minimum, maximum } = intersectRange('enumerated', descriptor.constraints);
+        const names = new Map(descriptor.values.map(item => [BigInt(item.constant), item.name]));
+        const proprietary = descriptor.constraints
+            .flatMap(constraint => [constraint.proprietary ?? []].flat())
+            .map(range => ({ minimum: BigInt(range.from), maximum: BigInt(range.to) < maximum ? BigInt(range.to) : maximum }))
+            .filter(range => range.minimum <= range.maximum);
+        const extensible = descriptor.constraints.some(constraint => constraint.extensible === true);
+        const toValue = number => names.get(number) ?? toNumeric(number);
+
+        // An unnamed constant outside of the proprietary ranges, or one beyond the maximum
+        this.addViolation(path, () => {
+            let number = [...names.keys()].reduce((highest, constant) => constant > highest ? constant : highest) + 1n;
+            while (proprietary.some(range => number >= range.minimum && number <= range.maximum)) {
+                number = proprietary.find(range => number >= range.minimum && number <= range.maximum).maximum + 1n;
+            }
+            return toNumeric(extensible || number > maximum ? maximum + 1n : number);
+        });
+
+        const named = descriptor.values.filter(item => BigInt(item.constant) >= minimum && BigInt(item.constant) <= maximum);
+        if (this.isEdgeCase()) {
+            const edges = [named[0]?.name, named.at(-1)?.name, ...proprietary.flatMap(range => [range.minimum, range.maximum].map(toValue))];
+            if (extensible) {
+                edges.push(toValue(minimum), toValue(maximum));
+            }
+            return this.pick(edges.filter(edge => edge !== undefined));
+        }
+        if (((extensible || proprietary.length) && this.chance(NUMBERED_CHANCE)) || !named.length) {
+            const range = extensible ? { minimum, maximum } : this.pick(proprietary);
+            return toValue(this.bigint(range.minimum, range.maximum));
+        }
+        return this.pick(named).name;
+    }
+
+    generateFloat(descriptor, path) {
+        const base = LIMIT_BASES[descriptor.primitive];
+        const isReal = descriptor.primitive === PRIMITIVE_REAL;
+        const restricted = descriptor.constraints.some(constraint => Object.hasOwn(constraint, 'minimum') || Object.hasOwn(constraint, 'maximum'));
+        const { minimum, maximum } = intersectRange(base, descriptor.constraints);
+        const round = value => {
+            if (!isReal) {
+                return value;
+            }
+            let rounded = Math.fround(value);
+            while (rounded > maximum) {
+                rounded = stepFloat32(rounded, -1);
+            }
+            while (rounded < minimum) {
+                rounded = stepFloat32(rounded, 1);
+            }
+            return rounded;
+        };
+
+        // Finite floats are checked against the range of their base, which spans all finite doubles
+        if (restricted || isReal) {
+            this.addViolation(path, () => {
+                const value = this.chance(0.5) ? maximum + Math.max(1, Math.abs(maximum)) : minimum - Math.max(1, Math.abs(minimum));
+                return isReal && restricted ? Math.fround(value) : value;
+            });
+        }
+
+        if (this.isEdgeCase()) {
+            const edges = [minimum, maximum, 0, -0, 1, -1, isReal ? FLOAT32_MINIMUM_SUBNORMAL : Number.MIN_VALUE]
+                .filter(edge => edge >= minimum && edge <= maximum);
+            if (!restricted) {
+                edges.push(NaN, Infinity, -Infinity);
+            }
+            const edge = this.pick(edges);
+            return Number.isFinite(edge) ? round(edge) : edge;
+        }
+
+        let low = Math.max(minimum, -FLOAT_SPAN);
+        let high = Math.min(maximum, FLOAT_SPAN);
+        if (low > high) {
+            low = minimum;
+            high = maximum;
+        }
+        const ratio = this.random();
+        return round(low * (1 - ratio) + high * ratio);
+    }
+
+    bytes(length) {
+        return Uint8Array.from({ length }, () => this.next() & 0xFF);
+    }
+
+    addLengthViolations(path, { minimum, maximum }, create) {
+        if (maximum !== null && maximum < MAX_EDGE_STRING_LENGTH) {
+            this.addViolation(path, () => create(maximum + 1));
+        }
+        if (minimum > 0) {
+            this.addViolation(path, () => create(minimum - 1));
+        }
+    }
+
+    generateOctetString(descriptor, path) {
+        const range = intersectLength(descriptor.constraints);
+        this.addLengthViolations(path, range, length => this.bytes(length));
+        return this.bytes(this.length(range, STRING_SPAN, MAX_EDGE_STRING_LENGTH));
+    }
+
+    /**
+     * Month 1..14, week of month 1..9 and day of week 1..7 or the wildcard (clause 21).
+     */
+    generateWeekNDay(path) {
+        this.addViolation(path, () => Uint8Array.of(15, WILDCARD, WILDCARD));
+        const part = maximum => this.chance(WILDCARD_CHANCE) ? WILDCARD : this.integer(1, maximum);
+        return Uint8Array.of(part(14), part(9), part(7));
+    }
+
+    character(maximumCodePoint) {
+        if (this.isEdgeCase()) {
+            const special = SPECIAL_CHARACTERS.filter(character => character.codePointAt(0) <= maximumCodePoint);
+            return this.pick(special);
+        }
+        return String.fromCodePoint(this.integer(0x20, 0x7E));
+    }
+
+    text(length, maximumCodePoint = 0x10FFFF) {
+        return Array.from({ length }, () => this.character(maximumCodePoint)).join('');
+    }
+
+    generateCharacterString(descriptor, path) {
+        const range = intersectLength(descriptor.constraints);
+        this.addLengthViolations(path, range, length => this.text(length));
+
+        const length = this.length(range, STRING_SPAN, MAX_EDGE_STRING_LENGTH);
+        if (this.isEdgeCase()) {
+            const [characterSet, maximumCodePoint] = this.pick([['iso-8859-1', 0xFF], ['ucs-2', 0xFFFF], ['ucs-4', 0x10FFFF]]);
+            return { 'character-set': characterSet, text: this.text(length, maximumCodePoint) };
+        }
+        return this.text(length);
+    }
+
+    generateBitString(descriptor, path) {
+        const range = intersectLength(descriptor.constraints);
+        if (!descriptor.bits) {
+            this.addLengthViolations(path, range, length => Array.from({ length }, () => this.chance(0.5)));
+            return Array.from({ length: this.length(range, STRING_SPAN, MAX_EDGE_STRING_LENGTH) }, () => this.chance(0.5));
+        }
+
+        const flags = Object.fromEntries(descriptor.bits.map(bit => [bit.name, this.chance(0.5)]));
+        if (range.maximum !== null) {
+            this.addViolation(path, () => ({ ...flags, [String(range.maximum)]: true }));
+        }
+        return flags;
+    }
+
+    generateDate(strict, path) {
+        let date;
+        if (strict) {
+            date = this.isEdgeCase()
+                ? this.pick([calendarDate(1900, 1, 1), calendarDate(2154, 12, 31), calendarDate(2000, 2, 29), { year: null, month: null, day: null, 'day-of-week': null }])
+                : this.calendarDate();
+        } else {
+            // Patterns have wildcards and the special months (odd, even) and days (last, odd, even)
+            const wildcard = part => this.chance(WILDCARD_CHANCE) ? null : part;
+            const year = wildcard(this.integer(1900, 2154));
+            const month = wildcard(this.isEdgeCase() ? this.integer(13, 14) : this.integer(1, 12));
+            const lastDay = month === null || month > 12 ? 28 : daysInMonth(year ?? 2000, month);
+            const day = wildcard(this.isEdgeCase() ? this.integer(32, 34) : this.integer(1, lastDay));
+            date = { year, month, day, 'day-of-week': month > 12 ? null : wildcard(this.integer(1, 7)) };
+        }
+        this.addViolation(path, () => ({ ...date, month: strict ? 13 : 15 }));
+        return date;
+    }
+
+    calendarDate() {
+        const year = this.integer(1900, 2154);
+        const month = this.integer(1, 12);
+        return calendarDate(year, month, this.integer(1, daysInMonth(year, month)));
+    }
+
+    generateTime(strict, path) {
+        let value;
+        if (this.isEdgeCase()) {
+            value = { ...this.pick([
+                { hour: 0, minute: 0, second: 0, hundredths: 0 },
+                { hour: 23, minute: 59, second: 59, hundredths: 99 },
+                { hour: null, minute: null, second: null, hundredths: null }
+            ]) };
+        } else {
+            value = { hour: this.integer(0, 23), minute: this.integer(0, 59), second: this.integer(0, 59), hundredths: this.integer(0, 99) };
+        }
+        if (!strict) {
+            for (const key of Object.keys(value)) {
+                if (this.chance(WILDCARD_CHANCE)) {
+                    value[key] = null;
+                }
+            }
+        }
+        this.addViolation(path, () => ({ ...value, hour: 24 }));
+        return value;
+    }
+
+    generateObjectIdentifier(path) {
+        this.addViolation(path, () => ({ 'object-type': 'device', instance: MAX_OBJECT_INSTANCE + 1 }));
+
+        const objectTypes = this.cache.registry.get('object-type')?.type?.values ?? [];
+        let objectType = this.integer(0, MAX_OBJECT_TYPE);
+        if (objectTypes.length && !this.chance(NUMBERED_CHANCE)) {
+            objectType = this.pick(objectTypes).constant;
+        }
+        const instance = this.isEdgeCase() ? this.pick([0, MAX_OBJECT_INSTANCE]) : this.integer(0, MAX_OBJECT_INSTANCE);
+        return { 'object-type': objectTypes.find(item => item.constant === objectType)?.name ?? objectType, instance };
+    }
+}
+
+function replaceAt(value, path, replacement) {
+    if (!path.length) {
+        return replacement;
+    }
+    const [key, ...rest] = path;
+    const copy = Array.isArray(value) ? [...value] : { ...value };
+    copy[key] = replaceAt(value[key], rest, replacement);
+    return copy;
+}
+
+/**
+ * Generates a random value of a type from a seed.
+ *
+ * @param {string} typeName - Name or alias of the definition, e.g. "read-property-request"
+ * @param {Object} [options={}] - Generation options
+ * @param {number} [options.seed=0] - Integer seed, the same seed yields the same value
+ * @param {number} [options.maxDepth=4] - Nesting depth beyond which values are kept as
+ *        shallow as possible
+ * @param {number} [options.edgeCaseBias=0.25] - Probability of edge cases, from 0 to 1
+ * @param {boolean} [options.outOfRange=false] - Push one element out of its restrictions
+ * @param {DefinitionRegistry} [options.registry] - Registry to resolve references with
+ * @returns {*} The value following the value model of the codec
+ * @throws {Error} On invalid options, unknown types, types without finite values and, with
+ *         `outOfRange`, types without restrictions to violate
+ */
+export function generateValue(typeName, options = {}) {
+    const seed = options.seed ?? 0;
+    const maxDepth = options.maxDepth ?? 4;
+    const edgeCaseBias = options.edgeCaseBias ?? 0.25;
+    if (!Number.isSafeInteger(seed)) {
+        throw new Error(`Invalid seed ${seed}, expected an integer`);
+    }
+    if (!Number.isInteger(maxDepth) || maxDepth < 0) {
+        throw new Error(`Invalid maximum depth ${maxDepth}, expected a non-negative integer`);
+    }
+    if (typeof edgeCaseBias !== 'number' || !(edgeCaseBias >= 0 && edgeCaseBias <= 1)) {
+        throw new Error(`Invalid edge case bias ${edgeCaseBias}, expected a number from 0 to 1`);
+    }
+
+    const cache = typeCacheOf(options.registry ?? bundledRegistry);
+    const generator = new ValueGenerator(cache, { seed, maxDepth, edgeCaseBias, outOfRange: options.outOfRange === true });
+    const descriptor = cache.describe(typeName);
+    let value = generator.generate(descriptor, [], 0);
+    if (!generator.violations) {
+        return value;
+    }
+
+    if (!generator.violations.length) {
+        if (descriptorViolationDepth(cache, descriptor, generator.violationDepths) === Infinity) {
+            throw new Error(`The type '${typeName}' has no restrictions to violate`);
+        }
+        value = generator.generate(descriptor, [], 0, true);
+    }
+    const violation = generator.pick(generator.violations);
+    return replaceAt(value, violation.path, violation.create());
+}
@@ -0,0 +1,143 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { CodecError, decode, readTag } from '../src/codec.js';
+import { DefinitionRegistry } from '../src/definition-registry.js';
+import { definitions as bundledDefinitions, traverseDefinitions } from '../src/traverse.js';
+
+const PRIMITIVES = new Map(bundledDefinitions
+    .filter(definition => definition.primitive !== undefined)
+    .map(definition => [definition.name, { name: definition.name, alias: definition.alias, primitive: definition.primitive }]));
+
+/**
+ * Creates a registry of test definitions.
+ *
+ * A string in place of a definition names a primitive of the bundled definitions, e.g.
+ * `createRegistry(['unsigned', { name: 'count', alias: 'Count', type: 'unsigned' }])`.
+ *
+ * @param {Array<string|Object>} definitions - Definitions and primitive names, in registry order
+ * @returns {DefinitionRegistry}
+ */
+export function createRegistry(definitions) {
+    return new DefinitionRegistry(definitions.map(definition => {
+        if (typeof definition !== 'string') {
+            return definition;
+        }
+        if (!PRIMITIVES.has(definition)) {
+            throw new Error(`Unknown primitive '${definition}'`);
+        }
+        return structuredClone(PRIMITIVES.get(definition));
+    }));
+}
+
+/**
+ * Definitions shared by the transformer tests. They cover a restricted integer, an
+ * enumeration with descriptions and a proprietary range, a bit string spanning two
+ * octets and two sequences with tagged, optional, series and inline choice fields.
+ */
+export const DEFINITIONS = [
+    'null', 'unsigned', 'enumerated', 'bit-string', 'character-string', 'any', 'choice', 'sequence',
+    { name: 'unsigned-8', alias: 'Unsigned8', type: { base: 'unsigned', minimum: 0, maximum: 255 } },
+    { name: 'unsigned-16', alias: 'Unsigned16', type: { base: 'unsigned', minimum: 0, maximum: 65535 } },
+    {
+        name: 'colour',
+        alias: 'BACnetColour',
+        description: 'Colour -- of a <lamp>.',
+        type: {
+            base: 'enumerated',
+            values: [{ name: 'dark-red', constant: 2, description: 'Like a tomato.' }, { name: 'green', constant: 0 }],
+            proprietary: { from: 256, to: 65535 }
+        }
+    },
+    { name: 'flags', alias: 'BACnetFlags', type: { base: 'bit-string', bits: [{ name: 'in-alarm', position: 0 }, { name: 'fault', position: 9 }], length: 10 } },
+    {
+        name: 'pick',
+        alias: 'Pick-Request',
+        type: {
+            base: 'sequence',
+            fields: [
+                { name: 'type', type: 'unsigned-16', description: 'Kind of thing.' },
+                { name: 'property-array-index', type: 'unsigned', optional: true },
+                { name: 'colours', type: { base: 'colour', series: { maximum: 4 } }, optional: true },
+                {
+                    name: 'target',
+                    type: {
+                        base: 'choice',
+                        series: { minimum: 1, maximum: 4 },
+                        options: [{ name: 'null', type: 'null', context: 0 }, { name: 'flags', type: 'flags', context: 1 }, { name: 'colour', type: 'colour', context: 2 }]
+                    }
+                }
+            ]
+        }
+    },
+    {
+        name: 'lamp',
+        alias: 'BACnetLamp',
+        type: {
+            base: 'sequence',
+            fields: [
+                { name: 'lamp-name', type: { base: 'character-string', length: { minimum: 1, maximum: 20 } }, context: 0 },
+                { name: 'colour', type: 'colour', context: 1, description: 'Current colour.' },
+                { name: 'levels', type: { base: 'unsigned', maximum: 100, series: { maximum: 3 } }, context: 2, optional: true },
+                { name: 'setting', type: { base: 'choice', options: [{ name: 'level', type: 'unsigned-8', context: 0 }, { name: 'other', type: 'any', context: 1 }] }, context: 3 },
+                { name: 'flags', type: 'flags' }
+            ]
+        }
+    }
+];
+
+/**
+ * Runs a transformer over a registry in a temporary directory and returns the files it
+ * wrote there. The directory is removed afterwards.
+ *
+ * @param {function({registry: DefinitionRegistry, directory: string}): Object} createTransformer - Creates the transformer writing into the directory
+ * @param {Object} [options] - Options of the traversal
+ * @param {DefinitionRegistry} [options.registry] - Registry to traverse, by default one of the shared definitions
+ * @returns {Promise<Map<string, string>>} Contents of the written files by file name, in file name order
+ */
+export async function generate(createTransformer, { registry = createRegistry(DEFINITIONS), ...traversal } = {}) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'baclib-test-'));
+    try {
+        const result = await traverseDefinitions(createTransformer({ registry, directory }), { ...traversal, registry });
+        assert.equal(result.errorCount, 0);
+
+        const files = new Map();
+        for (const fileName of (await fs.readdir(directory)).sort()) {
+            files.set(fileName, await fs.readFile(path.join(directory, fileName), 'utf8'));
+        }
+        return files;
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Decodes a standalone sample. Samples are either application tagged or context
+ * tagged with an arbitrary tag number, so the initial tag selects the decoding mode.
+ * Constructed types may start with a context tag of their own, so these samples are
+ * decoded untagged first.
+ *
+ * @param {string} type - Name of the sample type
+ * @param {Uint8Array} bytes - Octets of the sample
+ * @returns {{value: *, options: {context?: number}}} The value and the decode options used
+ */
+export function decodeSample(type, bytes) {
+    const tag = readTag(bytes, 0);
+    if (tag.class === 'context') {
+        try {
+            return { value: decode(type, bytes), options: {} };
+        } catch (error) {
+            if (!(error instanceof CodecError)) {
+                throw error;
+            }
+        }
+    }
+    const options = tag.class === 'context' ? { context: tag.number } : {};
+    const value = decode(type, bytes, options);
+    return { value, options };
+}
@@ -0,0 +1,227 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+import { parseAsn1Text, writeDefinitionFiles } from '../src/asn1-importer.js';
+import { Asn1Transformer } from '../src/asn1-transformer.js';
+import { DefinitionRegistry } from '../src/definition-registry.js';
+import { registry as bundledRegistry } from '../src/traverse.js';
+
+import { createRegistry, generate } from './fixtures.js';
+
+const MODULE_TEXT = `
+BACnet-Lamps { iso member-body(2) } DEFINITIONS IMPLICIT TAGS ::=
+BEGIN
+
+IMPORTS Unsigned, CharacterString FROM BACnet-Types;
+
+-- Colour of a lamp,
+-- as seen from below.
+BACnetLampColour ::= ENUMERATED {
+    dark-red (0), -- Like wine.
+    green (1),
+    ...
+    -- Enumerated values 0-63 are reserved for definition by ASHRAE. Enumerated values
+    -- 64-255 may be used by others subject to the procedures and constraints described in Clause 23.
+}
+
+BACnetLampFlags ::= BIT STRING { in-alarm (0), fault (1) } (SIZE(2))
+
+BACnetLampMode ::= ENUMERATED { off (0), on (1), ... } -- Operating mode.
+
+Lamp-Request ::= SEQUENCE {
+    lampName [0] IMPLICIT CharacterString (SIZE(1..20)), -- Name shown to the user.
+    colours [1] SEQUENCE SIZE(1..MAX) OF BACnetLampColour OPTIONAL,
+    levels [2] BACnetARRAY[3] OF Unsigned (0..100),
+    setting [3] CHOICE {
+        level [0] Unsigned8,
+        other [1] ABSTRACT-SYNTAX.&Type
+    },
+    flags BACnetLampFlags DEFAULT { },
+    history BACnetLIST OF REAL (-1.5..1.5),
+    ...
+}
+
+END
+`;
+
+const isPrimitive = definition => definition.primitive !== undefined;
+
+async function emit(registry) {
+    const files = await generate(({ directory }) => new Asn1Transformer({ registry, outputPath: path.join(directory, 'types.asn'), descriptions: true }), { registry });
+    return files.get('types.asn');
+}
+
+/**
+ * Drops what the ASN.1 notation cannot express: aliases of items, value ranges of an
+ * ENUMERATED without named values and the lower bound 0 of a SIZE, which is the default.
+ */
+function toAsn1Equivalent(type) {
+    if (Array.isArray(type)) {
+        return type.map(toAsn1Equivalent);
+    }
+    if (!type || typeof type !== 'object') {
+        return type;
+    }
+    const { alias, ...traits } = Object.fromEntries(Object.entries(type).map(([key, value]) => [key, toAsn1Equivalent(value)]));
+    if (traits.length?.minimum === 0) {
+        delete traits.length.minimum;
+    }
+    if (traits.base === 'enumerated' && !traits.values) {
+        delete traits.minimum;
+        delete traits.maximum;
+    }
+    return Object.keys(traits).length === 1 && traits.base ? traits.base : traits;
+}
+
+test('type assignments become definitions', () => {
+    const definitions = parseAsn1Text(MODULE_TEXT);
+
+    assert.deepEqual(definitions.map(definition => [definition.alias, definition.name]), [
+        ['BACnetLampColour', 'lamp-colour'],
+        ['BACnetLampFlags', 'lamp-flags'],
+        ['BACnetLampMode', 'lamp-mode'],
+        ['Lamp-Request', 'lamp-request']
+    ]);
+    assert.deepEqual(definitions[0], {
+        alias: 'BACnetLampColour',
+        name: 'lamp-colour',
+        description: 'Colour of a lamp, as seen from below.',
+        type: {
+            base: 'enumerated',
+            values: [{ name: 'dark-red', constant: 0, description: 'Like wine.' }, { name: 'green', constant: 1 }],
+            maximum: 255,
+            proprietary: { from: 64, to: 255 }
+        }
+    });
+    assert.deepEqual(definitions[1].type, {
+        base: 'bit-string',
+        bits: [{ name: 'in-alarm', position: 0 }, { name: 'fault', position: 1 }],
+        length: 2
+    });
+    assert.equal(definitions[2].description, 'Operating mode.');
+    assert.equal(definitions[2].type.extensible, true);
+    assert.deepEqual(definitions[3].type, {
+        base: 'sequence',
+        fields: [
+            { name: 'lamp-name', type: { base: 'character-string', length: { minimum: 1, maximum: 20 } }, context: 0, description: 'Name shown to the user.' },
+            { name: 'colours', type: { base: 'lamp-colour', series: { minimum: 1 } }, context: 1, optional: true },
+            { name: 'levels', type: { base: 'unsigned', minimum: 0, maximum: 100, series: 3 }, context: 2 },
+            {
+                name: 'setting',
+                type: { base: 'choice', options: [{ name: 'level', type: 'unsigned-8', context: 0 }, { name: 'other', type: 'any', context: 1 }] },
+                context: 3
+            },
+            { name: 'flags', type: 'lamp-flags', optional: true },
+            { name: 'history', type: { base: 'real', minimum: -1.5, maximum: 1.5, series: true } }
+        ]
+    });
+});
+
+test('definitions survive a roundtrip through the ASN.1 transformer', async () => {
+    const registry = createRegistry([
+        'unsigned', 'enumerated', 'character-string', 'choice', 'sequence',
+        { name: 'unsigned-8', alias: 'Unsigned8', description: 'Unsigned of one octet.', type: { base: 'unsigned', minimum: 0, maximum: 255 } },
+        {
+            name: 'colour',
+            alias: 'BACnetColour',
+            type: { base: 'enumerated', values: [{ name: 'red', constant: 0, description: 'Like a tomato.' }], maximum: 255, proprietary: { from: 64, to: 255 } }
+        },
+        {
+            name: 'lamp',
+            alias: 'BACnetLamp',
+            description: 'A lamp.',
+            type: {
+                base: 'sequence',
+                fields: [
+                    { name: 'colour', type: 'colour', context: 0 },
+                    { name: 'label', type: { base: 'character-string', length: { maximum: 8 } }, context: 1, optional: true },
+                    { name: 'levels', type: { base: 'unsigned-8', series: { maximum: 3 } }, context: 2 },
+                    { name: 'setting', type: { base: 'choice', options: [{ name: 'level', type: 'unsigned-8', context: 0 }] }, context: 3 }
+                ]
+            }
+        }
+    ]);
+
+    const definitions = parseAsn1Text(await emit(registry), { registry });
+    assert.deepEqual(definitions.filter(definition => !isPrimitive(definition)), registry.definitions.filter(definition => !isPrimitive(definition)));
+    // Only the application types are assigned, the built-in types of ASN.1 are not
+    assert.deepEqual(definitions.filter(isPrimitive).map(definition => [definition.name, definition.primitive]), [['unsigned', 2], ['character-string', 7]]);
+});
+
+test('the bundled definitions survive a roundtrip through the ASN.1 transformer', async () => {
+    const definitions = parseAsn1Text(await emit(bundledRegistry));
+    const expected = bundledRegistry.definitions
+        .filter(definition => !isPrimitive(definition))
+        .map(({ metadata, ...definition }) => ({ ...definition, type: toAsn1Equivalent(definition.type) }));
+    assert.deepEqual(definitions.filter(definition => !isPrimitive(definition)), expected);
+});
+
+test('ranges for proprietary use are read from comments in and after the braces', () => {
+    const [states, mode, units, identifier] = parseAsn1Text(`
+BACnetStates ::= CHOICE {
+    boolean-value [0] BOOLEAN,
+    sc-state [258] Unsigned,
+    ...
+}
+-- Tag values 0-63 are reserved for definition by ASHRAE. Tag values of 64-254 may be used by others to accommodate
+-- vendor specific properties that have discrete or enumerated values, subject to the constraints described in Clause 23.
+
+-- Operating mode.
+BACnetMode ::= ENUMERATED { off (0), on (1), ... } -- Enumerated values 64-255 may be used by others.
+
+BACnetUnits ::= ENUMERATED {
+    percent (98),
+    ...
+    -- Enumerated values 0-255 and 47808-49999 are reserved for definition by ASHRAE. Enumerated values 256-47807
+    -- and 50000-65535 may be used by others subject to the procedures and constraints described in Clause 23.
+}
+BACnetIdentifier ::= ENUMERATED { all (8), ... }
+-- Enumerated values 0-511 and 4194304-4294967295 are reserved for definition by ASHRAE.
+-- Enumerated values 512-4194303 may be used by others subject to the procedures and constraints described in Clause 23.
+`);
+
+    assert.deepEqual(states.type, {
+        base: 'choice',
+        options: [{ name: 'boolean-value', type: 'boolean', context: 0 }, { name: 'sc-state', type: 'unsigned', context: 258, unencodable: true }],
+        proprietary: { from: 64, to: 254 }
+    });
+    assert.equal(mode.description, 'Operating mode.');
+    assert.deepEqual(mode.type, { base: 'enumerated', values: [{ name: 'off', constant: 0 }, { name: 'on', constant: 1 }], maximum: 255, proprietary: { from: 64, to: 255 } });
+    assert.equal(units.description, undefined);
+    assert.deepEqual(units.type.proprietary, [{ from: 256, to: 47807 }, { from: 50000, to: 65535 }]);
+    assert.equal(units.type.maximum, 65535);
+    assert.deepEqual(identifier.type.proprietary, { from: 512, to: 4194303 });
+    assert.equal(identifier.type.maximum, 4294967295);
+});
+
+test('definition files are written in the format of the definitions directory', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'baclib-asn1-import-'));
+    try {
+        const filePaths = await writeDefinitionFiles(parseAsn1Text(MODULE_TEXT), directory);
+        assert.deepEqual(filePaths.map(filePath => path.basename(filePath)), ['lamp-colour.json', 'lamp-flags.json', 'lamp-mode.json', 'lamp-request.json']);
+
+        const text = await fs.readFile(path.join(directory, 'lamp-mode.json'), 'utf8');
+        assert.match(text, /^\{\n    "metadata": \{\n        "SPDX-FileCopyrightText": /);
+        assert.deepEqual(Object.keys(JSON.parse(text)), ['metadata', 'alias', 'name', 'description', 'type']);
+        assert.ok(text.endsWith('}\n'));
+
+        const registry = await DefinitionRegistry.load(directory);
+        assert.deepEqual(registry.diagnostics, []);
+        assert.equal(registry.get('BACnetLampMode').name, 'lamp-mode');
+    } finally {
+        await fs.rm(directory, { recursive: true });
+    }
+});
+
+test('syntax errors name the line and column', () => {
+    assert.throws(() => parseAsn1Text('Lamp ::= SEQUENCE {\n    level [0] Unsigned,\n    mode [1] ENUMERATED { on (1) off (2) }\n}', { sourceLabel: 'lamp.asn' }),
+        /^Error: Invalid ASN\.1 in lamp\.asn at line 3, column 34: Expected '\}' but got 'off'$/);
+    assert.throws(() => parseAsn1Text('Lamp ::= SET { level Unsigned }'), /at line 1, column 10: Unsupported type 'SET'/);
+    assert.throws(() => parseAsn1Text('Lamp ::= SEQUENCE {'), /at the end of the text: Expected '\}' but got the end of the text/);
+});
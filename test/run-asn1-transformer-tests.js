@@ -0,0 +1,82 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import test from 'node:test';
+
+import { Asn1Transformer } from '../src/asn1-transformer.js';
+
+import { createRegistry, DEFINITIONS, generate } from './fixtures.js';
+
+async function render(options = {}, definitions = DEFINITIONS) {
+    const files = await generate(({ registry, directory }) => new Asn1Transformer({ registry, outputPath: path.join(directory, 'types.asn'), ...options }), {
+        registry: createRegistry(definitions)
+    });
+    return files.get('types.asn');
+}
+
+test('definitions are rendered as an ASN.1 module', async () => {
+    const text = await render({ moduleName: 'Lamp-Module' });
+
+    assert.match(text, /^Lamp-Module DEFINITIONS ::=\nBEGIN\n/m);
+    assert.match(text, /\nEND\n$/);
+    assert.match(text, /^Unsigned ::= \[APPLICATION 2\] INTEGER \(0\.\.MAX\)$/m);
+    assert.match(text, /^-- ENUMERATED \[APPLICATION 9\], equivalent to \[UNIVERSAL 10\]$/m);
+    assert.match(text, /^Unsigned8 ::= Unsigned \(0\.\.255\)$/m);
+    assert.ok(text.includes(`BACnetColour ::= ENUMERATED {
+    dark-red (2),
+    green (0),
+    ...
+    -- Enumerated values 256-65535 may be used by others subject to the procedures and constraints described in Clause 23.
+}`));
+    assert.ok(text.includes(`BACnetFlags ::= BIT STRING {
+    in-alarm (0),
+    fault (9)
+} (SIZE(10))`));
+    assert.ok(text.includes(`Pick-Request ::= SEQUENCE {
+    type Unsigned16,
+    propertyArrayIndex Unsigned OPTIONAL,
+    colours SEQUENCE SIZE(0..4) OF BACnetColour OPTIONAL,
+    target SEQUENCE SIZE(1..4) OF CHOICE {
+        null [0] IMPLICIT NULL,
+        flags [1] IMPLICIT BACnetFlags,
+        colour [2] IMPLICIT BACnetColour
+    }
+}`));
+    assert.ok(text.includes(`BACnetLamp ::= SEQUENCE {
+    lampName [0] IMPLICIT CharacterString (SIZE(1..20)),
+    colour [1] IMPLICIT BACnetColour,
+    levels [2] IMPLICIT SEQUENCE SIZE(0..3) OF Unsigned (MIN..100) OPTIONAL,
+    setting [3] CHOICE {
+        level [0] IMPLICIT Unsigned8,
+        other [1] ABSTRACT-SYNTAX.&Type
+    },
+    flags BACnetFlags
+}`));
+    assert.doesNotMatch(text, /--.*Colour/);
+});
+
+test('descriptions become comments', async () => {
+    const text = await render({ descriptions: true });
+    assert.match(text, /^-- Colour - of a <lamp>\.\nBACnetColour ::= ENUMERATED \{$/m);
+});
+
+test('proprietary tags and values reserved for ASHRAE become comments', async () => {
+    const text = await render({}, [
+        ...DEFINITIONS,
+        { name: 'state', alias: 'BACnetState', type: { base: 'choice', options: [{ name: 'colour', type: 'colour', context: 0 }], proprietary: { from: 64, to: 254 } } },
+        { name: 'identifier', alias: 'BACnetIdentifier', type: { base: 'enumerated', values: [{ name: 'all', constant: 8 }], proprietary: { from: 512, to: 4194303 }, maximum: 4294967295 } }
+    ]);
+    assert.ok(text.includes(`BACnetState ::= CHOICE {
+    colour [0] IMPLICIT BACnetColour,
+    ...
+    -- Tag values 64-254 may be used by others subject to the procedures and constraints described in Clause 23.
+}`));
+    assert.ok(text.includes(`BACnetIdentifier ::= ENUMERATED {
+    all (8),
+    ...
+    -- Enumerated values 4194304-4294967295 are reserved for definition by ASHRAE.
+    -- Enumerated values 512-4194303 may be used by others subject to the procedures and constraints described in Clause 23.
+}`));
+});
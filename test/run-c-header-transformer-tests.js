@@ -0,0 +1,44 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { CHeaderTransformer, narrowestCInteger, toCFieldName } from '../src/c-header-transformer.js';
+
+import { generate } from './fixtures.js';
+
+async function generateFiles(options = {}) {
+    const files = await generate(({ registry, directory }) => new CHeaderTransformer({ registry, outputDirectory: directory, ...options }));
+    return { header: files.get('bacnet_types.h'), source: files.get('bacnet_types.c') };
+}
+
+test('names and integer widths follow C conventions', () => {
+    assert.equal(toCFieldName('property-array-index'), 'property_array_index');
+    assert.equal(toCFieldName('unsigned'), 'unsigned_');
+    assert.equal(narrowestCInteger(0n, 255n), 'uint8_t');
+    assert.equal(narrowestCInteger(0n, 65536n), 'uint32_t');
+    assert.equal(narrowestCInteger(-129n, 0n), 'int16_t');
+});
+
+test('enumerations and bits become constants', async () => {
+    const { header } = await generateFiles();
+    assert.match(header, /typedef uint16_t bacnet_colour_t;\nenum \{\n    BACNET_COLOUR_DARK_RED = 2,\n    BACNET_COLOUR_GREEN = 0\n\};/);
+    assert.match(header, /#define BACNET_FLAGS_IN_ALARM 0u\n#define BACNET_FLAGS_FAULT 9u\n#define BACNET_FLAGS_BIT_COUNT 10u\ntypedef struct \{\n    uint8_t bits\[2\];\n    uint8_t bit_count;\n\} bacnet_flags_t;/);
+});
+
+test('sequences get presence flags, choices tags and series arrays', async () => {
+    const { header } = await generateFiles();
+    assert.match(header, /enum \{\n    BACNET_PICK_TARGET_NULL = 0,\n    BACNET_PICK_TARGET_FLAGS = 1,\n    BACNET_PICK_TARGET_COLOUR = 2\n\};\ntypedef struct \{\n    uint8_t tag;\n    union \{\n        bacnet_null_t null;\n        bacnet_flags_t flags;\n        bacnet_colour_t colour;\n    \} value;\n\} bacnet_pick_target_item_t;/);
+    assert.match(header, /typedef struct \{\n    uint8_t count;\n    bacnet_pick_target_item_t items\[4\];\n\} bacnet_pick_target_t;/);
+    assert.match(header, /typedef struct \{\n    bacnet_unsigned_16_t type; \/\* Kind of thing\. \*\/\n    bool has_property_array_index;\n    bacnet_unsigned_t property_array_index;\n    bool has_colours;\n    struct \{ uint8_t count; bacnet_colour_t items\[4\]; \} colours;\n    bacnet_pick_target_t target;\n\} bacnet_pick_t;/);
+    assert.match(header, /    bool has_levels;\n    struct \{ uint8_t count; uint8_t items\[3\]; \} levels;\n    bacnet_lamp_setting_t setting;/);
+    assert.ok(header.indexOf('bacnet_flags_t;') < header.indexOf('bacnet_pick_target_item_t;'));
+});
+
+test('name tables are sorted by value', async () => {
+    const { header, source } = await generateFiles({ tables: ['colour'] });
+    assert.match(header, /extern const bacnet_name_entry_t bacnet_colour_names\[\];\n#define BACNET_COLOUR_NAME_COUNT 2u/);
+    assert.match(source, /const bacnet_name_entry_t bacnet_colour_names\[\] = \{\n    \{ 0u, "green" \},\n    \{ 2u, "dark-red" \}\n\};/);
+    assert.match(source, /const char \*bacnet_name_of\(const bacnet_name_entry_t \*table, size_t count, uint32_t value\)/);
+});
@@ -0,0 +1,110 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import test from 'node:test';
+
+import { DefinitionRegistry } from '../src/definition-registry.js';
+import { checkDefinitions } from '../src/check-definitions.js';
+
+const definitionDirectoryPath = path.resolve(import.meta.dirname, '../definitions');
+
+function check(...definitions) {
+    return checkDefinitions(new DefinitionRegistry([
+        { name: 'unsigned', alias: 'Unsigned', primitive: 2 },
+        { name: 'enumerated', alias: 'Enumerated', primitive: 9 },
+        { name: 'sequence', alias: 'Sequence', primitive: -3 },
+        ...definitions
+    ]));
+}
+
+test('bundled definitions have no semantic problems', async () => {
+    const registry = await DefinitionRegistry.load(definitionDirectoryPath);
+    assert.deepEqual(checkDefinitions(registry), []);
+});
+
+test('dangling references are reported with a JSON pointer', () => {
+    const problems = check({
+        name: 'broken',
+        type: { base: 'sequence', fields: [{ name: 'a', type: 'missing', context: 0 }] }
+    });
+    assert.deepEqual(problems, [{
+        severity: 'error',
+        code: 'unknown-reference',
+        file: undefined,
+        pointer: '/type/fields/0/type',
+        definition: 'broken',
+        message: "Unknown type reference 'missing'"
+    }]);
+});
+
+test('duplicate context tags and constants are reported', () => {
+    const problems = check(
+        {
+            name: 'pair',
+            type: {
+                base: 'sequence',
+                fields: [
+                    { name: 'a', type: 'unsigned', context: 1 },
+                    { name: 'b', type: 'unsigned', context: 1 }
+                ]
+            }
+        },
+        {
+            name: 'colour',
+            type: { base: 'enumerated', values: [{ name: 'red', constant: 0 }, { name: 'green', constant: 0 }] }
+        }
+    );
+    assert.deepEqual(problems.map(problem => [problem.code, problem.pointer]), [
+        ['duplicate-context', '/type/fields/1/context'],
+        ['duplicate-constant', '/type/values/1/constant']
+    ]);
+});
+
+test('context tags beyond 254 are reported unless the option is marked unencodable', () => {
+    const problems = check({
+        name: 'state',
+        type: {
+            base: 'sequence',
+            fields: [
+                { name: 'a', type: 'unsigned', context: 255 },
+                { name: 'b', type: 'unsigned', context: 258, unencodable: true },
+                { name: 'c', type: 'unsigned', context: 254, unencodable: true }
+            ]
+        }
+    });
+    assert.deepEqual(problems.map(problem => [problem.pointer, problem.message]), [
+        ['/type/fields/0/context', 'Context tag 255 is beyond the encodable tag numbers 0..254'],
+        ['/type/fields/2/unencodable', 'Context tag 254 is encodable but marked unencodable']
+    ]);
+});
+
+test('reversed limits and proprietary ranges beyond the maximum are reported', () => {
+    const problems = check(
+        { name: 'limited', type: { base: 'unsigned', minimum: 10, maximum: '5' } },
+        {
+            name: 'extensible',
+            type: {
+                base: 'enumerated',
+                values: [{ name: 'a', constant: 0 }],
+                maximum: 255,
+                proprietary: { from: 128, to: 1023 }
+            }
+        }
+    );
+    assert.deepEqual(problems.map(problem => problem.message), [
+        'Value minimum 10 is greater than maximum 5',
+        'Proprietary range 128..1023 exceeds maximum 255'
+    ]);
+});
+
+test('64-bit proprietary ranges written as strings are compared as numbers', () => {
+    const problems = check(
+        { name: 'wide', type: { base: 'enumerated', proprietary: { from: '9', to: '10' } } },
+        { name: 'reversed', type: { base: 'enumerated', proprietary: [{ from: '18446744073709551615', to: 64 }] } }
+    );
+    assert.deepEqual(problems.map(problem => [problem.code, problem.pointer]), [
+        ['reversed-proprietary-range', '/type/proprietary/0']
+    ]);
+});
@@ -0,0 +1,192 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+const cliPath = path.resolve(import.meta.dirname, '../src/cli.js');
+
+function run(...args) {
+    const result = spawnSync(process.execPath, [cliPath, ...args], { encoding: 'utf8', timeout: 60000 });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+async function withDirectory(callback) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'baclib-cli-'));
+    try {
+        await callback(directory);
+    } finally {
+        await fs.rm(directory, { recursive: true });
+    }
+}
+
+async function writeDefinitions(directory, definitions) {
+    await fs.mkdir(directory, { recursive: true });
+    for (const definition of definitions) {
+        await fs.writeFile(path.join(directory, `${definition.name}.json`), JSON.stringify(definition), 'utf8');
+    }
+}
+
+test('generate writes the selected types of a target', async () => {
+    await withDirectory(async directory => {
+        const outputPath = path.join(directory, 'types.rs');
+        const result = run('generate', 'rust', '--output', outputPath, '--root', 'abort-reason');
+        assert.equal(result.status, 0, result.stderr);
+
+        const text = await fs.readFile(outputPath, 'utf8');
+        assert.match(text, /pub enum AbortReason \{/);
+        assert.doesNotMatch(text, /pub struct ReadPropertyRequest/);
+    });
+});
+
+test('generate passes transformer options and fails on processing errors', async () => {
+    await withDirectory(async directory => {
+        const definitionsDirectory = path.join(directory, 'definitions');
+        await writeDefinitions(definitionsDirectory, [
+            { name: 'sequence', alias: 'SEQUENCE', primitive: -3 },
+            { name: 'broken', alias: 'Broken', type: { base: 'sequence', fields: [{ name: 'value', type: 'missing' }] } }
+        ]);
+
+        const outputPath = path.join(directory, 'types.d.ts');
+        const result = run('generate', 'typescript', '-d', definitionsDirectory, '-o', outputPath, '--option', 'enumStyle=const-enum');
+        assert.equal(result.status, 1);
+        assert.match(result.stderr, /broken.json \/type\/fields\/0: error transform-failed: Unknown type 'missing'/);
+    });
+});
+
+test('validate reports problems with a non-zero exit code', async () => {
+    await withDirectory(async directory => {
+        await writeDefinitions(directory, [
+            { name: 'enumerated', alias: 'Enumerated', primitive: 9 },
+            { name: 'colour', alias: 'Colour', type: { base: 'enumerated', values: [{ name: 'red', constant: 0 }, { name: 'green', constant: 0 }] } }
+        ]);
+
+        const result = run('validate', '--definitions', directory);
+        assert.equal(result.status, 1);
+        assert.match(result.stdout, /colour\.json \/type\/values\/1\/constant\n {2}\* error duplicate-constant: Duplicate constant 0/);
+        assert.match(result.stdout, /Status: FAIL/);
+        assert.equal(run('validate').status, 0);
+    });
+});
+
+test('decode prints the value as JSON', () => {
+    const result = run('decode', 'read-property-request', '0c 02 00 00 08', '19 4d');
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(JSON.parse(result.stdout), {
+        'object-identifier': { 'object-type': 'device', instance: 8 },
+        'property-identifier': 'object-name'
+    });
+
+    const failure = run('decode', 'read-property-request', '0c0200');
+    assert.equal(failure.status, 1);
+    assert.match(failure.stderr, /Truncated data/);
+});
+
+test('decode, sample and trace resolve types with the loaded definitions', async () => {
+    await withDirectory(async directory => {
+        await writeDefinitions(directory, [
+            { name: 'enumerated', alias: 'Enumerated', primitive: 9 },
+            { name: 'colour', alias: 'Colour', type: { base: 'enumerated', values: [{ name: 'red', constant: 0 }, { name: 'green', constant: 1 }] } }
+        ]);
+
+        const decoded = run('decode', 'colour', '91 01', '-d', directory);
+        assert.equal(decoded.status, 0, decoded.stderr);
+        assert.equal(JSON.parse(decoded.stdout), 'green');
+        assert.match(run('trace', 'colour', '91 01', '-d', directory).stdout, /Enumerated Value = 1 \(green\)/);
+        assert.match(run('sample', 'colour', '-d', directory).stdout, /"type": "colour"/);
+        assert.match(run('decode', 'colour', '91 01').stderr, /Unknown type 'colour'/);
+    });
+});
+
+test('import-asn1 writes definition files of the type assignments', async () => {
+    await withDirectory(async directory => {
+        const asn1Path = path.join(directory, 'lamp.asn');
+        await fs.writeFile(asn1Path, 'BACnetLampState ::= SEQUENCE {\n    level [0] Unsigned (0..100),\n    flags [1] BACnetStatusFlags\n}\n', 'utf8');
+
+        const outputDirectory = path.join(directory, 'definitions');
+        const result = run('import-asn1', asn1Path, '--output', outputDirectory);
+        assert.equal(result.status, 0, result.stderr);
+        assert.match(result.stdout, /Definitions written: 1/);
+
+        const definition = JSON.parse(await fs.readFile(path.join(outputDirectory, 'lamp-state.json'), 'utf8'));
+        assert.deepEqual(definition.type.fields.map(field => field.type), [{ base: 'unsigned', minimum: 0, maximum: 100 }, 'status-flags']);
+
+        await fs.writeFile(asn1Path, 'BACnetLampState ::= SEQUENCE {', 'utf8');
+        const failure = run('import-asn1', asn1Path, '--output', outputDirectory);
+        assert.equal(failure.status, 1);
+        assert.match(failure.stderr, /lamp\.asn at the end of the text/);
+    });
+});
+
+test('diff fails on wire-breaking changes', async () => {
+    await withDirectory(async directory => {
+        const colour = constant => ({ name: 'colour', alias: 'Colour', type: { base: 'enumerated', values: [{ name: 'red', constant: 0 }, { name: 'green', constant }] } });
+        for (const [name, constant] of [['old', 1], ['new', 2]]) {
+            await writeDefinitions(path.join(directory, name), [{ name: 'enumerated', alias: 'Enumerated', primitive: 9 }, colour(constant)]);
+        }
+
+        const result = run('diff', path.join(directory, 'old'), path.join(directory, 'new'));
+        assert.equal(result.status, 1);
+        assert.match(result.stdout, /Wire-breaking: +1/);
+        assert.match(result.stdout, /- wire-breaking colour\.green\n {2}\* Constant changed from 1 to 2/);
+        assert.equal(run('diff', path.join(directory, 'old'), path.join(directory, 'old')).status, 0);
+    });
+});
+
+test('sample writes a sample file of a type', async () => {
+    await withDirectory(async directory => {
+        const outputPath = path.join(directory, 'abort-reason.json');
+        const result = run('sample', 'abort-reason', '--output', outputPath, '--option', 'maxDepth=0');
+        assert.equal(result.status, 0, result.stderr);
+
+        const samples = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+        assert.equal(samples.type, 'abort-reason');
+        assert.deepEqual(samples.asdu[0].data, [['91', 'Application Tag 9, Length = 1'], ['00', 'Enumerated Value = 0 (other)']]);
+
+        assert.match(run('sample', 'unsigned-8').stdout, /"name": "application-tagged-wrong-above-maximum"/);
+        const failure = run('sample', 'missing-type');
+        assert.equal(failure.status, 1);
+        assert.match(failure.stderr, /Unknown type 'missing-type'/);
+    });
+});
+
+test('trace prints the decoded tags of hex octets and instance files', async () => {
+    const result = run('trace', 'read-property-request', '0c 02 00 00 08', '19 4d');
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /^read-property-request, 7 octets\n/);
+    assert.match(result.stdout, /\n6 {2}4D {13}Enumerated Value = 77 \(object-name\)\n$/);
+
+    await withDirectory(async directory => {
+        const instancePath = path.join(directory, 'capture.json');
+        await fs.writeFile(instancePath, JSON.stringify({ root: 'BAClib', type: 'unsigned-8', data: ['# too large', '220100'] }), 'utf8');
+        const failure = run('trace', '--instance', instancePath);
+        assert.equal(failure.status, 1);
+        assert.match(failure.stdout, /\n0 {2}\^\^ +Invalid data: value 256 is outside of the range 0\.\.255\n/);
+    });
+    assert.match(run('trace', 'missing-type', '00').stderr, /Unknown type 'missing-type'/);
+});
+
+test('invalid usage exits with code 2', () => {
+    assert.equal(run().status, 2);
+    assert.equal(run('generate', 'cobol').status, 2);
+    assert.equal(run('generate', 'rust', '--unknown').status, 2);
+    assert.equal(run('generate', 'rust', '--option', 'novalue').status, 2);
+    assert.equal(run('decode', 'read-property-request').status, 2);
+    assert.equal(run('decode', 'unsigned', '2g').status, 2);
+    assert.equal(run('decode', 'unsigned', '91 01', '--context', '255').status, 2);
+    assert.equal(run('decode', 'unsigned', '91 01', '--context', '-1').status, 2);
+    assert.equal(run('decode', 'unsigned', '91 01', '--context', 'one').status, 2);
+    assert.equal(run('decode', 'unsigned', '91 01', '--context', '1.5').status, 2);
+    assert.equal(run('import-asn1', 'lamp.asn').status, 2);
+    assert.equal(run('diff', 'definitions').status, 2);
+    assert.equal(run('sample').status, 2);
+    assert.equal(run('trace', 'unsigned').status, 2);
+    assert.equal(run('trace', 'unsigned', '--instance', 'capture.json').status, 2);
+    assert.equal(run('trace', 'unsigned', '19 0').status, 2);
+    assert.equal(run('trace', 'unsigned', '19 01', '--context', '').status, 2);
+    assert.equal(run('--help').status, 0);
+});
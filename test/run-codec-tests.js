@@ -0,0 +1,165 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { encode, decode, readTag, validateValue, CodecError } from '../src/codec.js';
+
+function hex(bytes) {
+    return Buffer.from(bytes).toString('hex').toUpperCase();
+}
+
+function bytes(text) {
+    return Uint8Array.from(Buffer.from(text.replace(/\s+/g, ''), 'hex'));
+}
+
+test('read-property-request encodes context tagged fields', () => {
+    const value = {
+        'object-identifier': { 'object-type': 'analog-input', instance: 1 },
+        'property-identifier': 'present-value',
+        'property-array-index': 3
+    };
+    const encoded = encode('read-property-request', value);
+    assert.equal(hex(encoded), '0C000000011955' + '2903');
+    assert.deepEqual(decode('read-property-request', encoded), value);
+});
+
+test('optional fields may be omitted', () => {
+    const value = {
+        'object-identifier': { 'object-type': 'device', instance: 12345 },
+        'property-identifier': 'object-name'
+    };
+    assert.equal(hex(encode('read-property-request', value)), '0C02003039194D');
+});
+
+test('choice options are selected by context tag', () => {
+    assert.equal(hex(encode('time-stamp', { 'sequence-number': 42 })), '192A');
+    assert.deepEqual(decode('time-stamp', bytes('19 2A')), { 'sequence-number': 42 });
+});
+
+test('choice options without context are selected by application tag', () => {
+    assert.deepEqual(decode('any-primitive', bytes('21 05')), { unsigned: 5 });
+    assert.deepEqual(decode('any-primitive', bytes('44 3F 80 00 00')), { real: 1 });
+});
+
+test('constructed values are wrapped in opening and closing tags', () => {
+    const value = {
+        'object-identifier': { 'object-type': 'device', instance: 1 },
+        'list-of-results': [
+            {
+                'property-identifier': 'object-name',
+                'read-result': { 'property-value': [{ type: 'character-string', value: 'Dev' }] }
+            }
+        ]
+    };
+    const encoded = encode('read-access-result', value);
+    assert.equal(hex(encoded), '0C02000001' + '1E' + '294D' + '4E' + '7400446576' + '4F' + '1F');
+    assert.deepEqual(decode('read-access-result', encoded), value);
+});
+
+test('named bit-strings use flag objects', () => {
+    const value = { 'in-alarm': true, fault: false, overridden: false, 'out-of-service': true };
+    assert.equal(hex(encode('status-flags', value)), '820490');
+    assert.deepEqual(decode('status-flags', bytes('82 04 90')), value);
+});
+
+test('context tagging of primitives is selected by option', () => {
+    const encoded = encode('unsigned', 7, { context: 42 });
+    assert.equal(hex(encoded), 'F92A07');
+    assert.deepEqual(readTag(encoded), {
+        offset: 0, headerLength: 2, class: 'context', number: 42, length: 1, opening: false, closing: false
+    });
+    assert.equal(decode('unsigned', encoded, { context: 42 }), 7);
+});
+
+test('tag numbers beyond 254 are rejected instead of truncated', () => {
+    const encoded = encode('unsigned', 7, { context: 254 });
+    assert.equal(hex(encoded), 'F9FE07');
+    assert.equal(decode('unsigned', encoded, { context: 254 }), 7);
+
+    assert.throws(() => encode('unsigned', 7, { context: 255 }), /Tag number 255 can not be encoded, expected 0\.\.254/);
+    const value = { 'sc-hub-connector-state': 'no-hub-connection' };
+    assert.throws(() => encode('property-states', value), CodecError);
+    assert.deepEqual(validateValue('property-states', value), [
+        { path: 'sc-hub-connector-state', message: 'Tag number 259 can not be encoded, expected 0..254' }
+    ]);
+    assert.throws(() => encode('property-states', value), { path: 'sc-hub-connector-state' });
+    assert.throws(() => encode('any', [{ context: 1, items: [{ context: 300, value: new Uint8Array() }] }]), {
+        message: 'Tag number 300 can not be encoded, expected 0..254',
+        path: '[0][0]'
+    });
+});
+
+test('empty lists without context tag are decoded from no octets', () => {
+    const value = { 'list-of-read-access-specifications': [] };
+    assert.equal(encode('read-property-multiple-request', value).length, 0);
+    assert.deepEqual(decode('read-property-multiple-request', new Uint8Array()), value);
+});
+
+test('64-bit values are decoded as bigint', () => {
+    assert.equal(decode('unsigned', bytes('25 08 FF FF FF FF FF FF FF FF')), (1n << 64n) - 1n);
+    assert.equal(hex(encode('integer', -(1n << 63n))), '35088000000000000000');
+});
+
+test('restrictions of the definitions are enforced', () => {
+    assert.throws(() => encode('time-stamp', { 'sequence-number': 65536 }), CodecError);
+    assert.throws(() => decode('unsigned-8', bytes('22 01 00')), /outside of the range 0\.\.255/);
+});
+
+test('errors report the value path and byte offset', () => {
+    assert.throws(
+        () => encode('read-property-request', { 'object-identifier': { 'object-type': 'device', instance: 1 } }),
+        error => error instanceof CodecError && error.path === 'property-identifier'
+    );
+    assert.throws(
+        () => decode('read-property-request', bytes('0C 02 00 00 01 19')),
+        error => error instanceof CodecError && error.offset === 6 && error.path === 'property-identifier'
+    );
+});
+
+test('trailing data is rejected', () => {
+    assert.throws(() => decode('unsigned', bytes('21 01 21 02')), /trailing data/);
+});
+
+test('validateValue reports all problems with their value paths', () => {
+    const value = {
+        'list-of-read-access-results': [{
+            'object-identifier': { 'object-type': 'device', instance: 8 },
+            'list-of-results': [
+                { 'property-identifier': 'object-name', 'read-result': { 'property-value': [{ type: 'character-string', value: 'Device' }] } },
+                { 'property-identifier': 'units', 'property-array-index': -1, 'read-result': { 'property-value': [] } },
+                { 'property-identifier': 'present-value', 'read-result': { 'property-value': [], 'property-access-error': {} } },
+                { 'read-result': { 'property-access-error': { 'error-class': 'object', 'error-code': 'unknown-thing' } }, colour: 'red' }
+            ]
+        }]
+    };
+    assert.deepEqual(validateValue('read-property-multiple-ack', value), [
+        { path: 'list-of-read-access-results[0].list-of-results[1].property-array-index', message: 'Value -1 is outside of the range 0..18446744073709551615' },
+        { path: 'list-of-read-access-results[0].list-of-results[2].read-result', message: 'Expected an object with exactly one option but got 2 options' },
+        { path: 'list-of-read-access-results[0].list-of-results[3]', message: "Unknown field 'colour'" },
+        { path: 'list-of-read-access-results[0].list-of-results[3].property-identifier', message: "Missing required field 'property-identifier'" },
+        { path: 'list-of-read-access-results[0].list-of-results[3].read-result.property-access-error.error-code', message: "Unknown enumeration value 'unknown-thing'" }
+    ]);
+});
+
+test('validateValue checks enumeration constants against the proprietary ranges', () => {
+    assert.deepEqual(validateValue('abort-reason', 64), []);
+    assert.deepEqual(validateValue('abort-reason', 'other'), []);
+    assert.match(validateValue('abort-reason', 40)[0].message, /neither a named value nor in an extensible or proprietary range/);
+    assert.match(validateValue('abort-reason', 256)[0].message, /outside of the range 0\.\.255/);
+    assert.equal(validateValue('segmentation', 7).length, 1);
+    assert.deepEqual(validateValue('unsigned-8', 255n), []);
+    assert.match(validateValue('character-string', 7)[0].message, /Expected a string/);
+});
+
+test('finite floats are bound to the range of their base', () => {
+    assert.deepEqual(validateValue('real', 3.4028234663852886e38), []);
+    assert.match(validateValue('real', 3.5e38)[0].message, /Value 3\.5e\+38 is outside of the range/);
+    assert.match(validateValue('real', -1e300)[0].message, /outside of the range/);
+    assert.deepEqual(validateValue('double', 1e300), []);
+    assert.throws(() => encode('real', 1e300), /outside of the range/);
+    for (const value of [NaN, Infinity, -Infinity]) {
+        assert.deepEqual(decode('real', encode('real', value)), value);
+    }
+});
@@ -0,0 +1,78 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { resolveConstraints, storageTypeOf } from '../src/constraints.js';
+import { resolveNumericBaseType } from '../src/resolve-numeric-base-type.js';
+
+import { createRegistry } from './fixtures.js';
+
+const DEFINITIONS = [
+    'unsigned', 'integer', 'real', 'character-string', 'sequence',
+    { name: 'unsigned-16', type: { base: 'unsigned', minimum: 0, maximum: 65535 } },
+    { name: 'count', type: 'unsigned-16' },
+    { name: 'name', type: { base: 'character-string', length: { minimum: 1, maximum: 64 } } },
+    {
+        name: 'record',
+        type: {
+            base: 'sequence',
+            fields: [
+                { name: 'total', type: 'count' },
+                { name: 'names', type: { base: 'name', length: { maximum: 32 }, series: { maximum: 8 } } }
+            ]
+        }
+    }
+];
+
+test('storage types follow the numeric range', () => {
+    assert.equal(storageTypeOf(0n, 255n), 'uint8');
+    assert.equal(storageTypeOf('0', '65536'), 'uint32');
+    assert.equal(storageTypeOf(-1, 127), 'int8');
+    assert.equal(storageTypeOf('-3.5', '3.5'), 'float32');
+    assert.equal(storageTypeOf(0n, 1n << 64n), undefined);
+});
+
+test('reference chains are followed to the numeric range', () => {
+    const registry = createRegistry(DEFINITIONS);
+    const record = registry.get('record');
+
+    assert.deepEqual(resolveConstraints(record.type.fields[0], { registry }), {
+        base: 'unsigned',
+        primitive: 2,
+        range: { minimum: 0n, maximum: 65535n },
+        length: null,
+        series: null,
+        storage: 'uint16'
+    });
+    assert.equal(resolveConstraints('unsigned', { registry }).storage, 'uint64');
+    assert.equal(resolveConstraints({ base: 'integer', minimum: -200 }, { registry }).storage, 'int64');
+    assert.equal(resolveConstraints({ base: 'real', maximum: 1.5 }, { registry }).storage, 'float32');
+    assert.equal(resolveConstraints(record, { registry }).range, null);
+});
+
+test('nested restrictions are intersected', () => {
+    const registry = createRegistry(DEFINITIONS);
+    const names = registry.get('record').type.fields[1];
+
+    const constraints = resolveConstraints(names, { registry });
+    assert.deepEqual(constraints.length, { minimum: 1, maximum: 32 });
+    assert.deepEqual(constraints.series, { minimum: 0, maximum: 8 });
+    assert.deepEqual(resolveConstraints({ base: 'count', minimum: 10, maximum: 70000 }, { registry }).range, { minimum: 10n, maximum: 65535n });
+});
+
+test('invalid restrictions are rejected', () => {
+    const registry = createRegistry(DEFINITIONS);
+    assert.throws(() => resolveConstraints({ base: 'unsigned', minimum: -1 }, { registry }), /minimum -1 is outside of the unsigned range/);
+    assert.throws(() => resolveConstraints({ base: 'count', minimum: 70000 }, { registry }), /empty range 70000\.\.65535/);
+    assert.throws(() => resolveConstraints({ base: 'unsigned', maximum: 1.5 }, { registry }), SyntaxError);
+    assert.throws(() => resolveConstraints({ base: 'name', length: 100 }, { registry }), /empty range 100\.\.64/);
+    assert.throws(() => resolveConstraints('missing', { registry }), /Unknown type 'missing'/);
+});
+
+test('numeric base types are resolved through references', () => {
+    assert.deepEqual(resolveNumericBaseType({ base: 'unsigned-16', maximum: 1000 }), { base: 'unsigned', minValue: 0n, maxValue: 1000n });
+    assert.deepEqual(resolveNumericBaseType({ base: 'real' }).base, 'real');
+    assert.throws(() => resolveNumericBaseType({ base: 'character-string' }), /not a supported bases/);
+});
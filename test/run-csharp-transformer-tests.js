@@ -0,0 +1,39 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { CSharpTransformer, narrowestIntegerType } from '../src/csharp-transformer.js';
+
+import { generate } from './fixtures.js';
+
+const createTransformer = ({ registry, directory }) => new CSharpTransformer({ registry, outputDirectory: directory });
+
+test('the narrowest integer type is chosen', () => {
+    assert.equal(narrowestIntegerType(0n, 255n), 'byte');
+    assert.equal(narrowestIntegerType(0n, 65535n), 'ushort');
+    assert.equal(narrowestIntegerType(0n, 18446744073709551615n), 'ulong');
+    assert.equal(narrowestIntegerType(-128n, 127n), 'sbyte');
+    assert.equal(narrowestIntegerType(-1n, 40000n), 'int');
+});
+
+test('one file is written per generated type', async () => {
+    const files = await generate(createTransformer);
+    assert.deepEqual([...files.keys()], ['ANY.cs', 'BACnetColour.cs', 'BACnetFlags.cs', 'BACnetLamp.cs', 'Null.cs', 'PickRequest.cs']);
+    assert.match(files.get('BACnetColour.cs'), /namespace BAClib\.Types;\n\n\/\/\/ <summary>\n\/\/\/ Colour -- of a &lt;lamp&gt;\.\n\/\/\/ <\/summary>\npublic enum BACnetColour : ushort\n\{\n    \/\/\/ <summary>\n    \/\/\/ Like a tomato\.\n    \/\/\/ <\/summary>\n    DarkRed = 2,\n    Green = 0,\n\}/);
+    assert.match(files.get('BACnetFlags.cs'), /\[System\.Flags\]\npublic enum BACnetFlags : ushort\n\{\n    None = 0,\n    InAlarm = 1 << 0,\n    Fault = 1 << 9,\n\}/);
+});
+
+test('sequences and choices become records', async () => {
+    const files = await generate(createTransformer);
+    const source = files.get('PickRequest.cs');
+    assert.match(source, /public sealed record PickRequest\n\{/);
+    assert.match(source, /    \/\/\/ Kind of thing\.\n    \/\/\/ <\/summary>\n    public required ushort Type \{ get; init; \}\n\n    public ulong\? PropertyArrayIndex \{ get; init; \}/);
+    assert.match(source, /    public IReadOnlyList<BACnetColour>\? Colours \{ get; init; \}/);
+    assert.match(source, /    public required IReadOnlyList<TargetType> Target \{ get; init; \}/);
+    assert.match(source, /    public abstract record TargetType\n    \{\n        private protected TargetType\(\)/);
+    assert.match(source, /        public sealed record NullOption\(Null Value\) : TargetType;/);
+    assert.match(source, /        public sealed record Flags\(BACnetFlags Value\) : TargetType;/);
+    assert.match(files.get('BACnetLamp.cs'), /    public IReadOnlyList<byte>\? Levels \{ get; init; \}\n\n    public required SettingType Setting \{ get; init; \}/);
+});
@@ -0,0 +1,112 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { CodecError, decode } from '../src/codec.js';
+import { formatDecodeTrace, traceDecode } from '../src/decode-trace.js';
+
+function fromHex(hex) {
+    return Uint8Array.from(Buffer.from(hex.replace(/ /g, ''), 'hex'));
+}
+
+function commentsOf(trace) {
+    return trace.lines.map(line => [line.offset, line.depth, line.comment]);
+}
+
+test('tags, fields and values are traced in the style of the sample files', () => {
+    const trace = traceDecode('read-property-request', fromHex('0c 02 00 00 08 19 4d'));
+    assert.deepEqual(trace.value, { 'object-identifier': { 'object-type': 'device', instance: 8 }, 'property-identifier': 'object-name' });
+    assert.equal(trace.error, undefined);
+    assert.equal(formatDecodeTrace(trace), [
+        'read-property-request, 7 octets',
+        '0  0C           object-identifier: Context Tag 0, Length = 4 (read-property-request.object-identifier)',
+        '1  02 00 00 08    Object Identifier: object-type = 8 (device), instance = 8',
+        '5  19           property-identifier: Context Tag 1, Length = 1 (read-property-request.property-identifier)',
+        '6  4D             Enumerated Value = 77 (object-name)',
+        ''
+    ].join('\n'));
+
+    assert.deepEqual(commentsOf(traceDecode('boolean', fromHex('99 01'), { context: 9 })), [
+        [0, 0, 'Context Tag 9, Length = 1 (boolean)'],
+        [1, 1, 'Boolean Value = TRUE']
+    ]);
+    assert.deepEqual(commentsOf(traceDecode('boolean', fromHex('11'))), [[0, 0, 'Application Tag 1, Boolean Value = TRUE (boolean)']]);
+});
+
+test('nested elements are indented with their value and definition paths', () => {
+    const stamp = traceDecode('time-stamp', fromHex('2e a4 7e 07 1b 01 b4 0e 1e 00 00 2f'));
+    assert.deepEqual(commentsOf(stamp), [
+        [0, 1, 'datetime: Opening Tag 2 (time-stamp.datetime)'],
+        [1, 2, 'datetime.date: Application Tag 10, Length = 4 (time-stamp.datetime.date)'],
+        [2, 3, 'Date Value = 2026-07-27 (Monday)'],
+        [6, 2, 'datetime.time: Application Tag 11, Length = 4 (time-stamp.datetime.time)'],
+        [7, 3, 'Time Value = 14:30:00.00'],
+        [11, 1, 'datetime: Closing Tag 2 (time-stamp.datetime)']
+    ]);
+
+    const acknowledgement = traceDecode('read-property-ack', fromHex('0c 02 00 00 08 19 4d 3e 75 04 00 41 42 43 5e 2a 01 02 5f 3f'));
+    assert.deepEqual(commentsOf(acknowledgement).slice(4), [
+        [7, 1, 'property-value: Opening Tag 3 (read-property-ack.property-value)'],
+        [8, 2, 'property-value[0]: Application Tag 7, Length = 4 (read-property-ack.property-value)'],
+        [10, 3, 'Character Set UTF-8, text = ABC'],
+        [14, 2, 'property-value[1]: Opening Tag 5 (read-property-ack.property-value)'],
+        [15, 3, 'property-value[1][0]: Context Tag 2, Length = 2 (read-property-ack.property-value)'],
+        [16, 4, ''],
+        [18, 2, 'property-value[1]: Closing Tag 5 (read-property-ack.property-value)'],
+        [19, 1, 'property-value: Closing Tag 3 (read-property-ack.property-value)']
+    ]);
+
+    // Long contents continue on the following lines
+    const text = formatDecodeTrace(traceDecode('character-string', fromHex('75 0d 00 54 68 65 20 42 41 43 6c 69 62 20 49')));
+    assert.equal(text.split('\n').slice(2, 4).join('\n'), ' 2  00 54 68 65 20 42 41 43    Character Set UTF-8, text = The BAClib I\n10  6C 69 62 20 49');
+});
+
+test('errors are marked at their byte offset', () => {
+    const range = traceDecode('unsigned-8', fromHex('22 01 00 21 01'));
+    assert.ok(range.error instanceof CodecError);
+    assert.equal(range.value, undefined);
+    assert.equal(formatDecodeTrace(range), [
+        'unsigned-8, 5 octets',
+        '0  22     Application Tag 2, Length = 2 (unsigned-8)',
+        '1  01 00    Unsigned Value = 256',
+        '0  ^^     Invalid data: value 256 is outside of the range 0..255',
+        '3  21 01  (not decoded)',
+        ''
+    ].join('\n'));
+
+    assert.deepEqual(commentsOf(traceDecode('read-property-request', fromHex('0c 02 00 00 08 19'))).slice(2), [
+        [5, 1, 'property-identifier: Context Tag 1, Length = 1 (read-property-request.property-identifier)'],
+        [6, 1, 'property-identifier: Invalid data: truncated data: missing 1 byte(s) of context tag 1']
+    ]);
+    // Truncated contents are marked where the content starts, with the octets present
+    const content = traceDecode('read-property-request', fromHex('0c 02 00'));
+    assert.deepEqual(content.lines.at(-1), {
+        offset: 1, bytes: fromHex('02 00'), depth: 1, comment: 'object-identifier: Invalid data: truncated data: missing 2 byte(s) of context tag 0', error: true
+    });
+    const trailing = traceDecode('unsigned', fromHex('21 05 00'));
+    assert.deepEqual(trailing.lines.at(-1), { offset: 2, bytes: fromHex('00'), depth: 0, comment: 'Invalid data: unexpected trailing data of 1 byte(s)', error: true });
+    const tag = traceDecode('read-property-request', fromHex('0e 02 00 00 08 19 4d'));
+    assert.deepEqual(commentsOf(tag), [[0, 1, 'object-identifier: Invalid data: expected context tag 0 but found opening tag 0']]);
+
+    // The trace of a choice ends with the option the error belongs to
+    const choice = traceDecode('time-stamp', fromHex('2e a4 7e 0d 1b 01 b4 0e 1e 00 00 2f'));
+    assert.deepEqual(commentsOf(choice).slice(-2), [
+        [1, 2, 'datetime.date: Invalid data: month must be 1..12'],
+        [6, 2, '(not decoded)']
+    ]);
+});
+
+test('the decoder lists the tags and contents it reads', () => {
+    const trace = [];
+    decode('time-stamp', fromHex('19 05'), { trace });
+    assert.deepEqual(trace.map(({ offset, length, path, tag }) => [offset, length, path, tag?.number]), [
+        [0, 1, 'sequence-number', 1],
+        [1, 1, 'sequence-number', undefined]
+    ]);
+    assert.deepEqual(trace[1].descriptor.names, ['unsigned']);
+
+    assert.throws(() => traceDecode('missing-type', fromHex('00')), /Unknown type 'missing-type'/);
+    assert.throws(() => traceDecode('unsigned', [0x21, 0x01]), CodecError);
+});
@@ -0,0 +1,171 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+import { diffDefinitions } from '../src/definition-diff.js';
+import { DefinitionRegistry } from '../src/definition-registry.js';
+import { DiagnosticError } from '../src/diagnostics.js';
+
+const PRIMITIVES = [
+    { name: 'boolean', alias: 'Boolean', primitive: 1 },
+    { name: 'unsigned', alias: 'Unsigned', primitive: 2 },
+    { name: 'character-string', alias: 'CharacterString', primitive: 7 },
+    { name: 'bit-string', alias: 'BitString', primitive: 8 },
+    { name: 'enumerated', alias: 'Enumerated', primitive: 9 },
+    { name: 'choice', alias: 'CHOICE', primitive: -2 },
+    { name: 'sequence', alias: 'SEQUENCE', primitive: -3 },
+    { name: 'unsigned-16', alias: 'Unsigned16', type: { base: 'unsigned', maximum: 65535 } }
+];
+
+const OLD_DEFINITIONS = [
+    ...PRIMITIVES,
+    {
+        name: 'mode',
+        alias: 'BACnetMode',
+        type: { base: 'enumerated', values: [{ name: 'off', constant: 0 }, { name: 'on', constant: 1 }, { name: 'auto', constant: 2 }], proprietary: { from: 64, to: 255 } }
+    },
+    { name: 'flags', alias: 'BACnetFlags', type: { base: 'bit-string', bits: [{ name: 'fault', position: 0 }, { name: 'overridden', position: 1 }] } },
+    {
+        name: 'request',
+        alias: 'Request',
+        type: {
+            base: 'sequence',
+            fields: [
+                { name: 'mode', type: 'mode', context: 0 },
+                { name: 'count', type: 'unsigned', context: 1 },
+                { name: 'label', type: { base: 'character-string', length: { maximum: 20 } }, context: 2, optional: true },
+                { name: 'note', type: 'character-string', context: 3 },
+                { name: 'flags', type: 'flags', context: 4, optional: true }
+            ]
+        }
+    },
+    { name: 'obsolete', alias: 'Obsolete', type: 'boolean' }
+];
+
+const NEW_DEFINITIONS = [
+    ...PRIMITIVES,
+    {
+        name: 'mode',
+        alias: 'BACnetMode',
+        type: { base: 'enumerated', values: [{ name: 'off', constant: 0 }, { name: 'enabled', constant: 1 }, { name: 'auto', constant: 3 }, { name: 'eco', constant: 4 }] }
+    },
+    { name: 'flags', alias: 'BACnetStatus', type: { base: 'bit-string', bits: [{ name: 'fault', position: 0 }] } },
+    {
+        name: 'request',
+        alias: 'Request',
+        type: {
+            base: 'sequence',
+            fields: [
+                { name: 'mode', type: 'mode', context: 0 },
+                { name: 'count', type: 'unsigned-16', context: 1 },
+                { name: 'label', type: { base: 'character-string', length: { maximum: 40 } }, context: 2 },
+                { name: 'note', type: 'character-string', context: 5, optional: true },
+                { name: 'flags', type: 'flags', context: 4, optional: true },
+                { name: 'priority', type: 'unsigned', context: 6, optional: true }
+            ]
+        }
+    },
+    { name: 'added', alias: 'Added', type: 'boolean' }
+];
+
+test('changes are classified as wire-breaking, api-breaking or compatible', async () => {
+    const changes = await diffDefinitions(new DefinitionRegistry(OLD_DEFINITIONS), new DefinitionRegistry(NEW_DEFINITIONS));
+
+    assert.deepEqual(changes.map(change => [change.severity, change.code, change.path]), [
+        ['wire-breaking', 'extensibility-removed', 'mode'],
+        ['api-breaking', 'value-renamed', 'mode.on'],
+        ['wire-breaking', 'constant-changed', 'mode.auto'],
+        ['compatible', 'value-added', 'mode.eco'],
+        ['api-breaking', 'alias-changed', 'flags'],
+        ['wire-breaking', 'bit-removed', 'flags.overridden'],
+        ['api-breaking', 'type-changed', 'request.count'],
+        ['wire-breaking', 'range-narrowed', 'request.count'],
+        ['wire-breaking', 'field-required', 'request.label'],
+        ['compatible', 'length-widened', 'request.label'],
+        ['wire-breaking', 'context-changed', 'request.note'],
+        ['api-breaking', 'field-optional', 'request.note'],
+        ['compatible', 'field-added', 'request.priority'],
+        ['api-breaking', 'definition-removed', 'obsolete'],
+        ['compatible', 'definition-added', 'added']
+    ]);
+
+    const narrowed = changes.find(change => change.code === 'range-narrowed');
+    assert.equal(narrowed.definition, 'request');
+    assert.equal(narrowed.message, 'Range narrowed from 0..18446744073709551615 to 0..65535');
+    assert.equal(changes.find(change => change.code === 'constant-changed').message, 'Constant changed from 2 to 3');
+});
+
+test('encodings, primitives, order and series are compared', async () => {
+    const sequence = fields => ({ name: 'thing', alias: 'Thing', type: { base: 'sequence', fields } });
+    const oldRegistry = new DefinitionRegistry([
+        ...PRIMITIVES,
+        { name: 'custom', alias: 'Custom', primitive: 20 },
+        sequence([{ name: 'a', type: 'unsigned' }, { name: 'b', type: 'boolean' }, { name: 'c', type: { base: 'unsigned', series: { maximum: 4 } } }])
+    ]);
+    const newRegistry = new DefinitionRegistry([
+        ...PRIMITIVES,
+        { name: 'custom', alias: 'Custom', primitive: 21 },
+        sequence([{ name: 'b', type: 'character-string' }, { name: 'a', type: 'unsigned', context: 0 }, { name: 'c', type: { base: 'unsigned', series: { maximum: 2 } } }, { name: 'd', type: 'boolean' }])
+    ]);
+
+    const changes = await diffDefinitions(oldRegistry, newRegistry);
+    assert.deepEqual(changes.map(change => [change.code, change.path, change.message]), [
+        ['primitive-changed', 'custom', 'Primitive changed from 20 to 21'],
+        ['context-changed', 'thing.a', 'Context tag changed from none to 0'],
+        ['encoding-changed', 'thing.b', 'Encoding changed from boolean to character-string'],
+        ['series-narrowed', 'thing.c', 'List length narrowed from 0..4 to 0..2'],
+        ['field-added', 'thing.d', 'Required field added'],
+        ['field-order-changed', 'thing', 'Fields reordered from a, b, c to b, a, c']
+    ]);
+    assert.ok(changes.every(change => change.severity === 'wire-breaking'));
+});
+
+test('proprietary ranges are compared as sets of numbers', async () => {
+    const enumeration = (name, proprietary) => ({ name, alias: name, type: { base: 'enumerated', values: [{ name: 'a', constant: 0 }], proprietary } });
+    const oldRegistry = new DefinitionRegistry([
+        ...PRIMITIVES,
+        enumeration('opened', { from: 1, to: 0 }),
+        enumeration('split', { from: 64, to: 255 }),
+        enumeration('shifted', { from: 64, to: 255 })
+    ]);
+    const newRegistry = new DefinitionRegistry([
+        ...PRIMITIVES,
+        enumeration('opened', { from: 64, to: 254 }),
+        enumeration('split', [{ from: 128, to: 511 }, { from: 64, to: 127 }]),
+        enumeration('shifted', [{ from: '128', to: '18446744073709551615' }])
+    ]);
+
+    const changes = await diffDefinitions(oldRegistry, newRegistry);
+    assert.deepEqual(changes.map(change => [change.severity, change.code, change.path, change.message]), [
+        ['compatible', 'proprietary-widened', 'opened', 'Proprietary range widened from none to 64..254'],
+        ['compatible', 'proprietary-widened', 'split', 'Proprietary range widened from 64..255 to 64..511'],
+        ['wire-breaking', 'proprietary-narrowed', 'shifted', 'Proprietary range narrowed from 64..255 to 128..18446744073709551615']
+    ]);
+});
+
+test('definition directories are compared and must load without errors', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'baclib-diff-'));
+    try {
+        const oldDirectory = path.join(directory, 'old');
+        const newDirectory = path.join(directory, 'new');
+        for (const [target, definitions] of [[oldDirectory, OLD_DEFINITIONS], [newDirectory, NEW_DEFINITIONS]]) {
+            await fs.mkdir(target);
+            for (const definition of definitions) {
+                await fs.writeFile(path.join(target, `${definition.name}.json`), JSON.stringify(definition), 'utf8');
+            }
+        }
+
+        assert.deepEqual(await diffDefinitions(oldDirectory, oldDirectory), []);
+        assert.equal((await diffDefinitions(oldDirectory, newDirectory)).length, 15);
+
+        await fs.writeFile(path.join(newDirectory, 'broken.json'), '{', 'utf8');
+        await assert.rejects(diffDefinitions(oldDirectory, newDirectory), DiagnosticError);
+    } finally {
+        await fs.rm(directory, { recursive: true });
+    }
+});
@@ -0,0 +1,87 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import test from 'node:test';
+
+import { buildDependencyGraph, GraphTransformer } from '../src/graph-transformer.js';
+
+import { createRegistry, generate } from './fixtures.js';
+
+const DEFINITIONS = [
+    'unsigned', 'choice', 'sequence',
+    { name: 'date', alias: 'Date', type: 'date-pattern' },
+    { name: 'date-pattern', alias: 'DatePattern', type: { base: 'unsigned', maximum: 99 } },
+    { name: 'time-stamp', alias: 'BACnetTimeStamp', type: { base: 'choice', options: [{ name: 'date', type: 'date', context: 0 }, { name: 'sequence-number', type: 'unsigned', context: 1 }] } },
+    { name: 'event', alias: 'BACnetEvent', type: { base: 'sequence', fields: [{ name: 'time', type: 'time-stamp' }, { name: 'value', type: 'value' }] } },
+    { name: 'value', alias: 'BACnetValue', type: { base: 'choice', options: [{ name: 'number', type: 'unsigned' }, { name: 'list', type: 'value-list' }] } },
+    { name: 'value-list', alias: 'BACnetValueList', type: { base: 'value', series: true } },
+    { name: 'request', alias: 'Request', type: { base: 'sequence', fields: [{ name: 'event', type: 'event' }] } }
+];
+
+async function exportGraph(options = {}, traversal = {}) {
+    const files = await generate(({ registry, directory }) => new GraphTransformer({ registry, outputPath: path.join(directory, 'graph'), ...options }), {
+        ...traversal,
+        registry: createRegistry(DEFINITIONS)
+    });
+    return files.get('graph');
+}
+
+test('references between definitions become edges and cycles are reported', () => {
+    const registry = createRegistry(DEFINITIONS);
+    const graph = buildDependencyGraph(registry, registry.definitions);
+
+    assert.deepEqual(graph.nodes.map(node => [node.name, node.references]), [
+        ['date', ['date-pattern']],
+        ['date-pattern', []],
+        ['time-stamp', ['date']],
+        ['event', ['time-stamp', 'value']],
+        ['value', ['value-list']],
+        ['value-list', ['value']],
+        ['request', ['event']]
+    ]);
+    assert.deepEqual(graph.components, [['value', 'value-list']]);
+
+    const withPrimitives = buildDependencyGraph(registry, registry.definitions, { primitives: true });
+    assert.deepEqual(withPrimitives.nodes.find(node => node.name === 'time-stamp').references, ['choice', 'date', 'unsigned']);
+});
+
+test('the focus limits the graph by direction and depth', () => {
+    const registry = createRegistry(DEFINITIONS);
+    const namesOf = options => buildDependencyGraph(registry, registry.definitions, options).nodes.map(node => node.name);
+
+    assert.deepEqual(namesOf({ focus: 'BACnetTimeStamp' }), ['date', 'date-pattern', 'time-stamp']);
+    assert.deepEqual(namesOf({ focus: 'time-stamp', depth: 1 }), ['date', 'time-stamp']);
+    assert.deepEqual(namesOf({ focus: 'time-stamp', direction: 'dependents' }), ['time-stamp', 'event', 'request']);
+    assert.deepEqual(namesOf({ focus: 'date', direction: 'dependents', depth: 0 }), ['date']);
+    assert.throws(() => namesOf({ focus: 'unsigned' }), /Type 'unsigned' is not part of the graph/);
+});
+
+test('graphs are written as DOT, Mermaid and JSON', async () => {
+    const dot = await exportGraph();
+    assert.match(dot, /^digraph dependencies \{\n/);
+    assert.match(dot, / {4}subgraph cluster_1 \{\n {8}label="cycle 1";\n {8}style=dashed;\n {8}"value";\n {8}"value-list";\n {4}\}/);
+    assert.match(dot, /^ {4}"time-stamp" \[tooltip="BACnetTimeStamp"\];$/m);
+    assert.match(dot, /^ {4}"event" -> "time-stamp";$/m);
+
+    const mermaid = await exportGraph({ format: 'mermaid', focus: 'time-stamp', direction: 'dependents' });
+    assert.equal(mermaid, `flowchart LR
+    n0["time-stamp"]
+    n1["event"]
+    n2["request"]
+    n1 --> n0
+    n2 --> n1
+`);
+
+    // Selected definitions are traversed in topological order
+    const json = JSON.parse(await exportGraph({ format: 'json' }, { exclude: ['date*'] }));
+    assert.deepEqual(json.nodes[0], { name: 'time-stamp', alias: 'BACnetTimeStamp', references: [] });
+    assert.deepEqual(json.components, [['value-list', 'value']]);
+});
+
+test('invalid options are rejected', () => {
+    assert.throws(() => new GraphTransformer({ format: 'svg' }), /Unknown format 'svg'/);
+    assert.throws(() => new GraphTransformer({ direction: 'up' }), /Unknown direction 'up'/);
+    assert.throws(() => new GraphTransformer({ depth: -1 }), /Invalid depth/);
+});
@@ -0,0 +1,43 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { HtmlTransformer } from '../src/html-transformer.js';
+
+import { generate } from './fixtures.js';
+
+const createTransformer = ({ registry, directory }) => new HtmlTransformer({ registry, outputDirectory: directory });
+
+test('pages describe items, link references and list their users', async () => {
+    const files = await generate(createTransformer);
+
+    const colour = files.get('colour.html');
+    assert.match(colour, /<p>Colour -- of a &lt;lamp&gt;\.<\/p>/);
+    assert.match(colour, /<td id="dark-red"><code>dark-red<\/code><\/td><td>2<\/td><td>Like a tomato\.<\/td>/);
+    assert.match(colour, /<tr><td>256<\/td><td>65535<\/td><\/tr>/);
+    assert.match(colour, /<h2>Used by<\/h2>\n<ul>\n<li><a href="lamp.html">BACnetLamp<\/a><\/li>\n<li><a href="pick.html">Pick-Request<\/a><\/li>/);
+
+    const lamp = files.get('lamp.html');
+    assert.match(lamp, /<td><a href="colour.html">BACnetColour<\/a><\/td><td>Current colour\.<\/td>/);
+    assert.match(lamp, /<code>levels<\/code> <span class="optional">optional<\/span>/);
+    assert.match(lamp, /<a href="unsigned.html">Unsigned<\/a> <span class="restrictions">\(range \.\.100, list of \.\.3\)<\/span>/);
+});
+
+test('the search index covers names, aliases and constants', async () => {
+    const files = await generate(createTransformer);
+    assert.match(files.get('index.html'), /<script src="search-index.js"><\/script>/);
+
+    const index = JSON.parse(files.get('search-index.js').replace(/^const SEARCH_INDEX = /, '').replace(/;\n$/, ''));
+    const find = term => index.filter(entry => entry.terms.includes(term)).map(entry => entry.href);
+    assert.deepEqual(find('bacnetcolour'), ['colour.html']);
+    assert.deepEqual(find('2'), ['colour.html#dark-red']);
+    assert.deepEqual(find('levels'), ['lamp.html#levels']);
+});
+
+test('references to definitions without a page are not linked', async () => {
+    const files = await generate(createTransformer, { include: ['lamp', 'sequence'] });
+    assert.equal(files.has('colour.html'), false);
+    assert.match(files.get('lamp.html'), /<td>BACnetColour<\/td>/);
+});
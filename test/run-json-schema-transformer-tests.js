@@ -0,0 +1,99 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import test from 'node:test';
+import Ajv2020 from 'ajv/dist/2020.js';
+
+import { parseExampleFile } from '../src/example-parser.js';
+import { JsonSchemaTransformer } from '../src/json-schema-transformer.js';
+import { registry as bundledRegistry } from '../src/traverse.js';
+
+import { decodeSample, generate } from './fixtures.js';
+
+const samplesDirectoryPath = path.resolve(import.meta.dirname, 'samples');
+const baseUri = 'https://baclib.github.io/schemas/values/';
+
+async function compile(options = {}) {
+    const files = await generate(({ registry, directory }) => new JsonSchemaTransformer({ ...options, registry, outputDirectory: directory }), {
+        registry: options.registry
+    });
+    const ajv = new Ajv2020({ allErrors: true });
+    for (const text of files.values()) {
+        ajv.addSchema(JSON.parse(text));
+    }
+    return ajv;
+}
+
+// JSON form of decoded values, like the decode command of the CLI prints them
+function toJson(value) {
+    return JSON.parse(JSON.stringify(value, (key, entry) => {
+        if (typeof entry === 'bigint' || (typeof entry === 'number' && !Number.isFinite(entry))) {
+            return entry.toString();
+        }
+        if (entry instanceof Uint8Array) {
+            return Buffer.from(entry).toString('hex');
+        }
+        return entry;
+    }));
+}
+
+test('schemas describe sequences, choices, enumerations and series', async () => {
+    const ajv = await compile();
+    const pick = ajv.getSchema(`${baseUri}pick.schema.json`);
+
+    assert.equal(pick({ type: 65535, colours: ['dark-red', 256], target: [{ null: null }, { colour: 'green' }] }), true);
+    assert.equal(pick({ type: 65536, target: [{ null: null }] }), false);
+    assert.equal(pick({ type: 1, target: [] }), false);
+    assert.equal(pick({ type: 1, colours: [1], target: [{ null: null }] }), false);
+    assert.equal(pick({ type: 1, colours: ['blue'], target: [{ null: null }] }), false);
+    assert.equal(pick({ type: 1, colours: ['green', 'green', 'green', 'green', 'green'], target: [{ null: null }] }), false);
+    assert.equal(pick({ type: 1, target: [{ null: null, colour: 'green' }] }), false);
+    assert.equal(pick({ type: 1, target: [{ null: null }], extra: true }), false);
+    assert.equal(pick({ target: [{ null: null }] }), false);
+
+    const lamp = ajv.getSchema(`${baseUri}lamp.schema.json`);
+    assert.equal(lamp({ 'lamp-name': 'desk', colour: 'green', levels: [100], setting: { level: 255 }, flags: { 'in-alarm': true, 9: false } }), true);
+    assert.equal(lamp({ 'lamp-name': '', colour: 'green', setting: { level: 1 }, flags: {} }), false);
+    assert.equal(lamp({ 'lamp-name': 'x'.repeat(21), colour: 'green', setting: { level: 1 }, flags: {} }), false);
+    assert.equal(lamp({ 'lamp-name': 'desk', colour: 'green', levels: [101], setting: { level: 1 }, flags: {} }), false);
+    assert.equal(ajv.getSchema(`${baseUri}unsigned.schema.json`)('18446744073709551615'), true);
+});
+
+test('decimal strings and object identifiers are bounded', async () => {
+    const ajv = await compile({ registry: bundledRegistry });
+    const unsigned = ajv.getSchema(`${baseUri}unsigned-64.schema.json`);
+    for (const [value, valid] of [['18446744073709551615', true], ['18446744073709551599', true], ['9007199254740993', true],
+        ['18446744073709551616', false], ['18446744073709552000', false], ['99999999999999999999', false], ['0018446744073709551615', false], ['-1', false]]) {
+        assert.equal(unsigned(value), valid, value);
+    }
+    const integer = ajv.getSchema(`${baseUri}integer-64.schema.json`);
+    for (const [value, valid] of [['-9223372036854775808', true], ['9223372036854775807', true], ['-9223372036854775809', false], ['9223372036854775808', false], ['-0', false]]) {
+        assert.equal(integer(value), valid, value);
+    }
+
+    const objectIdentifier = ajv.getSchema(`${baseUri}object-identifier.schema.json`);
+    assert.equal(objectIdentifier({ 'object-type': 'device', instance: 8 }), true);
+    assert.equal(objectIdentifier({ 'object-type': 'device', instance: 8, extra: 1 }), false);
+    assert.equal(ajv.getSchema(`${baseUri}time.schema.json`)({ hour: 1, minute: 2, second: 3, hundredths: 4, extra: 5 }), false);
+});
+
+test('decoded samples are valid against the schemas of their types', async () => {
+    const ajv = await compile({ registry: bundledRegistry });
+    const fileNames = (await fs.readdir(samplesDirectoryPath)).filter(file => file.endsWith('.json')).sort();
+
+    for (const fileName of fileNames) {
+        const example = await parseExampleFile(path.join(samplesDirectoryPath, fileName));
+        const validate = ajv.getSchema(`${baseUri}${example.type}.schema.json`);
+        for (const sample of example.cases.filter(entry => entry.good)) {
+            const { value } = decodeSample(example.type, sample.data);
+            assert.equal(validate(toJson(value)), true, `${fileName} ${sample.name}: ${JSON.stringify(validate.errors)}`);
+        }
+    }
+});
+
+test('invalid options are rejected', () => {
+    assert.throws(() => new JsonSchemaTransformer({ baseUri: 'https://example.com/schemas' }), /must end with a slash/);
+});
@@ -0,0 +1,89 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+import { DefinitionRegistry } from '../src/definition-registry.js';
+import { DiagnosticError } from '../src/diagnostics.js';
+
+import { createRegistry } from './fixtures.js';
+
+const definitionDirectoryPath = path.resolve(import.meta.dirname, '../definitions');
+
+const DEFINITIONS = [
+    'unsigned',
+    { name: 'unsigned-8', alias: 'Unsigned8', type: { base: 'unsigned', minimum: 0, maximum: 255 } },
+    { name: 'small', alias: 'Small', type: 'unsigned-8' },
+    { name: 'loop-a', type: 'loop-b' },
+    { name: 'loop-b', type: 'loop-a' }
+];
+
+test('definitions are found by name and alias', () => {
+    const registry = createRegistry(DEFINITIONS);
+    assert.equal(registry.get('unsigned-8'), registry.get('Unsigned8'));
+    assert.equal(registry.get('missing'), undefined);
+    assert.throws(() => registry.require('missing'), /Unknown type 'missing'/);
+    assert.ok(Object.isFrozen(registry.get('unsigned-8').type));
+});
+
+test('duplicate names and aliases are rejected', () => {
+    const registry = createRegistry(DEFINITIONS);
+    assert.throws(() => registry.add({ name: 'unsigned', primitive: 2 }), /Duplicate definition name/);
+    assert.throws(() => registry.add({ name: 'other', alias: 'Unsigned', primitive: 2 }), /Duplicate definition alias/);
+});
+
+test('reference chains are resolved transitively', () => {
+    const registry = createRegistry(DEFINITIONS);
+    const resolved = registry.resolve('small');
+    assert.deepEqual(resolved.chain, ['small', 'unsigned-8']);
+    assert.equal(resolved.traits.maximum, 255);
+
+    const base = registry.resolveBase('small');
+    assert.deepEqual(base.chain, ['small', 'unsigned-8', 'unsigned']);
+    assert.equal(base.primitive, 2);
+    assert.equal(base.traits.length, 1);
+});
+
+test('circular references are detected', () => {
+    assert.throws(() => createRegistry(DEFINITIONS).resolve('loop-a'), /Circular type reference: loop-a -> loop-b -> loop-a/);
+});
+
+test('bundled definitions resolve date to primitive 10', async () => {
+    const registry = await DefinitionRegistry.load([definitionDirectoryPath]);
+    const resolved = registry.resolve('date');
+    assert.deepEqual(resolved.chain, ['date', 'date-pattern']);
+    assert.equal(resolved.primitive, 10);
+});
+
+test('bundled definitions load without diagnostics', async () => {
+    const registry = await DefinitionRegistry.load(definitionDirectoryPath, { strict: true });
+    assert.deepEqual(registry.diagnostics, []);
+});
+
+test('problematic files are skipped and reported as diagnostics', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'baclib-registry-'));
+    try {
+        await fs.writeFile(path.join(directory, 'a.json'), '{ "name": "a", "alias": "A", "primitive": 2 }');
+        await fs.writeFile(path.join(directory, 'b.json'), '{ "name": "b", ');
+        await fs.writeFile(path.join(directory, 'c.json'), '{ "name": "c" }');
+        await fs.writeFile(path.join(directory, 'd.json'), '{ "name": "a", "alias": "D" }');
+
+        const registry = await DefinitionRegistry.load(directory);
+        assert.equal(registry.size, 1);
+        assert.deepEqual(registry.diagnostics.map(({ severity, code, file, pointer, definition }) =>
+            [severity, code, path.basename(file), pointer, definition]), [
+            ['error', 'invalid-json', 'b.json', '', undefined],
+            ['error', 'missing-alias', 'c.json', '/alias', 'c'],
+            ['error', 'duplicate-name', 'd.json', '/name', 'a']
+        ]);
+
+        await assert.rejects(() => DefinitionRegistry.load(directory, { strict: true }), error =>
+            error instanceof DiagnosticError && error.diagnostics.length === 3 && /b\.json: error invalid-json/.test(error.message));
+    } finally {
+        await fs.rm(directory, { recursive: true });
+    }
+});
@@ -0,0 +1,50 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import test from 'node:test';
+
+import { RustTransformer, toRustFieldName, toRustTypeName } from '../src/rust-transformer.js';
+
+import { createRegistry, DEFINITIONS, generate } from './fixtures.js';
+
+const ENUMERATIONS = [
+    { name: 'shape', alias: 'BACnetShape', type: { base: 'enumerated', values: [{ name: 'round', constant: 0 }] } },
+    { name: 'state', alias: 'BACnetState', type: { base: 'enumerated', values: [{ name: 'unknown', constant: 0 }], extensible: true } }
+];
+
+async function generateModule() {
+    const files = await generate(({ registry, directory }) => new RustTransformer({ registry, outputPath: path.join(directory, 'types.rs') }), {
+        registry: createRegistry([...DEFINITIONS, ...ENUMERATIONS])
+    });
+    return files.get('types.rs');
+}
+
+test('names follow Rust conventions and escape keywords', () => {
+    assert.equal(toRustTypeName('read-property-request'), 'ReadPropertyRequest');
+    assert.equal(toRustFieldName('property-array-index'), 'property_array_index');
+    assert.equal(toRustFieldName('type'), 'r#type');
+    assert.equal(toRustFieldName('self'), 'self_');
+});
+
+test('sequences become structs and inline choices separate enums', async () => {
+    const text = await generateModule();
+    assert.match(text, /pub type Unsigned16 = u16;/);
+    assert.match(text, /pub struct Pick \{\n    \/\/\/ Kind of thing\.\n    pub r#type: Unsigned16,\n    pub property_array_index: Option<Unsigned>,\n    pub colours: Option<Vec<Colour>>,\n    pub target: PickTarget,\n\}/);
+    assert.match(text, /pub enum PickTargetItem \{\n    Null\(Null\),\n    Flags\(Flags\),\n    Colour\(Colour\),\n\}\n\npub type PickTarget = Vec<PickTargetItem>;/);
+    assert.match(text, /pub enum LampSetting \{\n    Level\(Unsigned8\),\n    Other\(Any\),\n\}/);
+});
+
+test('extensible enumerations get a fallback variant', async () => {
+    const text = await generateModule();
+    assert.match(text, /\/\/\/ Colour -- of a <lamp>\.\n.*\n#\[repr\(u32\)\]\npub enum Colour \{\n    \/\/\/ Like a tomato\.\n    DarkRed = 2,\n    Green = 0,\n    \/\/\/ .*\n    Unknown\(u32\) = 3,\n\}/);
+    assert.match(text, /impl From<u32> for Colour \{\n    fn from\(value: u32\) -> Self \{\n        match value \{\n            2 => Self::DarkRed,\n            0 => Self::Green,\n            value => Self::Unknown\(value\),/);
+    assert.match(text, /pub enum State \{\n    Unknown = 0,\n    \/\/\/ .*\n    Proprietary\(u32\) = 1,\n\}/);
+    assert.match(text, /impl TryFrom<u32> for Shape \{\n    type Error = u32;\n\n    fn try_from\(value: u32\) -> Result<Self, u32> \{\n        match value \{\n            0 => Ok\(Self::Round\),\n            value => Err\(value\),/);
+});
+
+test('bit-strings become flag newtypes', async () => {
+    const text = await generateModule();
+    assert.match(text, /pub struct Flags\(pub u16\);\n\nimpl Flags \{\n    pub const IN_ALARM: Self = Self\(1 << 0\);\n    pub const FAULT: Self = Self\(1 << 9\);/);
+});
@@ -0,0 +1,148 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import test from 'node:test';
+
+import { CodecError, encode } from '../src/codec.js';
+import { parseExampleText } from '../src/example-parser.js';
+import { formatSampleFile, generateSamples } from '../src/sample-generator.js';
+import { annotateContent } from '../src/tag-annotation.js';
+
+import { decodeSample } from './fixtures.js';
+
+const samplesDirectoryPath = path.resolve(import.meta.dirname, 'samples');
+
+// Sample files written by the `sample` command rather than by hand
+const GENERATED_SAMPLE_TYPES = ['read-property-request'];
+
+function dataOf(samples, name) {
+    return samples.asdu.find(sample => sample.name === name)?.data;
+}
+
+function toHex(bytes) {
+    return Buffer.from(bytes).toString('hex');
+}
+
+test('boundaries of primitives are good cases, off-by-one and truncated values bad ones', () => {
+    const samples = generateSamples('unsigned-8');
+    assert.deepEqual(samples.metadata, {
+        'SPDX-FileCopyrightText': 'Copyright 2024-2026 The BAClib Initiative and Contributors',
+        'SPDX-License-Identifier': 'EPL-2.0'
+    });
+    assert.deepEqual(samples.asdu.map(sample => [sample.name, sample.good]).slice(0, 4), [
+        ['application-tagged-valid-minimum', true],
+        ['application-tagged-valid-maximum', true],
+        ['application-tagged-wrong-above-maximum', false],
+        ['application-tagged-wrong-truncated', false]
+    ]);
+    assert.equal(samples.asdu.length, 12);
+    assert.deepEqual(dataOf(samples, 'context-tagged-wrong-above-maximum'), [
+        ['8A', 'Context Tag 8, Length = 2'],
+        ['01 00', 'Invalid data: value 256 is outside of the range 0..255']
+    ]);
+    assert.deepEqual(dataOf(samples, 'extended-context-tagged-wrong-truncated'), [
+        ['F9 2A', 'Context Tag 42, Length = 1'],
+        ['', 'Invalid data: missing 1 byte']
+    ]);
+
+    const dates = generateSamples('date');
+    assert.deepEqual(dataOf(dates, 'application-tagged-valid-maximum'), [['A4', 'Application Tag 10, Length = 4'], ['FE 0C 1F 02', 'Date Value = 2154-12-31 (Tuesday)']]);
+    assert.deepEqual(dataOf(dates, 'application-tagged-wrong-month-13')[1], ['00 0D 01 01', 'Invalid data: month must be 1..12']);
+    assert.deepEqual(dataOf(generateSamples('date-pattern'), 'application-tagged-wrong-month-15')[1], ['00 0F 01 01', 'Invalid data: month must be 1..14 or FF']);
+
+    const names = generateSamples('abort-reason', { maxDepth: 0 }).asdu.map(sample => sample.name).slice(0, 5);
+    assert.deepEqual(names, [
+        'application-tagged-valid-first-value',
+        'application-tagged-valid-last-value',
+        'application-tagged-valid-proprietary-minimum',
+        'application-tagged-valid-proprietary-maximum',
+        'application-tagged-wrong-above-maximum'
+    ]);
+    assert.deepEqual(dataOf(generateSamples('status-flags'), 'application-tagged-valid-all-flags')[1],
+        ['04 F0', 'Bit String Value = 1111 (unused bits = 4), set: in-alarm, fault, overridden, out-of-service']);
+});
+
+test('fields, options and elements of constructed types are varied one at a time', () => {
+    const request = generateSamples('read-property-request');
+    assert.deepEqual(dataOf(request, 'context-tagged-0-valid-optional-present'), [
+        ['0C', 'object-identifier: Context Tag 0, Length = 4'],
+        ['00 00 00 00', 'Object Identifier: object-type = 0 (analog-input), instance = 0'],
+        ['19', 'property-identifier: Context Tag 1, Length = 1'],
+        ['00', 'Enumerated Value = 0 (acked-transitions)'],
+        ['29', 'property-array-index: Context Tag 2, Length = 1'],
+        ['00', 'Unsigned Value = 0']
+    ]);
+    const maximum = dataOf(request, 'context-tagged-valid-object-identifier-maximum');
+    assert.deepEqual([maximum[0], maximum[2], maximum.at(-1)], [
+        ['8E', 'Opening Tag 8'],
+        ['FF FF FF FF', 'Object Identifier: object-type = 1023, instance = 4194303'],
+        ['8F', 'Closing Tag 8']
+    ]);
+
+    const timeStamps = generateSamples('time-stamp', { maxDepth: 0 });
+    // Untagged cases are named after the context tag of the option
+    assert.deepEqual(timeStamps.asdu.filter(sample => sample.good && /^context-tagged-[0-9]/.test(sample.name)).map(sample => sample.name), [
+        'context-tagged-0-valid-time',
+        'context-tagged-1-valid-sequence-number',
+        'context-tagged-2-valid-datetime'
+    ]);
+    assert.ok(timeStamps.asdu.every(sample => !sample.name.startsWith('application-tagged')));
+    assert.deepEqual(dataOf(timeStamps, 'context-tagged-2-valid-datetime').slice(0, 2), [
+        ['2E', 'datetime: Opening Tag 2'],
+        ['A4', 'datetime.date: Application Tag 10, Length = 4']
+    ]);
+
+    // The empty list has no octets unless it is context tagged
+    const acknowledgement = generateSamples('read-property-multiple-ack');
+    assert.deepEqual(acknowledgement.asdu.slice(0, 3).map(sample => [sample.name, sample.data.length]), [
+        ['context-tagged-0-valid-list-of-read-access-results-one-element', 4],
+        ['context-tagged-0-wrong-truncated', 4],
+        ['context-tagged-valid', 2]
+    ]);
+});
+
+test('generated cases pass the checks of the sample tests', async () => {
+    for (const typeName of ['boolean', 'real', 'character-string', 'week-n-day', 'time', 'lighting-command', 'time-stamp', 'read-property-request', 'confirmed-request-pdu']) {
+        const example = await parseExampleText(formatSampleFile(generateSamples(typeName)));
+        assert.equal(example.type, typeName);
+        for (const sample of example.cases) {
+            if (sample.good) {
+                const { value, options } = decodeSample(typeName, sample.data);
+                assert.equal(toHex(encode(typeName, value, options)), toHex(sample.data), `${typeName} ${sample.name}`);
+            } else {
+                assert.throws(() => decodeSample(typeName, sample.data), CodecError, `${typeName} ${sample.name}`);
+            }
+        }
+    }
+});
+
+test('sample files are formatted and annotated like the existing ones', async () => {
+    for (const fileName of ['date-pattern.json', 'time-pattern.json', 'week-n-day.json']) {
+        const text = await fs.readFile(path.join(samplesDirectoryPath, fileName), 'utf8');
+        const samples = JSON.parse(text);
+        assert.equal(formatSampleFile(samples), text, fileName);
+
+        const descriptor = { primitive: { 'date-pattern.json': 10, 'time-pattern.json': 11, 'week-n-day.json': 6 }[fileName], names: [samples.type] };
+        for (const sample of samples.asdu.filter(item => item.good)) {
+            const [hex, comment] = sample.data[1];
+            const content = Uint8Array.from(Buffer.from(hex.replace(/ /g, ''), 'hex'));
+            assert.equal(annotateContent(descriptor, content), comment, `${fileName} ${sample.name}`);
+        }
+    }
+});
+
+test('generated sample files are up to date with the generator', async () => {
+    for (const typeName of GENERATED_SAMPLE_TYPES) {
+        const text = await fs.readFile(path.join(samplesDirectoryPath, `${typeName}.json`), 'utf8');
+        assert.equal(text, formatSampleFile(generateSamples(typeName)), `${typeName}.json is stale, regenerate it with the sample command`);
+    }
+});
+
+test('invalid options and types are rejected', () => {
+    assert.throws(() => generateSamples('unsigned', { maxDepth: -1 }), /Invalid maximum depth -1/);
+    assert.throws(() => generateSamples('missing-type'), /Unknown type 'missing-type'/);
+    assert.throws(() => generateSamples('sequence'), /Sequence type 'sequence' has no fields/);
+});
@@ -0,0 +1,51 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import test from 'node:test';
+
+import { encode, CodecError } from '../src/codec.js';
+import { parseExampleFile } from '../src/example-parser.js';
+
+import { decodeSample } from './fixtures.js';
+
+const testDirectoryPath = import.meta.dirname;
+const samplesDirectoryPath = path.resolve(testDirectoryPath, 'samples');
+
+function toHex(bytes) {
+    return Buffer.from(bytes).toString('hex').toUpperCase();
+}
+
+async function loadSamples(directoryPath) {
+    const fileNames = (await fs.readdir(directoryPath))
+        .filter(file => file.endsWith('.json'))
+        .sort();
+
+    const samples = [];
+    for (const fileName of fileNames) {
+        samples.push({ fileName, example: await parseExampleFile(path.join(directoryPath, fileName)) });
+    }
+    return samples;
+}
+
+for (const { fileName, example } of await loadSamples(samplesDirectoryPath)) {
+    test(`sample ${fileName} (${example.type})`, async t => {
+        for (const sample of example.cases) {
+            await t.test(`${sample.name} should be ${sample.good ? 'good' : 'bad'}`, () => {
+                if (sample.good) {
+                    const { value, options } = decodeSample(example.type, sample.data);
+                    assert.equal(toHex(encode(example.type, value, options)), toHex(sample.data), 're-encoding differs from sample');
+                    return;
+                }
+
+                assert.throws(() => decodeSample(example.type, sample.data), error => {
+                    assert.ok(error instanceof CodecError, `expected a CodecError but got ${error}`);
+                    assert.ok(error.message.length > 0, 'expected a meaningful error message');
+                    return true;
+                });
+            });
+        }
+    });
+}
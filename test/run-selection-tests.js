@@ -0,0 +1,61 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { referencesOf, selectDefinitions } from '../src/definition-selection.js';
+import { registry as bundledRegistry, traverseDefinitions } from '../src/traverse.js';
+
+import { createRegistry } from './fixtures.js';
+
+const DEFINITIONS = [
+    { name: 'alpha-request', alias: 'AlphaRequest', type: { base: 'sequence', fields: [{ name: 'a', type: 'count' }] } },
+    { name: 'beta-request', alias: 'BetaRequest', type: { base: 'sequence', fields: [{ name: 'b', type: 'unsigned' }] } },
+    { name: 'count', alias: 'Count', type: { base: 'unsigned', maximum: 10 } },
+    'sequence', 'unsigned'
+];
+
+const namesOf = definitions => definitions.map(definition => definition.name);
+
+test('references of items and traits bases are collected', () => {
+    assert.deepEqual(referencesOf(createRegistry(DEFINITIONS).get('alpha-request')), ['sequence', 'count']);
+});
+
+test('roots select their dependency closure in topological order', () => {
+    const selected = selectDefinitions(createRegistry(DEFINITIONS), { roots: ['AlphaRequest'] });
+    assert.deepEqual(namesOf(selected), ['sequence', 'unsigned', 'count', 'alpha-request']);
+});
+
+test('include and exclude patterns match names and aliases', () => {
+    const registry = createRegistry(DEFINITIONS);
+    assert.deepEqual(namesOf(selectDefinitions(registry, { include: '*-request' })), ['alpha-request', 'beta-request']);
+    assert.deepEqual(namesOf(selectDefinitions(registry, { include: ['Beta*', 'count'] })), ['beta-request', 'count']);
+    assert.deepEqual(namesOf(selectDefinitions(registry, { roots: ['alpha-request'], exclude: 's*' })), ['unsigned', 'count', 'alpha-request']);
+});
+
+test('unknown roots are rejected', () => {
+    assert.throws(() => selectDefinitions(createRegistry(DEFINITIONS), { roots: ['missing'] }), /Unknown type 'missing'/);
+});
+
+test('traversal is restricted to the selected definitions', async () => {
+    const visited = [];
+    const noop = () => {};
+    const transformer = {
+        startDefinition: context => visited.push(context.thisName),
+        endDefinition: noop,
+        startTraits: noop,
+        endTraits: noop,
+        startItem: noop,
+        endItem: noop
+    };
+
+    const result = await traverseDefinitions(transformer, { roots: ['read-property-ack'] });
+    assert.equal(result.totalCount, visited.length);
+    assert.equal(visited.at(-1), 'read-property-ack');
+    for (const name of visited) {
+        for (const reference of referencesOf(bundledRegistry.get(name))) {
+            assert.ok(visited.indexOf(bundledRegistry.get(reference).name) < visited.indexOf(name), `${reference} must precede ${name}`);
+        }
+    }
+});
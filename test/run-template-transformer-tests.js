@@ -0,0 +1,53 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import test from 'node:test';
+
+import { TemplateTransformer } from '../src/template-transformer.js';
+
+import { generate } from './fixtures.js';
+
+async function render(options, traversal) {
+    const files = await generate(({ registry, directory }) => new TemplateTransformer({ registry, outputPath: path.join(directory, 'output.txt'), ...options }), traversal);
+    return files.get('output.txt');
+}
+
+test('definitions are rendered with naming variants, limits and items', async () => {
+    const template = '{{#each definitions}}{{#if (eq kind "enumeration")}}'
+        + 'enum {{names.pascal}} : {{storageType minimum maximum}} {{#each items}}{{names.screamingSnake}}={{constant}}{{#unless isLast}},{{/unless}}{{/each}}\n'
+        + '{{/if}}{{/each}}';
+    assert.equal(await render({ template }), 'enum BACnetColour : uint16 DARK_RED=2,GREEN=0\n');
+});
+
+test('items describe references, inline traits and context tags', async () => {
+    const template = '{{#each definitions}}{{#if (eq kind "sequence")}}{{#each items}}'
+        + '[{{context}}] {{names.camel}}: {{#if (eq type.kind "reference")}}{{type.names.pascal}} {{storageType type.minimum type.maximum}}'
+        + '{{else}}{{baseName type.baseNames}}[{{type.series.maximum}}]{{/if}}{{#if optional}}?{{/if}}\n{{/each}}{{/if}}{{/each}}';
+    const text = await render({
+        template,
+        helpers: { baseName: names => names.pascal }
+    }, { include: ['lamp'] });
+    assert.equal(text, '[0] lampName: CharacterString[]\n[1] colour: BACnetColour uint16\n[2] levels: Unsigned[3]?\n[3] setting: CHOICE[]\n[] flags: BACnetFlags \n');
+});
+
+test('one file per definition is written with partials and data', async () => {
+    const files = await generate(({ registry, directory }) => new TemplateTransformer({
+        registry,
+        outputDirectory: directory,
+        fileName: '{{snakeCase name}}.txt',
+        template: '{{> header}}{{definition.kind}}',
+        partials: { header: '// {{package}}\n' },
+        data: { package: 'org.example' }
+    }), { include: ['colour', 'pick', 'unsigned*'] });
+
+    assert.deepEqual([...files.keys()], ['colour.txt', 'pick.txt', 'unsigned.txt', 'unsigned_16.txt', 'unsigned_8.txt']);
+    assert.equal(files.get('unsigned_16.txt'), '// org.example\nconstrained');
+});
+
+test('invalid options and templates are rejected', async () => {
+    assert.throws(() => new TemplateTransformer({ outputPath: 'x' }), /Missing template/);
+    assert.throws(() => new TemplateTransformer({ template: '' }), /Missing output/);
+    await assert.rejects(() => new TemplateTransformer({ template: '{{#each}}', outputPath: 'x' }).start(), /Parse error/);
+});
@@ -1,6 +1,7 @@
 // SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
 // SPDX-License-Identifier: EPL-2.0
 
+import assert from 'node:assert/strict';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 
@@ -101,6 +102,20 @@ async function runTestsForDefinitions(directoryPath) {
     }
 }
 
+function runContextTests() {
+    const validate = ajv.getSchema('https://baclib.github.io/type-definition.json');
+    const definitionOf = type => ({ name: 'test-type', type });
+    const choiceOf = option => definitionOf({ base: 'choice', options: [{ name: 'a', type: 'null', context: 0 }, { name: 'b', type: 'null', ...option }] });
+
+    test('context numbers beyond 254 are valid only for options marked unencodable', () => {
+        assert.equal(validate(choiceOf({ context: 254 })), true);
+        assert.equal(validate(choiceOf({ context: 255 })), false);
+        assert.equal(validate(choiceOf({ context: 258, unencodable: true })), true);
+        assert.equal(validate(definitionOf({ base: 'sequence', fields: [{ name: 'a', type: 'null', context: 254 }] })), true);
+        assert.equal(validate(definitionOf({ base: 'sequence', fields: [{ name: 'a', type: 'null', context: 255 }] })), false);
+    });
+}
+
 async function main() {
     await loadSchemas(schemaDirectoryPath);
     await loadTestData(testDataDirectoryPath);
@@ -119,6 +134,7 @@ async function main() {
     */
 
     await runTestsForDefinitions(definitionDirectoryPath);
+    runContextTests();
 }
 
 await main();
@@ -0,0 +1,138 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DiagnosticError } from '../src/diagnostics.js';
+import { traverseDefinitions } from '../src/traverse.js';
+
+import { createRegistry } from './fixtures.js';
+
+const DEFINITIONS = [
+    'unsigned', 'sequence',
+    { name: 'count', alias: 'Count', type: 'unsigned' },
+    {
+        name: 'pair',
+        alias: 'Pair',
+        type: { base: 'sequence', fields: [{ name: 'first', type: 'count' }, { name: 'second', type: 'unsigned' }] }
+    },
+    {
+        name: 'tree',
+        alias: 'Tree',
+        type: { base: 'sequence', fields: [{ name: 'value', type: 'pair' }, { name: 'child', type: 'tree' }] }
+    }
+];
+
+/**
+ * Records the transformer calls as "hook fullname" lines.
+ */
+class RecordingTransformer {
+
+    constructor(names) {
+        this.names = names;
+        this.calls = [];
+    }
+
+    record(hook, context) {
+        if (this.names.includes(context.fullname.split('.')[0])) {
+            const flags = [context.isRecursive && 'recursive', context.isTruncated && 'truncated'].filter(Boolean);
+            this.calls.push([hook, context.fullname, context.thisName ?? context.item?.name, ...flags].join(' '));
+        }
+    }
+
+    startDefinition(context) { this.record('startDefinition', context); }
+    endDefinition(context) { this.record('endDefinition', context); }
+    startTraits(context) { this.record('startTraits', context); }
+    endTraits(context) { this.record('endTraits', context); }
+    startItem(context) { this.record('startItem', context); }
+    endItem(context) { this.record('endItem', context); }
+    startReference(context) { this.record('startReference', context); }
+    endReference(context) { this.record('endReference', context); }
+}
+
+test('string references are not expanded by default', async () => {
+    const transformer = new RecordingTransformer(['pair']);
+    await traverseDefinitions(transformer, { registry: createRegistry(DEFINITIONS) });
+    assert.ok(!transformer.calls.some(call => call.startsWith('startReference')));
+});
+
+test('string references are expanded into the referenced definitions', async () => {
+    const transformer = new RecordingTransformer(['pair']);
+    const result = await traverseDefinitions(transformer, { registry: createRegistry(DEFINITIONS), followReferences: true });
+    assert.equal(result.errorCount, 0);
+    assert.deepEqual(transformer.calls, [
+        'startDefinition pair pair',
+        'startTraits pair pair',
+        'startItem pair.first first',
+        'startReference pair.first count',
+        'startReference pair.first unsigned',
+        'endReference pair.first unsigned',
+        'endReference pair.first count',
+        'endItem pair.first first',
+        'startItem pair.second second',
+        'startReference pair.second unsigned',
+        'endReference pair.second unsigned',
+        'endItem pair.second second',
+        'endTraits pair pair',
+        'endDefinition pair pair'
+    ]);
+});
+
+test('recursive references are expanded once per path', async () => {
+    const transformer = new RecordingTransformer(['tree']);
+    await traverseDefinitions(transformer, { registry: createRegistry(DEFINITIONS), followReferences: true });
+    assert.ok(transformer.calls.includes('startReference tree.child tree recursive'));
+    assert.equal(transformer.calls.filter(call => call.startsWith('startItem tree.child')).length, 1);
+});
+
+test('the depth limit stops the expansion', async () => {
+    const transformer = new RecordingTransformer(['tree']);
+    await traverseDefinitions(transformer, { registry: createRegistry(DEFINITIONS), followReferences: true, maxDepth: 1 });
+    assert.ok(transformer.calls.includes('startReference tree.value pair'));
+    assert.ok(transformer.calls.includes('startReference tree.value.first count truncated'));
+    assert.ok(!transformer.calls.includes('startReference tree.value.first unsigned'));
+});
+
+test('unknown references are counted as errors', async () => {
+    const registry = createRegistry([
+        'sequence',
+        { name: 'broken', type: { base: 'sequence', fields: [{ name: 'a', type: 'missing' }] } }
+    ]);
+    const transformer = new RecordingTransformer([]);
+    const result = await traverseDefinitions(transformer, { registry, followReferences: true });
+    assert.equal(result.errorCount, 1);
+});
+
+test('failed definitions are reported as located diagnostics', async () => {
+    const registry = createRegistry([
+        'sequence',
+        {
+            name: 'broken',
+            type: { base: 'sequence', fields: [{ name: 'a', type: 'sequence' }, { name: 'b', type: { base: 'sequence', fields: [{ name: 'c', type: 'missing' }] } }] }
+        }
+    ]);
+    const result = await traverseDefinitions(new RecordingTransformer([]), { registry, followReferences: true });
+    assert.deepEqual(result.diagnostics, [{
+        severity: 'error',
+        code: 'transform-failed',
+        file: undefined,
+        pointer: '/type/fields/1/type/fields/0',
+        definition: 'broken',
+        message: "Unknown type reference 'missing' at broken.b.c"
+    }]);
+});
+
+test('strict mode throws before any output is written', async () => {
+    const registry = createRegistry([
+        'sequence',
+        { name: 'broken', type: { base: 'sequence', fields: [{ name: 'a', type: 'missing' }] } },
+        { name: 'fine', type: 'sequence' }
+    ]);
+    const transformer = new RecordingTransformer(['fine']);
+    transformer.afterProcessing = () => assert.fail('afterProcessing must not be called');
+
+    await assert.rejects(() => traverseDefinitions(transformer, { registry, followReferences: true, strict: true }), error =>
+        error instanceof DiagnosticError && error.diagnostics[0].pointer === '/type/fields/0' && error.cause instanceof Error);
+    assert.deepEqual(transformer.calls, []);
+});
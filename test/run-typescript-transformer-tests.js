@@ -0,0 +1,52 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import test from 'node:test';
+
+import { toPascalCase } from '../src/naming.js';
+import { TypeScriptTransformer } from '../src/typescript-transformer.js';
+
+import { createRegistry, DEFINITIONS, generate } from './fixtures.js';
+
+const INTEGERS = [
+    { name: 'unsigned-64', alias: 'Unsigned64', type: { base: 'unsigned', minimum: 0, maximum: '18446744073709551615' } },
+    { name: 'percent', alias: 'Percent', type: { base: 'unsigned', maximum: 100 } },
+    { name: 'wide-percent', alias: 'WidePercent', type: { base: 'percent', maximum: '18446744073709551615' } }
+];
+
+async function declare(options = {}, definitions = DEFINITIONS) {
+    const files = await generate(({ registry, directory }) => new TypeScriptTransformer({ ...options, registry, outputPath: path.join(directory, 'types.d.ts') }), {
+        registry: createRegistry(definitions)
+    });
+    return files.get('types.d.ts');
+}
+
+test('aliases are converted to PascalCase identifiers', () => {
+    assert.equal(toPascalCase('BACnet-Abort-PDU'), 'BACnetAbortPDU');
+    assert.equal(toPascalCase('assigned-access-rights'), 'AssignedAccessRights');
+});
+
+test('sequences, choices, enumerations and bits are declared', async () => {
+    const text = await declare();
+    assert.match(text, /export interface PickRequest \{\n    \/\*\* Kind of thing\. \*\/\n    'type': Unsigned16;\n    'property-array-index'\?: Unsigned;\n    'colours'\?: BACnetColour\[\];\n    'target': Array<\n        \| \{ 'null': Null \}\n        \| \{ 'flags': BACnetFlags \}\n        \| \{ 'colour': BACnetColour \}\n    >;\n\}/);
+    assert.match(text, /'setting':\n        \| \{ 'level': Unsigned8 \}\n        \| \{ 'other': ANY \};/);
+    assert.match(text, /export interface BACnetFlags \{\n    'in-alarm': boolean;\n    'fault': boolean;\n\}/);
+    assert.match(text, /\/\*\* Colour -- of a <lamp>\. \*\/\nexport type BACnetColour =\n    \| 'dark-red'\n    \| 'green'\n    \| number;/);
+});
+
+test('integers are number or bigint like the values of the codec', async () => {
+    const text = await declare({}, [...DEFINITIONS, ...INTEGERS]);
+    assert.match(text, /export type Unsigned = number \| bigint;/);
+    assert.match(text, /export type Unsigned64 = number \| bigint;/);
+    assert.match(text, /export type Percent = number;/);
+    // The restriction of the referenced type still applies
+    assert.match(text, /export type WidePercent = number;/);
+});
+
+test('enumerations can be emitted as const enums', async () => {
+    const text = await declare({ enumStyle: 'const-enum' });
+    assert.match(text, /export const enum BACnetColour \{\n    \/\*\* Like a tomato\. \*\/\n    DarkRed = 'dark-red',\n    Green = 'green',\n\}/);
+    assert.throws(() => new TypeScriptTransformer({ enumStyle: 'enum' }), /Unknown enum style 'enum'/);
+});
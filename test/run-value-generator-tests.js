@@ -0,0 +1,117 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { inspect } from 'node:util';
+
+import { decode, encode, validateValue } from '../src/codec.js';
+import { definitions } from '../src/traverse.js';
+import { generateValue } from '../src/value-generator.js';
+
+import { createRegistry } from './fixtures.js';
+
+// The bare choice and sequence bases have no options or fields to generate
+const TYPE_NAMES = definitions
+    .filter(definition => definition.primitive === undefined || definition.primitive >= -1)
+    .map(definition => definition.name);
+
+test('generated values of all definitions are valid and survive an encode/decode round trip', () => {
+    for (const name of TYPE_NAMES) {
+        for (let seed = 0; seed < 8; seed++) {
+            const value = generateValue(name, { seed });
+            assert.deepEqual(validateValue(name, value), [], `${name} with seed ${seed}`);
+            assert.deepEqual(decode(name, encode(name, value)), value, `${name} with seed ${seed}`);
+        }
+    }
+});
+
+test('options beyond the encodable tag numbers are never chosen', () => {
+    for (const name of ['property-states', 'fault-parameter']) {
+        for (let seed = 0; seed < 500; seed++) {
+            const value = generateValue(name, { seed });
+            assert.deepEqual(validateValue(name, value), [], `${name} with seed ${seed}`);
+            assert.deepEqual(decode(name, encode(name, value)), value, `${name} with seed ${seed}`);
+        }
+    }
+});
+
+test('the seed determines the value', () => {
+    assert.deepEqual(generateValue('read-property-multiple-ack', { seed: 42 }), generateValue('read-property-multiple-ack', { seed: 42 }));
+    const values = new Set(Array.from({ length: 20 }, (_, seed) => inspect(generateValue('read-property-request', { seed }), { depth: null })));
+    assert.ok(values.size > 15);
+});
+
+test('values respect the restrictions and cover the edge cases', () => {
+    const valuesOf = (name, options) => Array.from({ length: 200 }, (_, seed) => generateValue(name, { seed, ...options }));
+
+    const edges = valuesOf('unsigned-64', { edgeCaseBias: 1 });
+    for (const edge of [0, 255, 256, Number.MAX_SAFE_INTEGER, 2n ** 53n, (1n << 64n) - 1n]) {
+        assert.ok(edges.includes(edge), `edge case ${edge}`);
+    }
+    assert.ok(edges.every(value => value >= 0 && value <= (1n << 64n) - 1n));
+    assert.ok(valuesOf('integer-8', { edgeCaseBias: 0 }).every(value => value >= -128 && value <= 127));
+
+    for (const command of valuesOf('lighting-command')) {
+        if (command['target-level'] !== undefined) {
+            assert.equal(command['target-level'], Math.fround(command['target-level']));
+            assert.ok(command['target-level'] >= 0 && command['target-level'] <= 100);
+        }
+    }
+
+    const dates = valuesOf('date');
+    assert.ok(dates.every(date => date.year === null || date['day-of-week'] === (new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay() || 7)));
+    assert.ok(valuesOf('week-n-day').every(value => value.length === 3));
+    assert.deepEqual(Object.keys(generateValue('status-flags')), ['in-alarm', 'fault', 'overridden', 'out-of-service']);
+
+    const shallow = generateValue('read-property-multiple-ack', { seed: 3, maxDepth: 0 });
+    assert.deepEqual(shallow, { 'list-of-read-access-results': [] });
+});
+
+test('out of range values are rejected by validateValue', () => {
+    for (const name of ['unsigned-8', 'integer-64', 'abort-reason', 'lighting-command', 'date', 'time', 'week-n-day', 'read-property-request']) {
+        for (let seed = 0; seed < 10; seed++) {
+            const value = generateValue(name, { seed, outOfRange: true });
+            assert.notDeepEqual(validateValue(name, value), [], `${name} with seed ${seed}`);
+        }
+    }
+    assert.ok([-1, 256].includes(generateValue('unsigned-8', { seed: 1, outOfRange: true })));
+    assert.throws(() => generateValue('boolean', { outOfRange: true }), /The type 'boolean' has no restrictions to violate/);
+});
+
+test('out of range values are found whatever the seed', () => {
+    for (const name of TYPE_NAMES) {
+        const results = Array.from({ length: 4 }, (_, seed) => {
+            try {
+                const value = generateValue(name, { seed, outOfRange: true });
+                assert.notDeepEqual(validateValue(name, value), [], `${name} with seed ${seed}`);
+                return true;
+            } catch (error) {
+                assert.match(error.message, /has no restrictions to violate/, `${name} with seed ${seed}`);
+                return false;
+            }
+        });
+        assert.ok(results.every(result => result === results[0]), `${name} depends on the seed`);
+    }
+    // The random value of seed 1 is an empty list
+    assert.deepEqual(generateValue('action-list', { seed: 1 }), { action: [] });
+    assert.notDeepEqual(validateValue('action-list', generateValue('action-list', { seed: 1, outOfRange: true })), []);
+    assert.notDeepEqual(validateValue('optional-any', generateValue('optional-any', { seed: 0, outOfRange: true })), []);
+});
+
+test('custom registries and invalid options', () => {
+    const registry = createRegistry([
+        'unsigned', 'choice',
+        { name: 'tree', alias: 'Tree', type: { base: 'choice', options: [{ name: 'leaf', type: { base: 'unsigned', maximum: 9 }, context: 0 }, { name: 'node', type: { base: 'tree', series: { minimum: 2 } }, context: 1 }] } },
+        { name: 'loop', alias: 'Loop', type: { base: 'choice', options: [{ name: 'again', type: 'loop' }] } }
+    ]);
+    for (let seed = 0; seed < 20; seed++) {
+        assert.ok(JSON.stringify(generateValue('Tree', { registry, seed, maxDepth: 2 })).length < 400);
+    }
+    assert.throws(() => generateValue('loop', { registry }), /No finite value/);
+    assert.throws(() => generateValue('missing', { registry }), /Unknown type 'missing'/);
+
+    assert.throws(() => generateValue('unsigned', { seed: 1.5 }), /Invalid seed 1.5/);
+    assert.throws(() => generateValue('unsigned', { maxDepth: -1 }), /Invalid maximum depth -1/);
+    assert.throws(() => generateValue('unsigned', { edgeCaseBias: 2 }), /Invalid edge case bias 2/);
+});
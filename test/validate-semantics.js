@@ -0,0 +1,51 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026 The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+import path from 'node:path';
+
+import { DefinitionRegistry } from '../src/definition-registry.js';
+import { checkDefinitions } from '../src/check-definitions.js';
+
+const testDirectoryPath = import.meta.dirname;
+const definitionDirectoryPath = path.resolve(testDirectoryPath, '../definitions');
+
+function printReport(registry, problems) {
+    const files = new Set(problems.map(problem => problem.file ?? problem.definition));
+
+    console.log('Semantic Validation Report');
+    console.log('--------------------------');
+    console.log(`Total definitions: ${registry.size}`);
+    console.log(`Files with issues: ${files.size}`);
+    console.log(`Problems:          ${problems.length}`);
+
+    if (problems.length === 0) {
+        console.log('Status: PASS');
+        return;
+    }
+
+    console.log('Status: FAIL');
+    console.log('');
+
+    for (const problem of problems) {
+        console.log(`- ${path.basename(problem.file ?? problem.definition)} ${problem.pointer}`);
+        console.log(`  * ${problem.severity} ${problem.code}: ${problem.message}`);
+    }
+}
+
+async function main() {
+    try {
+        const registry = await DefinitionRegistry.load(definitionDirectoryPath);
+        const problems = [...registry.diagnostics, ...checkDefinitions(registry)];
+        printReport(registry, problems);
+
+        if (problems.length > 0) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('Validation failed due to runtime error.');
+        console.error(error instanceof Error ? error.message : String(error));
+        process.exitCode = 1;
+    }
+}
+
+await main();